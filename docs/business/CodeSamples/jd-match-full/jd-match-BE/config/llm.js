@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+// LLM and embedding settings. Providers: 'bedrock', 'openai' or 'local'
+// (deterministic, no network; for dev machines and CI).
+const provider = process.env.LLM_PROVIDER || 'bedrock';
+
+const defaults = {
+  bedrock: {
+    model: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0',
+    embeddingModel: 'amazon.titan-embed-text-v2:0'
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    embeddingModel: 'text-embedding-3-small'
+  },
+  local: {
+    model: 'local-deterministic',
+    embeddingModel: 'local-hash'
+  }
+};
+
+const embeddingProvider = process.env.EMBEDDING_PROVIDER || provider;
+
+module.exports = {
+  provider,
+  model: process.env.LLM_MODEL_ID || defaults[provider]?.model,
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 4000,
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : undefined,
+  embeddingProvider,
+  embeddingModel: process.env.EMBEDDING_MODEL_ID || defaults[embeddingProvider]?.embeddingModel,
+  // Must match the dimension of the vectors already stored in faiss_indexes
+  localEmbeddingDimensions: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 1024,
+  fixturesDir: process.env.LLM_FIXTURES_DIR || null,
+  aws: {
+    region: process.env.AWS_REGION || 'us-east-1',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY
+  }
+};
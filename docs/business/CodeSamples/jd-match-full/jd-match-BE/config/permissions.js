@@ -0,0 +1,39 @@
+// Roles from the FRD personas
+const ROLES = {
+  RECRUITER: 'recruiter',
+  LEAD: 'recruitment_lead',
+  ML_OPS: 'ml_ops',
+  COMPLIANCE: 'compliance'
+};
+
+const { RECRUITER, LEAD, ML_OPS, COMPLIANCE } = ROLES;
+
+// Which roles may perform each action. Routes check permissions, never roles
+// directly, so changing who can do what only touches this table.
+const PERMISSIONS = {
+  // Run JD matches
+  'resumes:match': [RECRUITER, LEAD],
+  // List resumes, read profiles, view and download files
+  'resumes:read': [RECRUITER, LEAD, COMPLIANCE],
+  // See contact details in resume files and text; other roles always get
+  // the redacted view
+  'resumes:contact': [RECRUITER, LEAD],
+  // Upload resumes and run ingestion jobs
+  'ingestion:manage': [RECRUITER, LEAD, ML_OPS],
+  // Scoring weights, thresholds and taxonomies
+  'scoring:configure': [LEAD],
+  // Audit log queries and exports
+  'audit:read': [LEAD, COMPLIANCE],
+  // Erase a candidate's data from every store
+  'candidates:erase': [LEAD, COMPLIANCE],
+  // Assign roles to users
+  'users:manage': [LEAD]
+};
+
+const can = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can
+};
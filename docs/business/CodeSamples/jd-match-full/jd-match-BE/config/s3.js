@@ -0,0 +1,21 @@
+require('dotenv').config();
+const { S3Client } = require('@aws-sdk/client-s3');
+
+// Resumes land under `inputPrefix` in `bucket`; ingestion moves each one to
+// <inputPrefix>_processed/ once it is stored
+const bucket = process.env.S3_BUCKET_NAME || 'resume-ranking-bucket';
+const inputPrefix = process.env.S3_PREFIX || 'resume_input/';
+
+const s3Client = new S3Client({
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+  },
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+module.exports = {
+  s3Client,
+  bucket,
+  inputPrefix
+};
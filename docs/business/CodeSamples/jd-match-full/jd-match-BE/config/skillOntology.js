@@ -0,0 +1,65 @@
+// Starting skills ontology, used until a Recruitment Lead saves the first
+// version. `parents` are skills a resume listing this one implies it has,
+// e.g. Spring Boot -> Java. `kind` 'language' marks programming languages.
+const SEED_SKILLS = [
+  { name: 'JavaScript', kind: 'language', synonyms: ['JS', 'ECMAScript', 'ES6', 'Javascript'], parents: [] },
+  { name: 'TypeScript', kind: 'language', synonyms: ['TS'], parents: ['JavaScript'] },
+  { name: 'Java', kind: 'language', synonyms: ['Core Java', 'J2EE', 'Java EE', 'Jakarta EE'], parents: [] },
+  { name: 'Kotlin', kind: 'language', synonyms: [], parents: [] },
+  { name: 'Python', kind: 'language', synonyms: ['Python3', 'Python 3'], parents: [] },
+  { name: 'C#', kind: 'language', synonyms: ['C Sharp', 'CSharp'], parents: [] },
+  { name: 'C++', kind: 'language', synonyms: ['CPP'], parents: [] },
+  { name: 'Go', kind: 'language', synonyms: ['Golang'], parents: [] },
+  { name: 'Ruby', kind: 'language', synonyms: [], parents: [] },
+  { name: 'PHP', kind: 'language', synonyms: [], parents: [] },
+  { name: 'Scala', kind: 'language', synonyms: [], parents: [] },
+  { name: 'SQL', kind: 'language', synonyms: ['T-SQL', 'PL/SQL'], parents: [] },
+
+  { name: 'React', kind: 'skill', synonyms: ['ReactJS', 'React.js'], parents: ['JavaScript'] },
+  { name: 'Next.js', kind: 'skill', synonyms: ['NextJS'], parents: ['React'] },
+  { name: 'Angular', kind: 'skill', synonyms: ['AngularJS', 'Angular 2+'], parents: ['TypeScript'] },
+  { name: 'Vue.js', kind: 'skill', synonyms: ['Vue', 'VueJS'], parents: ['JavaScript'] },
+  { name: 'Node.js', kind: 'skill', synonyms: ['Node', 'NodeJS'], parents: ['JavaScript'] },
+  { name: 'Express', kind: 'skill', synonyms: ['Express.js', 'ExpressJS'], parents: ['Node.js'] },
+  { name: 'Spring', kind: 'skill', synonyms: ['Spring Framework'], parents: ['Java'] },
+  { name: 'Spring Boot', kind: 'skill', synonyms: ['SpringBoot'], parents: ['Spring'] },
+  { name: 'Hibernate', kind: 'skill', synonyms: [], parents: ['Java'] },
+  { name: '.NET', kind: 'skill', synonyms: ['dotnet', '.NET Core', 'ASP.NET'], parents: ['C#'] },
+  { name: 'Django', kind: 'skill', synonyms: [], parents: ['Python'] },
+  { name: 'Flask', kind: 'skill', synonyms: [], parents: ['Python'] },
+  { name: 'Ruby on Rails', kind: 'skill', synonyms: ['Rails', 'RoR'], parents: ['Ruby'] },
+
+  { name: 'AWS', kind: 'skill', synonyms: ['Amazon Web Services'], parents: [] },
+  { name: 'AWS Lambda', kind: 'skill', synonyms: ['Lambda'], parents: ['AWS'] },
+  { name: 'Amazon S3', kind: 'skill', synonyms: ['S3', 'AWS S3'], parents: ['AWS'] },
+  { name: 'Azure', kind: 'skill', synonyms: ['Microsoft Azure'], parents: [] },
+  { name: 'Google Cloud', kind: 'skill', synonyms: ['GCP', 'Google Cloud Platform'], parents: [] },
+  { name: 'Docker', kind: 'skill', synonyms: ['Containers'], parents: [] },
+  { name: 'Kubernetes', kind: 'skill', synonyms: ['K8s', 'EKS', 'AKS', 'GKE'], parents: ['Docker'] },
+  { name: 'Terraform', kind: 'skill', synonyms: [], parents: [] },
+  { name: 'CI/CD', kind: 'skill', synonyms: ['Continuous Integration', 'Continuous Delivery'], parents: [] },
+  { name: 'Jenkins', kind: 'skill', synonyms: [], parents: ['CI/CD'] },
+  { name: 'GitHub Actions', kind: 'skill', synonyms: [], parents: ['CI/CD'] },
+  { name: 'Git', kind: 'skill', synonyms: ['GitHub', 'GitLab', 'Bitbucket'], parents: [] },
+
+  { name: 'PostgreSQL', kind: 'skill', synonyms: ['Postgres'], parents: ['SQL'] },
+  { name: 'MySQL', kind: 'skill', synonyms: [], parents: ['SQL'] },
+  { name: 'Oracle Database', kind: 'skill', synonyms: ['Oracle', 'Oracle DB'], parents: ['SQL'] },
+  { name: 'SQL Server', kind: 'skill', synonyms: ['MSSQL', 'Microsoft SQL Server'], parents: ['SQL'] },
+  { name: 'MongoDB', kind: 'skill', synonyms: ['Mongo'], parents: [] },
+  { name: 'Redis', kind: 'skill', synonyms: [], parents: [] },
+  { name: 'Kafka', kind: 'skill', synonyms: ['Apache Kafka'], parents: [] },
+  { name: 'GraphQL', kind: 'skill', synonyms: [], parents: [] },
+  { name: 'REST APIs', kind: 'skill', synonyms: ['REST', 'RESTful APIs', 'RESTful services'], parents: [] },
+  { name: 'Microservices', kind: 'skill', synonyms: ['Microservice architecture'], parents: [] },
+
+  { name: 'Machine Learning', kind: 'skill', synonyms: ['ML'], parents: [] },
+  { name: 'TensorFlow', kind: 'skill', synonyms: [], parents: ['Machine Learning', 'Python'] },
+  { name: 'PyTorch', kind: 'skill', synonyms: [], parents: ['Machine Learning', 'Python'] },
+  { name: 'Pandas', kind: 'skill', synonyms: [], parents: ['Python'] },
+  { name: 'Agile', kind: 'skill', synonyms: ['Scrum', 'Kanban'], parents: [] }
+];
+
+module.exports = {
+  SEED_SKILLS
+};
@@ -7,9 +7,345 @@ CREATE TABLE IF NOT EXISTS users (
   id INT AUTO_INCREMENT PRIMARY KEY,
   email VARCHAR(255) NOT NULL UNIQUE,
   password VARCHAR(255) NOT NULL,
+  role ENUM('recruiter', 'recruitment_lead', 'ml_ops', 'compliance') DEFAULT NULL,
   createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
   updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   
   -- Indexes
   INDEX idx_email (email)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Processing runs of the S3 ingestion pipeline (and legacy Excel imports)
+CREATE TABLE IF NOT EXISTS processing_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  source VARCHAR(50) NOT NULL DEFAULT 's3',
+  bucket VARCHAR(255),
+  prefix VARCHAR(1024),
+  status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+  processedCount INT NOT NULL DEFAULT 0,
+  failedCount INT NOT NULL DEFAULT 0,
+  startedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finishedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- People; duplicate resume versions share a candidate
+CREATE TABLE IF NOT EXISTS candidates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255),
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create the resumes table
+CREATE TABLE IF NOT EXISTS resumes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  fileName VARCHAR(255) NOT NULL UNIQUE,
+  s3Key VARCHAR(1024),
+  jobTitle VARCHAR(255),
+  yearsOfExperience INT,
+  achievements TEXT,
+  candidateId INT,
+  contentHash CHAR(64),
+  minhash JSON,
+  processingRunId INT,
+  processedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_processed_at (processedAt),
+  INDEX idx_candidate (candidateId),
+  INDEX idx_content_hash (contentHash),
+  FOREIGN KEY (candidateId) REFERENCES candidates(id) ON DELETE SET NULL,
+  FOREIGN KEY (processingRunId) REFERENCES processing_runs(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create the skills table
+CREATE TABLE IF NOT EXISTS skills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(191) NOT NULL UNIQUE,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Skills and programming languages per resume
+CREATE TABLE IF NOT EXISTS resume_tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  resumeId INT NOT NULL,
+  skillId INT NOT NULL,
+  kind ENUM('skill', 'language') NOT NULL DEFAULT 'skill',
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE INDEX idx_resume_skill_kind (resumeId, skillId, kind),
+  INDEX idx_skill (skillId),
+  FOREIGN KEY (resumeId) REFERENCES resumes(id) ON DELETE CASCADE,
+  FOREIGN KEY (skillId) REFERENCES skills(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Files that could not be processed
+CREATE TABLE IF NOT EXISTS failed_files (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  processingRunId INT,
+  s3Key VARCHAR(1024) NOT NULL,
+  reason VARCHAR(50) NOT NULL DEFAULT 'processing_error',
+  error TEXT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (processingRunId) REFERENCES processing_runs(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Structured profile per resume
+CREATE TABLE IF NOT EXISTS resume_profiles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  resumeId INT NOT NULL UNIQUE,
+  name VARCHAR(255),
+  location VARCHAR(255),
+  visaStatus VARCHAR(50),
+  clearance VARCHAR(100),
+  yearsOfExperience DECIMAL(4, 1),
+  hourlyRate DECIMAL(7, 2),
+  employers JSON NOT NULL,
+  education JSON NOT NULL,
+  certifications JSON NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_visa_status (visaStatus),
+  INDEX idx_location (location),
+  FOREIGN KEY (resumeId) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Fraud-risk score and itemised reasons per resume
+CREATE TABLE IF NOT EXISTS fraud_assessments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  resumeId INT NOT NULL UNIQUE,
+  riskScore INT NOT NULL DEFAULT 0,
+  riskLevel ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'low',
+  reasons JSON NOT NULL,
+  assessedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_risk_level (riskLevel),
+  FOREIGN KEY (resumeId) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Sentence hashes for copy-paste detection across resumes
+CREATE TABLE IF NOT EXISTS resume_fragments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  resumeId INT NOT NULL,
+  hash CHAR(16) NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE INDEX idx_resume_hash (resumeId, hash),
+  INDEX idx_hash (hash),
+  FOREIGN KEY (resumeId) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Queued ingestion batches; files are listed once and worked through so a
+-- restarted worker resumes where it stopped
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  processingRunId INT,
+  source VARCHAR(50) NOT NULL DEFAULT 's3',
+  bucket VARCHAR(255) NOT NULL,
+  prefix VARCHAR(1024) NOT NULL DEFAULT '',
+  maxFiles INT,
+  status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+  createdBy INT,
+  error TEXT,
+  listedAt DATETIME,
+  startedAt DATETIME,
+  finishedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_status (status),
+  FOREIGN KEY (processingRunId) REFERENCES processing_runs(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Per-file status of an ingestion job
+CREATE TABLE IF NOT EXISTS ingestion_files (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  jobId INT NOT NULL,
+  s3Key VARCHAR(1024) NOT NULL,
+  status ENUM('pending', 'processing', 'done', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  reason VARCHAR(50),
+  error TEXT,
+  resumeId INT,
+  documentType VARCHAR(20),
+  documentId INT,
+  startedAt DATETIME,
+  finishedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_job_status (jobId, status),
+  FOREIGN KEY (jobId) REFERENCES ingestion_jobs(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Requisitions recruiters search for, and every match run against them
+CREATE TABLE IF NOT EXISTS requisitions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  jdText LONGTEXT NOT NULL,
+  createdBy INT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_created_by_updated (createdBy, updatedAt),
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS searches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  requisitionId INT NOT NULL,
+  createdBy INT NOT NULL,
+  inputs JSON NOT NULL,
+  jdTags JSON,
+  constraints JSON,
+  resultCount INT NOT NULL DEFAULT 0,
+  response JSON NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_requisition_created (requisitionId, createdAt),
+  FOREIGN KEY (requisitionId) REFERENCES requisitions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS pipeline_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  requisitionId INT NOT NULL,
+  resumeId INT NOT NULL,
+  candidateId INT,
+  fileName VARCHAR(255) NOT NULL,
+  score INT,
+  searchId INT,
+  stage ENUM('shortlisted', 'submitted', 'interview', 'rejected', 'placed') NOT NULL DEFAULT 'shortlisted',
+  createdBy INT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE INDEX idx_requisition_resume (requisitionId, resumeId),
+  INDEX idx_requisition_stage (requisitionId, stage),
+  FOREIGN KEY (requisitionId) REFERENCES requisitions(id) ON DELETE CASCADE,
+  FOREIGN KEY (resumeId) REFERENCES resumes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS pipeline_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  entryId INT NOT NULL,
+  fromStage VARCHAR(20),
+  toStage VARCHAR(20) NOT NULL,
+  note TEXT,
+  createdBy INT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_entry_created (entryId, createdAt),
+  FOREIGN KEY (entryId) REFERENCES pipeline_entries(id) ON DELETE CASCADE,
+  FOREIGN KEY (createdBy) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS match_feedback (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  requisitionId INT NOT NULL,
+  searchId INT,
+  resumeId INT NOT NULL,
+  candidateId INT,
+  fileName VARCHAR(255) NOT NULL,
+  verdict ENUM('good_fit', 'bad_fit') NOT NULL,
+  reason TEXT NOT NULL,
+  `rank` INT,
+  score INT,
+  matchedSkills JSON,
+  createdBy INT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE INDEX idx_requisition_resume (requisitionId, resumeId),
+  INDEX idx_updated (updatedAt),
+  FOREIGN KEY (requisitionId) REFERENCES requisitions(id) ON DELETE CASCADE,
+  FOREIGN KEY (resumeId) REFERENCES resumes(id) ON DELETE CASCADE,
+  FOREIGN KEY (createdBy) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  weights JSON NOT NULL,
+  threshold INT NOT NULL,
+  topn INT NOT NULL,
+  isDefault BOOLEAN NOT NULL DEFAULT FALSE,
+  createdBy INT,
+  updatedBy INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (updatedBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS skill_ontology_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  version INT NOT NULL UNIQUE,
+  skills JSON NOT NULL,
+  note VARCHAR(500),
+  createdBy INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ingested files the classifier found are not resumes; certificates and RTR
+-- emails are attached to the candidate they name
+CREATE TABLE IF NOT EXISTS supporting_documents (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  fileName VARCHAR(255) NOT NULL UNIQUE,
+  s3Key VARCHAR(1024),
+  type ENUM('certificate', 'cover_letter', 'rtr', 'contract', 'other') NOT NULL,
+  candidateId INT,
+  personName VARCHAR(255),
+  confidence FLOAT,
+  reason VARCHAR(500),
+  processingRunId INT,
+  processedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_candidate (candidateId),
+  INDEX idx_type (type),
+  FOREIGN KEY (candidateId) REFERENCES candidates(id) ON DELETE SET NULL,
+  FOREIGN KEY (processingRunId) REFERENCES processing_runs(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Append-only record of who searched, viewed, downloaded or changed what.
+-- No foreign keys: entries must outlive the users and resumes they name.
+CREATE TABLE IF NOT EXISTS audit_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  userId INT,
+  userEmail VARCHAR(255),
+  userRole VARCHAR(30),
+  action VARCHAR(50) NOT NULL,
+  targetType VARCHAR(30),
+  targetId VARCHAR(255),
+  subjects JSON NOT NULL,
+  details JSON,
+  ip VARCHAR(45),
+  method VARCHAR(10),
+  path VARCHAR(1000),
+  statusCode INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_created (createdAt),
+  INDEX idx_user_created (userId, createdAt),
+  INDEX idx_action_created (action, createdAt),
+  INDEX idx_target (targetType, targetId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
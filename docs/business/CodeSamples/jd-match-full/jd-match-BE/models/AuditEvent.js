@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const appendOnly = () => {
+  throw new Error('Audit events are append-only');
+};
+
+// Who did what to which resume, search or setting, and from where. Rows are
+// only ever inserted: updates and deletes are refused, and the user's email
+// and role are copied so the entry survives changes to the account.
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Null for failed logins
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  userEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  userRole: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  // e.g. 'search.run', 'resume.download', 'user.role_change'
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // 'resume', 'search', 'requisition', 'user', ... with the file name or id
+  targetType: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  targetId: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Resume file names the action exposed besides the target, e.g. a
+  // search's results, so a candidate's access request can be answered
+  subjects: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  path: {
+    type: DataTypes.STRING(1000),
+    allowNull: true
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'audit_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['createdAt'] },
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['action', 'createdAt'] },
+    { fields: ['targetType', 'targetId'] }
+  ],
+  hooks: {
+    beforeUpdate: appendOnly,
+    beforeBulkUpdate: appendOnly,
+    beforeDestroy: appendOnly,
+    beforeBulkDestroy: appendOnly
+  }
+});
+
+module.exports = AuditEvent;
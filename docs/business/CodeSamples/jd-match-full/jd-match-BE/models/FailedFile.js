@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const FailedFile = sequelize.define('FailedFile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  processingRunId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  s3Key: {
+    type: DataTypes.STRING(1024),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'processing_error'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'failed_files',
+  timestamps: true
+});
+
+module.exports = FailedFile;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Fraud-risk result for one resume. `reasons` lists each signal that fired:
+// [{ signal, points, detail }]; riskScore is their capped sum.
+const FraudAssessment = sequelize.define('FraudAssessment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  riskScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  riskLevel: {
+    type: DataTypes.ENUM('low', 'medium', 'high'),
+    allowNull: false,
+    defaultValue: 'low'
+  },
+  reasons: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  assessedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'fraud_assessments',
+  timestamps: true,
+  indexes: [
+    { fields: ['riskLevel'] }
+  ]
+});
+
+module.exports = FraudAssessment;
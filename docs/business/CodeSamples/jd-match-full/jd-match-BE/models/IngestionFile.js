@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One file of an ingestion job and how far it got
+const IngestionFile = sequelize.define('IngestionFile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  jobId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  s3Key: {
+    type: DataTypes.STRING(1024),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'done', 'failed', 'skipped'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // What the classifier said the file is, and the supporting document
+  // stored for it when it isn't a resume
+  documentType: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  documentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ingestion_files',
+  timestamps: true,
+  indexes: [
+    { fields: ['jobId', 'status'] }
+  ]
+});
+
+module.exports = IngestionFile;
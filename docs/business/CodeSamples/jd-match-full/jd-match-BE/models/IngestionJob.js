@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A queued ingestion batch. The worker lists its files into ingestion_files
+// once (listedAt), then works through them, so a restarted worker picks up
+// where the last one stopped.
+const IngestionJob = sequelize.define('IngestionJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  processingRunId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 's3'
+  },
+  bucket: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  prefix: {
+    type: DataTypes.STRING(1024),
+    allowNull: false,
+    defaultValue: ''
+  },
+  maxFiles: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  listedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ingestion_jobs',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = IngestionJob;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A recruiter's verdict on one match result: a good or bad fit for the
+// requisition, and why. The latest verdict per candidate and requisition is
+// kept, with the rank, score and matched skills from the search it was given
+// on, for re-ranking and calibration.
+const MatchFeedback = sequelize.define('MatchFeedback', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requisitionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  searchId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  candidateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  verdict: {
+    type: DataTypes.ENUM('good_fit', 'bad_fit'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // 1-based position in the search's results
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  matchedSkills: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'match_feedback',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['requisitionId', 'resumeId'] },
+    { fields: ['updatedAt'] }
+  ]
+});
+
+module.exports = MatchFeedback;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A candidate taken from a requisition's match results into its shortlist,
+// and the stage they're at. Every move is kept as a PipelineEvent.
+const PipelineEntry = sequelize.define('PipelineEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requisitionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  candidateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // The resume shortlisted and its score, as they were in the search that
+  // produced the candidate
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  searchId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  stage: {
+    type: DataTypes.ENUM('shortlisted', 'submitted', 'interview', 'rejected', 'placed'),
+    allowNull: false,
+    defaultValue: 'shortlisted'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'pipeline_entries',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['requisitionId', 'resumeId'] },
+    { fields: ['requisitionId', 'stage'] }
+  ]
+});
+
+module.exports = PipelineEntry;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One move of a pipeline entry, or a note on it when the stage stays the same
+const PipelineEvent = sequelize.define('PipelineEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  entryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Null for the event that shortlisted the candidate
+  fromStage: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  toStage: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'pipeline_events',
+  timestamps: true,
+  indexes: [
+    { fields: ['entryId', 'createdAt'] }
+  ]
+});
+
+module.exports = PipelineEvent;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ProcessingRun = sequelize.define('ProcessingRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 's3'
+  },
+  bucket: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  prefix: {
+    type: DataTypes.STRING(1024),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  processedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'processing_runs',
+  timestamps: true
+});
+
+module.exports = ProcessingRun;
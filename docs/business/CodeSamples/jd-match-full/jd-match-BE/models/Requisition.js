@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A job requisition a recruiter searches for, often for weeks. Each match run
+// against it is stored as a Search.
+const Requisition = sequelize.define('Requisition', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  jdText: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'requisitions',
+  timestamps: true,
+  indexes: [
+    { fields: ['createdBy', 'updatedAt'] }
+  ]
+});
+
+module.exports = Requisition;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Resume = sequelize.define('Resume', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  s3Key: {
+    type: DataTypes.STRING(1024),
+    allowNull: true
+  },
+  jobTitle: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  yearsOfExperience: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  achievements: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  candidateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // sha256 of the normalised text, for exact duplicates
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // MinHash signature of the text's word shingles, for near-duplicates
+  minhash: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  processingRunId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'resumes',
+  timestamps: true,
+  indexes: [
+    { fields: ['processedAt'] },
+    { fields: ['candidateId'] },
+    { fields: ['contentHash'] }
+  ]
+});
+
+module.exports = Resume;
@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Hash of one long sentence from a resume, used to spot passages copied
+// between resumes of different candidates
+const ResumeFragment = sequelize.define('ResumeFragment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  hash: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'resume_fragments',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['resumeId', 'hash'] },
+    { fields: ['hash'] }
+  ]
+});
+
+module.exports = ResumeFragment;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Structured profile parsed from a resume. Employment, education and
+// certifications are kept as JSON lists; the fields recruiters filter on
+// have their own indexed columns.
+const ResumeProfile = sequelize.define('ResumeProfile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  visaStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  clearance: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Computed from employment spans, overlapping roles counted once
+  yearsOfExperience: {
+    type: DataTypes.DECIMAL(4, 1),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('yearsOfExperience');
+      return value === null ? null : parseFloat(value);
+    }
+  },
+  // Expected hourly rate in USD, when the resume or file name states one
+  hourlyRate: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('hourlyRate');
+      return value === null ? null : parseFloat(value);
+    }
+  },
+  employers: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  education: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  certifications: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'resume_profiles',
+  timestamps: true,
+  indexes: [
+    { fields: ['visaStatus'] },
+    { fields: ['location'] }
+  ]
+});
+
+module.exports = ResumeProfile;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Links a resume to a skill. Programming languages are skills too, kept apart
+// by `kind` so the scoring prompt can still list them separately.
+const ResumeTag = sequelize.define('ResumeTag', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  resumeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  skillId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  kind: {
+    type: DataTypes.ENUM('skill', 'language'),
+    allowNull: false,
+    defaultValue: 'skill'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'resume_tags',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['resumeId', 'skillId', 'kind'] },
+    { fields: ['skillId'] }
+  ]
+});
+
+module.exports = ResumeTag;
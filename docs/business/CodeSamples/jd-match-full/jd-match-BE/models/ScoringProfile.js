@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Named scoring settings a match can be run with, e.g. "Contract Java dev":
+// how much each criterion counts towards the overall score, the score a
+// resume needs to be selected and how many are returned by default
+const ScoringProfile = sequelize.define('ScoringProfile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Relative weight per matchSchema CRITERIA, e.g. { skills: 40, languages: 20, ... }
+  weights: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  topn: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Used when a match names no profile; at most one is the default
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'scoring_profiles',
+  timestamps: true
+});
+
+module.exports = ScoringProfile;
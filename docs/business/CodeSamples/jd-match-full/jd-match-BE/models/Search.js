@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One match run for a requisition. `inputs` is what was asked for (reviewed
+// tags, constraint overrides, fraud policy, topn) so the run can be repeated;
+// `response` is the ranked result exactly as it was returned.
+const Search = sequelize.define('Search', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requisitionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  inputs: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  jdTags: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  constraints: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  resultCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  response: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'searches',
+  timestamps: true,
+  indexes: [
+    { fields: ['requisitionId', 'createdAt'] }
+  ]
+});
+
+module.exports = Search;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One saved edit of the skills ontology. Versions are never changed; the
+// highest one is in use, and restoring an old one saves it again as new.
+const SkillOntologyVersion = sequelize.define('SkillOntologyVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  // [{ name, kind, synonyms: [...], parents: [...] }], see config/skillOntology
+  skills: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'skill_ontology_versions',
+  timestamps: true
+});
+
+module.exports = SkillOntologyVersion;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// An ingested file the classifier found is not a resume. Certificates and
+// right-to-represent emails are attached to the candidate they name; the
+// rest are only kept so they aren't processed again.
+const SupportingDocument = sequelize.define('SupportingDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  s3Key: {
+    type: DataTypes.STRING(1024),
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('certificate', 'cover_letter', 'rtr', 'contract', 'other'),
+    allowNull: false
+  },
+  candidateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Who the classifier says the document is about, used to find the candidate
+  personName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  confidence: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  processingRunId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'supporting_documents',
+  timestamps: true,
+  indexes: [
+    { fields: ['candidateId'] },
+    { fields: ['type'] }
+  ]
+});
+
+module.exports = SupportingDocument;
@@ -23,6 +23,13 @@ const User = sequelize.define('User', {
       len: [6, 100]
     }
   },
+  // One of config/permissions ROLES. Null, with no permissions, until a
+  // Recruitment Lead assigns one; such accounts can't sign in.
+  role: {
+    type: DataTypes.ENUM('recruiter', 'recruitment_lead', 'ml_ops', 'compliance'),
+    allowNull: true,
+    defaultValue: null
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -0,0 +1,89 @@
+const sequelize = require('../config/database');
+const User = require('./User');
+const Resume = require('./Resume');
+const Skill = require('./Skill');
+const ResumeTag = require('./ResumeTag');
+const ProcessingRun = require('./ProcessingRun');
+const FailedFile = require('./FailedFile');
+const ResumeProfile = require('./ResumeProfile');
+const Candidate = require('./Candidate');
+const FraudAssessment = require('./FraudAssessment');
+const ResumeFragment = require('./ResumeFragment');
+const IngestionJob = require('./IngestionJob');
+const IngestionFile = require('./IngestionFile');
+const Requisition = require('./Requisition');
+const Search = require('./Search');
+const PipelineEntry = require('./PipelineEntry');
+const PipelineEvent = require('./PipelineEvent');
+const MatchFeedback = require('./MatchFeedback');
+const ScoringProfile = require('./ScoringProfile');
+const SkillOntologyVersion = require('./SkillOntologyVersion');
+const SupportingDocument = require('./SupportingDocument');
+const AuditEvent = require('./AuditEvent');
+
+// Associations
+Resume.hasMany(ResumeTag, { foreignKey: 'resumeId', as: 'tags', onDelete: 'CASCADE' });
+ResumeTag.belongsTo(Resume, { foreignKey: 'resumeId' });
+Skill.hasMany(ResumeTag, { foreignKey: 'skillId' });
+ResumeTag.belongsTo(Skill, { foreignKey: 'skillId', as: 'skill' });
+Resume.hasOne(ResumeProfile, { foreignKey: 'resumeId', as: 'profile', onDelete: 'CASCADE' });
+ResumeProfile.belongsTo(Resume, { foreignKey: 'resumeId' });
+Resume.hasOne(FraudAssessment, { foreignKey: 'resumeId', as: 'fraud', onDelete: 'CASCADE' });
+FraudAssessment.belongsTo(Resume, { foreignKey: 'resumeId' });
+Resume.hasMany(ResumeFragment, { foreignKey: 'resumeId', as: 'fragments', onDelete: 'CASCADE' });
+ResumeFragment.belongsTo(Resume, { foreignKey: 'resumeId' });
+Candidate.hasMany(Resume, { foreignKey: 'candidateId', as: 'resumes' });
+Resume.belongsTo(Candidate, { foreignKey: 'candidateId', as: 'candidate' });
+Candidate.hasMany(SupportingDocument, { foreignKey: 'candidateId', as: 'documents' });
+SupportingDocument.belongsTo(Candidate, { foreignKey: 'candidateId', as: 'candidate' });
+
+ProcessingRun.hasMany(Resume, { foreignKey: 'processingRunId' });
+Resume.belongsTo(ProcessingRun, { foreignKey: 'processingRunId' });
+ProcessingRun.hasMany(FailedFile, { foreignKey: 'processingRunId', as: 'failedFiles' });
+FailedFile.belongsTo(ProcessingRun, { foreignKey: 'processingRunId' });
+IngestionJob.hasMany(IngestionFile, { foreignKey: 'jobId', as: 'files', onDelete: 'CASCADE' });
+IngestionFile.belongsTo(IngestionJob, { foreignKey: 'jobId' });
+IngestionJob.belongsTo(ProcessingRun, { foreignKey: 'processingRunId', as: 'run' });
+IngestionFile.belongsTo(Resume, { foreignKey: 'resumeId', as: 'resume', constraints: false });
+IngestionFile.belongsTo(SupportingDocument, { foreignKey: 'documentId', as: 'document', constraints: false });
+ProcessingRun.hasMany(SupportingDocument, { foreignKey: 'processingRunId' });
+SupportingDocument.belongsTo(ProcessingRun, { foreignKey: 'processingRunId' });
+Requisition.hasMany(Search, { foreignKey: 'requisitionId', as: 'searches', onDelete: 'CASCADE' });
+Search.belongsTo(Requisition, { foreignKey: 'requisitionId' });
+User.hasMany(Requisition, { foreignKey: 'createdBy' });
+Requisition.belongsTo(User, { foreignKey: 'createdBy', as: 'owner' });
+Requisition.hasMany(PipelineEntry, { foreignKey: 'requisitionId', as: 'pipeline', onDelete: 'CASCADE' });
+PipelineEntry.belongsTo(Requisition, { foreignKey: 'requisitionId' });
+PipelineEntry.belongsTo(Resume, { foreignKey: 'resumeId', as: 'resume' });
+PipelineEntry.hasMany(PipelineEvent, { foreignKey: 'entryId', as: 'events', onDelete: 'CASCADE' });
+PipelineEvent.belongsTo(PipelineEntry, { foreignKey: 'entryId' });
+PipelineEvent.belongsTo(User, { foreignKey: 'createdBy', as: 'user' });
+Requisition.hasMany(MatchFeedback, { foreignKey: 'requisitionId', as: 'feedback', onDelete: 'CASCADE' });
+MatchFeedback.belongsTo(Requisition, { foreignKey: 'requisitionId' });
+MatchFeedback.belongsTo(User, { foreignKey: 'createdBy', as: 'user' });
+SkillOntologyVersion.belongsTo(User, { foreignKey: 'createdBy', as: 'user' });
+
+module.exports = {
+  sequelize,
+  User,
+  Resume,
+  Skill,
+  ResumeTag,
+  ProcessingRun,
+  FailedFile,
+  ResumeProfile,
+  Candidate,
+  FraudAssessment,
+  ResumeFragment,
+  IngestionJob,
+  IngestionFile,
+  Requisition,
+  Search,
+  PipelineEntry,
+  PipelineEvent,
+  MatchFeedback,
+  ScoringProfile,
+  SkillOntologyVersion,
+  SupportingDocument,
+  AuditEvent
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { ACTIONS, AuditError, listEvents, exportCsv } = require('../services/audit');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+router.use(authMiddleware, requirePermission('audit:read'));
+
+const FILTERS = ['userId', 'user', 'action', 'targetType', 'targetId', 'resume', 'candidateId', 'from', 'to'];
+
+const filtersFrom = query => Object.fromEntries(FILTERS.filter(name => query[name]).map(name => [name, String(query[name])]));
+
+// Reading the log is itself logged, with the filters used
+const queryTarget = req => ({ details: { filters: filtersFrom(req.query) } });
+
+const sendError = (res, error, action) => {
+  if (error instanceof AuditError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// Audit entries, newest first, e.g.
+// GET /api/audit?action=resume.download&user=jane@&from=2025-01-01&limit=100&offset=0
+// ?resume=<file name> or ?candidateId=12 answers "who accessed this
+// candidate's data": entries targeting their files or showing them in results.
+router.get('/', audit('audit.query', queryTarget), async (req, res) => {
+  try {
+    const { total, events } = await listEvents(filtersFrom(req.query), { limit: req.query.limit, offset: req.query.offset });
+    res.json({ actions: ACTIONS, total, events });
+  } catch (error) {
+    sendError(res, error, 'querying the audit log');
+  }
+});
+
+// The same filters as CSV, oldest first
+router.get('/export', audit('audit.export', queryTarget), async (req, res) => {
+  try {
+    const { csv, count, truncated } = await exportCsv(filtersFrom(req.query));
+    auditNote(res, { details: { count, truncated } });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    sendError(res, error, 'exporting the audit log');
+  }
+});
+
+module.exports = router;
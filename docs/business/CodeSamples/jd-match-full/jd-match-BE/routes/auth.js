@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
+const { generateToken, authMiddleware } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
 
-// Register new user
+// Register new user. The account has no role, and so no access, until a
+// Recruitment Lead assigns one through /api/users.
 router.post('/signup', async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -31,15 +33,12 @@ router.post('/signup', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
-
     res.status(201).json({
-      message: 'User created successfully',
-      token,
+      message: 'User created. A Recruitment Lead must assign a role before you can sign in.',
       user: {
-        id: user._id,
-        email: user.email
+        id: user.id,
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -49,7 +48,7 @@ router.post('/signup', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', audit('auth.login', req => ({ details: { email: req.body.email } })), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -71,16 +70,21 @@ router.post('/login', async (req, res) => {
     if (!isMatch) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    if (!user.role) {
+      return res.status(403).json({ error: 'Your account is waiting for a Recruitment Lead to assign a role' });
+    }
 
     // Generate token
     const token = generateToken(user);
+    auditNote(res, { user: { id: user.id, email: user.email, role: user.role }, targetType: 'user', targetId: user.id });
 
     res.json({
       message: 'Login successful',
       token,
       user: {
-        id: user._id,
-        email: user.email
+        id: user.id,
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -89,4 +93,10 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Current user, with their role as stored now
+router.get('/me', authMiddleware, (req, res) => {
+  const { id, email, role, exp } = req.user;
+  res.json({ user: { id, email, role }, expiresAt: new Date(exp * 1000).toISOString() });
+});
+
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { LifecycleError, eraseCandidate } = require('../services/dataLifecycle');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+router.use(authMiddleware, requirePermission('candidates:erase'));
+
+// Erase a candidate from every store and return the deletion certificate:
+// DELETE /api/candidates/12 with an optional { "note": "Request #481" }.
+// A store that could not be erased leaves `complete` false with a 500; the
+// request can be repeated until it succeeds.
+router.delete('/:id', audit('candidate.erase', req => ({ targetType: 'candidate', targetId: req.params.id })), async (req, res) => {
+  try {
+    const note = req.body?.note ? String(req.body.note).slice(0, 500) : null;
+    const certificate = await eraseCandidate(req.params.id, { user: req.user, note });
+    auditNote(res, { subjects: certificate.files.map(file => file.fileName), details: { certificate } });
+    if (!certificate.complete) {
+      return res.status(500).json({ error: 'Some stores could not be erased; retry the request', certificate });
+    }
+    res.json({ certificate });
+  } catch (error) {
+    if (error instanceof LifecycleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error erasing candidate:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  SUPPORTING_TYPES,
+  DocumentError,
+  listDocuments,
+  updateDocument
+} = require('../services/supportingDocuments');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit } = require('../utils/audit');
+
+router.use(authMiddleware);
+
+// Supporting documents: ingested files that aren't resumes, e.g.
+// GET /api/documents?type=certificate&unattached=true or ?candidateId=12
+router.get('/', requirePermission('resumes:read'), audit('document.list', req => ({ details: { query: req.query } })), async (req, res) => {
+  try {
+    const { type, candidateId, unattached } = req.query;
+    if (type && !SUPPORTING_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${SUPPORTING_TYPES.join(', ')}` });
+    }
+    const documents = await listDocuments({ type, candidateId, unattached: unattached === 'true' });
+    res.json({ types: SUPPORTING_TYPES, count: documents.length, documents });
+  } catch (error) {
+    console.error('Error listing supporting documents:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Correct a classification or attachment: { "type": "rtr", "candidateId": 12 }
+router.patch('/:id', requirePermission('ingestion:manage'), audit('document.update', req => ({
+  targetType: 'document',
+  targetId: req.params.id,
+  details: { type: req.body.type, candidateId: req.body.candidateId }
+})), async (req, res) => {
+  try {
+    const { type, candidateId } = req.body;
+    const document = await updateDocument(req.params.id, {
+      type,
+      candidateId: candidateId === undefined || candidateId === null ? candidateId : Number(candidateId)
+    });
+    res.json({ document });
+  } catch (error) {
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating supporting document:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
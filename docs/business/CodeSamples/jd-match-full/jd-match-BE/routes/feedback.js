@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { evaluationReport } = require('../services/feedback');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+
+router.use(authMiddleware, requirePermission('resumes:match'));
+
+// How recruiters have received match results: top-N acceptance, acceptance
+// per score band, both by month, and the most common bad-fit reasons.
+// `?since=2026-01-01` limits it to verdicts given since then.
+router.get('/report', async (req, res) => {
+  try {
+    let since = null;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'since must be a date' });
+      }
+    }
+    res.json(await evaluationReport({ since }));
+  } catch (error) {
+    console.error('Error building feedback report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const router = express.Router();
+const { IngestionJob, Resume, SupportingDocument } = require('../models');
+const { enqueue, getJobProgress } = require('../services/ingestionQueue');
+const { SUPPORTED_EXTENSIONS, isSupportedDocument, contentTypeFor } = require('../services/loaders');
+const { s3Client, bucket: inputBucket, inputPrefix } = require('../config/s3');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+const MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB) || 10;
+const MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES) || 20;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_FILES }
+}).array('files');
+
+// multer reads names as latin1; keep the base name and drop characters that
+// don't belong in an S3 key
+const uploadedName = file => path.basename(Buffer.from(file.originalname, 'latin1').toString('utf8'))
+  .replace(/[^\p{L}\p{N}_.\-() ]+/gu, '_');
+
+// Stored resumes and documents are keyed by file name, so a second file
+// under a name already taken would replace the first candidate's
+const nameTaken = async (fileName) =>
+  Boolean(await Resume.findOne({ where: { fileName }, attributes: ['id'] })
+    || await SupportingDocument.findOne({ where: { fileName }, attributes: ['id'] }));
+
+router.use(authMiddleware, requirePermission('ingestion:manage'));
+
+const parseUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Each file must be at most ${MAX_FILE_MB} MB`,
+        LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES} files at a time`
+      };
+      return res.status(400).json({ error: messages[error.code] || error.message });
+    }
+    next(error);
+  });
+};
+
+// Upload resumes to the landing prefix and queue them for extraction as one
+// job. Files that can't be used are rejected one by one; the job's per-file
+// progress is returned for the rest.
+router.post('/uploads', audit('ingestion.upload'), parseUpload, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const rejected = [];
+    const keys = [];
+    for (const file of files) {
+      const fileName = uploadedName(file);
+      const key = `${inputPrefix}${fileName}`;
+      if (!isSupportedDocument(fileName)) {
+        rejected.push({ fileName, error: `Unsupported file type, expected one of ${SUPPORTED_EXTENSIONS.join(', ')}` });
+      } else if (!file.size) {
+        rejected.push({ fileName, error: 'File is empty' });
+      } else if (keys.includes(key)) {
+        rejected.push({ fileName, error: 'Another file in this upload has the same name' });
+      } else if (await nameTaken(fileName)) {
+        rejected.push({ fileName, error: 'A file with this name is already stored; rename it and upload again' });
+      } else {
+        try {
+          // IfNoneMatch refuses to overwrite a file still waiting to be ingested
+          await s3Client.send(new PutObjectCommand({
+            Bucket: inputBucket,
+            Key: key,
+            Body: file.buffer,
+            ContentType: contentTypeFor(fileName),
+            IfNoneMatch: '*'
+          }));
+          keys.push(key);
+        } catch (error) {
+          if (error.$metadata?.httpStatusCode === 412) {
+            rejected.push({ fileName, error: 'A file with this name is already waiting to be ingested; rename it and upload again' });
+          } else {
+            console.error(`Error uploading ${fileName} to S3:`, error);
+            rejected.push({ fileName, error: 'Could not store the file' });
+          }
+        }
+      }
+    }
+
+    if (!keys.length) {
+      return res.status(400).json({ error: 'None of the files could be uploaded', rejected });
+    }
+
+    const job = await enqueue({ source: 'upload', bucket: inputBucket, prefix: inputPrefix, createdBy: req.user.id, keys });
+    auditNote(res, { targetType: 'ingestion_job', targetId: job.id, details: { keys, rejected: rejected.length } });
+    res.status(202).json({ job: await getJobProgress(job.id), rejected });
+  } catch (error) {
+    console.error('Error uploading resumes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Queue an ingestion job. The worker running in the server picks it up.
+router.post('/jobs', audit('ingestion.job_create', req => ({ details: { bucket: req.body.bucket, prefix: req.body.prefix } })), async (req, res) => {
+  try {
+    const {
+      bucket = inputBucket,
+      prefix = inputPrefix,
+      maxFiles = null
+    } = req.body;
+
+    if (typeof bucket !== 'string' || !bucket || typeof prefix !== 'string') {
+      return res.status(400).json({ error: 'bucket and prefix must be strings' });
+    }
+    if (maxFiles !== null && !(Number.isInteger(maxFiles) && maxFiles > 0)) {
+      return res.status(400).json({ error: 'maxFiles must be a positive integer' });
+    }
+
+    const job = await enqueue({ bucket, prefix, maxFiles, createdBy: req.user.id });
+    auditNote(res, { targetType: 'ingestion_job', targetId: job.id });
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error queueing ingestion job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent jobs, newest first
+router.get('/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await IngestionJob.findAll({ order: [['id', 'DESC']], limit });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error listing ingestion jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A job's status with per-file progress
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJobProgress(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching ingestion job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
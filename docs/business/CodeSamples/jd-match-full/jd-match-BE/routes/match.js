@@ -0,0 +1,157 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { ResumeMatcher, MatchError, FRAUD_POLICIES } = require('../services/matcher');
+const { parseConstraints, constraintsFromJd, mergeConstraints } = require('../services/constraints');
+const { parseJdTags } = require('../services/matchSchema');
+const { readJdFile, cleanJdText } = require('../services/jdDocument');
+const { DocumentLoadError } = require('../services/loaders');
+const { getOwnRequisition, recordSearch, searchWithDiff } = require('../services/searchHistory');
+const { listFeedback, loadCalibration } = require('../services/feedback');
+const { MAX_TOPN, topnSchema, ScoringProfileError, resolveProfile } = require('../services/scoringProfiles');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+const matcher = new ResumeMatcher();
+
+const MAX_JD_FILE_MB = 5;
+const jdUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_JD_FILE_MB * 1024 * 1024 } }).single('file');
+
+const parseJdUpload = (req, res, next) => {
+  jdUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? `JD files must be at most ${MAX_JD_FILE_MB} MB` : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next(error);
+  });
+};
+
+// Extract the tags of a JD for the recruiter to review before matching. The
+// JD is either an uploaded `file` (PDF, DOCX, DOC, TXT or RTF) or `jdText`.
+// Returns its text, the tags, and the hard requirements they imply.
+router.post('/jd-tags', authMiddleware, requirePermission('resumes:match'), parseJdUpload, async (req, res) => {
+  try {
+    let jdText;
+    if (req.file) {
+      jdText = await readJdFile({ buffer: req.file.buffer, originalName: req.file.originalname });
+    } else {
+      jdText = cleanJdText(req.body.jdText);
+    }
+    if (!jdText) {
+      return res.status(400).json({ error: 'Upload a JD file or provide jdText' });
+    }
+
+    const jdTags = await matcher.extractJdTags(jdText);
+    if (!jdTags) {
+      return res.status(400).json({ error: 'Could not extract tags from job description' });
+    }
+    const { constraints } = mergeConstraints(constraintsFromJd(jdTags), {});
+    return res.json({ jdText, jdTags, constraints });
+  } catch (error) {
+    if (error instanceof DocumentLoadError) {
+      return res.status(400).json({ error: error.message, reason: error.reason });
+    }
+    console.error('Error in jd-tags endpoint:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Match a JD against the candidate store. Optional `constraints` override the
+// hard requirements extracted from the JD, e.g.
+// { "mustHaveSkills": ["React"], "minYears": 5, "visaStatuses": ["US Citizen", "Green Card"] }
+// `fraudPolicy` is 'flag' (default), 'demote' or 'exclude'. `jdTags` from
+// /jd-tags, as the recruiter edited them, skip tag extraction.
+// `scoringProfileId` picks the weights, threshold and default `topn`;
+// without it the default profile is used.
+// Every run is saved: under `requisitionId` when given, otherwise as a new
+// requisition (named `title`, or after the JD's first line). The response
+// then carries `searchId`, `requisitionId` and a `diff` against the previous run.
+router.post('/match-resumes', authMiddleware, requirePermission('resumes:match'), audit('search.run'), async (req, res) => {
+  try {
+    const {
+      jdText,
+      fraudPolicy = 'flag',
+      scoringProfileId = null,
+      requisitionId = null,
+      title = null
+    } = req.body;
+
+    if (!FRAUD_POLICIES.includes(fraudPolicy)) {
+      return res.status(400).json({ error: `fraudPolicy must be one of: ${FRAUD_POLICIES.join(', ')}` });
+    }
+
+    let topn = null;
+    if (req.body.topn !== undefined && req.body.topn !== null) {
+      const parsed = topnSchema.safeParse(req.body.topn);
+      if (!parsed.success) {
+        return res.status(400).json({ error: `topn must be a whole number from 1 to ${MAX_TOPN}` });
+      }
+      topn = parsed.data;
+    }
+
+    const { constraints, error } = parseConstraints(req.body.constraints);
+    if (error) {
+      return res.status(400).json({ error: `Invalid constraints: ${error}` });
+    }
+
+    let jdTags = null;
+    if (req.body.jdTags) {
+      const parsed = parseJdTags(req.body.jdTags);
+      if (parsed.error) {
+        return res.status(400).json({ error: `Invalid jdTags: ${parsed.error}` });
+      }
+      jdTags = parsed.jdTags;
+    }
+
+    let requisition = null;
+    if (requisitionId) {
+      requisition = await getOwnRequisition(requisitionId, req.user.id);
+      if (!requisition) {
+        return res.status(404).json({ error: 'Requisition not found' });
+      }
+    }
+
+    const scoringProfile = await resolveProfile(scoringProfileId);
+    // Saved with the profile actually used, so a re-run scores the same way
+    // even if the default changes
+    const inputs = {
+      jdText,
+      jdTags,
+      constraints,
+      fraudPolicy,
+      topn,
+      scoringProfileId: scoringProfile.id
+    };
+    // Feedback isn't part of the saved inputs: a re-run uses the verdicts given since
+    const response = await matcher.match({
+      ...inputs,
+      scoringProfile,
+      feedback: requisition ? await listFeedback(requisition.id) : [],
+      calibration: await loadCalibration()
+    });
+
+    auditNote(res, {
+      subjects: (response.results || []).map(result => result.filename),
+      details: { resultCount: (response.results || []).length }
+    });
+
+    // A failed save shouldn't cost the recruiter the results
+    try {
+      const saved = await recordSearch({ userId: req.user.id, requisition, title, inputs, response });
+      auditNote(res, { targetType: 'search', targetId: saved.search.id, details: { requisitionId: saved.requisition.id } });
+      return res.json({ ...await searchWithDiff(saved.search), requisitionTitle: saved.requisition.title });
+    } catch (error) {
+      console.error('Error saving search:', error);
+    }
+    return res.json(response);
+  } catch (error) {
+    if (error instanceof MatchError || error instanceof ScoringProfileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error in match-resumes endpoint:', error);
+    return res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+module.exports = router;
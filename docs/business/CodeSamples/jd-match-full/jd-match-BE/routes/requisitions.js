@@ -0,0 +1,249 @@
+const express = require('express');
+const contentDisposition = require('content-disposition');
+const router = express.Router();
+const { ResumeMatcher, MatchError } = require('../services/matcher');
+const {
+  getOwnRequisition,
+  recordSearch,
+  listRequisitions,
+  getRequisition,
+  latestInputs,
+  searchWithDiff
+} = require('../services/searchHistory');
+const { STAGES, PipelineError, listPipeline, shortlist, moveEntry } = require('../services/pipeline');
+const { FeedbackError, recordFeedback, listFeedback, loadCalibration } = require('../services/feedback');
+const { ScoringProfileError, resolveProfile } = require('../services/scoringProfiles');
+const { parseConstraints } = require('../services/constraints');
+const { ReportError, buildReport, renderReport } = require('../services/candidateReport');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+const matcher = new ResumeMatcher();
+
+router.use(authMiddleware, requirePermission('resumes:match'));
+
+const requisitionTarget = req => ({ targetType: 'requisition', targetId: req.params.id });
+
+// Actions on one resume of the requisition's results
+const resumeTarget = req => ({
+  targetType: 'resume',
+  targetId: req.body.filename,
+  details: { requisitionId: Number(req.params.id), searchId: req.body.searchId ?? null }
+});
+
+// The resumes a search showed, for the audit entry of the request that showed them
+const noteResults = (res, search) => auditNote(res, {
+  subjects: (search?.results || []).map(result => result.filename),
+  details: { searchId: search?.searchId ?? null }
+});
+
+// The user's requisitions, most recently searched first
+router.get('/', async (req, res) => {
+  try {
+    const requisitions = await listRequisitions(req.user.id);
+    res.json({ requisitions });
+  } catch (error) {
+    console.error('Error listing requisitions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A requisition, its runs and the latest run's results as originally returned
+router.get('/:id', audit('search.view', requisitionTarget), async (req, res) => {
+  try {
+    const requisition = await getRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    noteResults(res, requisition.search);
+    res.json(requisition);
+  } catch (error) {
+    console.error('Error fetching requisition:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The results of one earlier run
+router.get('/:id/searches/:searchId', audit('search.view', requisitionTarget), async (req, res) => {
+  try {
+    const requisition = await getRequisition(req.params.id, req.user.id, { searchId: req.params.searchId });
+    if (!requisition) {
+      return res.status(404).json({ error: 'Search not found' });
+    }
+    noteResults(res, requisition.search);
+    res.json(requisition);
+  } catch (error) {
+    console.error('Error fetching search:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Repeat the latest run against the current resume pool. The response is a
+// normal match response plus `diff`: candidates added, removed or rescored
+// since the previous run.
+router.post('/:id/rerun', audit('search.rerun', requisitionTarget), async (req, res) => {
+  try {
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+
+    const inputs = await latestInputs(requisition);
+    const { constraints, error } = parseConstraints(inputs.constraints);
+    if (error) {
+      return res.status(400).json({ error: `The saved constraints are invalid: ${error}` });
+    }
+    const response = await matcher.match({
+      ...inputs,
+      constraints,
+      scoringProfile: await resolveProfile(inputs.scoringProfileId),
+      feedback: await listFeedback(requisition.id),
+      calibration: await loadCalibration()
+    });
+    const { search } = await recordSearch({ userId: req.user.id, requisition, inputs, response });
+    const rerun = await searchWithDiff(search);
+    noteResults(res, rerun);
+    res.json(rerun);
+  } catch (error) {
+    if (error instanceof MatchError || error instanceof ScoringProfileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error re-running requisition:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Good/bad fit verdicts given on the requisition's results
+router.get('/:id/feedback', async (req, res) => {
+  try {
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    res.json({ feedback: await listFeedback(requisition.id) });
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a result of one of the requisition's searches as a good or bad fit:
+// { "searchId": 12, "filename": "jane_doe.pdf", "verdict": "bad_fit", "reason": "Only academic React" }
+// Bad fits are left out of later runs; both re-rank similar candidates.
+router.put('/:id/feedback', audit('feedback.record', resumeTarget), async (req, res) => {
+  try {
+    const { searchId, filename, verdict, reason } = req.body;
+    if (!searchId || typeof filename !== 'string' || !filename) {
+      return res.status(400).json({ error: 'searchId and filename are required' });
+    }
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    const feedback = await recordFeedback({
+      requisition,
+      searchId,
+      fileName: filename,
+      verdict,
+      reason,
+      userId: req.user.id
+    });
+    res.json({ feedback });
+  } catch (error) {
+    if (error instanceof FeedbackError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error recording feedback:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The requisition's shortlist, every entry with its stage history
+router.get('/:id/pipeline', async (req, res) => {
+  try {
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    res.json({ stages: STAGES, entries: await listPipeline(requisition.id) });
+  } catch (error) {
+    console.error('Error fetching pipeline:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shortlist a resume from one of the requisition's searches:
+// { "filename": "jane_doe.pdf", "searchId": 12, "note": "Strong React background" }
+router.post('/:id/pipeline', audit('pipeline.shortlist', resumeTarget), async (req, res) => {
+  try {
+    const { filename, searchId = null, note = null } = req.body;
+    if (typeof filename !== 'string' || !filename) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    const entry = await shortlist({ requisition, fileName: filename, searchId, note, userId: req.user.id });
+    res.status(201).json({ entry });
+  } catch (error) {
+    if (error instanceof PipelineError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error shortlisting candidate:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move an entry to another stage and/or add a note: { "stage": "interview", "note": "..." }
+router.patch('/:id/pipeline/:entryId', audit('pipeline.move', req => ({
+  targetType: 'pipeline_entry',
+  targetId: req.params.entryId,
+  details: { requisitionId: Number(req.params.id), stage: req.body.stage ?? null }
+})), async (req, res) => {
+  try {
+    const { stage = null, note = null } = req.body;
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    const entry = await moveEntry({ requisition, entryId: req.params.entryId, stage, note, userId: req.user.id });
+    res.json({ entry });
+  } catch (error) {
+    if (error instanceof PipelineError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error moving pipeline entry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Submission report for one result of one of the requisition's searches:
+// { "filename": "jane_doe.pdf", "searchId": 12, "format": "docx", "notes": "Available from June" }
+// Without notes, the notes on the candidate's pipeline entry are used.
+router.post('/:id/report', audit('report.generate', resumeTarget), async (req, res) => {
+  try {
+    const { filename, searchId, format = 'pdf', notes = null } = req.body;
+    if (!searchId || typeof filename !== 'string' || !filename) {
+      return res.status(400).json({ error: 'searchId and filename are required' });
+    }
+    const requisition = await getOwnRequisition(req.params.id, req.user.id);
+    if (!requisition) {
+      return res.status(404).json({ error: 'Requisition not found' });
+    }
+    const report = await buildReport({ requisition, searchId, fileName: filename, notes });
+    const { buffer, contentType, fileName } = await renderReport(report, format);
+    auditNote(res, { details: { format } });
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', contentDisposition(fileName));
+    res.send(buffer);
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error generating candidate report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const resumeStore = require('../services/resumeStore');
+const { normalizeVisaStatus } = require('../services/profileSchema');
+const { RedactionError, redactionFor, fileText } = require('../services/redaction');
+const { Resume } = require('../models');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+router.use(authMiddleware, requirePermission('resumes:read'));
+
+// Entries name resumes by file name, which handlers fill in once they have it
+const resumeTarget = req => ({ targetType: 'resume', details: { resumeId: Number(req.params.id) } });
+
+// List resumes, optionally filtered by skill, processing date, visa status
+// and location, e.g. GET /api/resumes?skill=React&since=2025-01-01&visa=H1B
+router.get('/', audit('resume.list', req => ({ details: { query: req.query } })), async (req, res) => {
+  try {
+    const { skill, since, visa, location } = req.query;
+
+    let processedSince;
+    if (since) {
+      processedSince = new Date(since);
+      if (Number.isNaN(processedSince.getTime())) {
+        return res.status(400).json({ error: 'Invalid since date' });
+      }
+    }
+
+    const resumes = await resumeStore.loadResumeRows({
+      skill,
+      processedSince,
+      visaStatus: visa ? normalizeVisaStatus(visa) : undefined,
+      location
+    });
+    res.json({ count: resumes.length, resumes });
+  } catch (error) {
+    console.error('Error listing resumes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Structured profile for one resume
+router.get('/:id/profile', audit('resume.profile', resumeTarget), async (req, res) => {
+  try {
+    const profile = await resumeStore.getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+    auditNote(res, { targetId: profile.fileName });
+    res.json(profile);
+  } catch (error) {
+    console.error('Error loading resume profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Text extracted from one resume. ?view=redacted (plus &redactName=true to
+// remove the name) returns it with contact details removed, as do roles the
+// redaction policy limits to the redacted view.
+router.get('/:id/text', audit('resume.text', resumeTarget), async (req, res) => {
+  try {
+    const resume = await Resume.findByPk(req.params.id, { attributes: ['id', 'fileName', 's3Key'] });
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+    const { redact, reason } = await redactionFor({ user: req.user, fileName: resume.fileName, view: req.query.view });
+    auditNote(res, { targetId: resume.fileName, details: { redacted: redact, reason } });
+    const s3Key = resume.s3Key || `resume_input_processed/${resume.fileName}`;
+    const { text, counts } = await fileText({
+      fileName: resume.fileName,
+      s3Key,
+      redactName: redact && req.query.redactName === 'true',
+      redact
+    });
+    res.json({ resumeId: resume.id, fileName: resume.fileName, redacted: redact, reason, redactions: counts, text });
+  } catch (error) {
+    if (error instanceof RedactionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error loading resume text:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const {
+  DEFAULT_PROFILE,
+  ScoringProfileError,
+  parseProfile,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} = require('../services/scoringProfiles');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+router.use(authMiddleware);
+
+const canConfigure = requirePermission('scoring:configure');
+
+const profileTarget = req => ({ targetType: 'scoring_profile', targetId: req.params.id });
+
+// Profiles to pick from when matching. `builtIn` is what's used while no
+// profile is marked default.
+router.get('/', requirePermission('resumes:match'), async (req, res) => {
+  try {
+    res.json({ profiles: await listProfiles(), builtIn: DEFAULT_PROFILE });
+  } catch (error) {
+    console.error('Error listing scoring profiles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a profile:
+// { "name": "Contract Java dev", "weights": { "skills": 50, "languages": 30, "experience": 10, "roleFit": 10 },
+//   "threshold": 65, "topn": 10, "isDefault": false }
+router.post('/', canConfigure, audit('scoring_profile.create', req => ({ details: { name: req.body.name } })), async (req, res) => {
+  try {
+    const { profile: fields, error } = parseProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error: `Invalid scoring profile: ${error}` });
+    }
+    const profile = await createProfile(fields, req.user.id);
+    auditNote(res, { targetType: 'scoring_profile', targetId: profile.id });
+    res.status(201).json({ profile });
+  } catch (error) {
+    if (error instanceof ScoringProfileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating scoring profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change some of a profile's fields
+router.patch('/:id', canConfigure, audit('scoring_profile.update', profileTarget), async (req, res) => {
+  try {
+    const { profile: fields, error } = parseProfile(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: `Invalid scoring profile: ${error}` });
+    }
+    const profile = await updateProfile(req.params.id, fields, req.user.id);
+    res.json({ profile });
+  } catch (error) {
+    if (error instanceof ScoringProfileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating scoring profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:id', canConfigure, audit('scoring_profile.delete', profileTarget), async (req, res) => {
+  try {
+    await deleteProfile(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    if (error instanceof ScoringProfileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting scoring profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const {
+  KINDS,
+  OntologyError,
+  parseOntology,
+  getOntology,
+  normalizeSkills,
+  withAncestors,
+  listVersions,
+  getVersion,
+  saveOntology,
+  restoreVersion
+} = require('../services/skillOntology');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+
+router.use(authMiddleware);
+
+const canConfigure = requirePermission('scoring:configure');
+
+const ontologyResponse = ontology => ({
+  version: ontology.version,
+  note: ontology.note,
+  createdBy: ontology.createdBy,
+  createdAt: ontology.createdAt,
+  kinds: KINDS,
+  skills: ontology.skills
+});
+
+const sendError = (res, error, action) => {
+  if (error instanceof OntologyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// The ontology in use; version 0 is the built-in one
+router.get('/', requirePermission('resumes:match'), async (req, res) => {
+  try {
+    res.json(ontologyResponse(await getOntology()));
+  } catch (error) {
+    sendError(res, error, 'loading the skills ontology');
+  }
+});
+
+// Show how skill names would be normalised: { "skills": ["JS", "SpringBoot"] }
+router.post('/normalize', requirePermission('resumes:match'), async (req, res) => {
+  try {
+    const ontology = await getOntology();
+    const skills = normalizeSkills(req.body.skills || [], ontology);
+    res.json({ version: ontology.version, skills, implied: withAncestors(skills, ontology) });
+  } catch (error) {
+    sendError(res, error, 'normalising skills');
+  }
+});
+
+// Save an edited ontology as the next version:
+// { "skills": [{ "name": "Spring Boot", "kind": "skill", "synonyms": ["SpringBoot"], "parents": ["Spring"] }],
+//   "note": "Add Spring Boot", "baseVersion": 3 }
+router.put('/', canConfigure, audit('skill_ontology.update'), async (req, res) => {
+  try {
+    const { skills, error } = parseOntology(req.body.skills);
+    if (error) {
+      return res.status(400).json({ error: `Invalid skills ontology: ${error}` });
+    }
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 500) : null;
+    const version = await saveOntology({ skills, note, baseVersion: req.body.baseVersion, userId: req.user.id });
+    auditNote(res, { targetType: 'skill_ontology', targetId: version.version, details: { note } });
+    res.status(201).json({ version });
+  } catch (error) {
+    sendError(res, error, 'saving the skills ontology');
+  }
+});
+
+router.get('/versions', canConfigure, async (req, res) => {
+  try {
+    res.json({ versions: await listVersions() });
+  } catch (error) {
+    sendError(res, error, 'listing skills ontology versions');
+  }
+});
+
+router.get('/versions/:version', canConfigure, async (req, res) => {
+  try {
+    res.json(ontologyResponse(await getVersion(req.params.version)));
+  } catch (error) {
+    sendError(res, error, 'loading a skills ontology version');
+  }
+});
+
+// Make an old version current again by saving a copy of it
+router.post('/versions/:version/restore', canConfigure, audit('skill_ontology.restore', req => ({ details: { from: Number(req.params.version) } })), async (req, res) => {
+  try {
+    const version = await restoreVersion(req.params.version, req.user.id);
+    auditNote(res, { targetType: 'skill_ontology', targetId: version.version });
+    res.status(201).json({ version });
+  } catch (error) {
+    sendError(res, error, 'restoring a skills ontology version');
+  }
+});
+
+module.exports = router;
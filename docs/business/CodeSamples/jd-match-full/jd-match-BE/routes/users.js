@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authMiddleware, requirePermission } = require('../utils/auth');
+const { audit, auditNote } = require('../utils/audit');
+const { ROLES } = require('../config/permissions');
+
+router.use(authMiddleware, requirePermission('users:manage'));
+
+// List users and their roles; new accounts have none until one is assigned
+router.get('/', audit('user.list'), async (req, res) => {
+  try {
+    const users = await User.findAll({
+      attributes: ['id', 'email', 'role', 'createdAt'],
+      order: [['email', 'ASC']]
+    });
+    res.json({ users });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a user's role. Takes effect on their next request.
+router.patch('/:id/role', audit('user.role_change', req => ({ targetType: 'user', targetId: req.params.id, details: { role: req.body.role } })), async (req, res) => {
+  try {
+    // null removes every permission, e.g. for someone who left
+    const { role } = req.body;
+    if (role !== null && !Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ error: `role must be null or one of: ${Object.values(ROLES).join(', ')}` });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id && role !== user.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    auditNote(res, { details: { previousRole: user.role, email: user.email } });
+    await user.update({ role });
+    res.json({ user: { id: user.id, email: user.email, role: user.role } });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,21 @@
 const { S3Client, ListObjectsV2Command, GetObjectCommand, CopyObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const fs = require('fs').promises;
 const path = require('path');
-const { PDFLoader } = require('langchain/document_loaders/fs/pdf');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
-const { BedrockEmbeddings } = require('@langchain/community/embeddings/bedrock');
 const { FaissStore } = require('@langchain/community/vectorstores/faiss');
-const xlsx = require('xlsx');
 const os = require('os');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 require('dotenv').config();
+const resumeStore = require('./services/resumeStore');
+const { getLLMProvider } = require('./services/llm');
+const { isSupportedDocument, loadDocument } = require('./services/loaders');
+const { resumeText } = require('./utils/similarity');
+const { assessResume } = require('./services/fraud');
+const { VISA_STATUSES, parseProfile } = require('./services/profileSchema');
+const { getOntology, normalizeTags } = require('./services/skillOntology');
+const { classifyDocument } = require('./services/documentClassifier');
+const { saveSupportingDocument, attachPendingDocuments, findDocumentByS3Key } = require('./services/supportingDocuments');
+const { indexDirFor, removeIndex, removeLegacyIndex } = require('./utils/docstore');
 
 function parseLLMOutput(responseText) {
     try {
@@ -36,7 +42,7 @@ function parseLLMOutput(responseText) {
 }
 
 class S3ResumeRAGTagExtractor {
-    constructor(awsAccessKeyId, awsSecretAccessKey, regionName, faissBaseDir = 'faiss_indexes') {
+    constructor(awsAccessKeyId, awsSecretAccessKey, regionName, faissBaseDir = 'faiss_indexes', llm = getLLMProvider()) {
         const credentials = {
             accessKeyId: awsAccessKeyId,
             secretAccessKey: awsSecretAccessKey
@@ -47,21 +53,10 @@ class S3ResumeRAGTagExtractor {
             credentials,
             region: regionName
         });
-        
-        // Initialize Bedrock client
-        this.bedrockRuntime = new BedrockRuntimeClient({
-            credentials,
-            region: regionName
-        });
 
-        this.embedder = new BedrockEmbeddings({
-            model: 'amazon.titan-embed-text-v2:0',
-            region: regionName,
-            credentials: {
-                accessKeyId: awsAccessKeyId,
-                secretAccessKey: awsSecretAccessKey
-            }
-        });
+        // Tag extraction and embeddings go through the configured LLM provider
+        this.llm = llm;
+        this.embedder = llm.getEmbeddings();
 
         this.faissBaseDir = faissBaseDir;
         fs.mkdir(faissBaseDir, { recursive: true });
@@ -108,113 +103,44 @@ class S3ResumeRAGTagExtractor {
         }
     }
 
-    async processResumeAndStore(pdfPath, resumeId) {
-        const loader = new PDFLoader(pdfPath);
-        const docs = await loader.load();
+    // Move a stored file to the processed folder. If that fails the object is
+    // still at `key`, so the stored row points there instead of at a
+    // processed copy that doesn't exist; the next run moves it.
+    async moveProcessed(bucketName, key, destinationKey, stored) {
+        if (await this.moveFileInS3(bucketName, key, destinationKey)) {
+            return true;
+        }
+        await stored.update({ s3Key: key });
+        console.warn(`${key} stays in place until the next run moves it`);
+        return false;
+    }
+
+    // Load any supported document type and split it into chunks. `source`
+    // is its S3 location, which OCR needs for multi-page scans.
+    async loadChunks(filePath, resumeId, source = {}) {
+        const { docs, ocr } = await loadDocument(filePath, source);
+        if (ocr) {
+            console.log(`Text for ${resumeId} was extracted with OCR`);
+        }
         const splitter = new RecursiveCharacterTextSplitter({
             chunkSize: 1000,
             chunkOverlap: 200
         });
         const chunks = await splitter.splitDocuments(docs);
-        const faissDir = path.join(this.faissBaseDir, `${resumeId}_faiss`);
-        const vectordb = await FaissStore.fromDocuments(chunks, this.embedder);
-        await vectordb.save(faissDir);
-        return [vectordb, chunks];
-    }
-
-    // Helper function to add delay
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    async saveToExcel(results, failedFiles, outputExcel) {
-        try {
-            let workbook;
-            let existingData = [];
-            
-            // Try to read existing Excel file
-            try {
-                if (await fs.access(outputExcel).then(() => true).catch(() => false)) {
-                    workbook = xlsx.readFile(outputExcel);
-                    if (workbook.Sheets['Resume Tags']) {
-                        existingData = xlsx.utils.sheet_to_json(workbook.Sheets['Resume Tags']);
-                    }
-                }
-            } catch (error) {
-                console.log('No existing Excel file found or error reading it. Creating new file.');
-                workbook = xlsx.utils.book_new();
-            }
-
-            // If workbook wasn't created from existing file, create new
-            if (!workbook) {
-                workbook = xlsx.utils.book_new();
-            }
-
-            // Merge existing data with new results, avoiding duplicates
-            const mergedResults = [...existingData];
-            for (const newResult of results) {
-                const existingIndex = mergedResults.findIndex(
-                    item => item.resume_file_name === newResult.resume_file_name
-                );
-                if (existingIndex !== -1) {
-                    // Update existing entry
-                    mergedResults[existingIndex] = newResult;
-                } else {
-                    // Add new entry
-                    mergedResults.push(newResult);
-                }
-            }
-
-            // Create new worksheet with merged data
-            const worksheet = xlsx.utils.json_to_sheet(mergedResults);
-            
-            // Remove existing sheet if it exists
-            if (workbook.Sheets['Resume Tags']) {
-                delete workbook.Sheets['Resume Tags'];
-                workbook.SheetNames = workbook.SheetNames.filter(name => name !== 'Resume Tags');
-            }
-            
-            // Add the updated worksheet
-            xlsx.utils.book_append_sheet(workbook, worksheet, 'Resume Tags');
-
-            // Update failed files sheet
-            if (failedFiles.length > 0) {
-                const failedSheet = xlsx.utils.json_to_sheet(failedFiles.map(f => ({ file: f })));
-                
-                // Remove existing failed files sheet if it exists
-                if (workbook.Sheets['Failed Files']) {
-                    delete workbook.Sheets['Failed Files'];
-                    workbook.SheetNames = workbook.SheetNames.filter(name => name !== 'Failed Files');
-                }
-                
-                xlsx.utils.book_append_sheet(workbook, failedSheet, 'Failed Files');
-            }
-
-            // Save the updated workbook
-            xlsx.writeFile(workbook, outputExcel);
-            console.log(`Excel file ${outputExcel} updated successfully`);
-        } catch (error) {
-            console.error('Error saving results to Excel:', error);
+        // Tag every chunk with its resume so retrieval can group hits per resume
+        for (const chunk of chunks) {
+            chunk.metadata.resume_file_name = path.basename(filePath);
         }
+        return chunks;
     }
 
-    // Helper function for exponential backoff retry
-    async retryWithExponentialBackoff(fn, maxRetries = 5, initialDelay = 1000) {
-        let retries = 0;
-        while (true) {
-            try {
-                return await fn();
-            } catch (error) {
-                if (error.name === 'ThrottlingException' && retries < maxRetries) {
-                    const delayTime = initialDelay * Math.pow(2, retries);
-                    console.log(`Throttled. Retrying in ${delayTime}ms... (Attempt ${retries + 1}/${maxRetries})`);
-                    await this.delay(delayTime);
-                    retries++;
-                } else {
-                    throw error;
-                }
-            }
-        }
+    // Index a resume's chunks so retrieval can find it. The folder is named
+    // after the file with its extension, so a.pdf and a.docx don't collide.
+    async storeIndex(chunks, fileName) {
+        const vectordb = await FaissStore.fromDocuments(chunks, this.embedder);
+        await vectordb.save(indexDirFor(fileName, this.faissBaseDir));
+        await removeLegacyIndex(fileName, this.faissBaseDir);
+        return vectordb;
     }
 
     async extractTagsFromChunks(chunks) {
@@ -225,13 +151,7 @@ class S3ResumeRAGTagExtractor {
                 ? context.substring(0, MAX_CONTEXT_CHARS) 
                 : context;
 
-            const prompt = {
-                anthropic_version: "bedrock-2023-05-31",
-                max_tokens: 4000,
-                messages: [
-                    {
-                        role: "user",
-                        content: `From the RESUME CONTEXT below, extract:
+            const prompt = `From the RESUME CONTEXT below, extract:
 - Skills (comma-separated)
 - Programming Languages (comma-separated)
 - Years of experience (integer only)
@@ -240,36 +160,17 @@ STRICT INSTRUCTIONS: Respond ONLY with STRICT JSON using keys:
 'Skills', 'Programming Languages', 'Years of experience', 'Job title'. DO NOT use markdown/code-block/extra explanation.
 
 RESUME CONTEXT:
-${truncatedContext}`
-                    }
-                ]
-            };
+${truncatedContext}`;
 
-            console.log('Sending request to Bedrock...');
-            // Wrap Bedrock API call in retry logic
-            const command = new InvokeModelCommand({
-                modelId: "arn:aws:bedrock:us-east-1:533267224629:inference-profile/us.anthropic.claude-3-7-sonnet-20250219-v1:0",
-                contentType: 'application/json',
-                accept: 'application/json',
-                body: JSON.stringify(prompt),
+            console.log('Sending request to LLM...');
+            const content = await this.llm.complete(prompt, {
+                task: 'resume-tags',
+                input: { text: truncatedContext }
             });
-
-            const response = await this.retryWithExponentialBackoff(
-                async () => this.bedrockRuntime.send(command)
-            );
-            console.log('Response received from Bedrock');
-            
-            const responseBuffer = await response.body;
-            const responseText = new TextDecoder().decode(responseBuffer);
-            console.log('Raw response:', responseText);
-            
-            const result = JSON.parse(responseText);
-            console.log('Parsed response:', result);
-            
-            const content = result.content[0].text;
             console.log(`\n----LLM RAW OUTPUT----\n${content}\n----------------------\n`);
-            
-            return parseLLMOutput(content);
+
+            // Store canonical skill names so synonyms ("JS", "ReactJS") match
+            return normalizeTags(parseLLMOutput(content), await getOntology());
         } catch (error) {
             console.error('Error in extractTagsFromChunks:', error);
             if (error.response) {
@@ -285,239 +186,188 @@ ${truncatedContext}`
         }
     }
 
-    async processS3Bucket(bucketName, prefix = '', outputExcel = 'resume_tags.xlsx', batchSize = 100, maxResumes = 200) {
-        if (!bucketName) {
-            throw new Error('Bucket name is required');
+    // Structured profile: identity, employment history, education,
+    // certifications and work authorisation. Years of experience are not
+    // asked for here; they are computed from the employment dates.
+    async extractProfileFromChunks(chunks, fileName) {
+        try {
+            const context = chunks.map(c => c.pageContent).join('\n\n');
+            const MAX_CONTEXT_CHARS = 20000;
+            const truncatedContext = context.length > MAX_CONTEXT_CHARS
+                ? context.substring(0, MAX_CONTEXT_CHARS)
+                : context;
+
+            const prompt = `From the RESUME CONTEXT below, extract the candidate profile as STRICT JSON with keys:
+- "name": candidate full name
+- "location": current city and state/country
+- "visaStatus": work authorisation, one of ${VISA_STATUSES.map(v => `"${v}"`).join(', ')}, or null if not stated
+- "clearance": security clearance (e.g. "Secret", "Top Secret", "Public Trust"), or null
+- "hourlyRate": expected hourly rate in USD as a number, or null if not stated
+- "employers": list of {"employer", "title", "location", "startDate", "endDate", "current"} for every job, most recent first.
+  Dates as "Mon YYYY" (or "YYYY" if no month is given); endDate "Present" and current true for the current job.
+- "education": list of {"institution", "degree", "field", "graduationYear"}
+- "certifications": list of {"name", "issuer", "year"}
+Use null for anything not in the resume. DO NOT guess. DO NOT use markdown/code-block/extra explanation.
+
+RESUME CONTEXT:
+${truncatedContext}`;
+
+            const content = await this.llm.complete(prompt, {
+                task: 'resume-profile',
+                input: { text: truncatedContext }
+            });
+            return parseProfile(parseLLMOutput(content), { fileName });
+        } catch (error) {
+            console.error('Error in extractProfileFromChunks:', error);
+            return parseProfile(null, { fileName });
         }
-        
-        console.log(`Starting to process resumes from bucket: ${bucketName}, prefix: ${prefix}`);
-        console.log(`Will process maximum of ${maxResumes} resumes`);
+    }
+
+    // Keys of every object under a prefix, skipping folder placeholders, up
+    // to `maxKeys` when given
+    async listS3Keys(bucketName, prefix = '', maxKeys = null) {
+        const keys = [];
         let continuationToken = null;
-        const results = [];
-        let totalProcessed = 0;
-        let failedFiles = [];
-        let processedFiles = new Set(); // Track processed files to avoid duplicates
-
-        while (true) {
-            // List objects in the bucket
-            const command = new ListObjectsV2Command({
+        do {
+            const response = await this.s3Client.send(new ListObjectsV2Command({
                 Bucket: bucketName,
                 Prefix: prefix,
-                MaxKeys: batchSize,
                 ...(continuationToken && { ContinuationToken: continuationToken })
-            });
-
-            const response = await this.s3Client.send(command);
-            
-            // Process this batch of files
-            const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-processor-'));
-            
-            try {
-                for (const obj of response.Contents || []) {
-                    if (!obj.Key.toLowerCase().endsWith('.pdf')) {
-                        continue;
-                    }
-
-                    // Skip if already processed
-                    if (processedFiles.has(obj.Key)) {
-                        continue;
-                    }
-
-                    const resumeId = path.basename(obj.Key, '.pdf');
-                    const tempPdfPath = path.join(tempDir, `${resumeId}.pdf`);
-
-                    try {
-                        console.log(`\nProcessing: ${obj.Key}`);
-                        
-                        // Add delay between processing each file (2 seconds)
-                        await this.delay(2000);
-                        
-                        // Download PDF from S3
-                        if (!await this.downloadFromS3(bucketName, obj.Key, tempPdfPath)) {
-                            failedFiles.push(obj.Key);
-                            console.error(`Failed to download: ${obj.Key}`);
-                            continue;
-                        }
-
-                        // Process the resume
-                        const [_, chunks] = await this.processResumeAndStore(tempPdfPath, resumeId);
-                        const tags = await this.extractTagsFromChunks(chunks);
-                        
-                        // Store results with just the filename, without the path prefix
-                        results.push({
-                            resume_file_name: path.basename(obj.Key),
-                            ...tags
-                        });
-
-                        // Move the processed file to a 'processed' folder
-                        const processedPrefix = prefix.replace(/\/$/, '') + '_processed/';
-                        const destinationKey = processedPrefix + path.basename(obj.Key);
-                        await this.moveFileInS3(bucketName, obj.Key, destinationKey);
-                        
-                        totalProcessed++;
-                        console.log(`Done: ${obj.Key} (Total processed: ${totalProcessed} of ${maxResumes})`);
-
-                        // Save results to Excel after each successful processing
-                        await this.saveToExcel(results, failedFiles, outputExcel);
-
-                        // Check if we've reached the maximum number of resumes
-                        if (totalProcessed >= maxResumes) {
-                            console.log(`Reached maximum number of resumes (${maxResumes}). Stopping processing.`);
-                            continuationToken = null; // This will stop the outer loop
-                            break; // This will break the inner loop
-                        }
-
-                    } catch (error) {
-                        console.error(`Failed to process ${obj.Key}:`, error);
-                        failedFiles.push(obj.Key);
-                    }
-                    // Clean up the temporary file
-                    try {
-                        if (await fs.access(tempPdfPath).then(() => true).catch(() => false)) {
-                            await fs.unlink(tempPdfPath);
-                        }
-                    } catch (error) {
-                        console.error(`Error cleaning up ${tempPdfPath}:`, error);
-                    }
-                    // Mark file as processed regardless of success/failure
-                    processedFiles.add(obj.Key);
-                }
-            } finally {
-                // Clean up temporary directory
-                try {
-                    if (await fs.access(tempDir).then(() => true).catch(() => false)) {
-                        await fs.rm(tempDir, { recursive: true, force: true });
-                    }
-                } catch (error) {
-                    console.error(`Error cleaning up temp directory ${tempDir}:`, error);
+            }));
+            for (const obj of response.Contents || []) {
+                if (!obj.Key.endsWith('/')) {
+                    keys.push(obj.Key);
                 }
             }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : null;
+        } while (continuationToken && (!maxKeys || keys.length < maxKeys));
+        return maxKeys ? keys.slice(0, maxKeys) : keys;
+    }
 
-            // Check if there are more files to process
-            if (!response.IsTruncated) {
-                break;
-            }
-            continuationToken = response.NextContinuationToken;
-        }
+    // Where a processed file is moved to: "resume_input/a.pdf" goes to
+    // "resume_input_processed/a.pdf"
+    processedKeyFor(prefix, key) {
+        return prefix.replace(/\/$/, '') + '_processed/' + path.basename(key);
+    }
 
-        // Save or update results in Excel
-        if (results.length > 0) {
-            try {
-                let workbook;
-                let existingData = [];
-                
-                // Try to read existing Excel file
-                try {
-                    if (await fs.access(outputExcel).then(() => true).catch(() => false)) {
-                        workbook = xlsx.readFile(outputExcel);
-                        if (workbook.Sheets['Resume Tags']) {
-                            existingData = xlsx.utils.sheet_to_json(workbook.Sheets['Resume Tags']);
-                        }
-                    }
-                } catch (error) {
-                    console.log('No existing Excel file found or error reading it. Creating new file.');
-                    workbook = xlsx.utils.book_new();
-                }
+    // Ingest one S3 object: classify it, then index a resume, extract its
+    // tags and profile and store it, or store anything else as a supporting
+    // document. Either way it is moved to the processed folder. Failures are
+    // recorded against the processing run. Returns { status: 'done', resume }
+    // or { status: 'done', document } or { status: 'failed' | 'skipped', reason }.
+    async processS3Object(bucketName, key, { prefix = '', processingRunId = null } = {}) {
+        const fail = async (reason, error = null) => {
+            await resumeStore.recordFailure({ processingRunId, s3Key: key, reason, error });
+            return { status: reason === 'unsupported_type' ? 'skipped' : 'failed', reason, error };
+        };
 
-                // If workbook wasn't created from existing file, create new
-                if (!workbook) {
-                    workbook = xlsx.utils.book_new();
-                }
+        if (!isSupportedDocument(key)) {
+            console.warn(`Skipping unsupported file type: ${key}`);
+            return fail('unsupported_type');
+        }
 
-                // Merge existing data with new results, avoiding duplicates
-                const mergedResults = [...existingData];
-                for (const newResult of results) {
-                    const existingIndex = mergedResults.findIndex(
-                        item => item.resume_file_name === newResult.resume_file_name
-                    );
-                    if (existingIndex !== -1) {
-                        // Update existing entry
-                        mergedResults[existingIndex] = newResult;
-                    } else {
-                        // Add new entry
-                        mergedResults.push(newResult);
-                    }
-                }
+        const extension = path.extname(key);
+        const resumeId = path.basename(key, extension);
+        const destinationKey = this.processedKeyFor(prefix, key);
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-processor-'));
+        const tempFilePath = path.join(tempDir, `${resumeId}${extension}`);
 
-                // Create new worksheet with merged data
-                const worksheet = xlsx.utils.json_to_sheet(mergedResults);
-                
-                // Remove existing sheet if it exists
-                if (workbook.Sheets['Resume Tags']) {
-                    delete workbook.Sheets['Resume Tags'];
-                    workbook.SheetNames = workbook.SheetNames.filter(name => name !== 'Resume Tags');
+        try {
+            console.log(`\nProcessing: ${key}`);
+
+            // Download the file from S3
+            if (!await this.downloadFromS3(bucketName, key, tempFilePath)) {
+                // A run that stopped after the move already stored this resume
+                const stored = await resumeStore.findResumeByS3Key(destinationKey);
+                if (stored) {
+                    console.log(`${key} was already processed as ${destinationKey}`);
+                    return { status: 'done', resume: stored };
                 }
-                
-                // Add the updated worksheet
-                xlsx.utils.book_append_sheet(workbook, worksheet, 'Resume Tags');
-
-                // Update failed files sheet
-                if (failedFiles.length > 0) {
-                    const failedSheet = xlsx.utils.json_to_sheet(failedFiles.map(f => ({ file: f })));
-                    
-                    // Remove existing failed files sheet if it exists
-                    if (workbook.Sheets['Failed Files']) {
-                        delete workbook.Sheets['Failed Files'];
-                        workbook.SheetNames = workbook.SheetNames.filter(name => name !== 'Failed Files');
-                    }
-                    
-                    xlsx.utils.book_append_sheet(workbook, failedSheet, 'Failed Files');
+                const document = await findDocumentByS3Key(destinationKey);
+                if (document) {
+                    console.log(`${key} was already processed as ${destinationKey}`);
+                    return { status: 'done', document };
                 }
+                console.error(`Failed to download: ${key}`);
+                return fail('download_failed');
+            }
+
+            const chunks = await this.loadChunks(tempFilePath, resumeId, {
+                bucket: bucketName,
+                key
+            });
+
+            // Only resumes become candidates; NDAs, certificates, RTR emails
+            // and the like are kept out of the index
+            const classification = await classifyDocument(this.llm, {
+                fileName: path.basename(key),
+                text: resumeText(chunks)
+            });
+            if (classification.type !== 'resume') {
+                const document = await saveSupportingDocument({
+                    fileName: path.basename(key),
+                    s3Key: destinationKey,
+                    processingRunId,
+                    classification
+                });
+                // An index left from before the file was classified
+                await removeIndex(path.basename(key), this.faissBaseDir);
+                await this.moveProcessed(bucketName, key, destinationKey, document);
+                console.log(`Done: ${key} is a ${classification.type}, not a resume${document.candidateId ? ` (attached to candidate ${document.candidateId})` : ''}`);
+                return { status: 'done', document };
+            }
+
+            // Process the resume
+            await this.storeIndex(chunks, path.basename(key));
+            const tags = await this.extractTagsFromChunks(chunks);
+            const profile = await this.extractProfileFromChunks(chunks, path.basename(key));
+
+            // Store results with just the filename, without the path prefix.
+            // Saving before the move means a crash in between only repeats work.
+            const saved = await resumeStore.saveResume({
+                fileName: path.basename(key),
+                s3Key: destinationKey,
+                processingRunId,
+                tags,
+                profile,
+                text: resumeText(chunks)
+            });
+            if (saved.duplicateOf) {
+                console.log(`${key} is a version of ${saved.duplicateOf.fileName} (similarity ${saved.duplicateOf.similarity.toFixed(2)})`);
+            }
+            const attached = await attachPendingDocuments(saved.candidateId, profile?.name);
+            if (attached) {
+                console.log(`Attached ${attached} supporting documents to ${key}'s candidate`);
+            }
 
-                // Save the updated workbook
-                xlsx.writeFile(workbook, outputExcel);
-                console.log(`\nProcessing Summary:`);
-                console.log(`- Total processed: ${totalProcessed}`);
-                console.log(`- Successful: ${results.length}`);
-                console.log(`- Failed: ${failedFiles.length}`);
-                console.log(`- Results written to: ${excelFileName}`);
+            // Fraud signals need the saved profile and candidate; a
+            // failure here leaves the resume stored, just unassessed
+            try {
+                const fraud = await assessResume(saved, { text: resumeText(chunks), profile });
+                if (fraud.riskLevel !== 'low') {
+                    console.warn(`${key} fraud risk ${fraud.riskLevel} (${fraud.riskScore}): ${fraud.reasons.map(r => r.detail).join('; ')}`);
+                }
             } catch (error) {
-                console.error('Error saving results to Excel:', error);
-                throw error;
+                console.error(`Fraud assessment failed for ${key}:`, error);
             }
-        } else {
-            console.log('No resumes were successfully processed.');
-            if (failedFiles.length > 0) {
-                console.log(`${failedFiles.length} files failed to process.`);
+
+            // Move the processed file to a 'processed' folder
+            await this.moveProcessed(bucketName, key, destinationKey, saved);
+
+            console.log(`Done: ${key}`);
+            return { status: 'done', resume: saved };
+        } catch (error) {
+            console.error(`Failed to process ${key}:`, error);
+            return fail(error.reason || 'processing_error', error);
+        } finally {
+            // Clean up temporary directory
+            try {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            } catch (error) {
+                console.error(`Error cleaning up temp directory ${tempDir}:`, error);
             }
         }
     }
 }
 
-// Usage Example:
-if (require.main === module) {
-    const run = async () => {
-        // AWS Credentials should be set via environment variables:
-        // AWS_ACCESS_KEY_ID
-        // AWS_SECRET_ACCESS_KEY
-        // AWS_REGION
-        const AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-        const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-        const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-
-        // S3 Configuration
-        const BUCKET_NAME = process.env.S3_BUCKET_NAME || 'resume-ranking-bucket';
-        const PREFIX = process.env.S3_PREFIX || 'resume_input/';
-        const EXCEL_OUT = process.env.EXCEL_OUTPUT || 'resume_tags.xlsx';
-        
-        // Create extractor instance
-        const extractor = new S3ResumeRAGTagExtractor(
-            AWS_ACCESS_KEY_ID,
-            AWS_SECRET_ACCESS_KEY,
-            AWS_REGION
-        );
-        
-        // Process resumes in the bucket (limited to 200)
-        await extractor.processS3Bucket(
-            BUCKET_NAME,
-            PREFIX,
-            EXCEL_OUT,
-            100,  // Batch size for processing files
-            250   // Maximum number of resumes to process
-        );
-    };
-
-    run().catch(console.error);
-}
-
 module.exports = S3ResumeRAGTagExtractor;
@@ -0,0 +1,54 @@
+// Run the fraud analysis over resumes that are already stored, using the
+// text kept in each resume's FAISS docstore.
+//
+// Usage: node scripts/assess_fraud.js [--all]
+//
+// Only resumes without an assessment are processed unless --all is given.
+// Re-running with --all also catches passages copied from resumes that were
+// ingested later.
+require('dotenv').config();
+const { sequelize, Resume, ResumeProfile, FraudAssessment } = require('../models');
+const { assessResume } = require('../services/fraud');
+const { readIndexText } = require('../utils/docstore');
+
+const run = async () => {
+  const all = process.argv.includes('--all');
+  await sequelize.sync();
+
+  const resumes = await Resume.findAll({
+    include: [
+      { model: ResumeProfile, as: 'profile' },
+      { model: FraudAssessment, as: 'fraud', required: false }
+    ],
+    order: [['processedAt', 'ASC'], ['id', 'ASC']]
+  });
+  const pending = all ? resumes : resumes.filter(resume => !resume.fraud);
+  console.log(`Assessing ${pending.length} resumes`);
+
+  const levels = { low: 0, medium: 0, high: 0 };
+  let missing = 0;
+  for (const resume of pending) {
+    const text = await readIndexText(resume.fileName);
+    if (!text) {
+      missing++;
+      console.warn(`No FAISS index for ${resume.fileName}, skipping`);
+      continue;
+    }
+    const profile = resume.profile ? resume.profile.get({ plain: true }) : null;
+    const assessment = await assessResume(resume, { text, profile });
+    levels[assessment.riskLevel]++;
+    if (assessment.riskLevel !== 'low') {
+      console.log(`${resume.fileName}: ${assessment.riskLevel} (${assessment.riskScore}) - ${assessment.reasons.map(r => r.detail).join('; ')}`);
+    }
+  }
+
+  console.log(`- Low risk: ${levels.low}, medium: ${levels.medium}, high: ${levels.high}`);
+  console.log(`- Resumes without an index: ${missing}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Fraud assessment failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
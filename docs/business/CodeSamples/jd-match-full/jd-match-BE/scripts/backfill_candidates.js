@@ -0,0 +1,54 @@
+// Group resumes that are already stored into candidates, using the text kept
+// in each resume's FAISS docstore.
+//
+// Usage: node scripts/backfill_candidates.js [--all]
+//
+// Only resumes without a candidate are processed unless --all is given.
+// Resumes without an index get a candidate of their own, so erasure and
+// retention can reach them; resumes imported from the legacy workbook start
+// out that way, so run with --all once their indexes exist to group them.
+require('dotenv').config();
+const { sequelize, Resume, ResumeProfile } = require('../models');
+const { assignCandidate, ensureCandidate } = require('../services/dedupe');
+const { readIndexText } = require('../utils/docstore');
+
+const run = async () => {
+  const all = process.argv.includes('--all');
+  await sequelize.sync();
+
+  const resumes = await Resume.findAll({
+    where: all ? {} : { candidateId: null },
+    include: [{ model: ResumeProfile, as: 'profile', attributes: ['name'] }],
+    order: [['processedAt', 'ASC'], ['id', 'ASC']]
+  });
+  console.log(`Backfilling candidates for ${resumes.length} resumes`);
+
+  let grouped = 0;
+  let missing = 0;
+  for (const resume of resumes) {
+    const text = await readIndexText(resume.fileName);
+    if (!text) {
+      missing++;
+      console.warn(`No FAISS index for ${resume.fileName}, keeping it as its own candidate`);
+      await sequelize.transaction(transaction => ensureCandidate(resume, { name: resume.profile?.name }, transaction));
+      continue;
+    }
+    const { duplicateOf } = await sequelize.transaction(transaction =>
+      assignCandidate(resume, { text, name: resume.profile?.name }, transaction)
+    );
+    if (duplicateOf) {
+      grouped++;
+      console.log(`${resume.fileName} is a version of ${duplicateOf.fileName} (similarity ${duplicateOf.similarity.toFixed(2)})`);
+    }
+  }
+
+  console.log(`- Resumes grouped with an existing candidate: ${grouped}`);
+  console.log(`- Resumes without an index: ${missing}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
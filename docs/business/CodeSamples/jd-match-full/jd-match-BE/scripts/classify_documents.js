@@ -0,0 +1,63 @@
+// Classify resumes that were stored before ingestion classified documents,
+// using the text kept in each resume's FAISS docstore. Anything that isn't a
+// resume (NDAs, certificates, RTR emails, product overviews) is turned into
+// a supporting document and its index is removed, so it stops appearing as a
+// candidate in matches.
+//
+// Usage: node scripts/classify_documents.js [--apply]
+//
+// Without --apply it only reports what it would change.
+require('dotenv').config();
+const { sequelize, Resume } = require('../models');
+const { getLLMProvider } = require('../services/llm');
+const { classifyDocument } = require('../services/documentClassifier');
+const { saveSupportingDocument } = require('../services/supportingDocuments');
+const { readIndexText, removeIndex } = require('../utils/docstore');
+
+const run = async () => {
+  const apply = process.argv.includes('--apply');
+  await sequelize.sync();
+  const llm = getLLMProvider();
+
+  const resumes = await Resume.findAll({ order: [['id', 'ASC']] });
+  console.log(`Classifying ${resumes.length} stored resumes${apply ? '' : ' (dry run)'}`);
+
+  const counts = {};
+  let missing = 0;
+  for (const resume of resumes) {
+    const text = await readIndexText(resume.fileName);
+    if (!text) {
+      missing++;
+      console.warn(`No FAISS index for ${resume.fileName}, skipping`);
+      continue;
+    }
+    const classification = await classifyDocument(llm, { fileName: resume.fileName, text });
+    counts[classification.type] = (counts[classification.type] || 0) + 1;
+    if (classification.type === 'resume') {
+      continue;
+    }
+    console.log(`${resume.fileName}: ${classification.type} (${classification.confidence}) - ${classification.reason || ''}`);
+    if (apply) {
+      const document = await saveSupportingDocument({
+        fileName: resume.fileName,
+        s3Key: resume.s3Key,
+        processingRunId: resume.processingRunId,
+        classification
+      });
+      await removeIndex(resume.fileName);
+      if (document.candidateId) {
+        console.log(`  attached to candidate ${document.candidateId}`);
+      }
+    }
+  }
+
+  console.log(`- ${Object.entries(counts).map(([type, count]) => `${type}: ${count}`).join(', ') || 'nothing classified'}`);
+  console.log(`- Resumes without an index: ${missing}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Document classification failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,67 @@
+// One-time import of the legacy resume_tags.xlsx workbook into MySQL.
+//
+// Usage: node scripts/import_resume_tags.js [path/to/resume_tags.xlsx]
+//
+// Rows are upserted by file name, so the import can be re-run safely.
+require('dotenv').config();
+const path = require('path');
+const XLSX = require('xlsx');
+const { sequelize } = require('../models');
+const resumeStore = require('../services/resumeStore');
+
+const TAGS_SHEET = 'Resume Tags';
+const FAILED_SHEET = 'Failed Files';
+const PROCESSED_PREFIX = 'resume_input_processed/';
+
+const run = async () => {
+  const excelPath = path.resolve(process.argv[2] || process.env.EXCEL_PATH || 'resume_tags.xlsx');
+  console.log(`Importing ${excelPath}`);
+
+  const workbook = XLSX.readFile(excelPath);
+  if (!workbook.SheetNames.includes(TAGS_SHEET)) {
+    throw new Error(`${TAGS_SHEET} sheet not found in ${excelPath}`);
+  }
+
+  await sequelize.sync();
+  const processingRun = await resumeStore.startRun({ source: 'excel-import', prefix: path.basename(excelPath) });
+
+  try {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[TAGS_SHEET]);
+    let imported = 0;
+    for (const row of rows) {
+      if (!row.resume_file_name) {
+        continue;
+      }
+      await resumeStore.saveResume({
+        fileName: row.resume_file_name,
+        s3Key: PROCESSED_PREFIX + row.resume_file_name,
+        processingRunId: processingRun.id,
+        tags: row
+      });
+      imported++;
+    }
+    console.log(`- Resumes imported: ${imported}`);
+
+    if (workbook.SheetNames.includes(FAILED_SHEET)) {
+      const failed = XLSX.utils.sheet_to_json(workbook.Sheets[FAILED_SHEET]);
+      for (const row of failed) {
+        if (row.file) {
+          await resumeStore.recordFailure({ processingRunId: processingRun.id, s3Key: row.file, reason: 'legacy_import' });
+        }
+      }
+      console.log(`- Failed files imported: ${failed.length}`);
+    }
+
+    await resumeStore.finishRun(processingRun.id, 'completed');
+  } catch (error) {
+    await resumeStore.finishRun(processingRun.id, 'failed');
+    throw error;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Import failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,47 @@
+// Queue an S3 ingestion job and work through it in this process, for runs
+// outside the API server. Progress is also visible at
+// GET /api/ingestion/jobs/:id while it runs.
+//
+// Usage: node scripts/ingest_s3.js [--bucket name] [--prefix resume_input/] [--max N]
+//
+// Bucket and prefix default to S3_BUCKET_NAME and S3_PREFIX. Any job left
+// running by a crashed worker is resumed first.
+require('dotenv').config();
+const { sequelize } = require('../models');
+const { IngestionQueue, enqueue, getJobProgress } = require('../services/ingestionQueue');
+const { bucket, inputPrefix } = require('../config/s3');
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const run = async () => {
+  await sequelize.sync();
+
+  const maxFiles = option('max') ? parseInt(option('max'), 10) : null;
+  if (maxFiles !== null && !(maxFiles > 0)) {
+    throw new Error('--max must be a positive integer');
+  }
+  const job = await enqueue({
+    bucket: option('bucket') || bucket,
+    prefix: option('prefix') ?? inputPrefix,
+    maxFiles
+  });
+  console.log(`Queued ingestion job ${job.id}`);
+
+  await new IngestionQueue().drain();
+
+  const progress = await getJobProgress(job.id);
+  console.log(`\nIngestion job ${job.id} ${progress.status}:`);
+  for (const [status, count] of Object.entries(progress.counts)) {
+    console.log(`- ${status}: ${count}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Ingestion failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,37 @@
+// Apply the retention periods once, for runs outside the API server (e.g.
+// from cron with RETENTION_WORKER=false on the servers).
+//
+// Usage: node scripts/purge_retention.js [--dry-run]
+//
+// Periods come from RETENTION_CANDIDATE_DAYS, RETENTION_SEARCH_DAYS and
+// RETENTION_SEARCH_RESULTS_DAYS. --dry-run only lists what would be removed.
+require('dotenv').config();
+const { sequelize } = require('../models');
+const { purgeExpired } = require('../services/dataLifecycle');
+
+const run = async () => {
+  await sequelize.sync();
+
+  const dryRun = process.argv.includes('--dry-run');
+  const summary = await purgeExpired({ dryRun });
+  console.log(`Retention ${dryRun ? 'dry run' : 'purge'}:`);
+  if (summary.unassignedResumes) {
+    console.log(`- Resumes ${dryRun ? 'without' : 'given'} a candidate of their own: ${summary.unassignedResumes}`);
+  }
+  console.log(`- Expired candidates: ${summary.candidates.length ? summary.candidates.join(', ') : 'none'}`);
+  for (const certificate of summary.certificates) {
+    console.log(`  - ${certificate.candidateId}: certificate ${certificate.certificateId}${certificate.complete ? '' : ' (incomplete)'}`);
+  }
+  console.log(`- Saved searches: ${summary.searches}`);
+  console.log(`- Search result copies: ${summary.searchResultFiles}`);
+  if (summary.certificates.some(certificate => !certificate.complete)) {
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Retention purge failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,29 @@
+// Set a user's role from the command line, e.g. to create the first
+// Recruitment Lead, who can then manage roles through /api/users.
+//
+// Usage: node scripts/set_user_role.js <email> <role>
+require('dotenv').config();
+const { sequelize, User } = require('../models');
+const { ROLES } = require('../config/permissions');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !Object.values(ROLES).includes(role)) {
+    throw new Error(`Usage: node scripts/set_user_role.js <email> <${Object.values(ROLES).join('|')}>`);
+  }
+
+  await sequelize.sync();
+  const user = await User.findOne({ where: { email } });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+  await user.update({ role });
+  console.log(`${email} is now ${role}`);
+};
+
+run()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
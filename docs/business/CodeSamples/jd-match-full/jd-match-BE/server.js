@@ -1,42 +1,42 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-const XLSX = require('xlsx');
-const path = require('path');
-const fs = require('fs');
-const sequelize = require('./config/database');
+const contentDisposition = require('content-disposition');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { sequelize } = require('./models');
+const { contentTypeFor } = require('./services/loaders');
+const { RedactionError, redactionFor, redactedCopy } = require('./services/redaction');
+const { authMiddleware, requirePermission } = require('./utils/auth');
+const { audit, auditNote } = require('./utils/audit');
+const { IngestionQueue } = require('./services/ingestionQueue');
+const { scheduleRetentionPurge } = require('./services/dataLifecycle');
+const { s3Client, bucket } = require('./config/s3');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Initialize AWS clients
-const bedrockRuntime = new BedrockRuntimeClient({
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  },
-  region: process.env.AWS_REGION || 'us-east-1'
-});
-
-const s3Client = new S3Client({
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  },
-  region: process.env.AWS_REGION || 'us-east-1'
-});
-
 // Connect to MySQL and sync models
 sequelize.sync({ alter: true })
   .then(() => {
     console.log('Connected to MySQL database');
+    // Background ingestion; resumes any job a previous process left running
+    if (process.env.INGESTION_WORKER !== 'false') {
+      new IngestionQueue().start()
+        .catch(err => console.error('Unable to start the ingestion worker:', err));
+    }
+    // Retention periods are applied on a timer; leave it to one server
+    if (process.env.RETENTION_WORKER !== 'false') {
+      scheduleRetentionPurge();
+    }
   })
   .catch(err => {
     console.error('Unable to connect to the database:', err);
   });
 
+// req.ip (recorded in the audit log) comes from X-Forwarded-For only when a
+// trusted reverse proxy sets it. The frontend's proxy doesn't forward it.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -45,367 +45,134 @@ app.use(express.json());
 const authRoutes = require('./routes/auth');
 app.use('/api/auth', authRoutes);
 
-// Stream resume from S3
-app.get('/resumes/:filename', async (req, res) => {
-  const filename = req.params.filename;
-  const s3Key = `resume_input_processed/${filename}`; // Processed resumes folder
+// Role management (Recruitment Leads)
+const userRoutes = require('./routes/users');
+app.use('/api/users', userRoutes);
 
-  try {
-    const command = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME || 'resume-ranking-bucket',
-      Key: s3Key
-    });
+// Candidate store queries
+const resumeRoutes = require('./routes/resumes');
+app.use('/api/resumes', resumeRoutes);
 
-    const response = await s3Client.send(command);
-    res.setHeader('Content-Type', 'application/pdf');
-    response.Body.pipe(res);
-  } catch (error) {
-    console.error(`Error streaming file from S3: ${error}`);
-    res.status(404).send('File not found');
-  }
-});
+// Saved searches per requisition
+const requisitionRoutes = require('./routes/requisitions');
+app.use('/api/requisitions', requisitionRoutes);
 
-// Download resume route
-app.get('/resumes/download/:filename', async (req, res) => {
-  const filename = req.params.filename;
-  const s3Key = `resume_input_processed/${filename}`; // Processed resumes folder
+// Scoring profiles, managed by Recruitment Leads
+const scoringProfileRoutes = require('./routes/scoringProfiles');
+app.use('/api/scoring-profiles', scoringProfileRoutes);
 
-  try {
-    const command = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME || 'resume-ranking-bucket',
-      Key: s3Key
-    });
+// Skills ontology used to normalise resume and JD skills
+const skillOntologyRoutes = require('./routes/skillOntology');
+app.use('/api/skill-ontology', skillOntologyRoutes);
 
-    const response = await s3Client.send(command);
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
-    res.setHeader('Content-Type', 'application/pdf');
-    response.Body.pipe(res);
-  } catch (error) {
-    console.error(`Error downloading file from S3: ${error}`);
-    res.status(404).send('File not found');
-  }
-});
+// Recruiter feedback on match quality
+const feedbackRoutes = require('./routes/feedback');
+app.use('/api/feedback', feedbackRoutes);
 
-// Helper Functions
-const parseLLMOutput = (responseText) => {
-  try {
-    // Remove any code block marks and clean the text
-    responseText = responseText
-      .trim()
-      .replace(/^\`\`\`json|\`\`\`|\`/g, '') // Remove ```json, ``` or ` marks
-      .replace(/\n/g, '')  // Remove newlines
-      .replace(/\s+/g, ' ')  // Normalize whitespace
-      .trim();
-    
-    // Try parsing as JSON
-    return JSON.parse(responseText);
-  } catch (error) {
-    console.error(`Could not parse LLM output as JSON: ${error}`);
-    console.log('Output was:\n', responseText);
-    return null;
-  }
-};
+// Certificates, RTR emails and other non-resume files found during ingestion
+const documentRoutes = require('./routes/documents');
+app.use('/api/documents', documentRoutes);
 
-const mergeRowFields = (row) => {
-  return `Skills: ${row['Skills'] || ''}\n` +
-    `Programming Languages: ${row['Programming Languages'] || ''}\n` +
-    `Years of experience: ${row['Years of experience'] || ''}\n` +
-    (row['Achievements'] ? `Other: ${row['Achievements']}` : '');
-};
+// Audit log queries and exports (Recruitment Leads and Compliance)
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', auditRoutes);
 
-// Helper function for delay
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Right-to-erasure requests (Recruitment Leads and Compliance)
+const candidateRoutes = require('./routes/candidates');
+app.use('/api/candidates', candidateRoutes);
 
-// Retry function with exponential backoff
-async function retryWithExponentialBackoff(fn, maxRetries = 5, initialDelay = 1000) {
-  let retries = 0;
-  while (true) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.name === 'ThrottlingException' && retries < maxRetries) {
-        const delayTime = initialDelay * Math.pow(2, retries);
-        console.log(`Rate limited. Retrying in ${delayTime}ms... (Attempt ${retries + 1}/${maxRetries})`);
-        await delay(delayTime);
-        retries++;
-      } else {
-        throw error;
-      }
-    }
-  }
-}
+// Ingestion jobs and their progress
+const ingestionRoutes = require('./routes/ingestion');
+app.use('/api/ingestion', ingestionRoutes);
 
-const extractJdTags = async (jdText) => {
-  const prompt = `Given the following job description, extract:
-- Skills (comma-separated)
-- Programming Languages (comma-separated)
-- Years of experience required (integer, use the highest if a range is provided, or estimate if not explicit)
-Respond ONLY with valid JSON using the keys: 'Skills', 'Programming Languages', 'Years of experience'.
+// JD matching; the LLM and embeddings come from the configured provider
+// (see config/llm.js)
+const matchRoutes = require('./routes/match');
+app.use('/api', matchRoutes);
 
-Job Description:
-${jdText}`;
+// Resume files carry candidate PII, so only signed-in users allowed to read
+// resumes may fetch them
+const canReadResumes = [authMiddleware, requirePermission('resumes:read')];
 
-  try {
-    // Wrap the API call in the retry function
-    const result = await retryWithExponentialBackoff(async () => {
-      const command = new InvokeModelCommand({
-        modelId: "arn:aws:bedrock:us-east-1:533267224629:inference-profile/us.anthropic.claude-3-7-sonnet-20250219-v1:0",
-        contentType: 'application/json',
-        accept: 'application/json',
-        body: JSON.stringify({
-          anthropic_version: "bedrock-2023-05-31",
-          max_tokens: 4000,
-          messages: [{ 
-            role: "user", 
-            content: prompt 
-          }]
-        })
-      });
+const fileTarget = req => ({
+  targetType: 'resume',
+  targetId: req.params.filename,
+  details: req.query.view ? { view: req.query.view } : null
+});
 
-      const response = await bedrockRuntime.send(command);
-      const responseBuffer = await response.body;
-      const responseText = new TextDecoder().decode(responseBuffer);
-      const result = JSON.parse(responseText);
-      const content = result.content[0].text;
-      const parsedContent = parseLLMOutput(content);
-      if (!parsedContent) {
-        throw new Error('Failed to parse LLM response');
-      }
-      return parsedContent;
-    });
-    return result;
+// Redacted PDF copy instead of the original: asked for with ?view=redacted
+// (add &redactName=true to remove the name too), or forced by the redaction
+// policy. Returns false when the original should be sent. Errors are
+// answered here, so a failed policy check never falls back to the original.
+const sendRedacted = async (req, res, s3Key, { download = false } = {}) => {
+  const filename = req.params.filename;
+  try {
+    const { redact, reason } = await redactionFor({ user: req.user, fileName: filename, view: req.query.view, download });
+    if (!redact) {
+      return false;
+    }
+    auditNote(res, { details: { redacted: true, reason } });
+    const copy = await redactedCopy({ fileName: filename, s3Key, redactName: req.query.redactName === 'true' });
+    res.setHeader('Content-Disposition', contentDisposition(copy.fileName, { type: download ? 'attachment' : 'inline' }));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(copy.buffer);
   } catch (error) {
-    console.error('Error extracting JD tags:', error);
-    return null;
+    if (error instanceof RedactionError) {
+      res.status(error.status).send(error.message);
+    } else {
+      console.error(`Error redacting ${filename}: ${error}`);
+      res.status(500).send('Could not redact the file');
+    }
   }
+  return true;
 };
 
-const findBestResumes = async (jdTags, resumeData, topn = 3, threshold = 60) => {
-  const resumes = resumeData.map(row => ({
-    filename: row['resume_file_name'],
-    summary: mergeRowFields(row)
-  }));
-
-  const jdDesc = jdTags ? `Skills: ${jdTags['Skills'] || ''}
-Programming Languages: ${jdTags['Programming Languages'] || ''}
-Years of experience: ${jdTags['Years of experience'] || ''}` : '';
-
-  const prompt = `You are an expert recruitment specialist. You will evaluate resumes against a job description and provide match scores.
-
-JOB DESCRIPTION:
-${jdDesc}
-
-KEY REQUIREMENTS:
-- Skills: ${jdTags['Skills']}
-- Programming Languages: ${jdTags['Programming Languages']}
-- Years of Experience: ${jdTags['Years of experience']}
-
-EVALUATION INSTRUCTIONS:
-Review each resume carefully and score based on:
-1. Technical Skills Match (alignment with required skills)
-2. Programming Languages Match
-3. Years of Experience Match
-4. Overall Role & Domain Fit
-
-Score Guidelines:
-- 90-100: Perfect match across all criteria
-- 75-89: Strong match with minor gaps
-- 60-74: Good match with some gaps
-- Below 60: Not recommended
-
-REQUIRED OUTPUT FORMAT: Strict JSON object with filename:score pairs. Example:
-{"resume.pdf": 85}
-
-RESUMES TO EVALUATE:
-${resumes.map(res => `${res.filename}:\n${res.summary}`).join('\n---------------------------\n')}`;
+// Stream resume from S3
+app.get('/resumes/:filename', canReadResumes, audit('resume.view', fileTarget), async (req, res) => {
+  const filename = req.params.filename;
+  const s3Key = `resume_input_processed/${filename}`; // Processed resumes folder
 
   try {
-    const makeRequest = async () => {
-      const command = new InvokeModelCommand({
-        modelId: "arn:aws:bedrock:us-east-1:533267224629:inference-profile/us.anthropic.claude-3-7-sonnet-20250219-v1:0",
-        contentType: 'application/json',
-        accept: 'application/json',
-        body: JSON.stringify({
-          anthropic_version: "bedrock-2023-05-31",
-          max_tokens: 4000,
-          messages: [
-            {
-              role: "user",
-              content: prompt
-            }
-          ]
-        })
-      });
-
-      const response = await bedrockRuntime.send(command);
-      const responseBuffer = await response.body;
-      const responseText = new TextDecoder().decode(responseBuffer);
-      const result = JSON.parse(responseText);
-      return result;
-    };
-
-    const result = await retryWithExponentialBackoff(makeRequest);
-    const content = result.content[0].text;
-    console.log('Raw LLM response for resume matching:', content);
-    
-    let scores = {};
-    try {
-      // Clean up the response to ensure valid JSON
-      let cleanedContent = content.replace(/[\r\n]+/g, ' ') // Remove newlines
-                          .replace(/'/g, '"')         // Replace single quotes with double quotes
-                          .replace(/,\s*}/g, '}')     // Remove trailing commas
-                          .replace(/([{,])\s*([a-zA-Z0-9_]+)\s*:/g, '$1"$2":') // Ensure property names are quoted
-                          .trim();
-      
-      // Extract only the JSON object if there's additional text
-      const jsonMatch = cleanedContent.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanedContent = jsonMatch[0];
-      }
-      
-      console.log('Cleaned JSON:', cleanedContent);
-      const obj = JSON.parse(cleanedContent);
-      
-      if (typeof obj === 'object' && obj !== null) {
-        // Convert and validate scores
-        scores = Object.fromEntries(
-          Object.entries(obj)
-            .filter(([filename, score]) => {
-              const isValidFilename = resumeData.some(row => row.resume_file_name === filename);
-              const isValidScore = typeof score === 'number' || (typeof score === 'string' && !isNaN(score));
-              return isValidFilename && isValidScore;
-            })
-            .map(([filename, score]) => [filename, parseInt(score)])
-        );
-      }
-    } catch (error) {
-      console.error('Error parsing LLM response:', error);
-      console.error('Problematic content:', content);
-      return { selected: [], scores: {} };
+    if (await sendRedacted(req, res, s3Key)) {
+      return;
     }
 
-    console.log('Processed scores before filtering:', scores);
-
-    // Filter and sort results
-    const validScores = Object.entries(scores)
-      .filter(([_, score]) => score >= threshold)
-      .sort(([, a], [, b]) => b - a);
-
-    console.log('Valid scores after filtering:', validScores);
-    
-    const selected = validScores.slice(0, topn).map(([filename]) => filename);
-    console.log('Selected resumes:', selected);
-
-    console.log('Returning from findBestResumes:', {
-      selected,
-      scores
+    const command = new GetObjectCommand({
+      Bucket: bucket,
+      Key: s3Key
     });
-    
-    return {
-      selected,
-      scores
-    };
-  } catch (error) {
-    console.error('Error finding best resumes:', error);
-    return { selected: [], scores: {} };
-  }
-};
 
-const copyFilteredPdfs = (filteredFiles) => {
-  const sourceDir = path.resolve(__dirname, '..');
-  const outputDir = process.env.OUTPUT_DIR;
-  const done = [];
-  const notFound = [];
-
-  for (const filename of filteredFiles) {
-    const srcPath = path.join(sourceDir, filename);
-    const dstPath = path.join(outputDir, filename);
-    
-    try {
-      if (fs.existsSync(srcPath)) {
-        fs.copyFileSync(srcPath, dstPath);
-        done.push(filename);
-      } else {
-        notFound.push(filename);
-      }
-    } catch (error) {
-      console.error(`Error copying ${filename}:`, error);
-      notFound.push(filename);
-    }
+    const response = await s3Client.send(command);
+    res.setHeader('Content-Type', contentTypeFor(filename));
+    response.Body.pipe(res);
+  } catch (error) {
+    console.error(`Error streaming file from S3: ${error}`);
+    res.status(404).send('File not found');
   }
+});
 
-  return { done, notFound };
-};
+// Download resume route
+app.get('/resumes/download/:filename', canReadResumes, audit('resume.download', fileTarget), async (req, res) => {
+  const filename = req.params.filename;
+  const s3Key = `resume_input_processed/${filename}`; // Processed resumes folder
 
-// API Endpoints
-app.post('/api/match-resumes', async (req, res) => {
-  
   try {
-    const { jdText, topn = 3 } = req.body;
-
-    if (!jdText) {
-      return res.status(400).json({ error: 'Job description is required' });
-    }
-
-    // Read Excel file
-    const workbook = XLSX.readFile(process.env.EXCEL_PATH);
-    const sheetName = 'Resume Tags';
-    
-    // Check if Resume Tags sheet exists
-    if (!workbook.SheetNames.includes(sheetName)) {
-      return res.status(404).json({ error: 'Resume Tags sheet not found in Excel file' });
-    }
-    
-    const resumeData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
-
-    if (!resumeData.length) {
-      return res.status(404).json({ error: 'No resume data found in Resume Tags sheet' });
-    }
-
-    // Extract JD tags
-    const jdTags = await extractJdTags(jdText);
-    if (!jdTags) {
-      return res.status(400).json({ error: 'Could not extract tags from job description' });
+    if (await sendRedacted(req, res, s3Key, { download: true })) {
+      return;
     }
 
-    console.log('JD Tags:', jdTags);
-
-    // Find best matches with error handling
-    const matchResult = await findBestResumes(jdTags, resumeData, topn);
-    console.log('Raw Match Result:', JSON.stringify(matchResult, null, 2));
-    
-    // Ensure we have valid data
-    const selected = matchResult.selected || [];
-    const scores = matchResult.scores || {};
-    
-    console.log('Final Selected:', selected);
-    console.log('Final Scores:', JSON.stringify(scores, null, 2));
-
-    // Copy PDFs for any selected resumes
-    const copyResult = copyFilteredPdfs(selected);
-    console.log('Copy Result:', copyResult);
-
-    // Prepare response
-    const response = {
-      success: selected.length > 0,
-      jdTags,
-      matchingResumes: copyResult.done,
-      notFound: copyResult.notFound,
-      scores
-    };
-
-    // Add message only if no matches found
-    if (selected.length === 0) {
-      response.message = 'No resumes with relevance =60% were found for this JD';
-    }
-
-    console.log('Final API Response:', JSON.stringify(response, null, 2));
-    return res.json(response);
+    const command = new GetObjectCommand({
+      Bucket: bucket,
+      Key: s3Key
+    });
 
+    const response = await s3Client.send(command);
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+    res.setHeader('Content-Type', contentTypeFor(filename));
+    response.Body.pipe(res);
   } catch (error) {
-    console.error('Error in match-resumes endpoint:', error);
-    console.error(error.stack);
-    return res.status(500).json({ error: 'Internal server error', details: error.message });
+    console.error(`Error downloading file from S3: ${error}`);
+    res.status(404).send('File not found');
   }
 });
 
@@ -418,6 +185,5 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
-  console.log(`Excel Path: ${process.env.EXCEL_PATH}`);
   console.log(`Output Directory: ${process.env.OUTPUT_DIR}`);
 });
@@ -0,0 +1,204 @@
+const { Op } = require('sequelize');
+const { sequelize, AuditEvent, Resume, SupportingDocument } = require('../models');
+
+// Everything the audit log records. Routes name one of these; queries can
+// filter on any of them.
+const ACTIONS = [
+  'auth.login',
+  'access.denied',
+  'search.run',
+  'search.rerun',
+  'search.view',
+  'resume.list',
+  'resume.profile',
+  'resume.text',
+  'resume.view',
+  'resume.download',
+  'report.generate',
+  'feedback.record',
+  'pipeline.shortlist',
+  'pipeline.move',
+  'document.list',
+  'document.update',
+  'ingestion.upload',
+  'ingestion.job_create',
+  'user.list',
+  'user.role_change',
+  'scoring_profile.create',
+  'scoring_profile.update',
+  'scoring_profile.delete',
+  'skill_ontology.update',
+  'skill_ontology.restore',
+  'candidate.erase',
+  'retention.purge',
+  'audit.query',
+  'audit.export'
+];
+
+const PATH_LENGTH = 1000;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 50000;
+
+class AuditError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuditError';
+    this.status = status;
+  }
+}
+
+// Append one entry. A failure to record is logged rather than failing the
+// request that was already served.
+const recordEvent = async ({
+  user = null,
+  action,
+  targetType = null,
+  targetId = null,
+  subjects = [],
+  details = null,
+  ip = null,
+  method = null,
+  path = null,
+  statusCode = null
+}) => {
+  try {
+    await AuditEvent.create({
+      userId: user?.id ?? null,
+      userEmail: user?.email ?? null,
+      userRole: user?.role ?? null,
+      action,
+      targetType,
+      targetId: targetId === null || targetId === undefined ? null : String(targetId).slice(0, 255),
+      subjects: [...new Set(subjects.filter(Boolean))],
+      details,
+      ip,
+      method,
+      path: path ? path.slice(0, PATH_LENGTH) : null,
+      statusCode
+    });
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error);
+  }
+};
+
+const parseDate = (value, name) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AuditError(400, `Invalid ${name} date`);
+  }
+  return date;
+};
+
+// Entries about one resume file: it was the target, or among what the
+// action exposed (e.g. a search's results)
+const aboutFiles = fileNames => [
+  { targetType: 'resume', targetId: fileNames },
+  ...fileNames.map(fileName =>
+    sequelize.where(sequelize.fn('JSON_CONTAINS', sequelize.col('subjects'), JSON.stringify(fileName)), 1))
+];
+
+// Filters from the query string: userId, user (email), action, targetType,
+// targetId, resume (file name), candidateId (all of the candidate's files),
+// from and to
+const buildWhere = async ({ userId, user, action, targetType, targetId, resume, candidateId, from, to } = {}) => {
+  const where = {};
+  if (userId) {
+    where.userId = userId;
+  }
+  if (user) {
+    where.userEmail = { [Op.like]: `%${user}%` };
+  }
+  if (action) {
+    if (!ACTIONS.includes(action)) {
+      throw new AuditError(400, `action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    where.action = action;
+  }
+  if (targetType) {
+    where.targetType = targetType;
+  }
+  if (targetId) {
+    where.targetId = targetId;
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  // A bare date as `to` includes that whole day
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate.setUTCHours(23, 59, 59, 999);
+  }
+  if (fromDate || toDate) {
+    where.createdAt = {
+      ...(fromDate && { [Op.gte]: fromDate }),
+      ...(toDate && { [Op.lte]: toDate })
+    };
+  }
+
+  const conditions = [];
+  if (resume) {
+    conditions.push({ [Op.or]: aboutFiles([resume]) });
+  }
+  if (candidateId) {
+    const files = [
+      ...await Resume.findAll({ where: { candidateId }, attributes: ['fileName'] }),
+      ...await SupportingDocument.findAll({ where: { candidateId }, attributes: ['fileName'] })
+    ].map(file => file.fileName);
+    conditions.push({
+      [Op.or]: [{ targetType: 'candidate', targetId: String(candidateId) }, ...(files.length ? aboutFiles(files) : [])]
+    });
+  }
+  return conditions.length ? { ...where, [Op.and]: conditions } : where;
+};
+
+// Matching entries, newest first: { total, events }
+const listEvents = async (filters, { limit = 100, offset = 0 } = {}) => {
+  const { count, rows } = await AuditEvent.findAndCountAll({
+    where: await buildWhere(filters),
+    order: [['id', 'DESC']],
+    limit: Math.min(Math.max(parseInt(limit) || 100, 1), MAX_PAGE_SIZE),
+    offset: Math.max(parseInt(offset) || 0, 0)
+  });
+  return { total: count, events: rows };
+};
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'userId', 'userEmail', 'userRole', 'action', 'targetType', 'targetId',
+  'subjects', 'details', 'ip', 'method', 'path', 'statusCode'
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from running a value as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Matching entries as CSV, oldest first, up to EXPORT_LIMIT rows:
+// { csv, count, truncated }
+const exportCsv = async (filters) => {
+  const rows = await AuditEvent.findAll({
+    where: await buildWhere(filters),
+    order: [['id', 'ASC']],
+    limit: EXPORT_LIMIT + 1,
+    raw: true
+  });
+  const truncated = rows.length > EXPORT_LIMIT;
+  const lines = rows.slice(0, EXPORT_LIMIT).map(row => CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+  return { csv: [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n', count: lines.length, truncated };
+};
+
+module.exports = {
+  ACTIONS,
+  AuditError,
+  recordEvent,
+  listEvents,
+  exportCsv
+};
@@ -0,0 +1,136 @@
+const { Search, Resume, ResumeProfile, PipelineEntry, PipelineEvent } = require('../models');
+const { CRITERIA } = require('./matchSchema');
+const { renderPdf, renderDocx } = require('./reportRenderers');
+
+const REPORT_FORMATS = ['pdf', 'docx'];
+const NOTES_LENGTH = 4000;
+
+const CRITERION_LABELS = {
+  skills: 'Skills',
+  languages: 'Languages',
+  experience: 'Experience',
+  roleFit: 'Role & Domain'
+};
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+class ReportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+// Branding printed on every report
+const brand = () => ({
+  name: process.env.REPORT_BRAND_NAME || 'JD Match',
+  color: process.env.REPORT_BRAND_COLOR || '#2065D1',
+  logoPath: process.env.REPORT_LOGO_PATH || null
+});
+
+const cleanNotes = notes => (typeof notes === 'string' && notes.trim() ? notes.trim().slice(0, NOTES_LENGTH) : null);
+
+// Notes recruiters left on the candidate's pipeline entry, oldest first
+const pipelineNotes = async (requisitionId, resumeId) => {
+  if (!resumeId) {
+    return null;
+  }
+  const entry = await PipelineEntry.findOne({
+    where: { requisitionId, resumeId },
+    include: [{ model: PipelineEvent, as: 'events', attributes: ['note'] }],
+    order: [[{ model: PipelineEvent, as: 'events' }, 'id', 'ASC']]
+  });
+  const notes = (entry?.events || []).map(event => event.note).filter(Boolean);
+  return notes.length ? notes.join('\n\n') : null;
+};
+
+const summaryFor = (candidate, result, title) => {
+  const facts = [
+    candidate.jobTitle,
+    candidate.yearsOfExperience ? `${candidate.yearsOfExperience} years of experience` : null,
+    candidate.location
+  ].filter(Boolean);
+  return [
+    `${candidate.name || 'The candidate'}${facts.length ? ` (${facts.join(', ')})` : ''} scored ${result.score}% against ${title}.`,
+    result.rationale || null
+  ].filter(Boolean).join(' ');
+};
+
+// Everything a submission report shows for one result of one of the
+// requisition's searches. `notes` replaces the notes taken from the
+// candidate's pipeline entry. Rates and contact details are left out: the
+// report goes to the client.
+const buildReport = async ({ requisition, searchId, fileName, notes = null }) => {
+  const search = await Search.findOne({ where: { id: searchId, requisitionId: requisition.id } });
+  if (!search) {
+    throw new ReportError(404, 'Search not found');
+  }
+  const result = (search.response.results || []).find(item => item.filename === fileName);
+  if (!result) {
+    throw new ReportError(404, 'Resume is not among this search\'s results');
+  }
+
+  const resume = await Resume.findOne({
+    where: { fileName },
+    include: [{ model: ResumeProfile, as: 'profile' }]
+  });
+  const profile = resume?.profile;
+  const candidate = {
+    name: profile?.name || result.profile?.name || null,
+    jobTitle: result.profile?.currentTitle || resume?.jobTitle || null,
+    yearsOfExperience: profile?.yearsOfExperience ?? resume?.yearsOfExperience ?? result.profile?.yearsOfExperience ?? null,
+    location: profile?.location || result.profile?.location || null,
+    visaStatus: profile?.visaStatus || result.profile?.visaStatus || null,
+    clearance: profile?.clearance || null
+  };
+
+  return {
+    brand: brand(),
+    title: requisition.title,
+    generatedAt: new Date(),
+    fileName,
+    candidate,
+    summary: summaryFor(candidate, result, requisition.title),
+    score: result.score,
+    criteria: CRITERIA.map(key => ({ label: CRITERION_LABELS[key], score: result.criteria?.[key] ?? null })),
+    matchedSkills: result.matchedSkills || [],
+    missingSkills: result.missingSkills || [],
+    skillOverlap: result.skillOverlap?.score ?? null,
+    timeline: (profile?.employers || []).map(employer => ({
+      employer: employer.employer,
+      title: employer.title,
+      location: employer.location || null,
+      period: [employer.startDate, employer.current ? 'Present' : employer.endDate].filter(Boolean).join(' - ')
+    })),
+    education: profile?.education || [],
+    certifications: profile?.certifications || [],
+    notes: cleanNotes(notes) || await pipelineNotes(requisition.id, resume?.id)
+  };
+};
+
+// Report file name, e.g. "Jane_Doe-Senior_React_Developer.pdf"
+const reportFileName = (report, format) => {
+  const part = text => String(text || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+  const name = part(report.candidate.name) || part(report.fileName.replace(/\.[^.]+$/, ''));
+  return `${[name, part(report.title)].filter(Boolean).join('-')}.${format}`;
+};
+
+// Render a report: { buffer, contentType, fileName }
+const renderReport = async (report, format) => {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new ReportError(400, `format must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  const buffer = format === 'pdf' ? await renderPdf(report) : await renderDocx(report);
+  return { buffer, contentType: CONTENT_TYPES[format], fileName: reportFileName(report, format) };
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  ReportError,
+  buildReport,
+  renderReport
+};
@@ -0,0 +1,211 @@
+const { z } = require('zod');
+const { VISA_STATUSES, normalizeVisaStatus } = require('./profileSchema');
+
+// Hard requirements a candidate must meet before the LLM ever sees them
+const CONSTRAINT_FIELDS = [
+  'mustHaveSkills', 'minYears', 'maxYears', 'locations', 'remote', 'visaStatuses', 'maxRate'
+];
+
+const toList = (value, separator = ',') => (Array.isArray(value) ? value : String(value ?? '').split(separator))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// The first number in a value typed as text, e.g. 5 from "5+ years" or "5-8"
+// and 85 from "$85/hr". NaN when there is none, so validation rejects it.
+const toNumber = value => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : NaN;
+};
+
+// The LLM writes whatever it likes for a number the JD doesn't state
+const jdNumber = value => {
+  const number = toNumber(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const numberField = z.preprocess(
+  toNumber,
+  z.number({ invalid_type_error: 'must be a number' }).nonnegative().nullable()
+).optional();
+const listField = z.preprocess(value => toList(value), z.array(z.string())).optional();
+// Locations contain commas ("Dallas, TX"), so alternatives are split on / or ;
+const locationList = value => toList(value, /[/;]/);
+
+const constraintsSchema = z.object({
+  mustHaveSkills: listField,
+  minYears: numberField,
+  maxYears: numberField,
+  locations: z.preprocess(locationList, z.array(z.string())).optional(),
+  remote: z.preprocess(value => value === true || value === 'true', z.boolean()).optional(),
+  visaStatuses: z.preprocess(
+    value => toList(value).map(normalizeVisaStatus),
+    z.array(z.enum(VISA_STATUSES))
+  ).optional(),
+  maxRate: numberField,
+  // Keep candidates whose profile lacks the field being checked
+  includeUnknown: z.boolean().optional()
+}).refine(
+  c => c.minYears === null || c.minYears === undefined || c.maxYears === null || c.maxYears === undefined || c.minYears <= c.maxYears,
+  { message: 'minYears must not be greater than maxYears' }
+);
+
+// Validate constraints from a request body. Returns { constraints } or { error }.
+const parseConstraints = (input) => {
+  const result = constraintsSchema.safeParse(input || {});
+  if (!result.success) {
+    return { error: result.error.issues.map(i => `${i.path.join('.') || 'constraints'}: ${i.message}`).join('; ') };
+  }
+  return { constraints: result.data };
+};
+
+// Requirements the JD states itself, from the extra keys extractJdTags asks for
+const constraintsFromJd = (jdTags = {}) => ({
+  mustHaveSkills: toList(jdTags['Must-have skills']),
+  minYears: jdNumber(jdTags['Min years']),
+  maxYears: jdNumber(jdTags['Max years']),
+  locations: locationList(jdTags['Location']),
+  remote: jdTags['Remote'] === true || String(jdTags['Remote']).toLowerCase() === 'true',
+  visaStatuses: toList(jdTags['Visa statuses']).map(normalizeVisaStatus).filter(s => s && s !== 'Other'),
+  maxRate: jdNumber(jdTags['Max rate'])
+});
+
+// Anything the recruiter sent wins over the JD, including an empty list or
+// null, which clears a JD requirement. Returns the merged constraints and
+// where each field came from.
+const mergeConstraints = (fromJd, explicit = {}) => {
+  const constraints = { includeUnknown: explicit.includeUnknown ?? true };
+  const sources = {};
+  for (const field of CONSTRAINT_FIELDS) {
+    if (explicit[field] !== undefined) {
+      constraints[field] = explicit[field];
+      sources[field] = 'request';
+    } else {
+      constraints[field] = fromJd[field];
+      sources[field] = 'jd';
+    }
+  }
+  return { constraints, sources };
+};
+
+const UNKNOWN_LABELS = {
+  years: 'years of experience',
+  location: 'location',
+  visaStatus: 'visa status',
+  rate: 'rate'
+};
+
+const skillKey = name => String(name).toLowerCase().replace(/[\s.\-_]/g, '');
+
+// "Dallas, TX" matches a candidate in "Dallas, TX 75201" but "CA" does not
+// match "Chicago, IL"
+const locationMatches = (candidate, wanted) => {
+  const words = String(candidate).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+  return toList(wanted).every(part => {
+    const needle = part.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+    return ` ${words} `.includes(` ${needle} `);
+  });
+};
+
+const yearsOf = row => {
+  const years = row.profile?.yearsOfExperience ?? row['Years of experience'];
+  return years === '' || years === null || years === undefined ? null : Number(years);
+};
+
+// Check one resume row. Returns { reasons, unknown }: reasons it fails and the
+// constraint fields its profile had no value for.
+const checkRow = (row, constraints) => {
+  const reasons = [];
+  const unknown = [];
+  const profile = row.profile || {};
+
+  if (constraints.mustHaveSkills?.length) {
+    // The matcher adds canonical names from the skills ontology when it can
+    const has = new Set(
+      (row.canonicalSkills || toList(`${row['Skills'] || ''},${row['Programming Languages'] || ''}`)).map(skillKey)
+    );
+    const missing = constraints.mustHaveSkills.filter(skill => !has.has(skillKey(skill)));
+    if (missing.length) {
+      reasons.push(`Missing must-have skills: ${missing.join(', ')}`);
+    }
+  }
+
+  const hasMin = constraints.minYears !== null && constraints.minYears !== undefined;
+  const hasMax = constraints.maxYears !== null && constraints.maxYears !== undefined;
+  if (hasMin || hasMax) {
+    const years = yearsOf(row);
+    if (years === null) {
+      unknown.push('years');
+    } else if (hasMin && years < constraints.minYears) {
+      reasons.push(`${years} years of experience is below the ${constraints.minYears} minimum`);
+    } else if (hasMax && years > constraints.maxYears) {
+      reasons.push(`${years} years of experience is above the ${constraints.maxYears} maximum`);
+    }
+  }
+
+  if (constraints.locations?.length && !constraints.remote) {
+    if (!profile.location) {
+      unknown.push('location');
+    } else if (!constraints.locations.some(wanted => locationMatches(profile.location, wanted))) {
+      reasons.push(`Location ${profile.location} is not in ${constraints.locations.join(' / ')}`);
+    }
+  }
+
+  if (constraints.visaStatuses?.length) {
+    if (!profile.visaStatus) {
+      unknown.push('visaStatus');
+    } else if (!constraints.visaStatuses.includes(profile.visaStatus)) {
+      reasons.push(`Visa status ${profile.visaStatus} is not accepted`);
+    }
+  }
+
+  if (constraints.maxRate !== null && constraints.maxRate !== undefined) {
+    if (profile.hourlyRate === null || profile.hourlyRate === undefined) {
+      unknown.push('rate');
+    } else if (profile.hourlyRate > constraints.maxRate) {
+      reasons.push(`Rate $${profile.hourlyRate}/hr is above the $${constraints.maxRate}/hr ceiling`);
+    }
+  }
+
+  return { reasons, unknown };
+};
+
+// Split resume rows into those that pass every constraint and those that do
+// not. Rows missing a checked field pass unless includeUnknown is false, and
+// are reported in `unverified` so the recruiter can confirm by hand.
+const applyConstraints = (rows, constraints) => {
+  const passed = [];
+  const excluded = [];
+  const unverified = {};
+
+  for (const row of rows) {
+    const filename = row['resume_file_name'];
+    const { reasons, unknown } = checkRow(row, constraints);
+    if (unknown.length && constraints.includeUnknown === false) {
+      reasons.push(...unknown.map(field => `No ${UNKNOWN_LABELS[field]} on file`));
+    }
+    if (reasons.length) {
+      excluded.push({ filename, reasons });
+      continue;
+    }
+    if (unknown.length) {
+      unverified[filename] = unknown;
+    }
+    passed.push(row);
+  }
+
+  return { passed, excluded, unverified };
+};
+
+module.exports = {
+  CONSTRAINT_FIELDS,
+  parseConstraints,
+  constraintsFromJd,
+  mergeConstraints,
+  applyConstraints
+};
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const XLSX = require('xlsx');
+const { Op } = require('sequelize');
+const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  sequelize,
+  Candidate,
+  Resume,
+  ResumeTag,
+  ResumeProfile,
+  FraudAssessment,
+  ResumeFragment,
+  SupportingDocument,
+  IngestionFile,
+  FailedFile,
+  Search,
+  PipelineEntry,
+  PipelineEvent,
+  MatchFeedback,
+  AuditEvent
+} = require('../models');
+const { s3Client, bucket } = require('../config/s3');
+const { removeIndex } = require('../utils/docstore');
+const { recordEvent } = require('./audit');
+const { ensureCandidate } = require('./dedupe');
+
+// Retention periods in days; 0 keeps data indefinitely. A candidate expires
+// once none of their resumes, documents or pipeline entries has changed for
+// CANDIDATE_DAYS.
+const RETENTION = {
+  candidateDays: parseInt(process.env.RETENTION_CANDIDATE_DAYS) || 0,
+  searchDays: parseInt(process.env.RETENTION_SEARCH_DAYS) || 0,
+  searchResultDays: parseInt(process.env.RETENTION_SEARCH_RESULTS_DAYS) || 0
+};
+const PURGE_BATCH_SIZE = parseInt(process.env.RETENTION_PURGE_BATCH_SIZE) || 100;
+const PURGE_INTERVAL_MS = (parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const PURGE_RETRY_MS = (parseFloat(process.env.RETENTION_PURGE_RETRY_HOURS) || 7 * 24) * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Workbook columns holding file names: tags rows and failed files
+const WORKBOOK_FILE_COLUMNS = ['resume_file_name', 'file'];
+
+class LifecycleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.status = status;
+  }
+}
+
+const excelPath = () => path.resolve(process.env.EXCEL_PATH || path.join(__dirname, '..', 'resume_tags.xlsx'));
+
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+// Processed object and its landing copy, whichever the row points at: the
+// file may have been uploaded again, or its move may have failed half way.
+// "resume_input_processed/a.pdf" and "resume_input/a.pdf"
+const s3KeysFor = ({ fileName, s3Key }) => {
+  const key = s3Key || `resume_input_processed/${fileName}`;
+  const dir = path.posix.dirname(key);
+  const landing = dir === '.' ? '' : dir.replace(/_processed$/, '');
+  const name = path.posix.basename(key);
+  return [`${landing}_processed/${name}`, landing ? `${landing}/${name}` : name];
+};
+
+// Run one store's erasure, recording what it removed or why it failed
+const eraseStore = async (store, erase) => {
+  try {
+    return { store, status: 'erased', ...await erase() };
+  } catch (error) {
+    console.error(`Error erasing from ${store}:`, error);
+    return { store, status: 'failed', error: error.message };
+  }
+};
+
+const eraseS3Objects = async (keys) => {
+  for (const key of keys) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+  return { items: keys };
+};
+
+// The per-file index folders are the only vector store; retrieval rebuilds
+// its merged in-memory index when a folder disappears
+const eraseIndexes = async (fileNames) => {
+  for (const fileName of fileNames) {
+    await removeIndex(fileName);
+  }
+  return { items: fileNames };
+};
+
+// Rows naming the files in the legacy resume_tags.xlsx workbook
+const eraseWorkbookRows = async (fileNames) => {
+  const file = excelPath();
+  if (!await fs.stat(file).catch(() => null)) {
+    return { items: [] };
+  }
+  const names = new Set(fileNames);
+  const workbook = XLSX.readFile(file);
+  const items = [];
+  for (const sheetName of workbook.SheetNames) {
+    const [header = [], ...rows] = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: null });
+    const columns = header.map((name, index) => (WORKBOOK_FILE_COLUMNS.includes(name) ? index : -1)).filter(index => index >= 0);
+    if (!columns.length) {
+      continue;
+    }
+    const kept = rows.filter(row => !columns.some(index => row[index] && names.has(path.basename(String(row[index])))));
+    if (kept.length < rows.length) {
+      workbook.Sheets[sheetName] = XLSX.utils.aoa_to_sheet([header, ...kept]);
+      items.push(`${sheetName}: ${rows.length - kept.length} row(s)`);
+    }
+  }
+  if (items.length) {
+    XLSX.writeFile(workbook, file);
+  }
+  return { items };
+};
+
+// Copies matching made in OUTPUT_DIR (copyFilteredPdfs)
+const eraseSearchResultCopies = async (fileNames) => {
+  const outputDir = process.env.OUTPUT_DIR;
+  if (!outputDir) {
+    return { items: [] };
+  }
+  const items = [];
+  for (const fileName of fileNames) {
+    const file = path.join(outputDir, path.basename(fileName));
+    if (await fs.stat(file).catch(() => null)) {
+      await fs.rm(file, { force: true });
+      items.push(fileName);
+    }
+  }
+  return { items };
+};
+
+// A saved search's response without the candidate: their results, scores,
+// evidence and exclusions
+const scrubResponse = (response, names, candidateId) => {
+  const keep = filename => !names.has(filename);
+  const withoutKeys = map => map && Object.fromEntries(Object.entries(map).filter(([filename]) => keep(filename)));
+  const results = (response.results || []).filter(result => keep(result.filename) && result.candidateId !== candidateId);
+  return {
+    ...response,
+    success: results.length > 0,
+    matchingResumes: (response.matchingResumes || []).filter(keep),
+    notFound: (response.notFound || []).filter(keep),
+    excluded: (response.excluded || []).filter(entry => keep(entry.filename)),
+    scores: withoutKeys(response.scores),
+    evidence: withoutKeys(response.evidence),
+    results
+  };
+};
+
+const scrubSearches = async (fileNames, candidateId, transaction) => {
+  if (!fileNames.length) {
+    return 0;
+  }
+  const names = new Set(fileNames);
+  // JSON_SEARCH takes a LIKE pattern; escape its wildcards to match file
+  // names exactly
+  const pattern = fileName => fileName.replace(/[\\%_]/g, '\\$&');
+  const searches = await Search.findAll({
+    where: {
+      [Op.or]: fileNames.map(fileName =>
+        sequelize.where(sequelize.fn('JSON_SEARCH', sequelize.col('response'), 'one', pattern(fileName)), Op.ne, null))
+    },
+    transaction
+  });
+  for (const search of searches) {
+    const response = scrubResponse(search.response, names, candidateId);
+    await search.update({ response, resultCount: response.results.length }, { transaction });
+  }
+  return searches.length;
+};
+
+// Every row about the candidate, in one transaction. Audit events are kept:
+// the log is append-only and holds who accessed what, not resume content.
+const eraseRows = async (candidateId, resumes, documents) => {
+  const fileNames = [...resumes, ...documents].map(file => file.fileName);
+  const resumeIds = resumes.map(resume => resume.id);
+  const s3Keys = [...resumes, ...documents].flatMap(s3KeysFor);
+  return sequelize.transaction(async (transaction) => {
+    const byResume = { where: { resumeId: resumeIds }, transaction };
+    const entryIds = (await PipelineEntry.findAll({ ...byResume, attributes: ['id'] })).map(entry => entry.id);
+    const rows = {
+      savedSearches: await scrubSearches(fileNames, candidateId, transaction),
+      pipelineEvents: await PipelineEvent.destroy({ where: { entryId: entryIds }, transaction }),
+      pipelineEntries: await PipelineEntry.destroy(byResume),
+      matchFeedback: await MatchFeedback.destroy(byResume),
+      resumeTags: await ResumeTag.destroy(byResume),
+      resumeProfiles: await ResumeProfile.destroy(byResume),
+      fraudAssessments: await FraudAssessment.destroy(byResume),
+      resumeFragments: await ResumeFragment.destroy(byResume),
+      ingestionFiles: await IngestionFile.destroy({
+        where: { [Op.or]: [{ resumeId: resumeIds }, { documentId: documents.map(doc => doc.id) }, { s3Key: s3Keys }] },
+        transaction
+      }),
+      failedFiles: await FailedFile.destroy({ where: { s3Key: s3Keys }, transaction }),
+      supportingDocuments: await SupportingDocument.destroy({ where: { id: documents.map(doc => doc.id) }, transaction }),
+      resumes: await Resume.destroy({ where: { id: resumeIds }, transaction }),
+      candidates: await Candidate.destroy({ where: { id: candidateId }, transaction })
+    };
+    return { rows };
+  });
+};
+
+const digestOf = certificate => crypto.createHash('sha256').update(JSON.stringify(certificate)).digest('hex');
+
+// Remove a candidate from every store: S3 objects, FAISS indexes, the legacy
+// workbook, search result copies, then their database rows. Returns a
+// deletion certificate listing what each store removed. If a file store
+// fails the database rows are kept, so the same call can be retried;
+// `complete` is false and the failing store says why.
+const eraseCandidate = async (candidateId, { user = null, reason = 'erasure_request', note = null } = {}) => {
+  const id = parseInt(candidateId, 10);
+  if (!(id > 0)) {
+    throw new LifecycleError(400, 'Invalid candidate id');
+  }
+  const [candidate, resumes, documents] = await Promise.all([
+    Candidate.findByPk(id),
+    Resume.findAll({ where: { candidateId: id }, attributes: ['id', 'fileName', 's3Key'] }),
+    SupportingDocument.findAll({ where: { candidateId: id }, attributes: ['id', 'fileName', 's3Key'] })
+  ]);
+  if (!candidate && !resumes.length && !documents.length) {
+    throw new LifecycleError(404, 'Candidate not found');
+  }
+
+  const fileNames = [...resumes, ...documents].map(file => file.fileName);
+  const startedAt = new Date();
+  const stores = [
+    await eraseStore('s3', () => eraseS3Objects([...resumes, ...documents].flatMap(s3KeysFor))),
+    await eraseStore('faiss_indexes', () => eraseIndexes(fileNames)),
+    await eraseStore('resume_tags_workbook', () => eraseWorkbookRows(fileNames)),
+    await eraseStore('search_results', () => eraseSearchResultCopies(fileNames))
+  ];
+  const filesErased = stores.every(store => store.status === 'erased');
+  stores.push(filesErased
+    ? await eraseStore('database', () => eraseRows(id, resumes, documents))
+    : { store: 'database', status: 'skipped', error: 'Kept until every file store is erased, so the erasure can be retried' });
+
+  const certificate = {
+    certificateId: crypto.randomUUID(),
+    candidateId: id,
+    reason,
+    note,
+    requestedBy: user ? { id: user.id, email: user.email, role: user.role } : null,
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    complete: stores.every(store => store.status === 'erased'),
+    files: [
+      ...resumes.map(resume => ({ fileName: resume.fileName, type: 'resume' })),
+      ...documents.map(document => ({ fileName: document.fileName, type: 'supporting_document' }))
+    ],
+    stores,
+    retained: ['audit_events: append-only access log naming the files; holds no resume content']
+  };
+  return { ...certificate, digest: digestOf(certificate) };
+};
+
+// Resumes stored before every resume got a candidate (see ensureCandidate)
+// are given one, so they expire like the rest
+const assignUnassignedResumes = async () => {
+  const resumes = await Resume.findAll({
+    where: { candidateId: null },
+    include: [{ model: ResumeProfile, as: 'profile', attributes: ['name'] }]
+  });
+  for (const resume of resumes) {
+    await sequelize.transaction(transaction => ensureCandidate(resume, { name: resume.profile?.name }, transaction));
+  }
+  return resumes.length;
+};
+
+// Candidates whose latest erasure since `since` left a store behind. They
+// wait out PURGE_RETRY_MS so the same failures don't take every run's batch.
+const recentlyFailedErasures = async (since) => {
+  const events = await AuditEvent.findAll({
+    where: { action: 'candidate.erase', targetType: 'candidate', createdAt: { [Op.gte]: since } },
+    attributes: ['targetId', 'details'],
+    order: [['id', 'ASC']]
+  });
+  const latest = new Map(events.map(event => [event.targetId, event.details?.certificate?.complete]));
+  return [...latest].filter(([, complete]) => complete === false).map(([candidateId]) => Number(candidateId));
+};
+
+// Candidates with nothing changed since `cutoff`, other than `skip`
+const expiredCandidateIds = async (cutoff, limit, skip = []) => {
+  const recent = { updatedAt: { [Op.gte]: cutoff } };
+  const kept = new Set([
+    ...(await Resume.findAll({ where: recent, attributes: ['candidateId'] })).map(row => row.candidateId),
+    ...(await SupportingDocument.findAll({ where: recent, attributes: ['candidateId'] })).map(row => row.candidateId),
+    ...(await PipelineEntry.findAll({
+      where: recent,
+      attributes: ['id'],
+      include: [{ model: Resume, as: 'resume', attributes: ['candidateId'] }]
+    })).map(entry => entry.resume?.candidateId),
+    ...skip
+  ].filter(Boolean));
+  const candidates = await Candidate.findAll({
+    where: kept.size ? { id: { [Op.notIn]: [...kept] } } : {},
+    attributes: ['id'],
+    order: [['id', 'ASC']],
+    limit
+  });
+  return candidates.map(candidate => candidate.id);
+};
+
+const expiredSearchResultFiles = async (cutoff) => {
+  const outputDir = process.env.OUTPUT_DIR;
+  const entries = outputDir ? await fs.readdir(outputDir, { withFileTypes: true }).catch(() => []) : [];
+  const expired = [];
+  for (const entry of entries.filter(entry => entry.isFile())) {
+    const file = path.join(outputDir, entry.name);
+    const stat = await fs.stat(file);
+    if (stat.mtime < cutoff) {
+      expired.push(file);
+    }
+  }
+  return expired;
+};
+
+// Apply the retention periods: erase expired candidates (up to
+// PURGE_BATCH_SIZE per run), saved searches and search result copies. Each
+// erased candidate's certificate is recorded in the audit log; candidates
+// whose erasure recently failed are `deferred`. With `dryRun` only reports
+// what would be removed.
+const purgeExpired = async ({ dryRun = false } = {}) => {
+  const summary = {
+    retention: RETENTION,
+    dryRun,
+    unassignedResumes: 0,
+    candidates: [],
+    deferred: [],
+    certificates: [],
+    searches: 0,
+    searchResultFiles: 0
+  };
+
+  if (RETENTION.candidateDays) {
+    summary.unassignedResumes = dryRun
+      ? await Resume.count({ where: { candidateId: null } })
+      : await assignUnassignedResumes();
+    summary.deferred = await recentlyFailedErasures(new Date(Date.now() - PURGE_RETRY_MS));
+    summary.candidates = await expiredCandidateIds(daysAgo(RETENTION.candidateDays), PURGE_BATCH_SIZE, summary.deferred);
+    for (const candidateId of dryRun ? [] : summary.candidates) {
+      const certificate = await eraseCandidate(candidateId, { reason: 'retention' });
+      summary.certificates.push(certificate);
+      await recordEvent({
+        action: 'candidate.erase',
+        targetType: 'candidate',
+        targetId: candidateId,
+        subjects: certificate.files.map(file => file.fileName),
+        details: { certificate }
+      });
+    }
+  }
+
+  if (RETENTION.searchDays) {
+    const where = { createdAt: { [Op.lt]: daysAgo(RETENTION.searchDays) } };
+    summary.searches = dryRun ? await Search.count({ where }) : await Search.destroy({ where });
+  }
+
+  if (RETENTION.searchResultDays) {
+    const files = await expiredSearchResultFiles(daysAgo(RETENTION.searchResultDays));
+    for (const file of dryRun ? [] : files) {
+      await fs.rm(file, { force: true });
+    }
+    summary.searchResultFiles = files.length;
+  }
+
+  if (!dryRun) {
+    await recordEvent({
+      action: 'retention.purge',
+      details: {
+        retention: RETENTION,
+        candidates: summary.candidates,
+        deferred: summary.deferred,
+        incomplete: summary.certificates.filter(certificate => !certificate.complete).map(certificate => certificate.candidateId),
+        searches: summary.searches,
+        searchResultFiles: summary.searchResultFiles
+      }
+    });
+  }
+  return summary;
+};
+
+// Run purgeExpired every RETENTION_PURGE_INTERVAL_HOURS. Returns a function
+// that stops the schedule.
+const scheduleRetentionPurge = ({ interval = PURGE_INTERVAL_MS } = {}) => {
+  let timer = null;
+  const run = async () => {
+    try {
+      const summary = await purgeExpired();
+      console.log(`Retention purge: ${summary.candidates.length} candidate(s), ${summary.searches} search(es), ${summary.searchResultFiles} result file(s)`);
+    } catch (error) {
+      console.error('Retention purge error:', error);
+    }
+    timer = setTimeout(run, interval);
+    timer.unref();
+  };
+  timer = setTimeout(run, 0);
+  timer.unref();
+  return () => clearTimeout(timer);
+};
+
+module.exports = {
+  RETENTION,
+  LifecycleError,
+  eraseCandidate,
+  purgeExpired,
+  scheduleRetentionPurge
+};
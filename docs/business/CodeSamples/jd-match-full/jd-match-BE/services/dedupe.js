@@ -0,0 +1,179 @@
+const { Op } = require('sequelize');
+const {
+  Resume,
+  ResumeProfile,
+  Candidate,
+  SupportingDocument,
+  PipelineEntry,
+  PipelineEvent,
+  MatchFeedback
+} = require('../models');
+const { STAGES } = require('./pipeline');
+const { contentHash, minhashSignature, estimateSimilarity } = require('../utils/similarity');
+
+// Near-duplicates on text alone. RTR emails built from the same template
+// score around 0.5 for different people, so this has to stay well above that.
+const SIMILARITY_THRESHOLD = parseFloat(process.env.DEDUPE_SIMILARITY_THRESHOLD) || 0.8;
+// Lower bar when both resumes carry the same candidate name
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.DEDUPE_NAME_MATCH_THRESHOLD) || 0.3;
+
+const nameTokens = (name) => String(name || '').toLowerCase().split(/[^a-z]+/).filter(t => t.length > 1);
+
+// "Venkata Satya Lokesh Gunturu" and "Venkata Satya Lokesh Verma Gunturu" are
+// the same name; returns null when either side is unknown
+const sameName = (a, b) => {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.length < 2 || right.length < 2) {
+    return null;
+  }
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  return shorter.every(token => longer.includes(token));
+};
+
+const isSameCandidate = (similarity, name, otherName) => {
+  const names = sameName(name, otherName);
+  if (names === false) {
+    return false;
+  }
+  return similarity >= SIMILARITY_THRESHOLD || (names === true && similarity >= NAME_MATCH_THRESHOLD);
+};
+
+// Fingerprint a resume's text for storage on the resume row
+const fingerprint = (text) => ({
+  contentHash: contentHash(text),
+  minhash: minhashSignature(text)
+});
+
+// Find every candidate this resume duplicates. Identical text always matches;
+// otherwise each stored signature is compared, which is fine for a pool of a
+// few thousand resumes.
+const findMatchingCandidates = async ({ fileName, name, contentHash: hash, minhash }, transaction) => {
+  const others = await Resume.findAll({
+    attributes: ['id', 'fileName', 'candidateId', 'contentHash', 'minhash'],
+    where: { fileName: { [Op.ne]: fileName }, candidateId: { [Op.ne]: null } },
+    include: [{ model: ResumeProfile, as: 'profile', attributes: ['name'] }],
+    transaction
+  });
+
+  const matches = new Map();
+  for (const other of others) {
+    const similarity = other.contentHash === hash ? 1 : estimateSimilarity(minhash, other.minhash);
+    if (similarity === 1 || isSameCandidate(similarity, name, other.profile?.name)) {
+      const best = matches.get(other.candidateId);
+      if (!best || similarity > best.similarity) {
+        matches.set(other.candidateId, { candidateId: other.candidateId, fileName: other.fileName, similarity });
+      }
+    }
+  }
+  return Array.from(matches.values()).sort((a, b) => b.similarity - a.similarity);
+};
+
+// One pipeline entry and one verdict per candidate and requisition, as
+// pipeline.js and feedback.js expect. After a merge the entry furthest along
+// the board is kept, with the other entries' history folded into it, and the
+// latest verdict wins.
+const reconcileCandidateRows = async (candidateId, transaction) => {
+  const entries = (await PipelineEntry.findAll({ where: { candidateId }, order: [['updatedAt', 'DESC']], transaction }))
+    .sort((a, b) => STAGES.indexOf(b.stage) - STAGES.indexOf(a.stage));
+  const keptEntries = new Map();
+  for (const entry of entries) {
+    const kept = keptEntries.get(entry.requisitionId);
+    if (!kept) {
+      keptEntries.set(entry.requisitionId, entry);
+      continue;
+    }
+    await PipelineEvent.update({ entryId: kept.id }, { where: { entryId: entry.id }, transaction });
+    await entry.destroy({ transaction });
+  }
+
+  const verdicts = await MatchFeedback.findAll({
+    where: { candidateId },
+    order: [['updatedAt', 'DESC'], ['id', 'DESC']],
+    transaction
+  });
+  const rated = new Set();
+  for (const verdict of verdicts) {
+    if (rated.has(verdict.requisitionId)) {
+      await verdict.destroy({ transaction });
+    }
+    rated.add(verdict.requisitionId);
+  }
+};
+
+// Everything that points at the `from` candidates now points at `to`:
+// resumes, attached documents, pipeline entries and feedback
+const moveCandidateRows = async (from, to, transaction) => {
+  for (const model of [Resume, SupportingDocument, PipelineEntry, MatchFeedback]) {
+    await model.update({ candidateId: to }, { where: { candidateId: from }, transaction });
+  }
+  await reconcileCandidateRows(to, transaction);
+};
+
+// Put a saved resume into its candidate cluster. When it links several
+// existing candidates they are merged into the oldest, so clusters stay
+// transitive. Returns { candidateId, duplicateOf }.
+const assignCandidate = async (resume, { text, name = null }, transaction) => {
+  const print = fingerprint(text);
+  const matches = await findMatchingCandidates({ fileName: resume.fileName, name, ...print }, transaction);
+
+  let candidateId;
+  if (matches.length) {
+    const ids = matches.map(m => m.candidateId).sort((a, b) => a - b);
+    candidateId = ids[0];
+    const merged = ids.slice(1);
+    if (merged.length) {
+      await moveCandidateRows(merged, candidateId, transaction);
+      await Candidate.destroy({ where: { id: merged }, transaction });
+      console.log(`Merged candidates ${merged.join(', ')} into ${candidateId}`);
+    }
+  } else if (resume.candidateId) {
+    candidateId = resume.candidateId;
+  } else {
+    candidateId = (await Candidate.create({ name }, { transaction })).id;
+  }
+
+  const previous = resume.candidateId;
+  await resume.update({ candidateId, ...print }, { transaction });
+
+  // A re-processed resume that moved to another cluster takes its pipeline
+  // entries and feedback along, and may leave an empty one, whose documents
+  // then belong with this resume
+  if (previous && previous !== candidateId) {
+    for (const model of [PipelineEntry, MatchFeedback]) {
+      await model.update({ candidateId }, { where: { resumeId: resume.id }, transaction });
+    }
+    const left = await Resume.count({ where: { candidateId: previous }, transaction });
+    if (!left) {
+      await moveCandidateRows([previous], candidateId, transaction);
+      await Candidate.destroy({ where: { id: previous }, transaction });
+    } else {
+      await reconcileCandidateRows(candidateId, transaction);
+    }
+  }
+  if (name) {
+    await Candidate.update({ name }, { where: { id: candidateId, name: null }, transaction });
+  }
+
+  return { candidateId, duplicateOf: matches[0] || null };
+};
+
+// A resume with no text to compare (e.g. from the legacy workbook import)
+// still gets a candidate of its own, so erasure and retention can reach it.
+// `silent` keeps its updatedAt, which retention reads as its last activity.
+// scripts/backfill_candidates.js --all groups it with its duplicates later.
+const ensureCandidate = async (resume, { name = null } = {}, transaction) => {
+  if (!resume.candidateId) {
+    const candidate = await Candidate.create({ name }, { transaction });
+    await resume.update({ candidateId: candidate.id }, { transaction, silent: true });
+  }
+  return resume.candidateId;
+};
+
+module.exports = {
+  sameName,
+  isSameCandidate,
+  fingerprint,
+  assignCandidate,
+  ensureCandidate
+};
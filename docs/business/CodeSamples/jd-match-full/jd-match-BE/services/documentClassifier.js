@@ -0,0 +1,81 @@
+const { z } = require('zod');
+
+// What an ingested document can be. Only resumes become candidates; the
+// rest are kept as supporting documents.
+const DOCUMENT_TYPES = ['resume', 'certificate', 'cover_letter', 'rtr', 'contract', 'other'];
+// Supporting documents that belong to one candidate and are attached to them
+const CANDIDATE_DOCUMENT_TYPES = ['certificate', 'rtr'];
+
+// Below this confidence a document is indexed as a resume anyway: dropping a
+// real resume costs more than letting one stray document through
+const MIN_CONFIDENCE = parseFloat(process.env.DOCUMENT_MIN_CONFIDENCE) || 0.6;
+
+const MAX_CONTEXT_CHARS = 6000;
+
+const classificationSchema = z.object({
+  type: z.preprocess(
+    value => String(value ?? '').toLowerCase().trim().replace(/[\s-]+/g, '_'),
+    z.enum(DOCUMENT_TYPES)
+  ),
+  confidence: z.coerce.number().min(0).max(1).catch(0),
+  personName: z.string().trim().max(255).nullable().catch(null),
+  reason: z.string().trim().max(500).nullable().catch(null)
+});
+
+const parseLLMOutput = (responseText) => {
+  try {
+    return JSON.parse(String(responseText).trim().replace(/^`+(json)?|`+$/g, '').trim());
+  } catch (error) {
+    console.error(`Could not parse document classification as JSON: ${error}`);
+    return null;
+  }
+};
+
+// Label one document from its file name and text. Returns { type, confidence,
+// personName, reason }; `type` is 'resume' when the reply can't be used or
+// the model isn't confident enough.
+const classifyDocument = async (llm, { fileName, text }) => {
+  const context = String(text || '').slice(0, MAX_CONTEXT_CHARS);
+  const prompt = `Classify the DOCUMENT below, found in a folder of candidate resumes, as one of:
+- "resume": a CV or resume describing one person's experience and skills
+- "certificate": a certification, course completion or badge issued to a person
+- "cover_letter": a letter from a candidate applying for a role
+- "rtr": a right-to-represent email or form where a candidate lets a vendor submit them for a role
+- "contract": an agreement such as an NDA, MSA, SOW or contingent worker terms
+- "other": anything else, e.g. product overviews, job descriptions or unrelated email threads
+Respond ONLY with STRICT JSON using keys:
+"type", "confidence" (0 to 1), "personName" (the candidate the document is about or issued to, or null), "reason" (one short sentence).
+DO NOT use markdown/code-block/extra explanation.
+
+FILE NAME: ${fileName}
+
+DOCUMENT:
+${context}`;
+
+  try {
+    const content = await llm.complete(prompt, {
+      task: 'document-type',
+      input: { fileName, text: context }
+    });
+    const result = classificationSchema.safeParse(parseLLMOutput(content) || {});
+    if (!result.success) {
+      console.warn(`Invalid classification for ${fileName}:`, result.error.issues.map(i => i.message).join('; '));
+      return { type: 'resume', confidence: 0, personName: null, reason: 'Classification failed' };
+    }
+    const classification = result.data;
+    if (classification.type !== 'resume' && classification.confidence < MIN_CONFIDENCE) {
+      console.warn(`${fileName} looks like ${classification.type} (${classification.confidence}), indexing it as a resume`);
+      return { ...classification, type: 'resume' };
+    }
+    return classification;
+  } catch (error) {
+    console.error(`Error classifying ${fileName}:`, error);
+    return { type: 'resume', confidence: 0, personName: null, reason: 'Classification failed' };
+  }
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  CANDIDATE_DOCUMENT_TYPES,
+  classifyDocument
+};
@@ -0,0 +1,222 @@
+const { Op } = require('sequelize');
+const { MatchFeedback, Resume, Search } = require('../models');
+
+const VERDICTS = ['good_fit', 'bad_fit'];
+
+// Re-ranking: a result's score moves by up to MAX_ADJUSTMENT points towards
+// the candidates the recruiter accepted and away from the ones they rejected,
+// by how alike their matched skills are
+const FEEDBACK_WEIGHT = 20;
+const MAX_ADJUSTMENT = 10;
+
+// Score bands for calibration, and the verdicts a band needs before its
+// acceptance rate is shown next to results
+const SCORE_BANDS = [[0, 59], [60, 69], [70, 79], [80, 89], [90, 100]];
+const MIN_BAND_SAMPLES = parseInt(process.env.FEEDBACK_MIN_BAND_SAMPLES) || 10;
+// Calibration follows recent verdicts, so it moves as prompts and the pool change
+const CALIBRATION_DAYS = parseInt(process.env.FEEDBACK_CALIBRATION_DAYS) || 180;
+const TOP_N = [1, 3, 5, 10];
+
+class FeedbackError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.status = status;
+  }
+}
+
+const bandFor = (score) => {
+  const band = SCORE_BANDS.find(([low, high]) => score >= low && score <= high);
+  return band ? `${band[0]}-${band[1]}` : null;
+};
+
+const rate = (accepted, rated) => (rated ? Math.round((accepted / rated) * 100) / 100 : null);
+
+const skillSet = skills => new Set((skills || []).map(skill => String(skill).toLowerCase()));
+
+const similarity = (a, b) => {
+  const union = new Set([...a, ...b]).size;
+  return union ? [...a].filter(skill => b.has(skill)).length / union : 0;
+};
+
+const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Whether a feedback row is about this resume row, or another version of the
+// same candidate
+const isAbout = (item, row) =>
+  (item.candidateId && item.candidateId === row.candidate_id) || item.resumeId === row.resume_id;
+
+// Record a verdict on a result of one of the requisition's searches. Rank,
+// score and matched skills are read from the stored search, not the client.
+const recordFeedback = async ({ requisition, searchId, fileName, verdict, reason, userId }) => {
+  if (!VERDICTS.includes(verdict)) {
+    throw new FeedbackError(400, `verdict must be one of: ${VERDICTS.join(', ')}`);
+  }
+  reason = typeof reason === 'string' ? reason.trim() : '';
+  if (!reason) {
+    throw new FeedbackError(400, 'reason is required');
+  }
+  const search = await Search.findOne({ where: { id: searchId, requisitionId: requisition.id } });
+  if (!search) {
+    throw new FeedbackError(404, 'Search not found');
+  }
+  const results = search.response.results || [];
+  const index = results.findIndex(result => result.filename === fileName);
+  if (index === -1) {
+    throw new FeedbackError(404, 'Resume is not in this search\'s results');
+  }
+  const resume = await Resume.findOne({ where: { fileName }, attributes: ['id', 'candidateId'] });
+  if (!resume) {
+    throw new FeedbackError(404, 'Resume not found');
+  }
+
+  const fields = {
+    searchId: search.id,
+    resumeId: resume.id,
+    candidateId: resume.candidateId,
+    fileName,
+    verdict,
+    reason,
+    rank: index + 1,
+    score: results[index].score,
+    matchedSkills: results[index].matchedSkills || [],
+    createdBy: userId
+  };
+  // One verdict per candidate: a later one on any version replaces it
+  const existing = await MatchFeedback.findOne({
+    where: {
+      requisitionId: requisition.id,
+      [Op.or]: [
+        { resumeId: resume.id },
+        ...(resume.candidateId ? [{ candidateId: resume.candidateId }] : [])
+      ]
+    }
+  });
+  if (existing) {
+    return existing.update(fields);
+  }
+  return MatchFeedback.create({ requisitionId: requisition.id, ...fields });
+};
+
+const listFeedback = async requisitionId => MatchFeedback.findAll({
+  where: { requisitionId },
+  attributes: [
+    'id', 'searchId', 'resumeId', 'candidateId', 'fileName', 'verdict', 'reason', 'rank', 'score', 'matchedSkills', 'updatedAt'
+  ],
+  order: [['updatedAt', 'DESC']]
+});
+
+// Verdicts per score band. A band's acceptance rate is how often recruiters
+// agreed with a score in that range.
+const summarizeBands = (feedback) => SCORE_BANDS.map(([low, high]) => {
+  const inBand = feedback.filter(item => item.score !== null && item.score >= low && item.score <= high);
+  const accepted = inBand.filter(item => item.verdict === 'good_fit').length;
+  return { band: `${low}-${high}`, rated: inBand.length, accepted, acceptanceRate: rate(accepted, inBand.length) };
+});
+
+const loadCalibration = async () => {
+  const since = new Date(Date.now() - CALIBRATION_DAYS * 24 * 60 * 60 * 1000);
+  const feedback = await MatchFeedback.findAll({
+    where: { updatedAt: { [Op.gte]: since } },
+    attributes: ['score', 'verdict'],
+    raw: true
+  });
+  return Object.fromEntries(summarizeBands(feedback).map(band => [band.band, band]));
+};
+
+// Apply a requisition's feedback to a scored match: candidates marked bad fit
+// are dropped (and reported as excluded), the rest are nudged by how alike
+// they are to accepted and rejected candidates, and the top N is re-selected
+// by `selectTop`
+const rerankWithFeedback = (matchResult, rowsByFile, feedback, { selectTop }) => {
+  if (!feedback.length) {
+    return { matchResult, excluded: [] };
+  }
+  const good = feedback.filter(item => item.verdict === 'good_fit').map(item => skillSet(item.matchedSkills));
+  const bad = feedback.filter(item => item.verdict === 'bad_fit').map(item => skillSet(item.matchedSkills));
+
+  const scores = {};
+  const details = {};
+  const excluded = [];
+  for (const [filename, detail] of Object.entries(matchResult.details || {})) {
+    const row = rowsByFile.get(filename);
+    const verdict = row && feedback.find(item => isAbout(item, row));
+    if (verdict?.verdict === 'bad_fit') {
+      excluded.push({ filename, reasons: [`Marked bad fit: ${verdict.reason}`] });
+      continue;
+    }
+    if (verdict) {
+      details[filename] = { ...detail, feedback: { verdict: verdict.verdict, reason: verdict.reason } };
+      scores[filename] = detail.score;
+      continue;
+    }
+    const skills = skillSet(detail.matchedSkills);
+    const pull = mean(good.map(other => similarity(skills, other))) - mean(bad.map(other => similarity(skills, other)));
+    const feedbackAdjustment = Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, Math.round(pull * FEEDBACK_WEIGHT)));
+    scores[filename] = Math.max(0, Math.min(100, detail.score + feedbackAdjustment));
+    details[filename] = feedbackAdjustment ? { ...detail, score: scores[filename], feedbackAdjustment } : detail;
+  }
+  return {
+    matchResult: { ...matchResult, scores, details, selected: selectTop(scores) },
+    excluded
+  };
+};
+
+// How a score has been received in its band, once the band has enough verdicts
+const calibrationFor = (score, calibration) => {
+  const band = calibration && calibration[bandFor(score)];
+  return band && band.rated >= MIN_BAND_SAMPLES
+    ? { band: band.band, acceptanceRate: band.acceptanceRate, rated: band.rated }
+    : null;
+};
+
+const monthOf = date => new Date(date).toISOString().slice(0, 7);
+
+const topNAcceptance = feedback => TOP_N.map((n) => {
+  const rated = feedback.filter(item => item.rank !== null && item.rank <= n);
+  const accepted = rated.filter(item => item.verdict === 'good_fit').length;
+  return { n, rated: rated.length, accepted, acceptanceRate: rate(accepted, rated.length) };
+});
+
+// Evaluation across all requisitions: how often the top N results that got a
+// verdict were accepted, the score bands, both per month, and the reasons
+// given most often for bad fits
+const evaluationReport = async ({ since = null } = {}) => {
+  const feedback = await MatchFeedback.findAll({
+    where: since ? { updatedAt: { [Op.gte]: since } } : {},
+    attributes: ['requisitionId', 'verdict', 'reason', 'rank', 'score', 'updatedAt'],
+    order: [['updatedAt', 'ASC']],
+    raw: true
+  });
+
+  const months = [...new Set(feedback.map(item => monthOf(item.updatedAt)))];
+  const reasons = new Map();
+  for (const item of feedback.filter(entry => entry.verdict === 'bad_fit')) {
+    const key = item.reason.toLowerCase();
+    reasons.set(key, { reason: item.reason, count: (reasons.get(key)?.count || 0) + 1 });
+  }
+
+  return {
+    rated: feedback.length,
+    accepted: feedback.filter(item => item.verdict === 'good_fit').length,
+    requisitions: new Set(feedback.map(item => item.requisitionId)).size,
+    topN: topNAcceptance(feedback),
+    bands: summarizeBands(feedback),
+    byMonth: months.map((month) => {
+      const inMonth = feedback.filter(item => monthOf(item.updatedAt) === month);
+      return { month, rated: inMonth.length, topN: topNAcceptance(inMonth), bands: summarizeBands(inMonth) };
+    }),
+    badFitReasons: [...reasons.values()].sort((a, b) => b.count - a.count).slice(0, 10)
+  };
+};
+
+module.exports = {
+  VERDICTS,
+  FeedbackError,
+  recordFeedback,
+  listFeedback,
+  loadCalibration,
+  rerankWithFeedback,
+  calibrationFor,
+  evaluationReport
+};
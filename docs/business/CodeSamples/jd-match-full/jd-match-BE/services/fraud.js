@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Resume, ResumeFragment, FraudAssessment } = require('../models');
+const { parseResumeDate, employmentIntervals, computeYearsOfExperience } = require('../utils/experience');
+const { normalizeText } = require('../utils/similarity');
+
+const HIGH_RISK_SCORE = parseInt(process.env.FRAUD_HIGH_RISK_SCORE) || 60;
+const MEDIUM_RISK_SCORE = parseInt(process.env.FRAUD_MEDIUM_RISK_SCORE) || 30;
+// A passage shared by this many other candidates is a template (RTR forms,
+// agency boilerplate) rather than copying
+const TEMPLATE_MIN_CANDIDATES = parseInt(process.env.FRAUD_TEMPLATE_MIN_CANDIDATES) || 5;
+const MIN_FRAGMENT_WORDS = 12;
+const OVERLAP_GRACE_MONTHS = 3;
+const GAP_MONTHS = 24;
+
+// Roles that may legitimately run alongside a full-time job
+const NOT_FULL_TIME = /part[\s-]?time|freelance|volunteer|adjunct|intern|teaching assistant|self[\s-]?employed|advisor|board member/i;
+const EXECUTIVE_TITLE = /\b(director|vp|vice president|head of|chief|cto|cio|ceo|cfo|coo)\b/i;
+
+// First public release of technologies people often claim "N years" of
+const RELEASE_YEARS = {
+  'Kubernetes': 2014, 'Docker': 2013, 'React': 2013, 'Angular': 2016, 'Vue': 2014,
+  'TypeScript': 2012, 'Swift': 2014, 'Kotlin': 2016, 'Rust': 2015, 'Go': 2009,
+  'Node.js': 2009, 'Terraform': 2014, 'Spark': 2014, 'Kafka': 2011, 'Airflow': 2015,
+  'Snowflake': 2014, 'Databricks': 2013, 'GraphQL': 2015, 'TensorFlow': 2015,
+  'PyTorch': 2016, 'Power BI': 2015, 'FHIR': 2014, 'Flutter': 2017, 'dbt': 2016
+};
+
+// Words allowed between "N years" and the technology, e.g. "8 years of
+// hands-on experience with"
+const CLAIM_FILLER = '(?:\\s+(?:of|in|with|on|using|experience|hands-on|working|professional|strong|solid|expertise))*\\s+';
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const jobLabel = job => job.employer || job.title || 'a role';
+
+const monthSpan = (job, now) => {
+  const start = parseResumeDate(job.startDate, now);
+  const end = job.current ? parseResumeDate('present', now) : parseResumeDate(job.endDate || 'present', now);
+  return start === null || end === null ? null : { start, end };
+};
+
+const capped = (reasons, cap) => {
+  let total = 0;
+  return reasons.map(reason => {
+    const points = Math.max(0, Math.min(reason.points, cap - total));
+    total += points;
+    return { ...reason, points };
+  }).filter(reason => reason.points > 0);
+};
+
+// Full-time roles that run side by side for more than a few months
+const overlappingRoles = (employers, now) => {
+  const jobs = employers
+    .filter(job => !NOT_FULL_TIME.test(`${job.title || ''} ${job.employer || ''}`))
+    .map(job => ({ job, span: monthSpan(job, now) }))
+    .filter(({ span }) => span && span.end >= span.start);
+
+  const reasons = [];
+  for (let i = 0; i < jobs.length; i++) {
+    for (let j = i + 1; j < jobs.length; j++) {
+      const a = jobs[i];
+      const b = jobs[j];
+      const months = Math.min(a.span.end, b.span.end) - Math.max(a.span.start, b.span.start) + 1;
+      if (months > OVERLAP_GRACE_MONTHS) {
+        reasons.push({
+          signal: 'overlapping_roles',
+          points: 20,
+          detail: `${jobLabel(a.job)} and ${jobLabel(b.job)} overlap by ${months} months`
+        });
+      }
+    }
+  }
+  return capped(reasons, 40);
+};
+
+// Roles that end before they start or start in the future, and long gaps
+const chronology = (employers, now) => {
+  const reasons = [];
+  const thisMonth = parseResumeDate('present', now);
+  for (const job of employers) {
+    const span = monthSpan(job, now);
+    if (!span) {
+      continue;
+    }
+    if (span.start > thisMonth) {
+      reasons.push({ signal: 'chronology', points: 15, detail: `${jobLabel(job)} starts in the future` });
+    } else if (span.end < span.start) {
+      reasons.push({ signal: 'chronology', points: 15, detail: `${jobLabel(job)} ends before it starts` });
+    }
+  }
+
+  const intervals = employmentIntervals(employers, now);
+  let coveredUntil = intervals.length ? intervals[0][1] : null;
+  for (const [start, end] of intervals.slice(1)) {
+    if (start - coveredUntil - 1 > GAP_MONTHS) {
+      const years = Math.round((start - coveredUntil - 1) / 12 * 10) / 10;
+      reasons.push({ signal: 'chronology_gap', points: 5, detail: `Unexplained gap of ${years} years in employment history` });
+    }
+    coveredUntil = Math.max(coveredUntil, end);
+  }
+  return capped(reasons, 30);
+};
+
+// Largest "N years of experience" the resume claims about itself
+const claimedYears = (text) => {
+  const claims = [...String(text).matchAll(/(\d{1,2})\+?\s*(?:years|yrs)\.?\s+of\s+(?:\w+\s+){0,2}experience/gi)]
+    .map(m => parseInt(m[1], 10));
+  return claims.length ? Math.max(...claims) : null;
+};
+
+// Titles, totals and technology claims the employment history cannot support
+const impossibleSeniority = (employers, text, now) => {
+  const reasons = [];
+  const spans = employers.map(job => ({ job, span: monthSpan(job, now) })).filter(({ span }) => span);
+  const firstStart = spans.length ? Math.min(...spans.map(({ span }) => span.start)) : null;
+
+  for (const { job, span } of spans) {
+    if (EXECUTIVE_TITLE.test(job.title || '') && span.start - firstStart < 36) {
+      reasons.push({
+        signal: 'impossible_seniority',
+        points: 20,
+        detail: `${job.title} within ${Math.max(0, Math.round((span.start - firstStart) / 12))} years of first role`
+      });
+    }
+  }
+
+  const worked = computeYearsOfExperience(employers, now);
+  const claimed = claimedYears(text);
+  if (worked !== null && claimed !== null && claimed - worked > 5) {
+    reasons.push({
+      signal: 'inflated_experience',
+      points: 15,
+      detail: `Claims ${claimed} years of experience but employment history covers ${worked}`
+    });
+  }
+
+  const currentYear = now.getFullYear();
+  for (const [tech, released] of Object.entries(RELEASE_YEARS)) {
+    // Case-sensitive on the name so "Go" doesn't match "go"
+    const pattern = new RegExp(`(\\d{1,2})\\+?\\s*(?:[Yy]ears|YEARS|[Yy]rs)${CLAIM_FILLER}${escapeRegex(tech)}\\b`);
+    const match = pattern.exec(text);
+    if (match && parseInt(match[1], 10) > currentYear - released + 1) {
+      reasons.push({
+        signal: 'impossible_seniority',
+        points: 25,
+        detail: `Claims ${match[1]} years of ${tech}, which was first released in ${released}`
+      });
+    }
+  }
+  return capped(reasons, 50);
+};
+
+const stateOf = location => {
+  const match = /,\s*([A-Z]{2})\b/.exec(String(location || ''));
+  return match ? match[1] : null;
+};
+
+// Stated location in a different state from the current role
+const mismatchedLocation = (profile) => {
+  const current = (profile.employers || []).find(job => job.current) || (profile.employers || [])[0];
+  const home = stateOf(profile.location);
+  const work = stateOf(current?.location);
+  if (home && work && home !== work) {
+    return [{
+      signal: 'mismatched_location',
+      points: 10,
+      detail: `Lists location ${profile.location} but current role at ${jobLabel(current)} is in ${current.location}`
+    }];
+  }
+  return [];
+};
+
+const copiedFragments = (shared) => {
+  if (!shared.count) {
+    return [];
+  }
+  return [{
+    signal: 'copied_fragments',
+    points: Math.min(40, shared.count * 10),
+    detail: `${shared.count} passages also appear in resumes of other candidates (e.g. ${shared.examples.join(', ')})`
+  }];
+};
+
+const riskLevelFor = score => (score >= HIGH_RISK_SCORE ? 'high' : score >= MEDIUM_RISK_SCORE ? 'medium' : 'low');
+
+// Score the signals for one resume. `shared` is the copied-passage summary
+// from findSharedFragments.
+const assessSignals = ({ profile = {}, text = '', shared = { count: 0, examples: [] }, now = new Date() }) => {
+  const employers = profile.employers || [];
+  const reasons = [
+    ...overlappingRoles(employers, now),
+    ...chronology(employers, now),
+    ...impossibleSeniority(employers, text, now),
+    ...mismatchedLocation(profile),
+    ...copiedFragments(shared)
+  ];
+  const riskScore = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+  return { riskScore, riskLevel: riskLevelFor(riskScore), reasons };
+};
+
+// Hashes of the long sentences in a resume
+const fragmentHashes = (text) => {
+  const hashes = new Set();
+  for (const sentence of String(text).replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/)) {
+    const normalized = normalizeText(sentence);
+    if (normalized.split(' ').length >= MIN_FRAGMENT_WORDS) {
+      hashes.add(crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16));
+    }
+  }
+  return Array.from(hashes);
+};
+
+// Passages this resume shares with other candidates' resumes, ignoring its
+// own versions and anything common enough to be a template
+const findSharedFragments = async (resume, hashes, transaction) => {
+  if (!hashes.length) {
+    return { count: 0, examples: [] };
+  }
+  const others = await ResumeFragment.findAll({
+    where: { hash: hashes, resumeId: { [Op.ne]: resume.id } },
+    include: [{ model: Resume, attributes: ['fileName', 'candidateId'] }],
+    transaction
+  });
+
+  const byHash = new Map();
+  for (const fragment of others) {
+    const other = fragment.Resume;
+    if (!other || (resume.candidateId && other.candidateId === resume.candidateId)) {
+      continue;
+    }
+    if (!byHash.has(fragment.hash)) {
+      byHash.set(fragment.hash, new Map());
+    }
+    byHash.get(fragment.hash).set(other.candidateId || `f${other.fileName}`, other.fileName);
+  }
+
+  const copied = Array.from(byHash.values()).filter(owners => owners.size < TEMPLATE_MIN_CANDIDATES);
+  const examples = [...new Set(copied.flatMap(owners => Array.from(owners.values())))].slice(0, 3);
+  return { count: copied.length, examples };
+};
+
+// Run every signal for a saved resume and persist the result. Its sentence
+// hashes are stored first so later resumes can be checked against it.
+const assessResume = async (resume, { text, profile }) => {
+  return sequelize.transaction(async (transaction) => {
+    const hashes = fragmentHashes(text);
+    await ResumeFragment.destroy({ where: { resumeId: resume.id }, transaction });
+    await ResumeFragment.bulkCreate(hashes.map(hash => ({ resumeId: resume.id, hash })), { transaction });
+
+    const shared = await findSharedFragments(resume, hashes, transaction);
+    const assessment = assessSignals({ profile: profile || {}, text, shared });
+    await FraudAssessment.upsert({ resumeId: resume.id, ...assessment, assessedAt: new Date() }, { transaction });
+    return assessment;
+  });
+};
+
+module.exports = {
+  HIGH_RISK_SCORE,
+  assessSignals,
+  fragmentHashes,
+  assessResume
+};
@@ -0,0 +1,248 @@
+const path = require('path');
+const { sequelize, IngestionJob, IngestionFile, Resume, ResumeProfile, SupportingDocument } = require('../models');
+const resumeStore = require('./resumeStore');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const CONCURRENCY = parseInt(process.env.INGESTION_CONCURRENCY) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.INGESTION_POLL_INTERVAL_MS) || 5000;
+// A file that was in flight this many times when the worker died is given up
+// on, so one file that crashes the process can't stall the queue
+const MAX_ATTEMPTS = parseInt(process.env.INGESTION_MAX_ATTEMPTS) || 3;
+const FILE_STATUSES = ['pending', 'processing', 'done', 'failed', 'skipped'];
+
+const defaultExtractor = () => {
+  // Loaded here so requiring the queue doesn't pull in FAISS and LangChain
+  const S3ResumeRAGTagExtractor = require('../s3_extractor');
+  return new S3ResumeRAGTagExtractor(
+    process.env.AWS_ACCESS_KEY_ID,
+    process.env.AWS_SECRET_ACCESS_KEY,
+    process.env.AWS_REGION || 'us-east-1',
+    process.env.FAISS_INDEX_DIR || path.join(__dirname, '..', 'faiss_indexes')
+  );
+};
+
+// Queue a job for everything under `prefix`, or only for `keys` when given
+// (e.g. the files of one upload)
+const enqueue = async ({ source = 's3', bucket, prefix = '', maxFiles = null, createdBy = null, keys = null }) => {
+  if (!keys) {
+    return IngestionJob.create({ source, bucket, prefix, maxFiles, createdBy, status: 'queued' });
+  }
+  return sequelize.transaction(async (transaction) => {
+    const job = await IngestionJob.create(
+      { source, bucket, prefix, createdBy, status: 'queued', listedAt: new Date() },
+      { transaction }
+    );
+    await IngestionFile.bulkCreate(keys.map(s3Key => ({ jobId: job.id, s3Key })), { transaction });
+    return job;
+  });
+};
+
+// A job with its per-file status, what was parsed from each stored resume
+// or which supporting document a file became, and counts per status and
+// document type
+const getJobProgress = async (jobId) => {
+  const job = await IngestionJob.findByPk(jobId, {
+    include: [{
+      model: IngestionFile,
+      as: 'files',
+      attributes: [
+        's3Key', 'status', 'attempts', 'reason', 'error', 'resumeId', 'documentType', 'documentId', 'startedAt', 'finishedAt'
+      ],
+      include: [{
+        model: Resume,
+        as: 'resume',
+        attributes: ['id', 'fileName', 'jobTitle', 'yearsOfExperience', 'candidateId'],
+        include: [{ model: ResumeProfile, as: 'profile', attributes: ['name', 'location', 'visaStatus'] }]
+      }, {
+        model: SupportingDocument,
+        as: 'document',
+        attributes: ['id', 'fileName', 'type', 'candidateId', 'reason']
+      }]
+    }],
+    order: [[{ model: IngestionFile, as: 'files' }, 'id', 'ASC']]
+  });
+  if (!job) {
+    return null;
+  }
+  const counts = Object.fromEntries(FILE_STATUSES.map(status => [status, 0]));
+  const documentTypes = {};
+  for (const file of job.files) {
+    counts[file.status]++;
+    if (file.documentType) {
+      documentTypes[file.documentType] = (documentTypes[file.documentType] || 0) + 1;
+    }
+  }
+  const { files, ...fields } = job.get({ plain: true });
+  return { ...fields, total: files.length, counts, documentTypes, files };
+};
+
+class IngestionQueue {
+  constructor({ extractor = null, concurrency = CONCURRENCY, pollInterval = POLL_INTERVAL_MS } = {}) {
+    this.extractor = extractor;
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+    this.busy = false;
+    this.stopped = true;
+  }
+
+  getExtractor() {
+    if (!this.extractor) {
+      this.extractor = defaultExtractor();
+    }
+    return this.extractor;
+  }
+
+  // Recover from a previous crash, then keep polling for queued jobs. Run one
+  // worker per database: recovery assumes nothing else is mid-file.
+  async start() {
+    this.stopped = false;
+    await this.recover();
+    this.schedule(0);
+  }
+
+  // Recover, run every queued job and return, for one-off runs without a server
+  async drain() {
+    this.stopped = false;
+    await this.recover();
+    await this.runPending();
+    this.stopped = true;
+  }
+
+  // In-flight files finish; no new ones are started
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  schedule(ms) {
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this.poll(), ms);
+      this.timer.unref();
+    }
+  }
+
+  async poll() {
+    try {
+      await this.runPending();
+    } catch (error) {
+      console.error('Ingestion queue error:', error);
+    }
+    this.schedule(this.pollInterval);
+  }
+
+  // Files still marked processing were in flight when the last worker
+  // stopped; put them back in the queue unless they've used up their attempts
+  async recover() {
+    const stale = await IngestionFile.findAll({ where: { status: 'processing' } });
+    for (const file of stale) {
+      if (file.attempts >= MAX_ATTEMPTS) {
+        await file.update({ status: 'failed', reason: 'too_many_attempts', finishedAt: new Date() });
+      } else {
+        await file.update({ status: 'pending' });
+      }
+    }
+    if (stale.length) {
+      console.log(`Requeued ${stale.length} files interrupted by a restart`);
+    }
+  }
+
+  // Run jobs oldest first, resuming any that were already running
+  async runPending() {
+    if (this.busy) {
+      return;
+    }
+    this.busy = true;
+    try {
+      let job;
+      while (!this.stopped && (job = await IngestionJob.findOne({
+        where: { status: ['running', 'queued'] },
+        order: [['id', 'ASC']]
+      }))) {
+        await this.runJob(job);
+      }
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async runJob(job) {
+    try {
+      if (job.status === 'queued') {
+        const run = await resumeStore.startRun({ source: job.source, bucket: job.bucket, prefix: job.prefix });
+        await job.update({ status: 'running', processingRunId: run.id, startedAt: new Date() });
+      }
+      if (!job.listedAt) {
+        await this.listFiles(job);
+      }
+
+      let pending;
+      while (!this.stopped && (pending = await IngestionFile.findAll({
+        where: { jobId: job.id, status: 'pending' },
+        order: [['id', 'ASC']],
+        limit: this.concurrency * 10
+      })).length) {
+        await mapWithConcurrency(pending, this.concurrency, file => this.processFile(job, file));
+      }
+      if (this.stopped) {
+        return;
+      }
+
+      await resumeStore.finishRun(job.processingRunId, 'completed');
+      await job.update({ status: 'completed', finishedAt: new Date() });
+      console.log(`Ingestion job ${job.id} completed`);
+    } catch (error) {
+      console.error(`Ingestion job ${job.id} failed:`, error);
+      if (job.processingRunId) {
+        await resumeStore.finishRun(job.processingRunId, 'failed');
+      }
+      await job.update({ status: 'failed', error: String(error.message || error), finishedAt: new Date() });
+    }
+  }
+
+  async listFiles(job) {
+    const keys = await this.getExtractor().listS3Keys(job.bucket, job.prefix, job.maxFiles);
+    await sequelize.transaction(async (transaction) => {
+      await IngestionFile.bulkCreate(keys.map(s3Key => ({ jobId: job.id, s3Key })), { transaction });
+      await job.update({ listedAt: new Date() }, { transaction });
+    });
+    console.log(`Ingestion job ${job.id}: ${keys.length} files to process`);
+  }
+
+  async processFile(job, file) {
+    // Claim the file; another worker may have taken it already
+    const [claimed] = await IngestionFile.update(
+      { status: 'processing', attempts: file.attempts + 1, startedAt: new Date() },
+      { where: { id: file.id, status: 'pending' } }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.getExtractor().processS3Object(job.bucket, file.s3Key, {
+        prefix: job.prefix,
+        processingRunId: job.processingRunId
+      });
+    } catch (error) {
+      result = { status: 'failed', reason: 'processing_error', error };
+    }
+    await file.update({
+      status: result.status,
+      reason: result.reason || null,
+      error: result.error ? String(result.error.message || result.error) : null,
+      resumeId: result.resume?.id ?? null,
+      documentType: result.document?.type ?? (result.resume ? 'resume' : null),
+      documentId: result.document?.id ?? null,
+      finishedAt: new Date()
+    });
+  }
+}
+
+module.exports = {
+  FILE_STATUSES,
+  IngestionQueue,
+  enqueue,
+  getJobProgress
+};
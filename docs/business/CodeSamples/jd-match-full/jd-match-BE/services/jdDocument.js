@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadDocument } = require('./loaders');
+
+// Text copied out of Word and PDFs carries non-breaking spaces, zero-width
+// characters, soft hyphens and stray control codes. Keep line structure
+// (bullets, headings) and drop the rest.
+const cleanJdText = (text) => String(text || '')
+  .normalize('NFKC')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\u00a0\u2000-\u200a\u202f\u205f\u3000]/g, ' ')
+  .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, '')
+  .replace(/[\u0000-\u0008\u000b-\u001f\u007f\ufffd]/g, '')
+  .replace(/[ \t]+$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Extract the text of an uploaded JD with the same loaders used for resumes.
+// Throws DocumentLoadError for unsupported or empty files.
+const readJdFile = async ({ buffer, originalName }) => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jd-'));
+  const filePath = path.join(tempDir, `jd${path.extname(originalName).toLowerCase()}`);
+  try {
+    await fs.writeFile(filePath, buffer);
+    const { docs } = await loadDocument(filePath);
+    return cleanJdText(docs.map(doc => doc.pageContent).join('\n\n'));
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  cleanJdText,
+  readJdFile
+};
@@ -0,0 +1,60 @@
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { BedrockEmbeddings } = require('@langchain/community/embeddings/bedrock');
+const { retryWithExponentialBackoff } = require('../../utils/retry');
+
+// Anthropic models on AWS Bedrock
+class BedrockProvider {
+  constructor(config) {
+    this.config = config;
+    const credentials = {
+      accessKeyId: config.aws.accessKeyId,
+      secretAccessKey: config.aws.secretAccessKey
+    };
+    this.client = new BedrockRuntimeClient({ credentials, region: config.aws.region });
+    this.embeddings = null;
+  }
+
+  async complete(prompt, { maxTokens, temperature } = {}) {
+    const body = {
+      anthropic_version: "bedrock-2023-05-31",
+      max_tokens: maxTokens || this.config.maxTokens,
+      messages: [{
+        role: "user",
+        content: prompt
+      }]
+    };
+    const temp = temperature ?? this.config.temperature;
+    if (temp !== undefined) {
+      body.temperature = temp;
+    }
+
+    const result = await retryWithExponentialBackoff(async () => {
+      const command = new InvokeModelCommand({
+        modelId: this.config.model,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(body)
+      });
+      const response = await this.client.send(command);
+      const responseText = new TextDecoder().decode(await response.body);
+      return JSON.parse(responseText);
+    });
+    return result.content[0].text;
+  }
+
+  getEmbeddings() {
+    if (!this.embeddings) {
+      this.embeddings = new BedrockEmbeddings({
+        model: this.config.embeddingModel,
+        region: this.config.aws.region,
+        credentials: {
+          accessKeyId: this.config.aws.accessKeyId,
+          secretAccessKey: this.config.aws.secretAccessKey
+        }
+      });
+    }
+    return this.embeddings;
+  }
+}
+
+module.exports = BedrockProvider;
@@ -0,0 +1,49 @@
+const llmConfig = require('../../config/llm');
+const BedrockProvider = require('./bedrockProvider');
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+
+const providers = {
+  bedrock: BedrockProvider,
+  openai: OpenAIProvider,
+  local: LocalProvider
+};
+
+// Build a provider for chat completion. Embeddings may come from a different
+// provider (EMBEDDING_PROVIDER) so stored FAISS indexes stay usable.
+//
+// Every provider exposes:
+//   complete(prompt, { task, input, maxTokens, temperature }) -> reply text
+//   getEmbeddings() -> LangChain Embeddings
+// `task` and `input` are only used by the local provider.
+const createLLMProvider = (config = llmConfig) => {
+  const Provider = providers[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${config.provider}'`);
+  }
+  const llm = new Provider(config);
+
+  if (config.embeddingProvider !== config.provider) {
+    const EmbeddingProvider = providers[config.embeddingProvider];
+    if (!EmbeddingProvider) {
+      throw new Error(`Unknown embedding provider '${config.embeddingProvider}'`);
+    }
+    const embeddingSource = new EmbeddingProvider(config);
+    llm.getEmbeddings = () => embeddingSource.getEmbeddings();
+  }
+  return llm;
+};
+
+let defaultProvider = null;
+
+const getLLMProvider = () => {
+  if (!defaultProvider) {
+    defaultProvider = createLLMProvider();
+  }
+  return defaultProvider;
+};
+
+module.exports = {
+  createLLMProvider,
+  getLLMProvider
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Embeddings } = require('@langchain/core/embeddings');
+
+// Small vocabulary the local provider recognises. It only needs to be good
+// enough to make the matching flow produce stable, plausible output offline.
+const LANGUAGES = [
+  'Java', 'JavaScript', 'TypeScript', 'Python', 'C#', 'C++', 'Go', 'Ruby', 'PHP', 'Scala',
+  'Kotlin', 'Swift', 'R', 'SQL', 'PL/SQL', 'Bash', 'Rust'
+];
+const SKILLS = [
+  'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Spring Boot', 'Django', 'Flask', '.NET',
+  'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Jenkins', 'Git', 'Linux',
+  'MySQL', 'PostgreSQL', 'MongoDB', 'Oracle', 'Snowflake', 'Databricks', 'Spark', 'Kafka',
+  'Airflow', 'Tableau', 'Power BI', 'Salesforce', 'SAP', 'ServiceNow', 'Selenium',
+  'Machine Learning', 'TensorFlow', 'PyTorch', 'REST', 'GraphQL', 'Microservices',
+  'Agile', 'Scrum', 'JIRA', 'ETL', 'Data Warehousing', 'Business Analysis', 'HL7', 'FHIR'
+];
+const TITLES = [
+  'Data Engineer', 'Data Scientist', 'Data Analyst', 'Business Analyst', 'Full Stack Developer',
+  'Frontend Developer', 'Backend Developer', 'Software Engineer', 'DevOps Engineer',
+  'Cloud Architect', 'Solutions Architect', 'QA Engineer', 'Project Manager', 'Scrum Master'
+];
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findTerms = (text, terms) => terms.filter(term =>
+  new RegExp(`(^|[^A-Za-z0-9+#])${escapeRegex(term)}($|[^A-Za-z0-9+#])`, 'i').test(text)
+);
+
+const findYears = (text) => {
+  const years = [...String(text).matchAll(/(\d{1,2})\+?\s*(?:years|yrs)/gi)].map(m => parseInt(m[1], 10));
+  return years.length ? Math.max(...years) : 0;
+};
+
+const DATE = '(?:[A-Za-z]{3,9}\\.? \\d{4}|\\d{1,2}/\\d{4}|\\d{4})';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|to)\\s*(${DATE}|present|current)`, 'gi');
+const VISA_TERMS = ['US Citizen', 'Green Card', 'GC EAD', 'H1B', 'H4 EAD', 'L2 EAD', 'OPT', 'CPT', 'TN'];
+const CLEARANCES = ['Top Secret', 'Secret', 'Public Trust'];
+
+const splitList = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Deterministic bag-of-words embeddings: each token is hashed into a bucket
+class HashEmbeddings extends Embeddings {
+  constructor(dimensions) {
+    super({});
+    this.dimensions = dimensions;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const token of String(text).toLowerCase().match(/[a-z0-9+#.]+/g) || []) {
+      const hash = crypto.createHash('md5').update(token).digest();
+      vector[hash.readUInt32BE(0) % this.dimensions] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+// Heuristic replies per task, shaped like the real prompts ask for
+const handlers = {
+  'jd-tags': ({ jdText = '' }) => {
+    // Skills named on lines that say they are required
+    const requiredLines = jdText.split('\n').filter(line => /must|required|mandatory/i.test(line)).join('\n');
+    const years = [...jdText.matchAll(/(\d{1,2})\s*(?:\+|-\s*(\d{1,2}))?\s*(?:years|yrs)/gi)];
+    const location = /\b([A-Z][a-z]+(?: [A-Z][a-z]+)*, [A-Z]{2})\b/.exec(jdText);
+    const rate = /\$\s*(\d{2,3})(?:\.\d+)?\s*(?:\/\s*(?:hr|hour)|per hour)/i.exec(jdText);
+    return {
+      'Skills': findTerms(jdText, SKILLS).join(', '),
+      'Programming Languages': findTerms(jdText, LANGUAGES).join(', '),
+      'Years of experience': findYears(jdText),
+      'Must-have skills': findTerms(requiredLines, [...SKILLS, ...LANGUAGES]).join(', '),
+      'Min years': years.length ? parseInt(years[0][1], 10) : null,
+      'Max years': years.length && years[0][2] ? parseInt(years[0][2], 10) : null,
+      'Location': location ? location[1] : '',
+      'Remote': /\b(fully remote|100% remote|remote role|remote position)\b/i.test(jdText),
+      'Visa statuses': findTerms(jdText, VISA_TERMS).join(', '),
+      'Max rate': rate ? parseInt(rate[1], 10) : null
+    };
+  },
+
+  'resume-tags': ({ text = '' }) => ({
+    'Skills': findTerms(text, SKILLS).join(', '),
+    'Programming Languages': findTerms(text, LANGUAGES).join(', '),
+    'Years of experience': findYears(text),
+    'Job title': findTerms(text, TITLES)[0] || 'Software Engineer'
+  }),
+
+  'resume-profile': ({ text = '' }) => {
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+    const location = /\b([A-Z][a-zA-Z .]+, [A-Z]{2})\b/.exec(text);
+    return {
+      name: lines[0] || null,
+      location: location ? location[1] : null,
+      visaStatus: findTerms(text, VISA_TERMS)[0] || null,
+      clearance: findTerms(text, CLEARANCES)[0] || null,
+      hourlyRate: null,
+      employers: [...text.matchAll(DATE_RANGE)].map(m => ({
+        employer: null,
+        title: null,
+        startDate: m[1],
+        endDate: m[2],
+        current: /present|current/i.test(m[2])
+      })),
+      education: [],
+      certifications: []
+    };
+  },
+
+  // File name conventions first ("..._Cert", "Re_ RTR_..."), then wording
+  'document-type': ({ fileName = '', text = '' }) => {
+    const name = fileName.replace(/[_\-.]+/g, ' ');
+    const rules = [
+      ['resume', /\bresume\b|\bCV\b/i],
+      ['rtr', /\bRTR\b|right to represent/i],
+      ['contract', /non ?disclosure|\bNDA\b|\bNCA\b|agreement|\bMSA\b|\bSOW\b|contingent worker/i],
+      ['certificate', /\bcert(ificate|ification)?s?\d*\b|certificate of (completion|achievement)|successfully completing/i],
+      ['cover_letter', /cover letter|dear hiring manager/i],
+      ['other', /overview|\bbrochure\b|course content|job description/i]
+    ];
+    const byName = rules.find(([, pattern]) => pattern.test(name));
+    // Resumes mention agreements and certificates too, so only an RTR
+    // acknowledgement counts in text that reads like a resume
+    const resumeLike = /professional summary|experience|employment history|education/i.test(text);
+    const byText = byName ? null : rules.find(([type, pattern]) =>
+      type !== 'resume' && (!resumeLike || type === 'rtr') && pattern.test(text.slice(0, 2000)));
+    const [type] = byName || byText || ['resume'];
+    return {
+      type,
+      confidence: byName ? 0.9 : byText ? 0.7 : 0.8,
+      personName: text.split('\n').map(l => l.trim()).find(Boolean) || null,
+      reason: type === 'resume' ? 'Reads like a resume' : `Matched ${type} wording in the ${byName ? 'file name' : 'text'}`
+    };
+  },
+
+  'score-resumes': ({ jdTags = {}, resumes = [] }) => {
+    const required = [...splitList(jdTags['Skills']), ...splitList(jdTags['Programming Languages'])];
+    const requiredYears = parseInt(jdTags['Years of experience'], 10) || 0;
+
+    return Object.fromEntries(resumes.map(({ filename, summary }) => {
+      const matched = required.filter(skill => findTerms(summary, [skill]).length);
+      const missing = required.filter(skill => !matched.includes(skill));
+      const languages = splitList(jdTags['Programming Languages']);
+      const matchedLanguages = languages.filter(lang => matched.includes(lang));
+
+      const skills = required.length ? Math.round(100 * matched.length / required.length) : 50;
+      const langScore = languages.length ? Math.round(100 * matchedLanguages.length / languages.length) : skills;
+      const years = findYears(summary.replace(/Years of experience:\s*(\d+)/i, '$1 years'));
+      const experience = requiredYears ? Math.min(100, Math.round(100 * years / requiredYears)) : 70;
+      const roleFit = Math.round((skills + experience) / 2);
+      const score = Math.round(0.4 * skills + 0.2 * langScore + 0.2 * experience + 0.2 * roleFit);
+
+      return [filename, {
+        score,
+        criteria: { skills, languages: langScore, experience, roleFit },
+        matchedSkills: matched,
+        missingSkills: missing,
+        rationale: `Matches ${matched.length} of ${required.length} required skills with ${years} years of experience.`
+      }];
+    }));
+  }
+};
+
+// Offline provider. Replies come from a fixture file when one exists,
+// otherwise from simple keyword heuristics over the structured `input` the
+// caller passes alongside the prompt.
+class LocalProvider {
+  constructor(config) {
+    this.config = config;
+    this.embeddings = new HashEmbeddings(config.localEmbeddingDimensions);
+  }
+
+  // Fixtures: <task>-<first 12 chars of sha256(prompt)>.json, then <task>.json
+  readFixture(task, prompt) {
+    if (!this.config.fixturesDir || !task) {
+      return null;
+    }
+    const hash = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+    for (const name of [`${task}-${hash}.json`, `${task}.json`]) {
+      const file = path.join(this.config.fixturesDir, name);
+      if (fs.existsSync(file)) {
+        return fs.readFileSync(file, 'utf8');
+      }
+    }
+    return null;
+  }
+
+  async complete(prompt, { task, input = {} } = {}) {
+    const fixture = this.readFixture(task, prompt);
+    if (fixture !== null) {
+      return fixture;
+    }
+
+    const handler = handlers[task];
+    if (!handler) {
+      throw new Error(`Local LLM provider has no handler for task '${task}'`);
+    }
+    return JSON.stringify(handler(input, prompt));
+  }
+
+  getEmbeddings() {
+    return this.embeddings;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,53 @@
+const { OpenAI } = require('openai');
+const { Embeddings } = require('@langchain/core/embeddings');
+const { retryWithExponentialBackoff } = require('../../utils/retry');
+
+class OpenAIEmbeddings extends Embeddings {
+  constructor(client, model) {
+    super({});
+    this.client = client;
+    this.model = model;
+  }
+
+  async embedDocuments(texts) {
+    const response = await retryWithExponentialBackoff(() =>
+      this.client.embeddings.create({ model: this.model, input: texts })
+    );
+    return response.data.map(d => d.embedding);
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedDocuments([text]);
+    return vector;
+  }
+}
+
+// OpenAI chat completions and embeddings
+class OpenAIProvider {
+  constructor(config) {
+    this.config = config;
+    this.client = new OpenAI({ apiKey: config.openai.apiKey });
+    this.embeddings = null;
+  }
+
+  async complete(prompt, { maxTokens, temperature } = {}) {
+    const response = await retryWithExponentialBackoff(() =>
+      this.client.chat.completions.create({
+        model: this.config.model,
+        max_tokens: maxTokens || this.config.maxTokens,
+        temperature: temperature ?? this.config.temperature,
+        messages: [{ role: "user", content: prompt }]
+      })
+    );
+    return response.choices[0].message.content.trim();
+  }
+
+  getEmbeddings() {
+    if (!this.embeddings) {
+      this.embeddings = new OpenAIEmbeddings(this.client, this.config.embeddingModel);
+    }
+    return this.embeddings;
+  }
+}
+
+module.exports = OpenAIProvider;
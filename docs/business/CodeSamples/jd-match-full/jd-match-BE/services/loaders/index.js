@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFLoader } = require('langchain/document_loaders/fs/pdf');
+const { DocxLoader } = require('langchain/document_loaders/fs/docx');
+const { TextLoader } = require('langchain/document_loaders/fs/text');
+const { Document } = require('@langchain/core/documents');
+const WordExtractor = require('word-extractor');
+const { rtfToText } = require('./rtf');
+const { isOcrEnabled, ocrDocument } = require('./ocr');
+
+// Below this many non-whitespace characters per page a PDF is treated as
+// scanned (image only) and sent to OCR
+const MIN_CHARS_PER_PAGE = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE) || 50;
+
+// A load failure with a reason code that ends up in failed_files.reason
+class DocumentLoadError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'DocumentLoadError';
+    this.reason = reason;
+  }
+}
+
+const textLength = docs => docs.reduce((n, d) => n + d.pageContent.replace(/\s/g, '').length, 0);
+
+const loadPdf = async (filePath, source) => {
+  const docs = await new PDFLoader(filePath).load();
+  const pages = Math.max(docs.length, 1);
+  if (textLength(docs) >= MIN_CHARS_PER_PAGE * pages) {
+    return { docs, ocr: false };
+  }
+
+  if (!isOcrEnabled()) {
+    throw new DocumentLoadError('empty_text', 'PDF has no text layer and OCR is disabled');
+  }
+  console.log(`No text layer in ${path.basename(filePath)}, running OCR`);
+  try {
+    const ocrDocs = await ocrDocument(filePath, source, { source: filePath });
+    return { docs: ocrDocs, ocr: true };
+  } catch (error) {
+    throw new DocumentLoadError('ocr_failed', `OCR failed: ${error.message}`);
+  }
+};
+
+const loadDocx = async (filePath) => {
+  return { docs: await new DocxLoader(filePath).load(), ocr: false };
+};
+
+const loadDoc = async (filePath) => {
+  const extracted = await new WordExtractor().extract(filePath);
+  return {
+    docs: [new Document({ pageContent: extracted.getBody(), metadata: { source: filePath } })],
+    ocr: false
+  };
+};
+
+const loadText = async (filePath) => {
+  return { docs: await new TextLoader(filePath).load(), ocr: false };
+};
+
+const loadRtf = async (filePath) => {
+  const rtf = await fs.readFile(filePath, 'latin1');
+  return {
+    docs: [new Document({ pageContent: rtfToText(rtf), metadata: { source: filePath } })],
+    ocr: false
+  };
+};
+
+// Loader and content type per file extension
+const LOADERS = {
+  '.pdf': { load: loadPdf, contentType: 'application/pdf' },
+  '.docx': { load: loadDocx, contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  '.doc': { load: loadDoc, contentType: 'application/msword' },
+  '.txt': { load: loadText, contentType: 'text/plain; charset=utf-8' },
+  '.rtf': { load: loadRtf, contentType: 'application/rtf' }
+};
+
+const extensionOf = filename => path.extname(filename).toLowerCase();
+
+const isSupportedDocument = filename => Boolean(LOADERS[extensionOf(filename)]);
+
+const contentTypeFor = filename => LOADERS[extensionOf(filename)]?.contentType || 'application/octet-stream';
+
+// Load a document into LangChain Documents. `source` is the S3 location of
+// the file, used for OCR of multi-page scans. Throws DocumentLoadError with
+// reason 'unsupported_type', 'empty_text' or 'ocr_failed'.
+const loadDocument = async (filePath, source = {}) => {
+  const loader = LOADERS[extensionOf(filePath)];
+  if (!loader) {
+    throw new DocumentLoadError('unsupported_type', `Unsupported file type: ${extensionOf(filePath) || 'none'}`);
+  }
+
+  const { docs, ocr } = await loader.load(filePath, source);
+  const nonEmpty = docs.filter(d => d.pageContent && d.pageContent.trim());
+  if (!nonEmpty.length) {
+    throw new DocumentLoadError('empty_text', `No text could be extracted from ${path.basename(filePath)}`);
+  }
+  return { docs: nonEmpty, ocr };
+};
+
+module.exports = {
+  DocumentLoadError,
+  SUPPORTED_EXTENSIONS: Object.keys(LOADERS),
+  isSupportedDocument,
+  contentTypeFor,
+  loadDocument
+};
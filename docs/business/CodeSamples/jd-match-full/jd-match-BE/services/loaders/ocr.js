@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const {
+  TextractClient,
+  DetectDocumentTextCommand,
+  StartDocumentTextDetectionCommand,
+  GetDocumentTextDetectionCommand
+} = require('@aws-sdk/client-textract');
+const { Document } = require('@langchain/core/documents');
+const { delay, retryWithExponentialBackoff } = require('../../utils/retry');
+
+const POLL_INTERVAL_MS = 5000;
+const POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+let textract = null;
+const getClient = () => {
+  if (!textract) {
+    textract = new TextractClient({
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      },
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+  }
+  return textract;
+};
+
+const isOcrEnabled = () => (process.env.OCR_PROVIDER || 'textract') !== 'none';
+
+// Group Textract LINE blocks into one Document per page
+const blocksToDocuments = (blocks, metadata) => {
+  const pages = new Map();
+  for (const block of blocks) {
+    if (block.BlockType !== 'LINE') {
+      continue;
+    }
+    const page = block.Page || 1;
+    if (!pages.has(page)) {
+      pages.set(page, []);
+    }
+    pages.get(page).push(block.Text);
+  }
+  return Array.from(pages.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([pageNumber, lines]) => new Document({
+      pageContent: lines.join('\n'),
+      metadata: { ...metadata, ocr: true, loc: { pageNumber } }
+    }));
+};
+
+// Multi-page PDFs have to go through the asynchronous API, which reads the
+// file straight from S3
+const detectFromS3 = async (bucket, key) => {
+  const client = getClient();
+  const { JobId } = await retryWithExponentialBackoff(() => client.send(new StartDocumentTextDetectionCommand({
+    DocumentLocation: { S3Object: { Bucket: bucket, Name: key } }
+  })));
+
+  const started = Date.now();
+  while (true) {
+    await delay(POLL_INTERVAL_MS);
+    const first = await retryWithExponentialBackoff(() => client.send(new GetDocumentTextDetectionCommand({ JobId })));
+    if (first.JobStatus === 'IN_PROGRESS') {
+      if (Date.now() - started > POLL_TIMEOUT_MS) {
+        throw new Error(`Textract job ${JobId} timed out`);
+      }
+      continue;
+    }
+    if (first.JobStatus !== 'SUCCEEDED' && first.JobStatus !== 'PARTIAL_SUCCESS') {
+      throw new Error(`Textract job ${JobId} ended with status ${first.JobStatus}: ${first.StatusMessage || ''}`);
+    }
+
+    const blocks = [...(first.Blocks || [])];
+    let nextToken = first.NextToken;
+    while (nextToken) {
+      const page = await retryWithExponentialBackoff(() => client.send(new GetDocumentTextDetectionCommand({ JobId, NextToken: nextToken })));
+      blocks.push(...(page.Blocks || []));
+      nextToken = page.NextToken;
+    }
+    return blocks;
+  }
+};
+
+// Without an S3 location only single-page documents can be sent inline
+const detectFromBytes = async (filePath) => {
+  const bytes = await fs.readFile(filePath);
+  const response = await retryWithExponentialBackoff(() => getClient().send(new DetectDocumentTextCommand({
+    Document: { Bytes: bytes }
+  })));
+  return response.Blocks || [];
+};
+
+const ocrDocument = async (filePath, { bucket, key } = {}, metadata = {}) => {
+  const blocks = bucket && key
+    ? await detectFromS3(bucket, key)
+    : await detectFromBytes(filePath);
+  return blocksToDocuments(blocks, metadata);
+};
+
+module.exports = {
+  isOcrEnabled,
+  ocrDocument
+};
@@ -0,0 +1,129 @@
+// Minimal RTF to plain text conversion: enough for resumes saved from Word,
+// which are mostly paragraphs, tables and a few special characters.
+
+// Groups whose content is never visible text
+const SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl',
+  'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore'
+]);
+
+// Index after the `count` fallback characters that follow a \uN. A \'xx
+// escape or a control word counts as one character (Word writes
+// \u233\'e9 for é), and the fallback never runs past the group's end.
+const skipFallback = (rtf, i, count) => {
+  for (let n = 0; n < count && i < rtf.length; n++) {
+    const ch = rtf[i];
+    if (ch === '{' || ch === '}') {
+      break;
+    }
+    if (ch !== '\\') {
+      i++;
+    } else if (rtf[i + 1] === "'") {
+      i += 4;
+    } else {
+      const word = /^[a-zA-Z]+(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      i += word ? 1 + word[0].length : 2;
+    }
+  }
+  return i;
+};
+
+const rtfToText = (rtf) => {
+  const out = [];
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1;
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push({ skip, ucSkip });
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      i++;
+      continue;
+    }
+    if (ch !== '\\') {
+      if (!skip && ch !== '\r' && ch !== '\n') {
+        out.push(ch);
+      }
+      i++;
+      continue;
+    }
+
+    // Control symbol or word
+    const next = rtf[i + 1];
+    if (next === '\\' || next === '{' || next === '}') {
+      if (!skip) {
+        out.push(next);
+      }
+      i += 2;
+      continue;
+    }
+    if (next === '*') {
+      skip = true;
+      i += 2;
+      continue;
+    }
+    if (next === "'") {
+      if (!skip) {
+        out.push(String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16)));
+      }
+      i += 4;
+      continue;
+    }
+    if (next === '~') {
+      if (!skip) {
+        out.push(' ');
+      }
+      i += 2;
+      continue;
+    }
+
+    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+    if (!match) {
+      i += 2;
+      continue;
+    }
+    const [whole, word, param] = match;
+    i += 1 + whole.length;
+
+    if (SKIP_DESTINATIONS.has(word)) {
+      skip = true;
+    } else if (skip) {
+      continue;
+    } else if (word === 'par' || word === 'line' || word === 'row' || word === 'sect' || word === 'page') {
+      out.push('\n');
+    } else if (word === 'tab' || word === 'cell') {
+      out.push('\t');
+    } else if (word === 'uc') {
+      ucSkip = parseInt(param, 10) || 0;
+    } else if (word === 'u') {
+      let code = parseInt(param, 10);
+      if (code < 0) {
+        code += 65536;
+      }
+      out.push(String.fromCharCode(code));
+      i = skipFallback(rtf, i, ucSkip);
+    } else if (word === 'bullet') {
+      out.push('•');
+    } else if (word === 'emdash') {
+      out.push('—');
+    } else if (word === 'endash') {
+      out.push('–');
+    }
+  }
+
+  return out.join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+module.exports = { rtfToText };
@@ -0,0 +1,77 @@
+const { z } = require('zod');
+
+// Scoring criteria, in the order the prompt lists them
+const CRITERIA = ['skills', 'languages', 'experience', 'roleFit'];
+
+// LLMs sometimes return "85" or 85.5; accept both and keep it in 0-100
+const scoreSchema = z.coerce.number()
+  .finite()
+  .transform(n => Math.max(0, Math.min(100, Math.round(n))));
+
+const skillListSchema = z.preprocess(
+  value => (typeof value === 'string' ? value.split(',') : value),
+  z.array(z.coerce.string().trim()).transform(list => list.filter(Boolean))
+).default([]);
+
+const candidateMatchSchema = z.object({
+  score: scoreSchema,
+  criteria: z.object(Object.fromEntries(CRITERIA.map(name => [name, scoreSchema]))),
+  matchedSkills: skillListSchema,
+  missingSkills: skillListSchema,
+  rationale: z.coerce.string().trim().max(1000).default('')
+});
+
+// Validate the filename -> breakdown map returned for one batch. Entries for
+// unknown files or that fail the schema are dropped and reported.
+const validateMatches = (obj, filenames) => {
+  if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+    throw new Error('LLM response is not a JSON object');
+  }
+
+  const valid = new Set(filenames);
+  const matches = {};
+  const rejected = [];
+  for (const [filename, value] of Object.entries(obj)) {
+    if (!valid.has(filename)) {
+      continue;
+    }
+    const result = candidateMatchSchema.safeParse(value);
+    if (result.success) {
+      matches[filename] = result.data;
+    } else {
+      rejected.push({ filename, issues: result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`) });
+    }
+  }
+  return { matches, rejected };
+};
+
+// JD tags sent back after the recruiter reviewed them. Lists may arrive as
+// arrays; the hard-requirement keys extractJdTags also returns pass through.
+const tagListSchema = z.preprocess(
+  value => (Array.isArray(value) ? value.join(', ') : value ?? ''),
+  z.coerce.string().trim().max(2000)
+);
+
+const jdTagsSchema = z.object({
+  'Skills': tagListSchema,
+  'Programming Languages': tagListSchema,
+  'Years of experience': z.preprocess(
+    value => (value === '' || value === undefined ? null : value),
+    z.coerce.number().min(0).max(60).nullable()
+  )
+}).passthrough();
+
+const parseJdTags = (input) => {
+  const result = jdTagsSchema.safeParse(input);
+  if (!result.success) {
+    return { error: result.error.issues.map(i => `${i.path.join('.') || 'jdTags'}: ${i.message}`).join('; ') };
+  }
+  return { jdTags: result.data };
+};
+
+module.exports = {
+  CRITERIA,
+  candidateMatchSchema,
+  validateMatches,
+  parseJdTags
+};
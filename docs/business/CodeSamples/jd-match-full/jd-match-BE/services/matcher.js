@@ -0,0 +1,362 @@
+const path = require('path');
+const fs = require('fs');
+const resumeStore = require('./resumeStore');
+const ResumeRetriever = require('./resumeRetriever');
+const ResumeScorer = require('./resumeScorer');
+const { getLLMProvider } = require('./llm');
+const { constraintsFromJd, mergeConstraints, applyConstraints } = require('./constraints');
+const { rerankWithFeedback, calibrationFor } = require('./feedback');
+const { DEFAULT_PROFILE, profileSummary: scoringProfileSummary } = require('./scoringProfiles');
+const { JD_SKILL_KEYS, getOntology, normalizeSkills, normalizeTags, withAncestors, skillOverlap } = require('./skillOntology');
+const { documentsByCandidate } = require('./supportingDocuments');
+
+// What to do with resumes the fraud analysis rated risky: only report it
+// ('flag'), lower their score ('demote'), or drop high-risk ones ('exclude')
+const FRAUD_POLICIES = ['flag', 'demote', 'exclude'];
+
+// Errors the route should answer with a specific status instead of a 500
+class MatchError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MatchError';
+    this.status = status;
+  }
+}
+
+const parseLLMOutput = (responseText) => {
+  try {
+    // Remove any code block marks and clean the text
+    responseText = responseText
+      .trim()
+      .replace(/^\`\`\`json|\`\`\`|\`/g, '') // Remove ```json, ``` or ` marks
+      .replace(/\n/g, '')  // Remove newlines
+      .replace(/\s+/g, ' ')  // Normalize whitespace
+      .trim();
+
+    // Try parsing as JSON
+    return JSON.parse(responseText);
+  } catch (error) {
+    console.error(`Could not parse LLM output as JSON: ${error}`);
+    console.log('Output was:\n', responseText);
+    return null;
+  }
+};
+
+const copyFilteredPdfs = (filteredFiles) => {
+  const sourceDir = path.resolve(__dirname, '..', '..');
+  const outputDir = process.env.OUTPUT_DIR;
+  const done = [];
+  const notFound = [];
+
+  for (const filename of filteredFiles) {
+    const srcPath = path.join(sourceDir, filename);
+    const dstPath = path.join(outputDir, filename);
+
+    try {
+      if (fs.existsSync(srcPath)) {
+        fs.copyFileSync(srcPath, dstPath);
+        done.push(filename);
+      } else {
+        notFound.push(filename);
+      }
+    } catch (error) {
+      console.error(`Error copying ${filename}:`, error);
+      notFound.push(filename);
+    }
+  }
+
+  return { done, notFound };
+};
+
+// The profile fields shown next to a match
+const profileSummary = (row) => {
+  if (!row) {
+    return null;
+  }
+  const profile = row.profile || {};
+  return {
+    resumeId: row.resume_id,
+    name: profile.name || null,
+    location: profile.location || null,
+    visaStatus: profile.visaStatus || null,
+    clearance: profile.clearance || null,
+    hourlyRate: profile.hourlyRate ?? null,
+    yearsOfExperience: profile.yearsOfExperience ?? row['Years of experience'] ?? null,
+    currentTitle: profile.employers?.[0]?.title || row['Job title'] || null
+  };
+};
+
+const candidateKey = row => (row.candidate_id ? `c${row.candidate_id}` : `f${row.resume_file_name}`);
+
+const bestDistance = (evidence, filename) => evidence[filename]?.[0]?.distance ?? Infinity;
+
+// Keep one row per candidate for scoring: the version retrieval ranked
+// closest. Rows arrive newest first, so without retrieval the newest wins.
+const pickRepresentatives = (rows, evidence) => {
+  const best = new Map();
+  for (const row of rows) {
+    const key = candidateKey(row);
+    const current = best.get(key);
+    if (!current || bestDistance(evidence, row['resume_file_name']) < bestDistance(evidence, current['resume_file_name'])) {
+      best.set(key, row);
+    }
+  }
+  return Array.from(best.values());
+};
+
+// Every stored version of each candidate, for linking from a match
+const versionsByCandidate = (rows) => {
+  const versions = new Map();
+  for (const row of rows) {
+    const key = candidateKey(row);
+    if (!versions.has(key)) {
+      versions.set(key, []);
+    }
+    versions.get(key).push({ filename: row['resume_file_name'], resumeId: row.resume_id });
+  }
+  return versions;
+};
+
+const isHighRisk = row => row.fraud?.riskLevel === 'high';
+
+// A row's skills and languages as canonical names
+const listedSkills = (row, ontology) => normalizeSkills([row['Skills'], row['Programming Languages']], ontology);
+
+// Cut each medium or high-risk score by half its risk score as a percentage,
+// so a resume with risk 70 scoring 80 drops to 52, and re-select the top N
+const demoteRisky = (matchResult, rowsByFile, { topn, threshold }) => {
+  const scores = { ...matchResult.scores };
+  const details = { ...matchResult.details };
+  for (const [filename, detail] of Object.entries(details)) {
+    const fraud = rowsByFile.get(filename)?.fraud;
+    if (!fraud || fraud.riskLevel === 'low') {
+      continue;
+    }
+    const fraudPenalty = Math.round(detail.score * fraud.riskScore / 200);
+    scores[filename] = detail.score - fraudPenalty;
+    details[filename] = { ...detail, score: scores[filename], fraudPenalty };
+  }
+  return {
+    ...matchResult,
+    scores,
+    details,
+    selected: ResumeScorer.selectTop(scores, { topn, threshold })
+  };
+};
+
+class ResumeMatcher {
+  constructor(llm = getLLMProvider()) {
+    this.llm = llm;
+    this.retriever = new ResumeRetriever(llm.getEmbeddings());
+    this.scorer = new ResumeScorer(llm);
+  }
+
+  async extractJdTags(jdText) {
+    const prompt = `Given the following job description, extract:
+- Skills (comma-separated)
+- Programming Languages (comma-separated)
+- Years of experience required (integer, use the highest if a range is provided, or estimate if not explicit)
+- Must-have skills: only the skills the JD marks as required or mandatory (comma-separated, empty if none)
+- Min years and Max years of experience the JD states (numbers, null if not stated)
+- Location of the role (e.g. "Dallas, TX"; comma-separate alternatives with " / "; empty if not stated)
+- Remote: true if the role is fully remote, otherwise false
+- Visa statuses the JD accepts (comma-separated from: US Citizen, Green Card, GC EAD, H1B, H4 EAD, L1, L2 EAD, OPT, CPT, TN; empty if not stated)
+- Max rate: the highest hourly rate in USD the JD allows (number, null if not stated)
+Respond ONLY with valid JSON using the keys: 'Skills', 'Programming Languages', 'Years of experience', 'Must-have skills', 'Min years', 'Max years', 'Location', 'Remote', 'Visa statuses', 'Max rate'.
+
+Job Description:
+${jdText}`;
+
+    try {
+      const content = await this.llm.complete(prompt, { task: 'jd-tags', input: { jdText } });
+      const parsedContent = parseLLMOutput(content);
+      if (!parsedContent) {
+        throw new Error('Failed to parse LLM response');
+      }
+      return normalizeTags(parsedContent, await getOntology(), JD_SKILL_KEYS);
+    } catch (error) {
+      console.error('Error extracting JD tags:', error);
+      return null;
+    }
+  }
+
+  // Retrieve the nearest of `rows` from the FAISS indexes so only that
+  // shortlist is sent to the LLM. Rows without an index can't be ranked, so
+  // they are kept rather than dropped. Falls back to the whole pool when
+  // there are no indexes or retrieval fails.
+  async retrieve(jdText, rows) {
+    const evidence = {};
+    try {
+      const retrieved = await this.retriever.search(jdText, {
+        chunkK: parseInt(process.env.RETRIEVAL_CHUNK_K) || 200,
+        maxResumes: parseInt(process.env.RETRIEVAL_MAX_RESUMES) || 50,
+        allowedFiles: new Set(rows.map(row => row['resume_file_name']))
+      });
+      if (!retrieved) {
+        console.warn('No FAISS indexes found, scoring the full resume pool');
+        return { candidates: rows, evidence };
+      }
+      for (const hit of retrieved.resumes) {
+        evidence[hit.filename] = hit.evidence;
+      }
+      const unindexed = rows.filter(row => !retrieved.indexedFiles.has(row['resume_file_name']));
+      const candidates = rows.filter(row => evidence[row['resume_file_name']]).concat(unindexed);
+      console.log(`Retrieved ${candidates.length - unindexed.length} candidate resumes from FAISS, plus ${unindexed.length} without an index`);
+      return { candidates, evidence };
+    } catch (error) {
+      console.error('Error retrieving resumes from FAISS, scoring the full resume pool:', error);
+      return { candidates: rows, evidence };
+    }
+  }
+
+  // Match a JD against the candidate store. Hard constraints from the JD,
+  // overridden by any the recruiter sent, filter the pool before retrieval
+  // and LLM scoring; `fraudPolicy` is one of FRAUD_POLICIES. `jdTags` the
+  // recruiter already reviewed are used instead of extracting them again.
+  // `feedback` is the requisition's good/bad fit verdicts, used to re-rank;
+  // `calibration` the acceptance rate per score band (services/feedback).
+  // `scoringProfile` sets criterion weights, the threshold and, unless
+  // `topn` is given, how many resumes are selected. Skills on both sides are
+  // compared as canonical names from the skills ontology, and each result
+  // gets a deterministic `skillOverlap` next to the LLM's score.
+  async match({
+    jdText,
+    jdTags: reviewedTags = null,
+    topn = null,
+    constraints = {},
+    fraudPolicy = 'flag',
+    feedback = [],
+    calibration = null,
+    scoringProfile = DEFAULT_PROFILE
+  }) {
+    if (!jdText) {
+      throw new MatchError(400, 'Job description is required');
+    }
+    const { threshold, weights } = scoringProfile;
+    topn = topn || scoringProfile.topn;
+
+    const ontology = await getOntology();
+
+    // Load resume tags from the candidate store. `canonicalSkills` includes
+    // the skills each listed one implies, so Spring Boot meets a must-have Java.
+    const resumeData = (await resumeStore.loadResumeRows())
+      .map(row => ({ ...row, canonicalSkills: withAncestors(listedSkills(row, ontology), ontology) }));
+    if (!resumeData.length) {
+      throw new MatchError(404, 'No resume data found in the candidate store');
+    }
+
+    // Extract JD tags
+    const jdTags = reviewedTags
+      ? normalizeTags(reviewedTags, ontology, JD_SKILL_KEYS)
+      : await this.extractJdTags(jdText);
+    if (!jdTags) {
+      throw new MatchError(400, 'Could not extract tags from job description');
+    }
+    console.log('JD Tags:', jdTags);
+    const requiredSkills = normalizeSkills(JD_SKILL_KEYS.map(key => jdTags[key]), ontology);
+
+    const applied = mergeConstraints(constraintsFromJd(jdTags), constraints);
+    applied.constraints.mustHaveSkills = normalizeSkills(applied.constraints.mustHaveSkills || [], ontology);
+    const { passed: meetsConstraints, excluded, unverified } = applyConstraints(resumeData, applied.constraints);
+    console.log(`${meetsConstraints.length} of ${resumeData.length} resumes meet the hard constraints`);
+
+    let passed = meetsConstraints;
+    if (fraudPolicy === 'exclude') {
+      passed = meetsConstraints.filter(row => !isHighRisk(row));
+      for (const row of meetsConstraints.filter(isHighRisk)) {
+        excluded.push({
+          filename: row['resume_file_name'],
+          reasons: [`High fraud risk (${row.fraud.riskScore}): ${row.fraud.reasons.map(r => r.detail).join('; ')}`]
+        });
+      }
+    }
+
+    const retrieved = passed.length
+      ? await this.retrieve(jdText, passed)
+      : { candidates: [], evidence: {} };
+    const { evidence } = retrieved;
+    // Score one version per person so duplicates don't crowd the top N
+    const candidates = pickRepresentatives(retrieved.candidates, evidence);
+    const versions = versionsByCandidate(resumeData);
+
+    const rowsByFile = new Map(candidates.map(row => [row['resume_file_name'], row]));
+
+    let matchResult = candidates.length
+      ? await this.scorer.findBestResumes(jdTags, candidates, { topn, threshold, weights, evidence })
+      : { selected: [], scores: {}, details: {}, failedBatches: [] };
+    if (fraudPolicy === 'demote') {
+      matchResult = demoteRisky(matchResult, rowsByFile, { topn, threshold });
+    }
+    const reranked = rerankWithFeedback(matchResult, rowsByFile, feedback, {
+      selectTop: scores => ResumeScorer.selectTop(scores, { topn, threshold })
+    });
+    matchResult = reranked.matchResult;
+    excluded.push(...reranked.excluded);
+
+    // Ensure we have valid data
+    const selected = matchResult.selected || [];
+    const scores = matchResult.scores || {};
+    console.log('Final Selected:', selected);
+
+    // Copy PDFs for any selected resumes
+    const copyResult = copyFilteredPdfs(selected);
+    console.log('Copy Result:', copyResult);
+
+    // Certificates and RTRs attached to the scored candidates
+    const documents = await documentsByCandidate(candidates.map(row => row.candidate_id));
+
+    const response = {
+      success: selected.length > 0,
+      jdTags,
+      constraints: applied.constraints,
+      constraintSources: applied.sources,
+      fraudPolicy,
+      scoringProfile: scoringProfileSummary(scoringProfile),
+      skillOntologyVersion: ontology.version,
+      excluded,
+      matchingResumes: copyResult.done,
+      notFound: copyResult.notFound,
+      scores,
+      scoredCount: Object.keys(scores).length,
+      failedBatches: matchResult.failedBatches || [],
+      results: Object.entries(matchResult.details || {})
+        .map(([filename, detail]) => {
+          const row = rowsByFile.get(filename);
+          return {
+            filename,
+            ...detail,
+            evidence: evidence[filename] || [],
+            unverified: unverified[filename] || [],
+            candidateId: row?.candidate_id ?? null,
+            versions: row ? versions.get(candidateKey(row)) : [],
+            fraud: row?.fraud || null,
+            documents: documents.get(row?.candidate_id) || [],
+            profile: profileSummary(row),
+            skillOverlap: row ? skillOverlap(requiredSkills, listedSkills(row, ontology), ontology) : null,
+            calibration: calibrationFor(detail.score, calibration)
+          };
+        })
+        .sort((a, b) => b.score - a.score),
+      evidence: Object.fromEntries(
+        Object.keys(scores).map(filename => [filename, evidence[filename] || []])
+      )
+    };
+
+    // Add message only if no matches found
+    if (!passed.length) {
+      response.message = 'No resumes meet the hard constraints for this JD';
+    } else if (selected.length === 0) {
+      response.message = `No resumes scoring ${threshold}% or more were found for this JD`;
+    }
+
+    return response;
+  }
+}
+
+module.exports = {
+  FRAUD_POLICIES,
+  ResumeMatcher,
+  MatchError,
+  parseLLMOutput,
+  profileSummary
+};
@@ -0,0 +1,136 @@
+const { Op } = require('sequelize');
+const { sequelize, PipelineEntry, PipelineEvent, Resume, ResumeProfile, Search, User } = require('../models');
+
+// In board order. Candidates can move between any two stages, e.g. back from
+// Rejected when a client changes their mind.
+const STAGES = ['shortlisted', 'submitted', 'interview', 'rejected', 'placed'];
+
+class PipelineError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+  }
+}
+
+const cleanNote = note => (typeof note === 'string' && note.trim() ? note.trim() : null);
+
+const entryInclude = [
+  {
+    model: Resume,
+    as: 'resume',
+    attributes: ['id', 'jobTitle', 'yearsOfExperience'],
+    include: [{ model: ResumeProfile, as: 'profile', attributes: ['name', 'location', 'visaStatus'] }]
+  },
+  {
+    model: PipelineEvent,
+    as: 'events',
+    attributes: ['id', 'fromStage', 'toStage', 'note', 'createdAt'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'email'] }]
+  }
+];
+
+const getEntry = async (requisitionId, entryId) => PipelineEntry.findOne({
+  where: { id: entryId, requisitionId },
+  include: entryInclude,
+  order: [[{ model: PipelineEvent, as: 'events' }, 'id', 'ASC']]
+});
+
+// A requisition's pipeline, each entry with its history oldest first
+const listPipeline = async (requisitionId) => PipelineEntry.findAll({
+  where: { requisitionId },
+  include: entryInclude,
+  order: [['updatedAt', 'DESC'], [{ model: PipelineEvent, as: 'events' }, 'id', 'ASC']]
+});
+
+// Shortlist a resume from the requisition's results. The score is read from
+// the search it came from rather than trusted from the client. One entry per
+// candidate: another version of someone already in the pipeline is refused.
+const shortlist = async ({ requisition, fileName, searchId = null, note = null, userId }) => {
+  const resume = await Resume.findOne({ where: { fileName }, attributes: ['id', 'fileName', 'candidateId'] });
+  if (!resume) {
+    throw new PipelineError(404, 'Resume not found');
+  }
+
+  let score = null;
+  if (searchId) {
+    const search = await Search.findOne({ where: { id: searchId, requisitionId: requisition.id } });
+    if (!search) {
+      throw new PipelineError(404, 'Search not found');
+    }
+    score = (search.response.results || []).find(result => result.filename === fileName)?.score ?? null;
+  }
+
+  const existing = await PipelineEntry.findOne({
+    where: {
+      requisitionId: requisition.id,
+      [Op.or]: [
+        { resumeId: resume.id },
+        ...(resume.candidateId ? [{ candidateId: resume.candidateId }] : [])
+      ]
+    }
+  });
+  if (existing) {
+    throw new PipelineError(409, `Already in the pipeline as ${existing.fileName}`);
+  }
+
+  const entry = await sequelize.transaction(async (transaction) => {
+    const created = await PipelineEntry.create({
+      requisitionId: requisition.id,
+      resumeId: resume.id,
+      candidateId: resume.candidateId,
+      fileName: resume.fileName,
+      score,
+      searchId,
+      stage: 'shortlisted',
+      createdBy: userId
+    }, { transaction });
+    await PipelineEvent.create({
+      entryId: created.id,
+      fromStage: null,
+      toStage: 'shortlisted',
+      note: cleanNote(note),
+      createdBy: userId
+    }, { transaction });
+    return created;
+  });
+  return getEntry(requisition.id, entry.id);
+};
+
+// Move an entry to `stage`, or leave it where it is and add a note
+const moveEntry = async ({ requisition, entryId, stage = null, note = null, userId }) => {
+  if (stage !== null && !STAGES.includes(stage)) {
+    throw new PipelineError(400, `stage must be one of: ${STAGES.join(', ')}`);
+  }
+  note = cleanNote(note);
+  const entry = await PipelineEntry.findOne({ where: { id: entryId, requisitionId: requisition.id } });
+  if (!entry) {
+    throw new PipelineError(404, 'Pipeline entry not found');
+  }
+  const toStage = stage || entry.stage;
+  if (toStage === entry.stage && !note) {
+    throw new PipelineError(400, 'Give a new stage or a note');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await PipelineEvent.create({
+      entryId: entry.id,
+      fromStage: entry.stage,
+      toStage,
+      note,
+      createdBy: userId
+    }, { transaction });
+    entry.set({ stage: toStage });
+    entry.changed('updatedAt', true);
+    await entry.save({ transaction });
+  });
+  return getEntry(requisition.id, entry.id);
+};
+
+module.exports = {
+  STAGES,
+  PipelineError,
+  listPipeline,
+  shortlist,
+  moveEntry
+};
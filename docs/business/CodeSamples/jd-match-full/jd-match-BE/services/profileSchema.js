@@ -0,0 +1,124 @@
+const { z } = require('zod');
+
+// Work authorisation categories recruiters filter on
+const VISA_STATUSES = [
+  'US Citizen', 'Green Card', 'GC EAD', 'H1B', 'H4 EAD', 'L1', 'L2 EAD', 'OPT', 'CPT', 'TN', 'Other'
+];
+
+// Map free text (from the LLM or a file name like "H4EAD_Jane") onto a
+// VISA_STATUSES entry
+const VISA_PATTERNS = [
+  ['US Citizen', /\b(u\.?s\.? ?citizen|usc)\b/i],
+  ['GC EAD', /\bgc[\s_-]*ead\b/i],
+  ['Green Card', /\b(green ?card|gc|permanent resident)\b/i],
+  ['H4 EAD', /h[\s_-]*4[\s_-]*ead/i],
+  ['L2 EAD', /l[\s_-]*2[\s_-]*ead/i],
+  ['H1B', /h[\s_-]*1[\s_-]*b/i],
+  ['L1', /\bl[\s_-]*1\b/i],
+  ['OPT', /\b(stem[\s_-]*)?opt\b/i],
+  ['CPT', /\bcpt\b/i],
+  // "TN" alone is also Tennessee ("Nashville, TN"), so it needs visa context
+  // unless it is the whole value
+  ['TN', /\btn[\s-]*1?[\s-]*(visa|status)\b|\b(nafta|usmca)[\s-]*tn\b|^\s*tn\s*$/i]
+];
+
+const visaFromText = (text) => {
+  if (!text) {
+    return null;
+  }
+  const normalized = String(text).replace(/_/g, ' ');
+  for (const [status, pattern] of VISA_PATTERNS) {
+    if (pattern.test(normalized)) {
+      return status;
+    }
+  }
+  return null;
+};
+
+const normalizeVisaStatus = (value) => {
+  if (!value) {
+    return null;
+  }
+  return visaFromText(value) || (VISA_STATUSES.includes(value) ? value : 'Other');
+};
+
+// Vendor file names often lead with the rate, e.g. "72$_Prashant..." or
+// "55w2_Prashaanth..."
+const rateFromFileName = (fileName) => {
+  const match = /^(\d{2,3})\s*(?:\$|w2|c2c|1099)/i.exec(String(fileName || ''));
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const optionalText = z.preprocess(
+  value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim().slice(0, 255)),
+  z.string().nullable()
+).default(null);
+
+const listOf = item => z.preprocess(
+  value => (Array.isArray(value) ? value : []),
+  z.array(item.nullable().catch(null)).transform(list => list.filter(Boolean))
+).default([]);
+
+const employerSchema = z.object({
+  employer: optionalText,
+  title: optionalText,
+  location: optionalText,
+  startDate: optionalText,
+  endDate: optionalText,
+  current: z.preprocess(value => value === true || value === 'true', z.boolean())
+});
+
+const educationSchema = z.object({
+  institution: optionalText,
+  degree: optionalText,
+  field: optionalText,
+  graduationYear: optionalText
+});
+
+const certificationSchema = z.preprocess(
+  value => (typeof value === 'string' ? { name: value } : value),
+  z.object({
+    name: z.string().trim().min(1),
+    issuer: optionalText,
+    year: optionalText
+  })
+);
+
+const profileSchema = z.object({
+  name: optionalText,
+  location: optionalText,
+  visaStatus: optionalText,
+  clearance: optionalText,
+  hourlyRate: z.preprocess(
+    value => {
+      const rate = parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+      return Number.isFinite(rate) && rate > 0 ? rate : null;
+    },
+    z.number().nullable()
+  ).default(null),
+  employers: listOf(employerSchema),
+  education: listOf(educationSchema),
+  certifications: listOf(certificationSchema)
+});
+
+// Validate an LLM profile reply. Invalid replies give an empty profile
+// rather than failing the resume; the visa falls back to the file name.
+const parseProfile = (obj, { fileName } = {}) => {
+  const result = profileSchema.safeParse(obj || {});
+  const profile = result.success ? result.data : profileSchema.parse({});
+  if (!result.success) {
+    console.warn('Invalid resume profile from LLM:', result.error.issues.map(i => i.message).join('; '));
+  }
+  profile.visaStatus = normalizeVisaStatus(profile.visaStatus) || visaFromText(fileName);
+  profile.hourlyRate = profile.hourlyRate ?? rateFromFileName(fileName);
+  return profile;
+};
+
+module.exports = {
+  VISA_STATUSES,
+  visaFromText,
+  normalizeVisaStatus,
+  rateFromFileName,
+  profileSchema,
+  parseProfile
+};
@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { Resume, ResumeProfile, SupportingDocument } = require('../models');
+const { s3Client, bucket } = require('../config/s3');
+const { loadDocument } = require('./loaders');
+const { can } = require('../config/permissions');
+
+// Downloads are how resumes reach clients, so until the candidate's RTR is
+// on file they are redacted for everyone
+const REQUIRE_RTR_FOR_DOWNLOAD = process.env.REDACTION_REQUIRE_RTR_FOR_DOWNLOAD !== 'false';
+
+class RedactionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RedactionError';
+    this.status = status;
+  }
+}
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Circle|Cir|Terrace|Ter|Highway|Hwy|Trail|Trl';
+
+// Contact details, in the order overlapping matches are resolved
+const DETECTORS = [
+  // Text extraction sometimes breaks the line before the @
+  ['email', /[A-Z0-9._%+-]+[ \t]*\n?[ \t]*@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  ['linkedin', /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/[^\s|,;()]+/gi],
+  // (650)669-7364, 650.669.7364, +1 650 669 7364, +91 98765 43210
+  ['phone', /(?<![\w])(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}(?!\d)|\+\d{1,3}[\s.-]?\d{4,5}[\s.-]?\d{4,6}(?!\d)/g],
+  // 1234 N Main St, Apt 5
+  ['address', new RegExp(`\\b\\d{1,6}(?:\\s+[A-Z][\\w.'-]*){1,4}\\s+(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s*(?:Apt|Suite|Ste|Unit|#)\\.?\\s*[\\w-]+)?`, 'g')]
+];
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A candidate's name as written, its parts, and run together the way PDF
+// text extraction often leaves it ("RashmiChoube")
+const namePatterns = names => names
+  .filter(Boolean)
+  .flatMap((name) => {
+    const parts = String(name).split(/\s+/).filter(part => part.replace(/\W/g, '').length > 1);
+    return [name, parts.join(''), ...parts];
+  })
+  .filter((name, i, all) => name && all.indexOf(name) === i)
+  .sort((a, b) => b.length - a.length)
+  .map(name => new RegExp(`(?<![A-Za-z])${escapeRegex(name)}(?![A-Za-z])`, 'gi'));
+
+// Contact PII found in `text`: [{ type, start, end }], in order and without
+// overlaps. `names` are also found when given.
+const detectPii = (text, { names = [] } = {}) => {
+  const detectors = [...DETECTORS, ...namePatterns(names).map(pattern => ['name', pattern])];
+  const found = detectors.flatMap(([type, pattern]) =>
+    [...text.matchAll(pattern)].map(match => ({ type, start: match.index, end: match.index + match[0].length })));
+
+  const spans = [];
+  for (const span of found.sort((a, b) => a.start - b.start || b.end - a.end)) {
+    const last = spans[spans.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      spans.push(span);
+    }
+  }
+  return spans;
+};
+
+// Redacted copy of `text` and how many of each kind of PII were removed
+const redactText = (text, options = {}) => {
+  const spans = detectPii(text, options);
+  let redacted = '';
+  let position = 0;
+  const counts = {};
+  for (const { type, start, end } of spans) {
+    redacted += `${text.slice(position, start)}[${type.toUpperCase()} REDACTED]`;
+    position = end;
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return { text: redacted + text.slice(position), counts };
+};
+
+// The candidate a file belongs to and the name on it, whether it was stored
+// as a resume or as a supporting document
+const fileOwner = async (fileName) => {
+  const resume = await Resume.findOne({
+    where: { fileName },
+    attributes: ['id', 'candidateId'],
+    include: [{ model: ResumeProfile, as: 'profile', attributes: ['name'] }]
+  });
+  if (resume) {
+    return { candidateId: resume.candidateId, name: resume.profile?.name || null };
+  }
+  const document = await SupportingDocument.findOne({ where: { fileName }, attributes: ['candidateId', 'personName'] });
+  return { candidateId: document?.candidateId || null, name: document?.personName || null };
+};
+
+const hasRtr = async candidateId =>
+  Boolean(candidateId) && await SupportingDocument.count({ where: { candidateId, type: 'rtr' } }) > 0;
+
+// Whether `user` gets the redacted view of a file: when they ask for it
+// (?view=redacted), when their role may not see contact details, or for a
+// download of a candidate without a signed RTR. Returns { redact, reason }.
+const redactionFor = async ({ user, fileName, view, download = false }) => {
+  if (!can(user.role, 'resumes:contact')) {
+    return { redact: true, reason: 'role' };
+  }
+  if (download && REQUIRE_RTR_FOR_DOWNLOAD && !await hasRtr((await fileOwner(fileName)).candidateId)) {
+    return { redact: true, reason: 'no_rtr' };
+  }
+  return view === 'redacted' ? { redact: true, reason: 'requested' } : { redact: false, reason: null };
+};
+
+// Text of the original file in S3, extracted the way ingestion does it
+const loadOriginalText = async (s3Key) => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-redaction-'));
+  const tempFilePath = path.join(tempDir, path.basename(s3Key));
+  try {
+    let response;
+    try {
+      response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: s3Key }));
+    } catch (error) {
+      console.error(`Error fetching ${s3Key} from S3: ${error}`);
+      throw new RedactionError(404, 'File not found');
+    }
+    const chunks = [];
+    for await (const chunk of response.Body) {
+      chunks.push(chunk);
+    }
+    await fs.writeFile(tempFilePath, Buffer.concat(chunks));
+    const { docs } = await loadDocument(tempFilePath, { bucket, key: s3Key });
+    return docs.map(doc => doc.pageContent).join('\n\n');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+};
+
+// Text of a stored file, redacted unless `redact` is false. The candidate's
+// name is removed too when `redactName` is set.
+const fileText = async ({ fileName, s3Key, redact = true, redactName = false }) => {
+  const text = await loadOriginalText(s3Key);
+  if (!redact) {
+    return { text, counts: {} };
+  }
+  const names = redactName ? [(await fileOwner(fileName)).name] : [];
+  return redactText(text, { names });
+};
+
+// The built-in PDF fonts only cover Latin-1; resume bullets and symbols
+// outside it are mapped or dropped
+const printable = text => text
+  .replace(/[●▪■◦]/g, '•')
+  .replace(/[^\t\n\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026]/g, '');
+
+// A PDF of redacted text. Redaction works on the extracted text, so the copy
+// is re-typeset rather than the original with boxes drawn over it, which
+// would leave the text underneath.
+const renderRedactedPdf = (text, { title }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: title } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fillColor('#637381').font('Helvetica-Oblique').fontSize(9)
+    .text(`${title} - contact details removed`, { align: 'right' });
+  doc.moveDown();
+  doc.fillColor('#212B36').font('Helvetica').fontSize(10).text(printable(text));
+  doc.end();
+});
+
+// Redacted PDF copy of a stored file: { buffer, fileName }. With the name
+// redacted, the file name (which usually carries it) is replaced too.
+const redactedCopy = async ({ fileName, s3Key, redactName = false }) => {
+  const { text } = await fileText({ fileName, s3Key, redactName });
+  const base = redactName ? 'resume' : path.basename(fileName, path.extname(fileName));
+  return {
+    buffer: await renderRedactedPdf(text, { title: redactName ? 'Redacted resume' : `Redacted copy of ${fileName}` }),
+    fileName: `${base}-redacted.pdf`
+  };
+};
+
+module.exports = {
+  RedactionError,
+  detectPii,
+  redactText,
+  redactionFor,
+  fileText,
+  redactedCopy
+};
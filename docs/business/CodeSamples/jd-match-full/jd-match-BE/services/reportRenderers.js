@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ImageRun,
+  Header,
+  Footer,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  HeadingLevel,
+  ShadingType,
+  AlignmentType,
+  BorderStyle
+} = require('docx');
+
+const MUTED = '#637381';
+const TEXT = '#212B36';
+
+// Logos are optional; a missing or unsupported file is skipped
+const readLogo = (logoPath) => {
+  const type = { '.png': 'png', '.jpg': 'jpg', '.jpeg': 'jpg' }[path.extname(logoPath || '').toLowerCase()];
+  if (!type || !fs.existsSync(logoPath)) {
+    return null;
+  }
+  return { data: fs.readFileSync(logoPath), type };
+};
+
+const dateLabel = date => date.toISOString().slice(0, 10);
+
+const candidateFacts = ({ candidate }) => [
+  ['Current title', candidate.jobTitle],
+  ['Experience', candidate.yearsOfExperience ? `${candidate.yearsOfExperience} years` : null],
+  ['Location', candidate.location],
+  ['Work authorization', candidate.visaStatus],
+  ['Clearance', candidate.clearance]
+].filter(([, value]) => value);
+
+const timelineLine = item => [item.title, item.employer].filter(Boolean).join(', ') || 'Role not stated';
+
+const educationLine = item => [item.degree, item.field, item.institution, item.graduationYear].filter(Boolean).join(', ');
+
+const certificationLine = item => [item.name, item.issuer, item.year].filter(Boolean).join(', ');
+
+// PDF: a brand-coloured band, then one block per section
+const renderPdf = report => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `${report.candidate.name || report.fileName} - ${report.title}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.rect(0, 0, doc.page.width, 70).fill(report.brand.color);
+  const logo = readLogo(report.brand.logoPath);
+  if (logo) {
+    doc.image(logo.data, left, 15, { fit: [120, 40] });
+  }
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(18)
+    .text(report.brand.name, logo ? left + 135 : left, 25, { width: width - 135 });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Generated ${dateLabel(report.generatedAt)}`, left, 30, { width, align: 'right' });
+  doc.y = 95;
+
+  const heading = (text) => {
+    if (doc.y > doc.page.height - 120) {
+      doc.addPage();
+    }
+    doc.moveDown(0.8).fillColor(report.brand.color).font('Helvetica-Bold').fontSize(13).text(text, left, doc.y, { width });
+    doc.moveDown(0.3).fillColor(TEXT).font('Helvetica').fontSize(10);
+  };
+  const body = (text, options = {}) => doc.fillColor(TEXT).font('Helvetica').fontSize(10).text(text, left, doc.y, { width, ...options });
+
+  doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(20).text(report.candidate.name || report.fileName, left, doc.y, { width });
+  doc.fillColor(MUTED).font('Helvetica').fontSize(11).text(`Candidate submission for ${report.title}`, { width });
+  doc.moveDown(0.5);
+  for (const [label, value] of candidateFacts(report)) {
+    doc.fillColor(MUTED).font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+      .fillColor(TEXT).font('Helvetica').text(value);
+  }
+
+  heading('Summary');
+  body(report.summary);
+
+  heading('Match');
+  body(`Overall match: ${report.score}%${report.skillOverlap !== null ? ` · Required skills covered: ${report.skillOverlap}%` : ''}`);
+  doc.moveDown(0.5);
+  for (const { label, score } of report.criteria) {
+    const y = doc.y;
+    doc.fillColor(TEXT).font('Helvetica').fontSize(10).text(label, left, y + 1, { width: 110 });
+    doc.rect(left + 115, y, width - 165, 10).fill('#E5E8EB');
+    if (score) {
+      doc.rect(left + 115, y, (width - 165) * score / 100, 10).fill(report.brand.color);
+    }
+    doc.fillColor(TEXT).text(score === null ? '-' : `${score}%`, left + width - 40, y + 1, { width: 40, align: 'right' });
+    doc.y = y + 18;
+  }
+
+  heading('Skills');
+  body(`Matched: ${report.matchedSkills.join(', ') || 'None listed'}`);
+  doc.moveDown(0.3);
+  body(`Missing: ${report.missingSkills.join(', ') || 'None'}`);
+
+  heading('Experience');
+  if (!report.timeline.length) {
+    body('No employment history could be read from the resume.');
+  }
+  for (const item of report.timeline) {
+    doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(10).text(timelineLine(item), left, doc.y, { width });
+    doc.fillColor(MUTED).font('Helvetica').fontSize(9)
+      .text([item.period, item.location].filter(Boolean).join(' · ') || 'Dates not stated', { width });
+    doc.moveDown(0.4);
+  }
+
+  if (report.education.length || report.certifications.length) {
+    heading('Education & certifications');
+    for (const line of [...report.education.map(educationLine), ...report.certifications.map(certificationLine)]) {
+      body(`• ${line}`);
+    }
+  }
+
+  heading('Recruiter notes');
+  body(report.notes || 'No notes.');
+
+  doc.end();
+});
+
+const docxColor = color => color.replace('#', '');
+
+const docxHeading = (text, report) => new Paragraph({
+  heading: HeadingLevel.HEADING_2,
+  spacing: { before: 240, after: 80 },
+  children: [new TextRun({ text, color: docxColor(report.brand.color), bold: true })]
+});
+
+const docxText = (text, options = {}) => new Paragraph({ children: [new TextRun({ text, ...options })] });
+
+const noBorders = Object.fromEntries(['top', 'bottom', 'left', 'right', 'insideHorizontal', 'insideVertical']
+  .map(side => [side, { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' }]));
+
+const criteriaTable = report => new Table({
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  borders: noBorders,
+  rows: report.criteria.map(({ label, score }) => new TableRow({
+    children: [
+      new TableCell({ width: { size: 40, type: WidthType.PERCENTAGE }, children: [docxText(label)] }),
+      new TableCell({
+        width: { size: 60, type: WidthType.PERCENTAGE },
+        children: [docxText(score === null ? '-' : `${score}%`, { bold: true, color: docxColor(report.brand.color) })]
+      })
+    ]
+  }))
+});
+
+// DOCX: same sections as the PDF, editable so recruiters can adjust the
+// wording before sending it on
+const renderDocx = async (report) => {
+  const logo = readLogo(report.brand.logoPath);
+  const header = new Header({
+    children: [new Paragraph({
+      shading: { type: ShadingType.CLEAR, fill: docxColor(report.brand.color), color: 'auto' },
+      children: [
+        ...(logo ? [new ImageRun({ type: logo.type, data: logo.data, transformation: { width: 120, height: 40 } }), new TextRun('  ')] : []),
+        new TextRun({ text: report.brand.name, bold: true, color: 'FFFFFF', size: 32 })
+      ]
+    })]
+  });
+  const footer = new Footer({
+    children: [new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [new TextRun({ text: `Generated ${dateLabel(report.generatedAt)}`, color: docxColor(MUTED), size: 16 })]
+    })]
+  });
+
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun({ text: report.candidate.name || report.fileName, color: docxColor(TEXT) })] }),
+    docxText(`Candidate submission for ${report.title}`, { color: docxColor(MUTED) }),
+    ...candidateFacts(report).map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true, color: docxColor(MUTED) }), new TextRun(value)]
+    })),
+
+    docxHeading('Summary', report),
+    docxText(report.summary),
+
+    docxHeading('Match', report),
+    docxText(`Overall match: ${report.score}%${report.skillOverlap !== null ? ` · Required skills covered: ${report.skillOverlap}%` : ''}`),
+    criteriaTable(report),
+
+    docxHeading('Skills', report),
+    new Paragraph({ children: [new TextRun({ text: 'Matched: ', bold: true }), new TextRun(report.matchedSkills.join(', ') || 'None listed')] }),
+    new Paragraph({ children: [new TextRun({ text: 'Missing: ', bold: true }), new TextRun(report.missingSkills.join(', ') || 'None')] }),
+
+    docxHeading('Experience', report),
+    ...(report.timeline.length ? report.timeline.flatMap(item => [
+      docxText(timelineLine(item), { bold: true }),
+      new Paragraph({
+        spacing: { after: 120 },
+        children: [new TextRun({ text: [item.period, item.location].filter(Boolean).join(' · ') || 'Dates not stated', color: docxColor(MUTED), size: 18 })]
+      })
+    ]) : [docxText('No employment history could be read from the resume.')]),
+
+    ...(report.education.length || report.certifications.length ? [
+      docxHeading('Education & certifications', report),
+      ...[...report.education.map(educationLine), ...report.certifications.map(certificationLine)]
+        .map(line => new Paragraph({ text: line, bullet: { level: 0 } }))
+    ] : []),
+
+    docxHeading('Recruiter notes', report),
+    ...(report.notes || 'No notes.').split('\n').map(line => docxText(line))
+  ];
+
+  const doc = new Document({
+    creator: report.brand.name,
+    title: `${report.candidate.name || report.fileName} - ${report.title}`,
+    sections: [{ headers: { default: header }, footers: { default: footer }, children }]
+  });
+  return Packer.toBuffer(doc);
+};
+
+module.exports = {
+  renderPdf,
+  renderDocx
+};
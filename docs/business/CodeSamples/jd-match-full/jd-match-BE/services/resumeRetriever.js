@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { FaissStore } = require('@langchain/community/vectorstores/faiss');
+
+const INDEX_SUFFIX = '_faiss';
+const MAX_EVIDENCE_TEXT = 600;
+
+// Resume file name for a stored chunk. Older indexes only carry the temp path
+// the PDF was loaded from, so fall back to its basename.
+const chunkResumeFileName = (doc) => {
+  const metadata = doc.metadata || {};
+  if (metadata.resume_file_name) {
+    return metadata.resume_file_name;
+  }
+  return metadata.source ? path.basename(metadata.source) : null;
+};
+
+class ResumeRetriever {
+  constructor(embedder, faissBaseDir = process.env.FAISS_INDEX_DIR || path.join(__dirname, '..', 'faiss_indexes')) {
+    this.embedder = embedder;
+    this.faissBaseDir = faissBaseDir;
+    this.store = null;
+    this.indexedFiles = new Set();
+    this.signature = null;
+    this.loading = null;
+  }
+
+  // List the per-resume index folders written by processResumeAndStore
+  async listIndexDirs() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.faissBaseDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const dirs = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.endsWith(INDEX_SUFFIX)) {
+        continue;
+      }
+      const dir = path.join(this.faissBaseDir, entry.name);
+      const stat = await fs.stat(path.join(dir, 'faiss.index')).catch(() => null);
+      if (stat) {
+        dirs.push({ dir, mtimeMs: stat.mtimeMs });
+      }
+    }
+    return dirs.sort((a, b) => a.dir.localeCompare(b.dir));
+  }
+
+  // Merge every stored index into one in-memory store. The merged store is
+  // cached and only rebuilt when an index folder is added, removed or rewritten.
+  async getStore() {
+    const dirs = await this.listIndexDirs();
+    const signature = dirs.map(d => `${d.dir}:${d.mtimeMs}`).join('|');
+
+    if (this.store && this.signature === signature) {
+      return this.store;
+    }
+    if (this.loading && this.loading.signature === signature) {
+      return this.loading.promise;
+    }
+
+    const promise = (async () => {
+      let merged = null;
+      let loaded = 0;
+      for (const { dir } of dirs) {
+        try {
+          const store = await FaissStore.load(dir, this.embedder);
+          if (!merged) {
+            merged = store;
+          } else {
+            await merged.mergeFrom(store);
+          }
+          loaded++;
+        } catch (error) {
+          console.error(`Error loading FAISS index ${dir}:`, error.message);
+        }
+      }
+      console.log(`Loaded ${loaded} of ${dirs.length} resume indexes from ${this.faissBaseDir}`);
+      this.store = merged;
+      // Files with at least one chunk in the store
+      this.indexedFiles = new Set(
+        merged ? Array.from(merged.getDocstore()._docs.values()).map(chunkResumeFileName).filter(Boolean) : []
+      );
+      this.signature = signature;
+      return merged;
+    })();
+
+    this.loading = { signature, promise };
+    try {
+      return await promise;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  // Embed the JD, pull the nearest chunks and group them by resume. Resumes are
+  // ranked by their closest chunk; each keeps its best chunks as evidence.
+  // When `allowedFiles` is given, chunks from any other resume are skipped and
+  // the search widens past `chunkK` until `maxResumes` allowed resumes are
+  // found or every chunk has been searched. Returns the ranked resumes and the
+  // files that have an index at all, or null when there are no indexes.
+  async search(jdText, { chunkK = 200, maxResumes = 50, evidencePerResume = 3, allowedFiles = null } = {}) {
+    const store = await this.getStore();
+    if (!store) {
+      return null;
+    }
+
+    const queryVector = await this.embedder.embedQuery(jdText);
+    const indexedFiles = this.indexedFiles;
+    // No need to look further once every allowed resume with an index is found
+    const wanted = Math.min(
+      maxResumes,
+      allowedFiles ? Array.from(allowedFiles).filter(file => indexedFiles.has(file)).length : indexedFiles.size
+    );
+    const total = store.index.ntotal();
+    let k = Math.min(chunkK, total);
+    let byResume = await this.nearestResumes(store, queryVector, k, { evidencePerResume, allowedFiles });
+    while (byResume.size < wanted && k < total) {
+      k = Math.min(k * 4, total);
+      byResume = await this.nearestResumes(store, queryVector, k, { evidencePerResume, allowedFiles });
+    }
+
+    // Hits come back nearest first, so insertion order is already the ranking
+    return { resumes: Array.from(byResume.values()).slice(0, maxResumes), indexedFiles };
+  }
+
+  // The `k` nearest chunks grouped by resume, keyed by file name
+  async nearestResumes(store, queryVector, k, { evidencePerResume, allowedFiles }) {
+    const hits = await store.similaritySearchVectorWithScore(queryVector, k);
+    const byResume = new Map();
+    for (const [doc, distance] of hits) {
+      const filename = doc && chunkResumeFileName(doc);
+      if (!filename || (allowedFiles && !allowedFiles.has(filename))) {
+        continue;
+      }
+      if (!byResume.has(filename)) {
+        byResume.set(filename, { filename, distance, evidence: [] });
+      }
+      const entry = byResume.get(filename);
+      if (entry.evidence.length < evidencePerResume) {
+        entry.evidence.push({
+          text: doc.pageContent.trim().slice(0, MAX_EVIDENCE_TEXT),
+          page: doc.metadata?.loc?.pageNumber ?? null,
+          distance
+        });
+      }
+    }
+    return byResume;
+  }
+}
+
+module.exports = ResumeRetriever;
@@ -0,0 +1,227 @@
+const { isThrottlingError } = require('../utils/retry');
+const { mapWithConcurrency, createRateLimiter } = require('../utils/concurrency');
+const { validateMatches } = require('./matchSchema');
+const { weightedScore } = require('./scoringProfiles');
+
+const mergeRowFields = (row) => {
+  const titles = (row.profile?.employers || []).map(e => e.title).filter(Boolean).slice(0, 3);
+  return `Skills: ${row['Skills'] || ''}\n` +
+    `Programming Languages: ${row['Programming Languages'] || ''}\n` +
+    `Years of experience: ${row['Years of experience'] || ''}\n` +
+    (titles.length ? `Recent titles: ${titles.join('; ')}\n` : '') +
+    (row['Achievements'] ? `Other: ${row['Achievements']}` : '');
+};
+
+const formatEvidence = (evidence = []) => {
+  if (!evidence.length) {
+    return '';
+  }
+  return '\nRelevant resume excerpts:\n' +
+    evidence.map(e => `> ${e.text.replace(/\s+/g, ' ')}`).join('\n');
+};
+
+const buildPrompt = (jdTags, resumes, weights) => {
+  const jdDesc = jdTags ? `Skills: ${jdTags['Skills'] || ''}
+Programming Languages: ${jdTags['Programming Languages'] || ''}
+Years of experience: ${jdTags['Years of experience'] || ''}` : '';
+
+  return `You are an expert recruitment specialist. You will evaluate resumes against a job description and provide match scores.
+
+JOB DESCRIPTION:
+${jdDesc}
+
+KEY REQUIREMENTS:
+- Skills: ${jdTags['Skills']}
+- Programming Languages: ${jdTags['Programming Languages']}
+- Years of Experience: ${jdTags['Years of experience']}
+
+EVALUATION INSTRUCTIONS:
+Review each resume carefully and score based on the following criteria, which count
+towards the overall score by the weight shown:
+1. Technical Skills Match (alignment with required skills): ${weights.skills}
+2. Programming Languages Match: ${weights.languages}
+3. Years of Experience Match: ${weights.experience}
+4. Overall Role & Domain Fit: ${weights.roleFit}
+
+Score Guidelines:
+- 90-100: Perfect match across all criteria
+- 75-89: Strong match with minor gaps
+- 60-74: Good match with some gaps
+- Below 60: Not recommended
+
+REQUIRED OUTPUT FORMAT: Strict JSON object keyed by resume filename. For each resume give the
+overall score, a 0-100 score per criterion, the required skills the resume shows, the required
+skills it is missing, and one or two sentences explaining the score. Example:
+{"resume.pdf": {
+  "score": 85,
+  "criteria": {"skills": 90, "languages": 80, "experience": 75, "roleFit": 90},
+  "matchedSkills": ["React", "AWS"],
+  "missingSkills": ["Kubernetes"],
+  "rationale": "Five years building React front ends on AWS; no container orchestration experience."
+}}
+
+RESUMES TO EVALUATE:
+${resumes.map(res => `${res.filename}:\n${res.summary}`).join('\n---------------------------\n')}`;
+};
+
+// Pull the filename -> breakdown map out of the LLM reply and validate it,
+// keeping only files that were actually in the batch
+const parseMatches = (content, filenames) => {
+  // Strip code fences and anything around the outermost JSON object
+  let cleanedContent = content.replace(/```(json)?/g, '').trim();
+  const jsonMatch = cleanedContent.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    cleanedContent = jsonMatch[0];
+  }
+
+  const { matches, rejected } = validateMatches(JSON.parse(cleanedContent), filenames);
+  if (rejected.length) {
+    console.warn('Dropped invalid match entries:', JSON.stringify(rejected));
+  }
+  return matches;
+};
+
+const clampScore = score => Math.max(0, Math.min(100, Math.round(score)));
+
+class ResumeScorer {
+  constructor(llm, {
+    batchSize = parseInt(process.env.SCORING_BATCH_SIZE) || 10,
+    concurrency = parseInt(process.env.SCORING_CONCURRENCY) || 3,
+    requestsPerMinute = parseInt(process.env.SCORING_REQUESTS_PER_MINUTE) || 30
+  } = {}) {
+    this.llm = llm;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+    this.acquire = createRateLimiter(requestsPerMinute);
+  }
+
+  async invoke(jdTags, batch, weights) {
+    await this.acquire();
+    return this.llm.complete(buildPrompt(jdTags, batch, weights), {
+      task: 'score-resumes',
+      input: { jdTags, resumes: batch }
+    });
+  }
+
+  // Score one batch. The overall score is recomputed from the criterion
+  // scores with the profile's weights rather than taken from the LLM. A batch
+  // whose reply can't be parsed (usually a truncated response) is split in
+  // half and retried once.
+  async scoreBatch(jdTags, batch, weights, canSplit = true) {
+    try {
+      const content = await this.invoke(jdTags, batch, weights);
+      const matches = parseMatches(content, batch.map(r => r.filename));
+      return Object.fromEntries(
+        Object.entries(matches).map(([filename, match]) => [filename, { ...match, score: weightedScore(match.criteria, weights) }])
+      );
+    } catch (error) {
+      if (!canSplit || batch.length < 2 || isThrottlingError(error)) {
+        throw error;
+      }
+      console.warn(`Scoring batch of ${batch.length} failed (${error.message}), retrying as two halves`);
+      const middle = Math.ceil(batch.length / 2);
+      const [first, second] = await Promise.all([
+        this.scoreBatch(jdTags, batch.slice(0, middle), weights, false),
+        this.scoreBatch(jdTags, batch.slice(middle), weights, false)
+      ]);
+      return { ...first, ...second };
+    }
+  }
+
+  // File names scoring at least `threshold`, best first, at most `topn`
+  static selectTop(scores, { topn, threshold }) {
+    return Object.entries(scores)
+      .filter(([_, score]) => score >= threshold)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, topn)
+      .map(([filename]) => filename);
+  }
+
+  // `weights`, `threshold` and `topn` come from the scoring profile the match
+  // runs with (services/scoringProfiles)
+  async findBestResumes(jdTags, resumeData, { topn, threshold, weights, evidence = {} }) {
+    const resumes = resumeData.map(row => ({
+      filename: row['resume_file_name'],
+      summary: mergeRowFields(row) + formatEvidence(evidence[row['resume_file_name']])
+    }));
+
+    if (!resumes.length) {
+      return { selected: [], scores: {}, details: {}, batches: 0, failedBatches: [] };
+    }
+
+    const batches = [];
+    for (let i = 0; i < resumes.length; i += this.batchSize) {
+      batches.push(resumes.slice(i, i + this.batchSize));
+    }
+    console.log(`Scoring ${resumes.length} resumes in ${batches.length} batches`);
+
+    // The first batch is scored on its own. Its best resume then rides along
+    // in every other batch as an anchor, so per-batch drift in the LLM's
+    // scale can be measured and removed when the batches are merged.
+    const failedBatches = [];
+    const batchScores = new Array(batches.length).fill(null);
+    let anchor = null;
+
+    try {
+      batchScores[0] = await this.scoreBatch(jdTags, batches[0], weights);
+      const [best] = Object.entries(batchScores[0]).sort(([, a], [, b]) => b.score - a.score);
+      if (best && batches.length > 1) {
+        anchor = {
+          resume: batches[0].find(r => r.filename === best[0]),
+          score: best[1].score
+        };
+      }
+    } catch (error) {
+      console.error('Error scoring batch 0:', error);
+      failedBatches.push({ index: 0, resumes: batches[0].map(r => r.filename), error: error.message });
+    }
+
+    const rest = await mapWithConcurrency(batches.slice(1), this.concurrency, async (batch) => {
+      const withAnchor = anchor ? [...batch, anchor.resume] : batch;
+      const matches = await this.scoreBatch(jdTags, withAnchor, weights);
+      let offset = 0;
+      if (anchor && matches[anchor.resume.filename]) {
+        offset = anchor.score - matches[anchor.resume.filename].score;
+        delete matches[anchor.resume.filename];
+      }
+      return Object.fromEntries(
+        Object.entries(matches).map(([filename, match]) => [filename, { ...match, score: match.score + offset }])
+      );
+    });
+
+    rest.forEach((result, i) => {
+      const index = i + 1;
+      if (result.error) {
+        console.error(`Error scoring batch ${index}:`, result.error);
+        failedBatches.push({ index, resumes: batches[index].map(r => r.filename), error: result.error.message });
+      } else {
+        batchScores[index] = result.value;
+      }
+    });
+
+    const scores = {};
+    const details = {};
+    for (const batch of batchScores) {
+      for (const [filename, match] of Object.entries(batch || {})) {
+        scores[filename] = clampScore(match.score);
+        details[filename] = { ...match, score: scores[filename] };
+      }
+    }
+
+    const selected = ResumeScorer.selectTop(scores, { topn, threshold });
+    console.log('Selected resumes:', selected);
+    if (failedBatches.length) {
+      console.warn(`${failedBatches.length} of ${batches.length} scoring batches failed`);
+    }
+
+    return {
+      selected,
+      scores,
+      details,
+      batches: batches.length,
+      failedBatches
+    };
+  }
+}
+
+module.exports = ResumeScorer;
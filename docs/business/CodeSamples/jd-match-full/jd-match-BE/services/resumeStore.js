@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const { sequelize, Resume, Skill, ResumeTag, ProcessingRun, FailedFile, ResumeProfile, FraudAssessment, SupportingDocument } = require('../models');
+const { computeYearsOfExperience } = require('../utils/experience');
+const { assignCandidate, ensureCandidate } = require('./dedupe');
+
+// Split an LLM comma list into unique, trimmed names
+const splitList = (value) => {
+  if (Array.isArray(value)) {
+    value = value.join(',');
+  }
+  const seen = new Set();
+  const names = [];
+  for (const raw of String(value || '').split(',')) {
+    const name = raw.trim().slice(0, 191);
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      names.push(name);
+    }
+  }
+  return names;
+};
+
+const parseYears = (value) => {
+  const years = parseInt(value, 10);
+  return Number.isNaN(years) ? null : years;
+};
+
+// Make sure every skill name exists and return them keyed by lower-case name.
+// ignoreDuplicates keeps concurrent runs from failing on the unique index.
+const ensureSkills = async (names, transaction) => {
+  if (!names.length) {
+    return new Map();
+  }
+  await Skill.bulkCreate(names.map(name => ({ name })), { ignoreDuplicates: true, transaction });
+  const skills = await Skill.findAll({ where: { name: names }, transaction });
+  return new Map(skills.map(skill => [skill.name.toLowerCase(), skill]));
+};
+
+const startRun = async ({ source = 's3', bucket = null, prefix = null } = {}) => {
+  return ProcessingRun.create({ source, bucket, prefix, status: 'running', startedAt: new Date() });
+};
+
+const finishRun = async (runId, status = 'completed') => {
+  const [processedCount, failedCount] = await Promise.all([
+    Resume.count({ where: { processingRunId: runId } }),
+    FailedFile.count({ where: { processingRunId: runId } })
+  ]);
+  await ProcessingRun.update(
+    { status, processedCount, failedCount, finishedAt: new Date() },
+    { where: { id: runId } }
+  );
+};
+
+// Insert or replace a resume, its tags and its profile in one transaction,
+// so two runs touching the same file never leave it half-written.
+// Years of experience come from the profile's employment spans when there
+// are any, and only fall back to the LLM's estimate otherwise. With the
+// resume's text, it is also grouped with its duplicates under one candidate;
+// the result's `duplicateOf` names the closest existing version.
+const saveResume = async ({ fileName, s3Key = null, processingRunId = null, tags = {}, profile = null, text = null }) => {
+  const skillNames = splitList(tags['Skills']);
+  const languageNames = splitList(tags['Programming Languages']);
+  const computedYears = profile ? computeYearsOfExperience(profile.employers) : null;
+
+  return sequelize.transaction(async (transaction) => {
+    const values = {
+      fileName,
+      s3Key,
+      processingRunId,
+      jobTitle: tags['Job title'] || null,
+      yearsOfExperience: computedYears !== null ? Math.round(computedYears) : parseYears(tags['Years of experience']),
+      achievements: tags['Achievements'] || null,
+      processedAt: new Date()
+    };
+
+    let resume = await Resume.findOne({ where: { fileName }, transaction, lock: transaction.LOCK.UPDATE });
+    if (resume) {
+      await resume.update(values, { transaction });
+      await ResumeTag.destroy({ where: { resumeId: resume.id }, transaction });
+    } else {
+      resume = await Resume.create(values, { transaction });
+    }
+    // A file once classified as something else is a resume after all
+    await SupportingDocument.destroy({ where: { fileName }, transaction });
+
+    const skills = await ensureSkills([...skillNames, ...languageNames], transaction);
+    const tagRows = [
+      ...skillNames.map(name => ({ resumeId: resume.id, skillId: skills.get(name.toLowerCase()).id, kind: 'skill' })),
+      ...languageNames.map(name => ({ resumeId: resume.id, skillId: skills.get(name.toLowerCase()).id, kind: 'language' }))
+    ];
+    await ResumeTag.bulkCreate(tagRows, { ignoreDuplicates: true, transaction });
+
+    if (profile) {
+      await ResumeProfile.upsert({
+        resumeId: resume.id,
+        name: profile.name,
+        location: profile.location,
+        visaStatus: profile.visaStatus,
+        clearance: profile.clearance,
+        hourlyRate: profile.hourlyRate,
+        yearsOfExperience: computedYears,
+        employers: profile.employers,
+        education: profile.education,
+        certifications: profile.certifications
+      }, { transaction });
+    }
+
+    if (text) {
+      const { duplicateOf } = await assignCandidate(resume, { text, name: profile?.name }, transaction);
+      resume.duplicateOf = duplicateOf;
+    } else {
+      await ensureCandidate(resume, { name: profile?.name }, transaction);
+    }
+
+    return resume;
+  });
+};
+
+const recordFailure = async ({ processingRunId = null, s3Key, reason = 'processing_error', error = null }) => {
+  return FailedFile.create({
+    processingRunId,
+    s3Key,
+    reason,
+    error: error ? String(error.message || error) : null
+  });
+};
+
+const findResumeByS3Key = async (s3Key) => Resume.findOne({ where: { s3Key } });
+
+const fraudSummary = (fraud) => (fraud
+  ? { riskScore: fraud.riskScore, riskLevel: fraud.riskLevel, reasons: fraud.reasons }
+  : null);
+
+// Flatten a resume into the row shape the matcher has always worked with
+const toRow = (resume) => {
+  const tags = resume.tags || [];
+  const namesOf = kind => tags.filter(t => t.kind === kind && t.skill).map(t => t.skill.name).join(', ');
+  return {
+    resume_id: resume.id,
+    resume_file_name: resume.fileName,
+    candidate_id: resume.candidateId,
+    content_hash: resume.contentHash,
+    'Skills': namesOf('skill'),
+    'Programming Languages': namesOf('language'),
+    'Years of experience': resume.yearsOfExperience ?? '',
+    'Job title': resume.jobTitle || '',
+    'Achievements': resume.achievements || '',
+    profile: resume.profile ? resume.profile.get({ plain: true }) : null,
+    fraud: fraudSummary(resume.fraud)
+  };
+};
+
+const tagInclude = {
+  model: ResumeTag,
+  as: 'tags',
+  include: [{ model: Skill, as: 'skill' }]
+};
+
+const fraudInclude = {
+  model: FraudAssessment,
+  as: 'fraud',
+  required: false
+};
+
+const profileInclude = (where) => ({
+  model: ResumeProfile,
+  as: 'profile',
+  required: Boolean(where),
+  ...(where && { where })
+});
+
+// Load resumes for matching. Optional filters narrow by file name, skill,
+// processing date, visa status and location.
+const loadResumeRows = async ({ fileNames, skill, processedSince, visaStatus, location } = {}) => {
+  const where = {};
+  let profileWhere = null;
+  if (visaStatus || location) {
+    profileWhere = {};
+    if (visaStatus) {
+      profileWhere.visaStatus = visaStatus;
+    }
+    if (location) {
+      profileWhere.location = { [Op.like]: `%${location}%` };
+    }
+  }
+  if (fileNames) {
+    where.fileName = fileNames;
+  }
+  if (processedSince) {
+    where.processedAt = { [Op.gte]: processedSince };
+  }
+  if (skill) {
+    const matching = await ResumeTag.findAll({
+      attributes: ['resumeId'],
+      include: [{ model: Skill, as: 'skill', where: { name: skill }, attributes: [] }]
+    });
+    where.id = matching.map(t => t.resumeId);
+  }
+
+  const resumes = await Resume.findAll({
+    where,
+    include: [tagInclude, profileInclude(profileWhere), fraudInclude],
+    order: [['processedAt', 'DESC']]
+  });
+  return resumes.map(toRow);
+};
+
+const getProfile = async (resumeId) => {
+  const resume = await Resume.findByPk(resumeId, { include: [profileInclude(null), fraudInclude] });
+  if (!resume) {
+    return null;
+  }
+  return {
+    resumeId: resume.id,
+    fileName: resume.fileName,
+    jobTitle: resume.jobTitle,
+    yearsOfExperience: resume.yearsOfExperience,
+    profile: resume.profile ? resume.profile.get({ plain: true }) : null,
+    fraud: fraudSummary(resume.fraud)
+  };
+};
+
+module.exports = {
+  splitList,
+  startRun,
+  finishRun,
+  saveResume,
+  recordFailure,
+  findResumeByS3Key,
+  loadResumeRows,
+  getProfile
+};
@@ -0,0 +1,144 @@
+const { z } = require('zod');
+const { Op } = require('sequelize');
+const { sequelize, ScoringProfile } = require('../models');
+const { CRITERIA } = require('./matchSchema');
+
+// Used when no profile is named and none is marked default. The weights are
+// the ones the prompt's prose implied before profiles existed.
+const DEFAULT_PROFILE = {
+  id: null,
+  name: 'Default',
+  description: 'Built-in scoring, used until a Recruitment Lead sets a default profile',
+  weights: { skills: 40, languages: 20, experience: 20, roleFit: 20 },
+  threshold: 60,
+  topn: 20,
+  isDefault: true
+};
+
+class ScoringProfileError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ScoringProfileError';
+    this.status = status;
+  }
+}
+
+const weightSchema = z.coerce.number().int().min(0).max(100);
+
+const MAX_TOPN = 100;
+const topnSchema = z.coerce.number().int().min(1).max(MAX_TOPN);
+
+const profileSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(2000).nullable().optional(),
+  weights: z.object(Object.fromEntries(CRITERIA.map(name => [name, weightSchema])))
+    .refine(weights => Object.values(weights).some(weight => weight > 0), 'at least one weight must be above 0'),
+  threshold: z.coerce.number().int().min(0).max(100),
+  topn: topnSchema,
+  isDefault: z.boolean().optional()
+});
+
+// Validate a profile from the API; `partial` for updates
+const parseProfile = (input, { partial = false } = {}) => {
+  const result = (partial ? profileSchema.partial() : profileSchema).safeParse(input || {});
+  if (!result.success) {
+    return { error: result.error.issues.map(i => `${i.path.join('.') || 'profile'}: ${i.message}`).join('; ') };
+  }
+  return { profile: result.data };
+};
+
+// Overall score as the weighted mean of the criterion scores
+const weightedScore = (criteria, weights) => {
+  const total = CRITERIA.reduce((sum, name) => sum + (weights[name] || 0), 0);
+  if (!total) {
+    return null;
+  }
+  return Math.round(CRITERIA.reduce((sum, name) => sum + (criteria[name] || 0) * (weights[name] || 0), 0) / total);
+};
+
+// The fields a match response and saved search record about the profile used
+const profileSummary = profile => ({
+  id: profile.id,
+  name: profile.name,
+  weights: profile.weights,
+  threshold: profile.threshold,
+  topn: profile.topn
+});
+
+const listProfiles = async () => ScoringProfile.findAll({ order: [['isDefault', 'DESC'], ['name', 'ASC']] });
+
+// The profile a match runs with: the one asked for, else the default
+const resolveProfile = async (id = null) => {
+  if (id) {
+    const profile = await ScoringProfile.findByPk(id);
+    if (!profile) {
+      throw new ScoringProfileError(404, 'Scoring profile not found');
+    }
+    return profile.get({ plain: true });
+  }
+  const profile = await ScoringProfile.findOne({ where: { isDefault: true } });
+  return profile ? profile.get({ plain: true }) : DEFAULT_PROFILE;
+};
+
+// Making a profile the default takes it away from the previous one
+const clearDefault = async (exceptId, transaction) => ScoringProfile.update(
+  { isDefault: false },
+  { where: { isDefault: true, ...(exceptId ? { id: { [Op.ne]: exceptId } } : {}) }, transaction }
+);
+
+const ensureUniqueName = async (name, exceptId = null) => {
+  const existing = await ScoringProfile.findOne({ where: { name } });
+  if (existing && existing.id !== exceptId) {
+    throw new ScoringProfileError(409, `A profile named "${name}" already exists`);
+  }
+};
+
+const createProfile = async (fields, userId) => {
+  await ensureUniqueName(fields.name);
+  return sequelize.transaction(async (transaction) => {
+    if (fields.isDefault) {
+      await clearDefault(null, transaction);
+    }
+    return ScoringProfile.create({ ...fields, createdBy: userId, updatedBy: userId }, { transaction });
+  });
+};
+
+const updateProfile = async (id, fields, userId) => {
+  const profile = await ScoringProfile.findByPk(id);
+  if (!profile) {
+    throw new ScoringProfileError(404, 'Scoring profile not found');
+  }
+  if (fields.name) {
+    await ensureUniqueName(fields.name, profile.id);
+  }
+  return sequelize.transaction(async (transaction) => {
+    if (fields.isDefault) {
+      await clearDefault(profile.id, transaction);
+    }
+    return profile.update({ ...fields, updatedBy: userId }, { transaction });
+  });
+};
+
+// Saved searches keep the profile's id; re-running one after the profile is
+// deleted fails with a 404 rather than silently switching profile
+const deleteProfile = async (id) => {
+  const deleted = await ScoringProfile.destroy({ where: { id } });
+  if (!deleted) {
+    throw new ScoringProfileError(404, 'Scoring profile not found');
+  }
+};
+
+module.exports = {
+  DEFAULT_PROFILE,
+  MAX_TOPN,
+  topnSchema,
+  ScoringProfileError,
+  parseProfile,
+  weightedScore,
+  profileSummary,
+  listProfiles,
+  resolveProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
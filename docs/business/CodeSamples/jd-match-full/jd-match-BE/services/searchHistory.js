@@ -0,0 +1,148 @@
+const { Op } = require('sequelize');
+const { sequelize, Requisition, Search } = require('../models');
+
+const TITLE_LENGTH = 120;
+
+// First non-empty line of the JD, e.g. "Senior React Developer - Dallas, TX"
+const titleFromJd = (jdText) => {
+  const line = String(jdText || '').split('\n').map(l => l.trim()).find(Boolean) || 'Untitled search';
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 3)}...` : line;
+};
+
+const resultKey = result => (result.candidateId ? `c${result.candidateId}` : `f${result.filename}`);
+
+const briefResult = result => ({ filename: result.filename, candidateId: result.candidateId ?? null, score: result.score });
+
+// How ranked results changed between two runs: candidates that are new, that
+// no longer match, or whose score moved. Versions of one candidate count as
+// the same person.
+const diffResults = (previous = [], current = []) => {
+  const before = new Map(previous.map(result => [resultKey(result), result]));
+  const after = new Set(current.map(resultKey));
+  return {
+    added: current.filter(result => !before.has(resultKey(result))).map(briefResult),
+    removed: previous.filter(result => !after.has(resultKey(result))).map(briefResult),
+    changed: current
+      .filter(result => before.has(resultKey(result)) && before.get(resultKey(result)).score !== result.score)
+      .map(result => ({ ...briefResult(result), previousScore: before.get(resultKey(result)).score }))
+  };
+};
+
+const getOwnRequisition = async (id, userId) => Requisition.findOne({ where: { id, createdBy: userId } });
+
+// Store one match run. Without a requisition a new one is opened, titled
+// from the JD unless `title` is given. Returns { requisition, search }.
+const recordSearch = async ({ userId, requisition = null, title = null, inputs, response }) => {
+  return sequelize.transaction(async (transaction) => {
+    if (!requisition) {
+      requisition = await Requisition.create({
+        title: title || titleFromJd(inputs.jdText),
+        jdText: inputs.jdText,
+        createdBy: userId
+      }, { transaction });
+    } else {
+      // The requisition keeps the JD of its latest run; touch it so it sorts first
+      requisition.set({ jdText: inputs.jdText });
+      requisition.changed('updatedAt', true);
+      await requisition.save({ transaction });
+    }
+
+    const search = await Search.create({
+      requisitionId: requisition.id,
+      createdBy: userId,
+      inputs,
+      jdTags: response.jdTags || null,
+      constraints: response.constraints || null,
+      resultCount: (response.results || []).length,
+      response
+    }, { transaction });
+    return { requisition, search };
+  });
+};
+
+// The user's requisitions, most recently searched first, with their last run
+const listRequisitions = async (userId, { limit = 50 } = {}) => {
+  const requisitions = await Requisition.findAll({
+    where: { createdBy: userId },
+    attributes: ['id', 'title', 'createdAt', 'updatedAt'],
+    order: [['updatedAt', 'DESC']],
+    limit
+  });
+  const searches = await Search.findAll({
+    where: { requisitionId: requisitions.map(requisition => requisition.id) },
+    attributes: ['id', 'requisitionId', 'resultCount', 'createdAt'],
+    order: [['id', 'DESC']]
+  });
+  return requisitions.map((requisition) => {
+    const runs = searches.filter(search => search.requisitionId === requisition.id);
+    return { ...requisition.get({ plain: true }), searchCount: runs.length, lastSearch: runs[0] || null };
+  });
+};
+
+// A stored run with its diff against the run before it
+const searchWithDiff = async (search) => {
+  const previous = await Search.findOne({
+    where: { requisitionId: search.requisitionId, id: { [Op.lt]: search.id } },
+    order: [['id', 'DESC']]
+  });
+  return {
+    ...search.response,
+    searchId: search.id,
+    requisitionId: search.requisitionId,
+    searchedAt: search.createdAt,
+    previousSearchId: previous?.id ?? null,
+    diff: previous ? diffResults(previous.response.results, search.response.results) : null
+  };
+};
+
+// A requisition with all of its runs, and the results of one of them (the
+// latest unless `searchId` is given). Null when it isn't the user's.
+const getRequisition = async (id, userId, { searchId = null } = {}) => {
+  const requisition = await getOwnRequisition(id, userId);
+  if (!requisition) {
+    return null;
+  }
+  const searches = await Search.findAll({
+    where: { requisitionId: requisition.id },
+    attributes: ['id', 'resultCount', 'createdAt'],
+    order: [['id', 'DESC']]
+  });
+  const shownId = searchId ? Number(searchId) : searches[0]?.id;
+  const shown = shownId ? await Search.findOne({ where: { id: shownId, requisitionId: requisition.id } }) : null;
+  if (searchId && !shown) {
+    return null;
+  }
+  return {
+    requisition: {
+      id: requisition.id,
+      title: requisition.title,
+      jdText: requisition.jdText,
+      createdAt: requisition.createdAt,
+      updatedAt: requisition.updatedAt
+    },
+    searches: searches.map(search => search.get({ plain: true })),
+    search: shown ? await searchWithDiff(shown) : null
+  };
+};
+
+// Inputs of the requisition's latest run, to repeat it against the current pool.
+// The JD tags that run used are replayed too, so the diff shows changes in
+// the pool rather than in what the LLM extracts this time.
+const latestInputs = async (requisition) => {
+  const latest = await Search.findOne({ where: { requisitionId: requisition.id }, order: [['id', 'DESC']] });
+  if (!latest) {
+    return { jdText: requisition.jdText };
+  }
+  return { ...latest.inputs, jdTags: latest.jdTags, jdText: requisition.jdText };
+};
+
+module.exports = {
+  titleFromJd,
+  diffResults,
+  getOwnRequisition,
+  recordSearch,
+  listRequisitions,
+  getRequisition,
+  latestInputs,
+  searchWithDiff
+};
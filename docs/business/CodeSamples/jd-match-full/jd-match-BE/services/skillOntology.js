@@ -0,0 +1,342 @@
+const { z } = require('zod');
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, SkillOntologyVersion } = require('../models');
+const { SEED_SKILLS } = require('../config/skillOntology');
+const { splitList } = require('./resumeStore');
+
+// How long a loaded ontology is reused before checking for a newer version.
+// Saving through this process clears it straight away; other processes pick
+// the change up within this window.
+const CACHE_MS = parseInt(process.env.SKILL_ONTOLOGY_CACHE_MS) || 60000;
+
+const KINDS = ['skill', 'language'];
+
+// Tag keys holding skill lists, and the one the ontology files each kind under
+const RESUME_SKILL_KEYS = ['Skills', 'Programming Languages'];
+const JD_SKILL_KEYS = [...RESUME_SKILL_KEYS, 'Must-have skills'];
+const KIND_KEYS = { skill: 'Skills', language: 'Programming Languages' };
+
+class OntologyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'OntologyError';
+    this.status = status;
+  }
+}
+
+// "Node.js", "NodeJS" and "node js" share a key; "C", "C++" and "C#" do not
+const skillKey = name => String(name).toLowerCase().replace(/[\s.\-_/]/g, '');
+
+const nameList = z.preprocess(
+  value => (value === undefined || value === null ? [] : value),
+  z.array(z.string().trim().min(1).max(191)).max(100)
+);
+
+const skillSchema = z.object({
+  name: z.string().trim().min(1).max(191),
+  kind: z.enum(KINDS).default('skill'),
+  synonyms: nameList,
+  parents: nameList
+});
+
+const ontologySchema = z.array(skillSchema).min(1).max(5000);
+
+// Every parent chain must end; returns the name of a skill on a cycle, if any
+const findCycle = (skills) => {
+  const parentsOf = new Map(skills.map(skill => [skill.name, skill.parents]));
+  const state = new Map();
+  const visit = (name) => {
+    if (state.get(name) === 'done') {
+      return null;
+    }
+    if (state.get(name) === 'visiting') {
+      return name;
+    }
+    state.set(name, 'visiting');
+    for (const parent of parentsOf.get(name) || []) {
+      const cycle = visit(parent);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    state.set(name, 'done');
+    return null;
+  };
+  for (const skill of skills) {
+    const cycle = visit(skill.name);
+    if (cycle) {
+      return cycle;
+    }
+  }
+  return null;
+};
+
+// Validate an edited ontology. Names and synonyms must not clash once
+// normalised, and parents may be given by name or synonym but must exist.
+// Returns { skills } with parents as canonical names, or { error }.
+const parseOntology = (input) => {
+  const result = ontologySchema.safeParse(input);
+  if (!result.success) {
+    return { error: result.error.issues.map(i => `${i.path.join('.') || 'skills'}: ${i.message}`).join('; ') };
+  }
+
+  const owner = new Map();
+  const errors = [];
+  // Map a name or synonym's key to the skill it belongs to
+  const claim = (text, name, label) => {
+    const key = skillKey(text);
+    if (!key) {
+      errors.push(`${label} has no letters or digits`);
+    } else if (owner.has(key) && owner.get(key) !== name) {
+      errors.push(`${label} clashes with "${owner.get(key)}"`);
+    } else {
+      owner.set(key, name);
+    }
+  };
+  for (const skill of result.data) {
+    if (owner.get(skillKey(skill.name)) === skill.name) {
+      errors.push(`"${skill.name}" is listed more than once`);
+    }
+    claim(skill.name, skill.name, `"${skill.name}"`);
+  }
+  for (const skill of result.data) {
+    for (const synonym of skill.synonyms) {
+      claim(synonym, skill.name, `Synonym "${synonym}" of "${skill.name}"`);
+    }
+  }
+
+  const skills = result.data.map((skill) => {
+    const parents = [];
+    for (const parent of skill.parents) {
+      const name = owner.get(skillKey(parent));
+      if (!name) {
+        errors.push(`Parent "${parent}" of "${skill.name}" is not in the ontology`);
+      } else if (name === skill.name) {
+        errors.push(`"${skill.name}" cannot be its own parent`);
+      } else if (!parents.includes(name)) {
+        parents.push(name);
+      }
+    }
+    const synonyms = skill.synonyms.filter((synonym, i) =>
+      skillKey(synonym) !== skillKey(skill.name)
+      && skill.synonyms.findIndex(other => skillKey(other) === skillKey(synonym)) === i);
+    return { name: skill.name, kind: skill.kind, synonyms, parents };
+  });
+
+  if (!errors.length) {
+    const cycle = findCycle(skills);
+    if (cycle) {
+      errors.push(`"${cycle}" is its own ancestor`);
+    }
+  }
+  return errors.length ? { error: errors.join('; ') } : { skills };
+};
+
+// Lookups for normalising: canonical name by key, and each skill's ancestors
+const buildIndex = (skills) => {
+  const byKey = new Map();
+  const byName = new Map(skills.map(skill => [skill.name, skill]));
+  for (const skill of skills) {
+    byKey.set(skillKey(skill.name), skill.name);
+    for (const synonym of skill.synonyms || []) {
+      byKey.set(skillKey(synonym), skill.name);
+    }
+  }
+  const ancestors = new Map();
+  const ancestorsOf = (name) => {
+    if (!ancestors.has(name)) {
+      ancestors.set(name, []);
+      const found = new Set();
+      for (const parent of byName.get(name)?.parents || []) {
+        found.add(parent);
+        ancestorsOf(parent).forEach(ancestor => found.add(ancestor));
+      }
+      ancestors.set(name, Array.from(found));
+    }
+    return ancestors.get(name);
+  };
+  skills.forEach(skill => ancestorsOf(skill.name));
+  return { byKey, byName, ancestors };
+};
+
+const toOntology = (version) => ({
+  version: version.version,
+  skills: version.skills,
+  note: version.note,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt,
+  index: buildIndex(version.skills)
+});
+
+// Version 0 is the built-in seed, in use until a Lead saves a version
+const SEED = toOntology({ version: 0, skills: SEED_SKILLS, note: 'Built-in skills', createdBy: null, createdAt: null });
+
+let cached = null;
+let cachedAt = 0;
+
+// The ontology in use: the highest saved version, else the seed. If the
+// database can't be read, the last one loaded is kept so ingestion and
+// matching carry on.
+const getOntology = async () => {
+  if (cached && Date.now() - cachedAt < CACHE_MS) {
+    return cached;
+  }
+  try {
+    const latest = await SkillOntologyVersion.findOne({ order: [['version', 'DESC']] });
+    cached = latest ? toOntology(latest.get({ plain: true })) : SEED;
+  } catch (error) {
+    console.error('Error loading the skills ontology, using the last one loaded:', error);
+    cached = cached || SEED;
+  }
+  cachedAt = Date.now();
+  return cached;
+};
+
+const canonicalName = (name, ontology) => ontology.index.byKey.get(skillKey(name)) || name;
+
+// Map skill names to their canonical names, dropping duplicates. Names the
+// ontology doesn't know are kept as written.
+const normalizeSkills = (names, ontology) => {
+  const seen = new Set();
+  const result = [];
+  for (const name of splitList(names)) {
+    const canonical = canonicalName(name, ontology);
+    if (!seen.has(skillKey(canonical))) {
+      seen.add(skillKey(canonical));
+      result.push(canonical);
+    }
+  }
+  return result;
+};
+
+// Normalise the skill lists of LLM tags. Known skills are filed under the
+// key for their kind, so "Java" listed as a skill moves to Programming
+// Languages; 'Must-have skills' keeps its own list.
+const normalizeTags = (tags, ontology, keys = RESUME_SKILL_KEYS) => {
+  if (!tags) {
+    return tags;
+  }
+  const lists = Object.fromEntries(keys.map(key => [key, []]));
+  for (const key of keys) {
+    for (const name of normalizeSkills(tags[key], ontology)) {
+      const kind = ontology.index.byName.get(name)?.kind;
+      const target = key !== 'Must-have skills' && kind && keys.includes(KIND_KEYS[kind]) ? KIND_KEYS[kind] : key;
+      if (!lists[target].includes(name)) {
+        lists[target].push(name);
+      }
+    }
+  }
+  return {
+    ...tags,
+    ...Object.fromEntries(keys.filter(key => tags[key] !== undefined || lists[key].length)
+      .map(key => [key, lists[key].join(', ')]))
+  };
+};
+
+// Canonical skills plus everything they imply: Spring Boot adds Spring and Java
+const withAncestors = (names, ontology) => {
+  const all = new Set(names);
+  for (const name of names) {
+    (ontology.index.ancestors.get(name) || []).forEach(ancestor => all.add(ancestor));
+  }
+  return Array.from(all);
+};
+
+// Deterministic overlap between the skills a JD asks for and a resume's,
+// both canonical. A required skill counts fully when the resume has it or
+// something more specific (React for JavaScript), and half when the resume
+// only has a direct parent (Spring for Spring Boot). Score is 0-100, or null
+// when the JD lists no skills.
+const skillOverlap = (required, candidate, ontology) => {
+  const has = new Set(withAncestors(candidate, ontology).map(skillKey));
+  const direct = new Set(candidate.map(skillKey));
+  const matched = [];
+  const partial = [];
+  const missing = [];
+  for (const name of required) {
+    if (has.has(skillKey(name))) {
+      matched.push(name);
+    } else if ((ontology.index.byName.get(name)?.parents || []).some(parent => direct.has(skillKey(parent)))) {
+      partial.push(name);
+    } else {
+      missing.push(name);
+    }
+  }
+  const score = required.length
+    ? Math.round(((matched.length + partial.length / 2) / required.length) * 100)
+    : null;
+  return { score, matched, partial, missing };
+};
+
+const versionSummary = version => ({
+  version: version.version,
+  note: version.note,
+  skillCount: version.skills.length,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt
+});
+
+const listVersions = async () => {
+  const versions = await SkillOntologyVersion.findAll({ order: [['version', 'DESC']] });
+  return versions.map(version => versionSummary(version.get({ plain: true })));
+};
+
+const getVersion = async (number) => {
+  if (Number(number) === 0) {
+    return SEED;
+  }
+  const version = await SkillOntologyVersion.findOne({ where: { version: number } });
+  if (!version) {
+    throw new OntologyError(404, 'Ontology version not found');
+  }
+  return toOntology(version.get({ plain: true }));
+};
+
+// Save validated skills as the next version. `baseVersion`, when given, is
+// the version the edit started from; if someone saved since, the edit is
+// refused rather than overwriting theirs.
+const saveOntology = async ({ skills, note = null, baseVersion = null, userId }) => {
+  try {
+    const saved = await sequelize.transaction(async (transaction) => {
+      const current = (await SkillOntologyVersion.max('version', { transaction })) || 0;
+      if (baseVersion !== null && baseVersion !== undefined && Number(baseVersion) !== current) {
+        throw new OntologyError(409, `The ontology was changed since version ${baseVersion}; reload and edit version ${current}`);
+      }
+      return SkillOntologyVersion.create(
+        { version: current + 1, skills, note, createdBy: userId },
+        { transaction }
+      );
+    });
+    cached = null;
+    return versionSummary(saved.get({ plain: true }));
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new OntologyError(409, 'Another edit was saved at the same time; reload and try again');
+    }
+    throw error;
+  }
+};
+
+// Restoring copies an old version forward, so history is never rewritten
+const restoreVersion = async (number, userId) => {
+  const version = await getVersion(number);
+  return saveOntology({ skills: version.skills, note: `Restored version ${version.version}`, userId });
+};
+
+module.exports = {
+  KINDS,
+  RESUME_SKILL_KEYS,
+  JD_SKILL_KEYS,
+  OntologyError,
+  skillKey,
+  parseOntology,
+  getOntology,
+  normalizeSkills,
+  normalizeTags,
+  withAncestors,
+  skillOverlap,
+  listVersions,
+  getVersion,
+  saveOntology,
+  restoreVersion
+};
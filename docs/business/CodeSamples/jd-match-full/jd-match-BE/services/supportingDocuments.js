@@ -0,0 +1,171 @@
+const { Op } = require('sequelize');
+const { sequelize, Resume, Candidate, SupportingDocument } = require('../models');
+const { CANDIDATE_DOCUMENT_TYPES } = require('./documentClassifier');
+const { sameName } = require('./dedupe');
+
+class DocumentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+const SUPPORTING_TYPES = SupportingDocument.getAttributes().type.values;
+
+// The one candidate whose name matches; none when it is missing or ambiguous
+const findCandidateByName = async (personName, transaction) => {
+  if (!personName) {
+    return null;
+  }
+  const candidates = await Candidate.findAll({
+    attributes: ['id', 'name'],
+    where: { name: { [Op.ne]: null } },
+    transaction
+  });
+  const matches = candidates.filter(candidate => sameName(personName, candidate.name) === true);
+  return matches.length === 1 ? matches[0].id : null;
+};
+
+// A file stored as a resume before it was classified stops being a
+// candidate; its tags, profile and fraud assessment go with it
+const removeResume = async (resume, transaction) => {
+  const { candidateId } = resume;
+  await resume.destroy({ transaction });
+  if (candidateId && !await Resume.count({ where: { candidateId }, transaction })) {
+    await Candidate.destroy({ where: { id: candidateId }, transaction });
+  }
+};
+
+// Store a document the classifier found is not a resume, replacing a resume
+// stored under the same file name. Certificates and RTRs are attached to the
+// candidate they name; a candidate set by hand is kept on re-processing.
+// Returns the document, with `replacedResume` set when a resume was removed.
+const saveSupportingDocument = async ({ fileName, s3Key = null, processingRunId = null, classification }) => {
+  const { type, confidence, personName, reason } = classification;
+  return sequelize.transaction(async (transaction) => {
+    const resume = await Resume.findOne({ where: { fileName }, transaction, lock: transaction.LOCK.UPDATE });
+    if (resume) {
+      await removeResume(resume, transaction);
+    }
+
+    const existing = await SupportingDocument.findOne({ where: { fileName }, transaction });
+    const candidateId = existing?.candidateId
+      || (CANDIDATE_DOCUMENT_TYPES.includes(type) ? await findCandidateByName(personName, transaction) : null);
+    const values = {
+      fileName,
+      s3Key,
+      type,
+      candidateId,
+      personName,
+      confidence,
+      reason,
+      processingRunId,
+      processedAt: new Date()
+    };
+    const document = existing
+      ? await existing.update(values, { transaction })
+      : await SupportingDocument.create(values, { transaction });
+    document.replacedResume = Boolean(resume);
+    return document;
+  });
+};
+
+// Attach certificates and RTRs that arrived before the candidate's resume
+// did. Returns how many were attached.
+const attachPendingDocuments = async (candidateId, name) => {
+  if (!candidateId || !name) {
+    return 0;
+  }
+  const pending = await SupportingDocument.findAll({
+    where: { candidateId: null, type: CANDIDATE_DOCUMENT_TYPES, personName: { [Op.ne]: null } }
+  });
+  let attached = 0;
+  for (const document of pending) {
+    if (sameName(document.personName, name) === true && await findCandidateByName(document.personName) === candidateId) {
+      await document.update({ candidateId });
+      attached++;
+    }
+  }
+  return attached;
+};
+
+const findDocumentByS3Key = async (s3Key) => SupportingDocument.findOne({ where: { s3Key } });
+
+const documentAttributes = ['id', 'fileName', 'type', 'candidateId', 'personName', 'confidence', 'reason', 'processedAt'];
+
+// Supporting documents, optionally only one type, one candidate's, or those
+// not attached to anyone
+const listDocuments = async ({ type, candidateId, unattached = false } = {}) => {
+  const where = {};
+  if (type) {
+    where.type = type;
+  }
+  if (candidateId) {
+    where.candidateId = candidateId;
+  } else if (unattached) {
+    where.candidateId = null;
+  }
+  return SupportingDocument.findAll({
+    where,
+    attributes: documentAttributes,
+    include: [{ model: Candidate, as: 'candidate', attributes: ['id', 'name'] }],
+    order: [['processedAt', 'DESC']]
+  });
+};
+
+// Supporting documents keyed by candidate id, for showing next to matches
+const documentsByCandidate = async (candidateIds) => {
+  const ids = [...new Set(candidateIds.filter(Boolean))];
+  if (!ids.length) {
+    return new Map();
+  }
+  const documents = await SupportingDocument.findAll({
+    where: { candidateId: ids },
+    attributes: ['id', 'fileName', 'type', 'candidateId'],
+    order: [['type', 'ASC'], ['fileName', 'ASC']]
+  });
+  const byCandidate = new Map();
+  for (const document of documents) {
+    if (!byCandidate.has(document.candidateId)) {
+      byCandidate.set(document.candidateId, []);
+    }
+    byCandidate.get(document.candidateId).push({ id: document.id, fileName: document.fileName, type: document.type });
+  }
+  return byCandidate;
+};
+
+// Correct the classifier: change a document's type or the candidate it's
+// attached to (null detaches it)
+const updateDocument = async (id, { type, candidateId }) => {
+  const document = await SupportingDocument.findByPk(id);
+  if (!document) {
+    throw new DocumentError(404, 'Document not found');
+  }
+  const values = {};
+  if (type !== undefined) {
+    if (!SUPPORTING_TYPES.includes(type)) {
+      throw new DocumentError(400, `type must be one of: ${SUPPORTING_TYPES.join(', ')}`);
+    }
+    values.type = type;
+  }
+  if (candidateId !== undefined) {
+    if (candidateId !== null && !await Candidate.findByPk(candidateId)) {
+      throw new DocumentError(400, 'Candidate not found');
+    }
+    values.candidateId = candidateId;
+  }
+  return document.update(values);
+};
+
+module.exports = {
+  SUPPORTING_TYPES,
+  DocumentError,
+  findCandidateByName,
+  saveSupportingDocument,
+  attachPendingDocuments,
+  findDocumentByS3Key,
+  listDocuments,
+  documentsByCandidate,
+  updateDocument
+};
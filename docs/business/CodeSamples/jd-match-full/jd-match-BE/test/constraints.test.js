@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseConstraints, constraintsFromJd, mergeConstraints, applyConstraints
+} = require('../services/constraints');
+
+test('reads the first number in a text constraint', () => {
+  const { constraints, error } = parseConstraints({ minYears: '5-8', maxYears: '10+ years', maxRate: '$85/hr' });
+  assert.equal(error, undefined);
+  assert.equal(constraints.minYears, 5);
+  assert.equal(constraints.maxYears, 10);
+  assert.equal(constraints.maxRate, 85);
+});
+
+test('rejects numbers that are missing or negative', () => {
+  assert.match(parseConstraints({ minYears: 'abc' }).error, /^minYears: must be a number/);
+  assert.match(parseConstraints({ maxRate: '-5' }).error, /^maxRate: /);
+  assert.match(parseConstraints({ minYears: 8, maxYears: 5 }).error, /minYears must not be greater than maxYears/);
+});
+
+test('splits lists and normalizes visa statuses', () => {
+  const { constraints } = parseConstraints({
+    mustHaveSkills: 'React, Node.js',
+    locations: 'Dallas, TX / Austin, TX',
+    visaStatuses: 'h1b, usc',
+    remote: 'true'
+  });
+  assert.deepEqual(constraints.mustHaveSkills, ['React', 'Node.js']);
+  assert.deepEqual(constraints.locations, ['Dallas, TX', 'Austin, TX']);
+  assert.deepEqual(constraints.visaStatuses, ['H1B', 'US Citizen']);
+  assert.equal(constraints.remote, true);
+});
+
+test('takes the JD requirements and drops numbers the JD does not state', () => {
+  const constraints = constraintsFromJd({
+    'Must-have skills': 'Java, Spring',
+    'Min years': '7+',
+    'Max years': 'not specified',
+    'Location': 'Chicago, IL',
+    'Remote': 'false',
+    'Visa statuses': 'GC, anything',
+    'Max rate': -1
+  });
+  assert.deepEqual(constraints, {
+    mustHaveSkills: ['Java', 'Spring'],
+    minYears: 7,
+    maxYears: null,
+    locations: ['Chicago, IL'],
+    remote: false,
+    visaStatuses: ['Green Card'],
+    maxRate: null
+  });
+});
+
+test('lets the request override the JD, including clearing a field', () => {
+  const fromJd = constraintsFromJd({ 'Must-have skills': 'Java', 'Min years': 7, 'Max rate': 90 });
+  const { constraints, sources } = mergeConstraints(fromJd, { mustHaveSkills: [], maxRate: null });
+  assert.deepEqual(constraints.mustHaveSkills, []);
+  assert.equal(constraints.maxRate, null);
+  assert.equal(constraints.minYears, 7);
+  assert.equal(constraints.includeUnknown, true);
+  assert.equal(sources.mustHaveSkills, 'request');
+  assert.equal(sources.minYears, 'jd');
+});
+
+const row = (filename, fields, profile = {}) => ({ resume_file_name: filename, ...fields, profile });
+
+test('excludes rows that fail a constraint and explains why', () => {
+  const rows = [
+    row('a.pdf', { 'Skills': 'React, Node.js', 'Years of experience': 6 }, { location: 'Dallas, TX 75201', hourlyRate: 70 }),
+    row('b.pdf', { 'Skills': 'React', 'Years of experience': 6 }, { location: 'Dallas, TX', hourlyRate: 70 }),
+    row('c.pdf', { 'Skills': 'React, NodeJS', 'Years of experience': 3 }, { location: 'Dallas, TX', hourlyRate: 70 }),
+    row('d.pdf', { 'Skills': 'React, Node.js', 'Years of experience': 6 }, { location: 'Chicago, IL', hourlyRate: 95 })
+  ];
+  const { passed, excluded } = applyConstraints(rows, {
+    mustHaveSkills: ['React', 'Node.js'], minYears: 5, locations: ['Dallas, TX'], maxRate: 80
+  });
+
+  assert.deepEqual(passed.map(r => r.resume_file_name), ['a.pdf']);
+  assert.deepEqual(excluded, [
+    { filename: 'b.pdf', reasons: ['Missing must-have skills: Node.js'] },
+    { filename: 'c.pdf', reasons: ['3 years of experience is below the 5 minimum'] },
+    {
+      filename: 'd.pdf',
+      reasons: ['Location Chicago, IL is not in Dallas, TX', 'Rate $95/hr is above the $80/hr ceiling']
+    }
+  ]);
+});
+
+test('skips the location check for remote roles', () => {
+  const rows = [row('a.pdf', {}, { location: 'Chicago, IL' })];
+  assert.equal(applyConstraints(rows, { locations: ['Dallas, TX'], remote: true }).passed.length, 1);
+});
+
+test('keeps rows missing a checked field unless includeUnknown is false', () => {
+  const rows = [row('a.pdf', {}, {})];
+  const constraints = { minYears: 5, visaStatuses: ['H1B'] };
+
+  const kept = applyConstraints(rows, { ...constraints, includeUnknown: true });
+  assert.equal(kept.passed.length, 1);
+  assert.deepEqual(kept.unverified, { 'a.pdf': ['years', 'visaStatus'] });
+
+  const dropped = applyConstraints(rows, { ...constraints, includeUnknown: false });
+  assert.equal(dropped.passed.length, 0);
+  assert.deepEqual(dropped.excluded[0].reasons, ['No years of experience on file', 'No visa status on file']);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sameName, isSameCandidate, fingerprint } = require('../services/dedupe');
+const { contentHash } = require('../utils/similarity');
+
+test('matches names when one holds every token of the other', () => {
+  assert.equal(sameName('Venkata Satya Lokesh Gunturu', 'Venkata Satya Lokesh Verma Gunturu'), true);
+  assert.equal(sameName('GUNTURU, Venkata', 'Venkata Gunturu'), true);
+  assert.equal(sameName('Jane Doe', 'Jane Smith'), false);
+});
+
+test('does not judge names it cannot read', () => {
+  assert.equal(sameName('Jane', 'Jane Doe'), null);
+  assert.equal(sameName(null, 'Jane Doe'), null);
+});
+
+test('needs high text similarity unless the names agree', () => {
+  assert.equal(isSameCandidate(0.9, null, null), true);
+  assert.equal(isSameCandidate(0.5, null, null), false);
+  assert.equal(isSameCandidate(0.5, 'Jane Doe', 'Jane A Doe'), true);
+  assert.equal(isSameCandidate(0.2, 'Jane Doe', 'Jane A Doe'), false);
+});
+
+test('never merges different names, however similar the text', () => {
+  assert.equal(isSameCandidate(0.95, 'Jane Doe', 'John Smith'), false);
+});
+
+test('fingerprints with the content hash and a MinHash signature', () => {
+  const { contentHash: hash, minhash } = fingerprint('Jane Doe, Java developer');
+  assert.equal(hash, contentHash('jane doe java developer'));
+  assert.equal(minhash.length, 128);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResumeDate, computeYearsOfExperience } = require('../utils/experience');
+
+const now = new Date(2024, 5, 15);
+const month = (year, index) => year * 12 + index;
+
+test('parses the date formats resumes use', () => {
+  assert.equal(parseResumeDate('Jan 2020'), month(2020, 0));
+  assert.equal(parseResumeDate('September 2019'), month(2019, 8));
+  assert.equal(parseResumeDate('Sept. 2019'), month(2019, 8));
+  assert.equal(parseResumeDate('Mar’ 2021'), month(2021, 2));
+  assert.equal(parseResumeDate('03/2021'), month(2021, 2));
+  assert.equal(parseResumeDate('2021-03'), month(2021, 2));
+  assert.equal(parseResumeDate('2021-03-17'), month(2021, 2));
+  assert.equal(parseResumeDate('2018'), month(2018, 0));
+  assert.equal(parseResumeDate('Present', now), month(2024, 5));
+  assert.equal(parseResumeDate('till date', now), month(2024, 5));
+});
+
+test('returns null for dates it cannot read', () => {
+  assert.equal(parseResumeDate(null), null);
+  assert.equal(parseResumeDate(''), null);
+  assert.equal(parseResumeDate('13/2020'), null);
+  assert.equal(parseResumeDate('Foo 2020'), null);
+  assert.equal(parseResumeDate('last year'), null);
+});
+
+test('counts both ends of a span', () => {
+  const years = computeYearsOfExperience([{ startDate: 'Jan 2020', endDate: 'Dec 2020' }], now);
+  assert.equal(years, 1);
+});
+
+test('counts overlapping roles once', () => {
+  const years = computeYearsOfExperience([
+    { startDate: 'Jan 2018', endDate: 'Dec 2020' },
+    { startDate: 'Jun 2019', endDate: 'Dec 2019' },
+    { startDate: 'Jul 2020', endDate: 'Jun 2021' }
+  ], now);
+  assert.equal(years, 3.5);
+});
+
+test('does not count gaps between roles', () => {
+  const years = computeYearsOfExperience([
+    { startDate: '2015-01', endDate: '2015-12' },
+    { startDate: '2020-01', endDate: '2020-12' }
+  ], now);
+  assert.equal(years, 2);
+});
+
+test('runs current roles up to today', () => {
+  assert.equal(computeYearsOfExperience([{ startDate: 'Jul 2023', current: true }], now), 1);
+  assert.equal(computeYearsOfExperience([{ startDate: 'Jul 2023' }], now), 1);
+});
+
+test('ignores roles without a start date or that end before they start', () => {
+  assert.equal(computeYearsOfExperience([], now), null);
+  assert.equal(computeYearsOfExperience([{ endDate: 'Dec 2020' }], now), null);
+  assert.equal(computeYearsOfExperience([{ startDate: 'Dec 2020', endDate: 'Jan 2020' }], now), null);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessSignals, fragmentHashes } = require('../services/fraud');
+
+const now = new Date(2024, 5, 15);
+const signals = result => result.reasons.map(reason => reason.signal);
+
+test('finds nothing in a consistent resume', () => {
+  const result = assessSignals({
+    profile: {
+      location: 'Dallas, TX',
+      employers: [
+        { employer: 'Acme', title: 'Developer', startDate: 'Jan 2015', endDate: 'Dec 2018', location: 'Austin, TX' },
+        { employer: 'Globex', title: 'Senior Developer', startDate: 'Jan 2019', current: true, location: 'Dallas, TX' }
+      ]
+    },
+    text: '9 years of experience with Java and 5 years of React.',
+    now
+  });
+  assert.deepEqual(result, { riskScore: 0, riskLevel: 'low', reasons: [] });
+});
+
+test('flags full-time roles that overlap but not part-time ones', () => {
+  const result = assessSignals({
+    profile: {
+      employers: [
+        { employer: 'Acme', title: 'Developer', startDate: 'Jan 2020', endDate: 'Dec 2021' },
+        { employer: 'Globex', title: 'Developer', startDate: 'Jan 2021', endDate: 'Dec 2022' },
+        { employer: 'State College', title: 'Adjunct Lecturer', startDate: 'Jan 2020', endDate: 'Dec 2022' }
+      ]
+    },
+    now
+  });
+  assert.deepEqual(result.reasons, [
+    { signal: 'overlapping_roles', points: 20, detail: 'Acme and Globex overlap by 12 months' }
+  ]);
+});
+
+test('flags roles that start in the future', () => {
+  const result = assessSignals({
+    profile: { employers: [{ employer: 'Acme', startDate: 'Jan 2026', endDate: 'Dec 2026' }] },
+    now
+  });
+  assert.deepEqual(signals(result), ['chronology']);
+  assert.equal(result.reasons[0].detail, 'Acme starts in the future');
+});
+
+test('flags technology experience longer than the technology has existed', () => {
+  const result = assessSignals({
+    profile: { employers: [{ employer: 'Acme', startDate: 'Jan 2005', current: true }] },
+    text: 'Over 15 years of hands-on experience with Kubernetes and 10 years of Go.',
+    now
+  });
+  assert.deepEqual(result.reasons, [{
+    signal: 'impossible_seniority',
+    points: 25,
+    detail: 'Claims 15 years of Kubernetes, which was first released in 2014'
+  }]);
+});
+
+test('flags a stated location in another state from the current role', () => {
+  const result = assessSignals({
+    profile: {
+      location: 'Dallas, TX',
+      employers: [{ employer: 'Acme', startDate: 'Jan 2020', current: true, location: 'Newark, NJ' }]
+    },
+    now
+  });
+  assert.deepEqual(signals(result), ['mismatched_location']);
+});
+
+test('caps each signal and the total score', () => {
+  const employers = ['A', 'B', 'C', 'D'].map(employer => ({ employer, startDate: 'Jan 2020', endDate: 'Dec 2022' }));
+  const result = assessSignals({
+    profile: { employers },
+    shared: { count: 5, examples: ['a.pdf'] },
+    now
+  });
+  const overlap = result.reasons.filter(reason => reason.signal === 'overlapping_roles');
+  assert.equal(overlap.reduce((sum, reason) => sum + reason.points, 0), 40);
+  assert.equal(result.riskScore, 80);
+  assert.equal(result.riskLevel, 'high');
+});
+
+test('hashes only long sentences', () => {
+  const long = 'Designed and delivered a claims processing platform serving four million members across three states.';
+  assert.equal(fragmentHashes(`Java developer. ${long}`).length, 1);
+  assert.deepEqual(fragmentHashes(long.toUpperCase()), fragmentHashes(long));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DocumentLoadError, isSupportedDocument, contentTypeFor, loadDocument } = require('../services/loaders');
+
+// A one-page PDF with no text layer, like a scan
+const blankPdf = () => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+};
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loaders-test-'));
+});
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const write = (name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content, 'latin1');
+  return file;
+};
+
+const rejectsWith = (promise, reason) => assert.rejects(promise, error => {
+  assert.ok(error instanceof DocumentLoadError);
+  assert.equal(error.reason, reason);
+  return true;
+});
+
+test('knows the supported extensions regardless of case', () => {
+  assert.ok(isSupportedDocument('Jane_Doe.PDF'));
+  assert.ok(isSupportedDocument('jane.rtf'));
+  assert.ok(!isSupportedDocument('jane.pages'));
+  assert.equal(contentTypeFor('jane.docx'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(contentTypeFor('jane'), 'application/octet-stream');
+});
+
+test('refuses unsupported types', async () => {
+  await rejectsWith(loadDocument(write('jane.pages', 'x')), 'unsupported_type');
+});
+
+test('loads RTF through the RTF parser', async () => {
+  const { docs, ocr } = await loadDocument(write('jane.rtf', '{\\rtf1 Jane\\par Java}'));
+  assert.equal(ocr, false);
+  assert.equal(docs[0].pageContent, 'Jane\nJava');
+});
+
+test('treats a file without text as empty', async () => {
+  await rejectsWith(loadDocument(write('empty.txt', ' \n\n ')), 'empty_text');
+  await rejectsWith(loadDocument(write('empty.rtf', '{\\rtf1{\\fonttbl{\\f0 Arial;}}}')), 'empty_text');
+});
+
+test('does not OCR a scanned PDF when OCR is off', async (t) => {
+  const provider = process.env.OCR_PROVIDER;
+  process.env.OCR_PROVIDER = 'none';
+  t.after(() => {
+    if (provider === undefined) {
+      delete process.env.OCR_PROVIDER;
+    } else {
+      process.env.OCR_PROVIDER = provider;
+    }
+  });
+  await rejectsWith(loadDocument(write('scan.pdf', blankPdf())), 'empty_text');
+});
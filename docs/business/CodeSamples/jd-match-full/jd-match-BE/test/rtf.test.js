@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rtfToText } = require('../services/loaders/rtf');
+
+test('keeps paragraphs and tabs and drops formatting', () => {
+  const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Calibri;}}\\f0\\fs22 Jane Doe\\par Skills:\\tab React\\par}';
+  assert.equal(rtfToText(rtf), 'Jane Doe\nSkills:\tReact');
+});
+
+test('skips ignorable destinations', () => {
+  const rtf = '{\\rtf1{\\*\\generator Riched20;}{\\info{\\author HR}}Resume}';
+  assert.equal(rtfToText(rtf), 'Resume');
+});
+
+test('decodes \\uN and skips its \\\'xx fallback as one character', () => {
+  const rtf = '{\\rtf1 Jos\\u233\\\'e9 Garc\\u237\\\'eda, M\\u252\\\'fcnchen}';
+  assert.equal(rtfToText(rtf), 'José García, München');
+});
+
+test('skips as many fallback characters as \\uc says', () => {
+  assert.equal(rtfToText('{\\rtf1\\uc2 caf\\u233 ee!}'), 'café!');
+  assert.equal(rtfToText('{\\rtf1\\uc0 caf\\u233 e}'), 'cafée');
+});
+
+test('never skips a fallback past the end of its group', () => {
+  assert.equal(rtfToText('{\\rtf1 {\\uc3 \\u8226}Java}'), '•Java');
+});
+
+test('reads negative \\uN as a UTF-16 code unit', () => {
+  assert.equal(rtfToText('{\\rtf1 \\u-3913?}'), '\uf0b7');
+});
+
+test('unescapes braces and backslashes', () => {
+  assert.equal(rtfToText('{\\rtf1 C:\\\\jobs \\{draft\\}}'), 'C:\\jobs {draft}');
+});
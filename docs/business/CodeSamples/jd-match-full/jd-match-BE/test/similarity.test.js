@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resumeText, contentHash, minhashSignature, estimateSimilarity } = require('../utils/similarity');
+
+const resume = `Jane Doe, Senior Java Developer, Dallas TX.
+Nine years building payment and trading platforms with Java, Spring Boot and Kafka.
+Led the migration of a settlement engine from a monolith to microservices on AWS EKS,
+cutting batch run time from six hours to forty minutes. Designed REST and gRPC APIs
+consumed by forty internal teams, wrote the team's testing guidelines and mentored
+five junior engineers. Earlier worked on risk reporting with Oracle, PL/SQL and Python.`;
+
+test('hashes text the same regardless of case, punctuation and spacing', () => {
+  assert.equal(contentHash('Jane  Doe — Java, Spring!'), contentHash('jane doe java spring'));
+  assert.notEqual(contentHash('Jane Doe Java'), contentHash('Jane Doe Python'));
+});
+
+test('joins stored chunks in order', () => {
+  assert.equal(resumeText([{ pageContent: 'one' }, {}, { pageContent: 'two' }]), 'one\n\ntwo');
+});
+
+test('gives identical text a similarity of 1', () => {
+  const signature = minhashSignature(resume);
+  assert.equal(signature.length, 128);
+  assert.equal(estimateSimilarity(signature, minhashSignature(resume.toUpperCase())), 1);
+});
+
+test('scores a lightly edited resume high and an unrelated one low', () => {
+  const edited = resume.replace('five junior engineers', 'six junior engineers').replace('Dallas TX', 'Austin TX');
+  const other = `John Smith, Registered Nurse with twelve years in intensive care and emergency
+departments, certified in advanced cardiac life support, experienced in triage,
+patient education, electronic health records and training new nursing staff.`;
+
+  const signature = minhashSignature(resume);
+  assert.ok(estimateSimilarity(signature, minhashSignature(edited)) > 0.7);
+  assert.ok(estimateSimilarity(signature, minhashSignature(other)) < 0.1);
+});
+
+test('treats missing or mismatched signatures as not similar', () => {
+  assert.equal(estimateSimilarity(null, minhashSignature(resume)), 0);
+  assert.equal(estimateSimilarity([1, 2], [1, 2, 3]), 0);
+  assert.equal(estimateSimilarity(minhashSignature(''), minhashSignature('')), 0);
+});
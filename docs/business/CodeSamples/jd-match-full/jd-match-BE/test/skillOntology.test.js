@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEED_SKILLS } = require('../config/skillOntology');
+const {
+  parseOntology, getVersion, normalizeSkills, normalizeTags, withAncestors, skillOverlap
+} = require('../services/skillOntology');
+
+const skill = (name, parents = [], synonyms = []) => ({ name, synonyms, parents });
+
+test('accepts the built-in skills', () => {
+  assert.equal(parseOntology(SEED_SKILLS).error, undefined);
+});
+
+test('resolves parents given by synonym and drops redundant synonyms', () => {
+  const { skills, error } = parseOntology([
+    skill('JavaScript', [], ['JS', 'javascript', 'JS']),
+    skill('React', ['js'])
+  ]);
+  assert.equal(error, undefined);
+  assert.deepEqual(skills, [
+    { name: 'JavaScript', kind: 'skill', synonyms: ['JS'], parents: [] },
+    { name: 'React', kind: 'skill', synonyms: [], parents: ['JavaScript'] }
+  ]);
+});
+
+test('rejects names and synonyms that clash once normalised', () => {
+  assert.match(parseOntology([skill('Node.js'), skill('NodeJS')]).error, /"NodeJS" clashes with "Node.js"/);
+  assert.match(parseOntology([skill('Go', [], ['Golang']), skill('Golang')]).error,
+    /Synonym "Golang" of "Go" clashes with "Golang"/);
+  assert.match(parseOntology([skill('Java'), skill('Java')]).error, /"Java" is listed more than once/);
+});
+
+test('keeps C, C++ and C# apart', () => {
+  assert.equal(parseOntology([skill('C'), skill('C++'), skill('C#')]).error, undefined);
+});
+
+test('rejects missing parents and self-parents', () => {
+  assert.match(parseOntology([skill('React', ['JavaScript'])]).error, /Parent "JavaScript" of "React" is not in the ontology/);
+  assert.match(parseOntology([skill('React', ['ReactJS'], ['ReactJS'])]).error, /"React" cannot be its own parent/);
+});
+
+test('rejects parent cycles', () => {
+  const { error } = parseOntology([skill('A', ['C']), skill('B', ['A']), skill('C', ['B']), skill('D', ['A'])]);
+  assert.match(error, /^"[ABC]" is its own ancestor$/);
+});
+
+test('rejects input that is not a list of skills', () => {
+  assert.match(parseOntology([]).error, /^skills: /);
+  assert.match(parseOntology([{ name: 'Java', kind: 'framework' }]).error, /^0\.kind: /);
+});
+
+test('normalises skills to canonical names once each', async () => {
+  const ontology = await getVersion(0);
+  assert.deepEqual(normalizeSkills('ReactJS, react.js, NodeJS, Cobol', ontology), ['React', 'Node.js', 'Cobol']);
+});
+
+test('files known skills under the key for their kind', async () => {
+  const ontology = await getVersion(0);
+  const tags = normalizeTags({ 'Skills': 'Java, SpringBoot', 'Programming Languages': 'JS' }, ontology);
+  assert.equal(tags['Skills'], 'Spring Boot');
+  assert.equal(tags['Programming Languages'], 'Java, JavaScript');
+});
+
+test('adds every ancestor of a skill', async () => {
+  const ontology = await getVersion(0);
+  assert.deepEqual(withAncestors(['Spring Boot'], ontology).sort(), ['Java', 'Spring', 'Spring Boot']);
+});
+
+test('scores more specific skills fully and direct parents by half', async () => {
+  const ontology = await getVersion(0);
+  const overlap = skillOverlap(['JavaScript', 'Spring Boot', 'Kafka'], ['React', 'Spring'], ontology);
+  assert.deepEqual(overlap, {
+    score: 50,
+    matched: ['JavaScript'],
+    partial: ['Spring Boot'],
+    missing: ['Kafka']
+  });
+  assert.equal(skillOverlap([], ['React'], ontology).score, null);
+});
@@ -0,0 +1,44 @@
+const { recordEvent } = require('../services/audit');
+
+// Add what only the handler knows to the request's audit entry, e.g. the id
+// of the search it created or the resumes it returned:
+// auditNote(res, { targetId: search.id, subjects: fileNames, details: { resultCount } })
+const auditNote = (res, { details, subjects, ...values }) => {
+  const current = res.locals.audit || {};
+  res.locals.audit = {
+    ...current,
+    ...values,
+    subjects: [...(current.subjects || []), ...(subjects || [])],
+    details: details ? { ...current.details, ...details } : current.details
+  };
+};
+
+// Entry for a request, once its response is sent or the client goes away
+const requestEvent = (req, res, action, { targetType = null, targetId = null, details = null } = {}) => {
+  const noted = res.locals.audit || {};
+  return {
+    user: req.user || noted.user || null,
+    action,
+    targetType: noted.targetType || targetType,
+    targetId: noted.targetId ?? targetId,
+    subjects: noted.subjects || [],
+    details: (noted.details || details) ? { ...details, ...noted.details } : null,
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode: res.statusCode
+  };
+};
+
+// Record every request to the route in the audit log. `target` reads the
+// target from the request, e.g. req => ({ targetType: 'resume', targetId: req.params.filename }).
+// Use after authMiddleware so the entry names the user.
+const audit = (action, target = () => ({})) => (req, res, next) => {
+  res.once('close', () => recordEvent(requestEvent(req, res, action, target(req))));
+  next();
+};
+
+module.exports = {
+  audit,
+  auditNote
+};
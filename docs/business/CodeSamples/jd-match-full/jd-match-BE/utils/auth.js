@@ -1,10 +1,13 @@
 const jwt = require('jsonwebtoken');
+const { can } = require('../config/permissions');
+const { recordEvent } = require('../services/audit');
+const User = require('../models/User');
 
 const generateToken = (user) => {
   return jwt.sign(
-    { id: user._id, email: user.email },
+    { id: user.id, email: user.email, role: user.role },
     process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
   );
 };
 
@@ -13,11 +16,13 @@ const verifyToken = (token) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     return decoded;
   } catch (error) {
-    throw new Error('Invalid token');
+    // Callers tell the user to sign in again on expiry, so keep it distinct
+    throw new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
   }
 };
 
 const authMiddleware = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.headers.authorization?.split(' ')[1];
     
@@ -25,16 +30,48 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    return res.status(401).json({ error: error.message });
   }
+
+  // Permissions follow the user's current role, not the one in the token,
+  // so a role change or removal applies to tokens already issued
+  let user;
+  try {
+    user = await User.findByPk(decoded.id, { attributes: ['id', 'email', 'role'] });
+  } catch (error) {
+    console.error('Error loading the signed-in user:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  req.user = { ...decoded, email: user.email, role: user.role };
+  next();
+};
+
+// Use after authMiddleware. Rejects users whose role lacks the permission
+// (see config/permissions.js); refusals go to the audit log.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !can(req.user.role, permission)) {
+    recordEvent({
+      user: req.user,
+      action: 'access.denied',
+      details: { permission },
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 403
+    });
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
 };
 
 module.exports = {
   generateToken,
   verifyToken,
-  authMiddleware
+  authMiddleware,
+  requirePermission
 };
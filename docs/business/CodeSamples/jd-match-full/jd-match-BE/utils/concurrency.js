@@ -0,0 +1,44 @@
+const { delay } = require('./retry');
+
+// Run fn over items with at most `limit` calls in flight. Results keep the
+// order of items; a rejected call is returned as { error } instead of
+// failing the whole map.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Spread calls evenly so no more than `perMinute` start in any minute
+function createRateLimiter(perMinute) {
+  const interval = perMinute > 0 ? 60000 / perMinute : 0;
+  let nextSlot = 0;
+
+  return async function acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+      await delay(slot - now);
+    }
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createRateLimiter
+};
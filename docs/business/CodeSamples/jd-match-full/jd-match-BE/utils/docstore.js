@@ -0,0 +1,54 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { resumeText } = require('./similarity');
+
+const defaultBaseDir = () => process.env.FAISS_INDEX_DIR || path.join(__dirname, '..', 'faiss_indexes');
+
+// "a.pdf" is indexed in "a.pdf_faiss", so a.pdf and a.docx get a folder each
+const indexDirFor = (fileName, faissBaseDir = defaultBaseDir()) =>
+  path.join(faissBaseDir, `${path.basename(fileName)}_faiss`);
+
+// Folders written before other file types were ingested are named without
+// the extension ("a_faiss") and all belong to PDFs
+const legacyIndexDirFor = (fileName, faissBaseDir = defaultBaseDir()) =>
+  (path.extname(fileName).toLowerCase() === '.pdf'
+    ? path.join(faissBaseDir, `${path.basename(fileName, path.extname(fileName))}_faiss`)
+    : null);
+
+// Text of a stored resume, read back from its FAISS docstore, which is saved
+// as [[[id, document], ...], mapping]. Returns null when there is no index.
+const readIndexText = async (fileName, faissBaseDir = defaultBaseDir()) => {
+  for (const dir of [indexDirFor(fileName, faissBaseDir), legacyIndexDirFor(fileName, faissBaseDir)].filter(Boolean)) {
+    try {
+      const [entries] = JSON.parse(await fs.readFile(path.join(dir, 'docstore.json'), 'utf8'));
+      return resumeText(entries.map(([, doc]) => doc));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  return null;
+};
+
+// Drop a file's index so retrieval no longer returns it as a resume
+const removeIndex = async (fileName, faissBaseDir = defaultBaseDir()) => {
+  await fs.rm(indexDirFor(fileName, faissBaseDir), { recursive: true, force: true });
+  await removeLegacyIndex(fileName, faissBaseDir);
+};
+
+// Drop an extension-less folder once the file has been indexed again under
+// its own name, so retrieval doesn't load its chunks twice
+const removeLegacyIndex = async (fileName, faissBaseDir = defaultBaseDir()) => {
+  const legacy = legacyIndexDirFor(fileName, faissBaseDir);
+  if (legacy) {
+    await fs.rm(legacy, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  indexDirFor,
+  readIndexText,
+  removeIndex,
+  removeLegacyIndex
+};
@@ -0,0 +1,89 @@
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+const PRESENT = /^(present|current|now|till date|to date|ongoing|today)$/i;
+
+// Parse the date formats resumes actually use: "Jan 2020", "January 2020",
+// "01/2020", "2020-01", "2020" and "Present". Returns a month index
+// (year * 12 + month) or null.
+const parseResumeDate = (value, now = new Date()) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim().replace(/[’']/g, '').replace(/\s+/g, ' ');
+  if (!text) {
+    return null;
+  }
+  if (PRESENT.test(text)) {
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+
+  let match = /^([a-z]{3,9})\.?,? (\d{4})$/i.exec(text);
+  if (match) {
+    const month = MONTHS[match[1].slice(0, 4).toLowerCase()] ?? MONTHS[match[1].slice(0, 3).toLowerCase()];
+    if (month !== undefined) {
+      return parseInt(match[2], 10) * 12 + month;
+    }
+  }
+
+  match = /^(\d{1,2})[/.-](\d{4})$/.exec(text);
+  if (match && parseInt(match[1], 10) >= 1 && parseInt(match[1], 10) <= 12) {
+    return parseInt(match[2], 10) * 12 + parseInt(match[1], 10) - 1;
+  }
+
+  match = /^(\d{4})[/.-](\d{1,2})(?:[/.-]\d{1,2})?$/.exec(text);
+  if (match && parseInt(match[2], 10) >= 1 && parseInt(match[2], 10) <= 12) {
+    return parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1;
+  }
+
+  match = /^(\d{4})$/.exec(text);
+  if (match) {
+    return parseInt(match[1], 10) * 12;
+  }
+
+  return null;
+};
+
+// Turn employment entries into [start, end] month intervals, skipping any
+// without a usable start date or that end before they start
+const employmentIntervals = (employers = [], now = new Date()) => {
+  const intervals = [];
+  for (const job of employers) {
+    const start = parseResumeDate(job.startDate, now);
+    const end = job.current ? parseResumeDate('present', now) : parseResumeDate(job.endDate || 'present', now);
+    if (start !== null && end !== null && end >= start) {
+      intervals.push([start, end]);
+    }
+  }
+  return intervals.sort((a, b) => a[0] - b[0]);
+};
+
+// Total years worked, counting overlapping roles once. Both ends of a span
+// are inclusive, so "Jan 2020 - Dec 2020" is 12 months.
+const computeYearsOfExperience = (employers = [], now = new Date()) => {
+  const intervals = employmentIntervals(employers, now);
+  if (!intervals.length) {
+    return null;
+  }
+
+  let months = 0;
+  let [curStart, curEnd] = intervals[0];
+  for (const [start, end] of intervals.slice(1)) {
+    if (start <= curEnd + 1) {
+      curEnd = Math.max(curEnd, end);
+    } else {
+      months += curEnd - curStart + 1;
+      [curStart, curEnd] = [start, end];
+    }
+  }
+  months += curEnd - curStart + 1;
+
+  return Math.round((months / 12) * 10) / 10;
+};
+
+module.exports = {
+  parseResumeDate,
+  employmentIntervals,
+  computeYearsOfExperience
+};
@@ -0,0 +1,30 @@
+// Helper function for delay
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Bedrock throttles with ThrottlingException, OpenAI with HTTP 429
+const isThrottlingError = error => error.name === 'ThrottlingException' || error.status === 429;
+
+// Retry function with exponential backoff
+async function retryWithExponentialBackoff(fn, maxRetries = 5, initialDelay = 1000) {
+  let retries = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (isThrottlingError(error) && retries < maxRetries) {
+        const delayTime = initialDelay * Math.pow(2, retries);
+        console.log(`Rate limited. Retrying in ${delayTime}ms... (Attempt ${retries + 1}/${maxRetries})`);
+        await delay(delayTime);
+        retries++;
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  delay,
+  isThrottlingError,
+  retryWithExponentialBackoff
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+const MAX_HASH = 0xffffffff;
+
+// Text of a resume as stored: its chunks in order. Both ingestion and the
+// backfill hash this same form, so identical files always hash the same.
+const resumeText = (chunks) => chunks.map(chunk => chunk.pageContent || '').join('\n');
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const contentHash = (text) => crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+
+// Overlapping runs of SHINGLE_SIZE words, hashed to 32-bit integers
+const shingles = (text) => {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= Math.max(words.length, SHINGLE_SIZE); i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    if (shingle) {
+      result.add(crypto.createHash('md5').update(shingle).digest().readUInt32BE(0));
+    }
+  }
+  return result;
+};
+
+// Fixed seeds so signatures stay comparable across processes and restarts
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => {
+  const digest = crypto.createHash('sha256').update(`minhash-${i}`).digest();
+  return [digest.readUInt32BE(0) | 1, digest.readUInt32BE(4)];
+});
+
+// 32-bit multiply-xor hash of x for seed (a, b)
+const mix = (x, [a, b]) => ((Math.imul(x ^ b, a) ^ (x >>> 15)) >>> 0);
+
+// MinHash signature: for each seeded hash, the smallest value over all
+// shingles. The share of equal positions in two signatures estimates the
+// Jaccard similarity of their shingle sets.
+const minhashSignature = (text) => {
+  const signature = new Array(NUM_HASHES).fill(MAX_HASH);
+  for (const shingle of shingles(text)) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix(shingle, HASH_SEEDS[i]);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  }
+  return signature;
+};
+
+const estimateSimilarity = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || !a.length) {
+    return 0;
+  }
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i] && a[i] !== MAX_HASH) {
+      equal++;
+    }
+  }
+  return equal / a.length;
+};
+
+module.exports = {
+  resumeText,
+  normalizeText,
+  contentHash,
+  minhashSignature,
+  estimateSimilarity
+};
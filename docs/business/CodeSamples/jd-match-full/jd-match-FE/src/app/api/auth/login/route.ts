@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { BACKEND_URL, sessionCookie } from '@/lib/session';
 
 export async function POST(request: Request) {
   try {
@@ -12,16 +13,30 @@ export async function POST(request: Request) {
       );
     }
 
-    // TODO: Add your actual authentication logic here
-    // For now, we'll simulate a successful login
-    
-    return NextResponse.json(
+    const upstream = await fetch(`${BACKEND_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    const data = await upstream.json();
+
+    if (!upstream.ok) {
+      return NextResponse.json(
+        { error: data.error || 'Login failed' },
+        { status: upstream.status }
+      );
+    }
+
+    // Keep the token in an httpOnly cookie instead of handing it to the page
+    const response = NextResponse.json(
       { 
         message: 'Login successful',
-        user: { email }
+        user: data.user
       },
       { status: 200 }
     );
+    response.cookies.set(sessionCookie(data.token));
+    return response;
   } catch (error) {
     console.error('Login error:', error);
     return NextResponse.json(
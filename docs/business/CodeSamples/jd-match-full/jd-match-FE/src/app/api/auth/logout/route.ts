@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE } from '@/lib/session';
+
+export async function POST() {
+  const response = NextResponse.json({ message: 'Logged out' }, { status: 200 });
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
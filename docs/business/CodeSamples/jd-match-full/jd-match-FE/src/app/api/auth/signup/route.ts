@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { BACKEND_URL } from '@/lib/session';
 
 export async function POST(request: Request) {
   try {
@@ -12,13 +13,26 @@ export async function POST(request: Request) {
       );
     }
 
-    // TODO: Add your actual signup logic here (e.g., database operations)
-    // For now, we'll simulate a successful signup
-    
+    // No session yet: the account can't sign in until a Recruitment Lead
+    // assigns it a role
+    const upstream = await fetch(`${BACKEND_URL}/api/auth/signup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    const data = await upstream.json();
+
+    if (!upstream.ok) {
+      return NextResponse.json(
+        { error: data.error || 'Signup failed' },
+        { status: upstream.status }
+      );
+    }
+
     return NextResponse.json(
       { 
         message: 'Signup successful',
-        user: { email }
+        user: data.user
       },
       { status: 201 }
     );
@@ -0,0 +1,57 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { BACKEND_URL, SESSION_COOKIE } from '@/lib/session';
+
+// Response headers worth passing back to the browser, e.g. so resume PDFs
+// stream inline or as downloads like they do from the backend directly
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-disposition'];
+
+async function proxy(request: NextRequest, { params }: { params: Promise<{ path: string[] }> }) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  if (!token) {
+    return NextResponse.json({ error: 'Not logged in' }, { status: 401 });
+  }
+
+  const { path } = await params;
+  const target = `${BACKEND_URL}/${path.map(encodeURIComponent).join('/')}${request.nextUrl.search}`;
+  // No X-Forwarded-For: Next passes on whatever the browser sent in it and
+  // doesn't give route handlers the connecting address to set it from
+  const headers = new Headers({ Authorization: `Bearer ${token}` });
+  const contentType = request.headers.get('content-type');
+  if (contentType) {
+    headers.set('Content-Type', contentType);
+  }
+
+  try {
+    const hasBody = !['GET', 'HEAD'].includes(request.method);
+    const upstream = await fetch(target, {
+      method: request.method,
+      headers,
+      body: hasBody ? request.body : undefined,
+      // Required by Node's fetch to stream a request body
+      ...(hasBody && { duplex: 'half' }),
+      cache: 'no-store',
+    } as RequestInit);
+
+    const responseHeaders = new Headers();
+    for (const name of FORWARDED_HEADERS) {
+      const value = upstream.headers.get(name);
+      if (value) {
+        responseHeaders.set(name, value);
+      }
+    }
+    const response = new NextResponse(upstream.body, { status: upstream.status, headers: responseHeaders });
+    // The backend rejected the token (expired or revoked), so end the session
+    if (upstream.status === 401) {
+      response.cookies.delete(SESSION_COOKIE);
+    }
+    return response;
+  } catch (error) {
+    console.error('Proxy error:', error);
+    return NextResponse.json(
+      { error: 'Backend unavailable' },
+      { status: 502 }
+    );
+  }
+}
+
+export { proxy as GET, proxy as POST, proxy as PUT, proxy as PATCH, proxy as DELETE };
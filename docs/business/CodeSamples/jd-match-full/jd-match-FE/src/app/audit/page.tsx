@@ -0,0 +1,218 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Sidebar from "../../components/Sidebar";
+import { apiFetch } from "../../lib/api";
+import { AuditFilters, AuditPage, auditQuery, emptyAuditFilters } from "../../lib/audit";
+
+const PAGE_SIZE = 100;
+
+const inputClass = "px-2 py-1 rounded bg-[#161C24] text-white border border-[#212B36] text-sm focus:outline-none focus:ring-2 focus:ring-[#2065D1]";
+
+const target = (type: string | null, id: string | null) => (type ? `${type.replace(/_/g, " ")}${id ? `: ${id}` : ""}` : "–");
+
+// Who searched, viewed, downloaded or changed what. Recruitment Leads and
+// Compliance only (audit:read); the backend refuses everyone else.
+export default function AuditLogPage() {
+  const [draft, setDraft] = useState<AuditFilters>(emptyAuditFilters);
+  const [filters, setFilters] = useState<AuditFilters>(emptyAuditFilters);
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState<AuditPage | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await apiFetch(`/api/audit?${auditQuery(filters, { limit: String(PAGE_SIZE), offset: String(offset) })}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(
+            response.status === 403 ? "Only Recruitment Leads and Compliance can view the audit log" : data.error || "Could not load the audit log"
+          );
+        }
+        setPage(data);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : "Could not load the audit log");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [filters, offset]);
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setOffset(0);
+    setFilters(draft);
+  };
+
+  const exportCsv = async () => {
+    setExporting(true);
+    setError("");
+    try {
+      const response = await apiFetch(`/api/audit/export?${auditQuery(filters)}`);
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || "Could not export the audit log");
+      }
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not export the audit log");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const setField = (name: keyof AuditFilters) => (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) =>
+    setDraft({ ...draft, [name]: e.target.value });
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/audit" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24]">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight">Audit Log</h1>
+          <button
+            type="button"
+            onClick={exportCsv}
+            disabled={exporting || !page}
+            className="ml-auto px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold disabled:opacity-60"
+          >
+            {exporting ? "Exporting..." : "Export CSV"}
+          </button>
+        </header>
+        <div className="flex-1 overflow-y-auto p-10">
+          <div className="max-w-6xl mx-auto flex flex-col gap-6">
+            <form
+              onSubmit={applyFilters}
+              className="bg-[#1E293B] rounded-2xl shadow-xl p-6 border border-[#212B36] grid grid-cols-2 md:grid-cols-4 gap-4 text-xs text-gray-400"
+            >
+              <label className="flex flex-col gap-1">
+                Action
+                <select className={inputClass} value={draft.action} onChange={setField("action")}>
+                  <option value="">Any</option>
+                  {(page?.actions || []).map((action) => (
+                    <option key={action} value={action}>{action}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                User email
+                <input className={inputClass} value={draft.user} onChange={setField("user")} placeholder="jane@" />
+              </label>
+              <label className="flex flex-col gap-1">
+                Resume file
+                <input className={inputClass} value={draft.resume} onChange={setField("resume")} placeholder="jane_doe.pdf" />
+              </label>
+              <label className="flex flex-col gap-1">
+                Candidate ID
+                <input className={inputClass} value={draft.candidateId} onChange={setField("candidateId")} inputMode="numeric" />
+              </label>
+              <label className="flex flex-col gap-1">
+                From
+                <input type="date" className={inputClass} value={draft.from} onChange={setField("from")} />
+              </label>
+              <label className="flex flex-col gap-1">
+                To
+                <input type="date" className={inputClass} value={draft.to} onChange={setField("to")} />
+              </label>
+              <div className="col-span-2 flex items-end gap-2">
+                <button type="submit" className="px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold">
+                  Apply
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setDraft(emptyAuditFilters);
+                    setOffset(0);
+                    setFilters(emptyAuditFilters);
+                  }}
+                  className="px-4 py-2 rounded border border-[#161C24] text-gray-300 hover:text-white text-sm"
+                >
+                  Clear
+                </button>
+              </div>
+            </form>
+
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+
+            {page && (
+              <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36] overflow-x-auto">
+                <div className="flex items-center mb-4 text-xs text-gray-400">
+                  <span>
+                    {page.total === 0
+                      ? "No entries match"
+                      : `${offset + 1}–${offset + page.events.length} of ${page.total} entries`}
+                  </span>
+                  <div className="ml-auto flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                      disabled={loading || offset === 0}
+                      className="px-3 py-1 rounded border border-[#161C24] text-gray-300 hover:text-white disabled:opacity-40"
+                    >
+                      Newer
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setOffset(offset + PAGE_SIZE)}
+                      disabled={loading || offset + PAGE_SIZE >= page.total}
+                      className="px-3 py-1 rounded border border-[#161C24] text-gray-300 hover:text-white disabled:opacity-40"
+                    >
+                      Older
+                    </button>
+                  </div>
+                </div>
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-400">
+                    <tr>
+                      <th className="py-2 pr-4 font-medium">Time</th>
+                      <th className="py-2 pr-4 font-medium">User</th>
+                      <th className="py-2 pr-4 font-medium">Action</th>
+                      <th className="py-2 pr-4 font-medium">Target</th>
+                      <th className="py-2 pr-4 font-medium">IP</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-[#212B36] text-gray-300">
+                    {page.events.map((event) => (
+                      <tr key={event.id} className="align-top">
+                        <td className="py-2 pr-4 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</td>
+                        <td className="py-2 pr-4">
+                          {event.userEmail || "–"}
+                          {event.userRole && <span className="block text-xs text-gray-500">{event.userRole}</span>}
+                        </td>
+                        <td className="py-2 pr-4 whitespace-nowrap">{event.action}</td>
+                        <td className="py-2 pr-4 break-all">
+                          {target(event.targetType, event.targetId)}
+                          {event.subjects.length > 0 && (
+                            <span className="block text-xs text-gray-500" title={event.subjects.join(", ")}>
+                              {event.subjects.length} resume{event.subjects.length === 1 ? "" : "s"} shown
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 whitespace-nowrap">{event.ip || "–"}</td>
+                        <td className={`py-2 pr-4 ${event.statusCode && event.statusCode >= 400 ? "text-red-400" : ""}`}>
+                          {event.statusCode ?? "–"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,79 +1,490 @@
 "use client";
 
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import Link from "next/link";
 import Sidebar from "../../components/Sidebar";
+import { apiFetch, resumeUrl } from "../../lib/api";
+import ConstraintFilters, {
+  Constraints,
+  FilterField,
+  FilterValues,
+  emptyFilters,
+  filtersFromConstraints,
+  constraintsFromFilters,
+} from "../../components/ConstraintFilters";
+import JdTagEditor, { JdTags } from "../../components/JdTagEditor";
+import { PipelineEntry, stageLabels, stageStyles } from "../../lib/pipeline";
+import FeedbackControls, { MatchFeedback, Verdict } from "../../components/FeedbackControls";
+import ReportControls, { ReportFormat } from "../../components/ReportControls";
+import { ScoringProfileList, ScoringProfileSummary, defaultProfile } from "../../lib/scoring";
+import { SkillOverlap } from "../../lib/skills";
+import { SupportingDocumentSummary, documentTypeLabels } from "../../lib/documents";
+
+interface Evidence {
+  text: string;
+  page: number | null;
+  distance: number;
+}
+
+interface Criteria {
+  skills: number;
+  languages: number;
+  experience: number;
+  roleFit: number;
+}
+
+interface ProfileSummary {
+  resumeId: number;
+  name: string | null;
+  location: string | null;
+  visaStatus: string | null;
+  clearance: string | null;
+  hourlyRate: number | null;
+  yearsOfExperience: number | null;
+  currentTitle: string | null;
+}
+
+interface ResumeVersion {
+  filename: string;
+  resumeId: number;
+}
+
+interface FraudSummary {
+  riskScore: number;
+  riskLevel: "low" | "medium" | "high";
+  reasons: { signal: string; points: number; detail: string }[];
+}
+
+type FraudPolicy = "flag" | "demote" | "exclude";
+
+// How often recruiters accepted results scored in this band
+interface Calibration {
+  band: string;
+  acceptanceRate: number;
+  rated: number;
+}
+
+const fraudPolicyLabels: { value: FraudPolicy; label: string }[] = [
+  { value: "flag", label: "Flag only" },
+  { value: "demote", label: "Demote" },
+  { value: "exclude", label: "Exclude high risk" },
+];
+
+interface MatchResult {
+  filename: string;
+  score: number;
+  criteria: Criteria;
+  matchedSkills: string[];
+  missingSkills: string[];
+  rationale: string;
+  evidence: Evidence[];
+  unverified: string[];
+  candidateId: number | null;
+  versions: ResumeVersion[];
+  fraud: FraudSummary | null;
+  documents?: SupportingDocumentSummary[];
+  fraudPenalty?: number;
+  feedbackAdjustment?: number;
+  calibration: Calibration | null;
+  skillOverlap?: SkillOverlap | null;
+  profile: ProfileSummary | null;
+}
 
 interface Resume {
   name: string;
   score: number;
+  criteria: Criteria;
+  matchedSkills: string[];
+  missingSkills: string[];
+  rationale: string;
+  evidence: Evidence[];
+  unverified: string[];
+  candidateId: number | null;
+  versions: ResumeVersion[];
+  fraud: FraudSummary | null;
+  documents?: SupportingDocumentSummary[];
+  fraudPenalty?: number;
+  feedbackAdjustment?: number;
+  calibration: Calibration | null;
+  skillOverlap?: SkillOverlap | null;
+  profile: ProfileSummary | null;
 }
 
+const unverifiedLabels: { [key: string]: string } = {
+  years: "years of experience",
+  location: "location",
+  visaStatus: "visa status",
+  rate: "rate",
+};
+
+const criteriaLabels: { key: keyof Criteria; label: string }[] = [
+  { key: "skills", label: "Skills" },
+  { key: "languages", label: "Languages" },
+  { key: "experience", label: "Experience" },
+  { key: "roleFit", label: "Role & Domain" },
+];
+
 interface ApiResponse {
   success: boolean;
-  jdTags: {
-    Skills: string;
-    "Programming Languages": string;
-    "Years of experience": number;
-  };
+  jdTags: JdTags;
+  constraints: Constraints;
+  scoringProfile?: ScoringProfileSummary;
+  excluded: { filename: string; reasons: string[] }[];
+  message?: string;
   matchingResumes: string[];
   notFound: string[];
   scores: { [key: string]: number };
+  results: MatchResult[];
+  evidence: { [key: string]: Evidence[] };
+  failedBatches: { index: number; resumes: string[]; error: string }[];
+  requisitionId?: number;
+  requisitionTitle?: string;
+  searchId?: number;
+  searchedAt?: string;
+  diff?: SearchDiff | null;
+}
+
+interface DiffEntry {
+  filename: string;
+  candidateId: number | null;
+  score: number;
+  previousScore?: number;
+}
+
+// How the results changed since the requisition's previous run
+interface SearchDiff {
+  added: DiffEntry[];
+  removed: DiffEntry[];
+  changed: DiffEntry[];
 }
 
+interface SearchRun {
+  id: number;
+  resultCount: number;
+  createdAt: string;
+}
+
+interface RequisitionInfo {
+  id: number;
+  title: string;
+  jdText: string;
+}
+
+interface RequisitionResponse {
+  requisition: RequisitionInfo;
+  searches: SearchRun[];
+  search: ApiResponse | null;
+}
+
+const formatDate = (value: string) => new Date(value).toLocaleString();
+
+const diffKey = (entry: { filename: string; candidateId: number | null }) =>
+  entry.candidateId ? `c${entry.candidateId}` : `f${entry.filename}`;
+
+const resumeKey = (resume: Resume) => diffKey({ filename: resume.name, candidateId: resume.candidateId });
+
+const fetchJson = async <T,>(path: string, init?: RequestInit): Promise<T> => {
+  const response = await apiFetch(path, init);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || 'Network response was not ok');
+  }
+  return body as T;
+};
+
 export default function DashboardPage() {
   const [jd, setJd] = useState("");
   const [loading, setLoading] = useState(false);
   const [resumes, setResumes] = useState<Resume[]>([]);
   const [error, setError] = useState("");
   const [jdTags, setJdTags] = useState<ApiResponse['jdTags'] | null>(null);
+  const [warning, setWarning] = useState("");
+  const [filters, setFilters] = useState<FilterValues>(emptyFilters);
+  const [editedFilters, setEditedFilters] = useState<Set<FilterField>>(new Set());
+  const [filtersFromJd, setFiltersFromJd] = useState(false);
+  const [excluded, setExcluded] = useState<ApiResponse['excluded']>([]);
+  const [fraudPolicy, setFraudPolicy] = useState<FraudPolicy>("flag");
+  const [scoringProfiles, setScoringProfiles] = useState<ScoringProfileList | null>(null);
+  // Empty for the default profile
+  const [scoringProfileId, setScoringProfileId] = useState("");
+  const [scoredWith, setScoredWith] = useState<ScoringProfileSummary | null>(null);
+  // Tags the recruiter is reviewing; sent with the match instead of being
+  // extracted again
+  const [reviewTags, setReviewTags] = useState<JdTags | null>(null);
+  const [extracting, setExtracting] = useState(false);
+  // The requisition searches are saved under; a new one is opened on the
+  // first search when none is selected
+  const [requisition, setRequisition] = useState<Pick<RequisitionInfo, "id" | "title"> | null>(null);
+  const [searches, setSearches] = useState<SearchRun[]>([]);
+  const [searchId, setSearchId] = useState<number | null>(null);
+  const [searchedAt, setSearchedAt] = useState("");
+  const [diff, setDiff] = useState<SearchDiff | null>(null);
+  const [pipeline, setPipeline] = useState<PipelineEntry[]>([]);
+  const [shortlisting, setShortlisting] = useState("");
+  const [feedback, setFeedback] = useState<MatchFeedback[]>([]);
 
-  const handleSearch = async (e: React.FormEvent) => {
-    e.preventDefault();
+  const handleFilterChange = <K extends FilterField>(field: K, value: FilterValues[K]) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setEditedFilters((prev) => new Set(prev).add(field));
+  };
+
+  // Show the constraints the server took from the JD, keeping the recruiter's own edits
+  const applyJdConstraints = useCallback((constraints: Constraints) => {
+    const applied = filtersFromConstraints(constraints);
+    setFilters((prev) => ({
+      ...applied,
+      ...Object.fromEntries([...editedFilters].map((field) => [field, prev[field]])),
+    }));
+    setFiltersFromJd(true);
+  }, [editedFilters]);
+
+  // Extract tags from an uploaded JD file, or from the pasted text
+  const extractTags = async (file?: File) => {
+    setExtracting(true);
+    setError("");
+    try {
+      let response: Response;
+      if (file) {
+        const form = new FormData();
+        form.append("file", file);
+        response = await apiFetch('/api/jd-tags', { method: 'POST', body: form });
+      } else {
+        response = await apiFetch('/api/jd-tags', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jdText: jd }),
+        });
+      }
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not read the job description');
+      }
+      setJd(data.jdText);
+      setReviewTags(data.jdTags);
+      applyJdConstraints(data.constraints);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not read the job description');
+    } finally {
+      setExtracting(false);
+    }
+  };
+
+  // Show a match response, fresh or saved
+  const showResults = useCallback((data: ApiResponse) => {
+    if (data.constraints) {
+      applyJdConstraints(data.constraints);
+    }
+    setExcluded(data.excluded || []);
+    setSearchId(data.searchId ?? null);
+    setSearchedAt(data.searchedAt || "");
+    setDiff(data.diff || null);
+    setScoredWith(data.scoringProfile || null);
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to find matching resumes');
+    }
+
+    setJdTags(data.jdTags);
+    if (data.failedBatches?.length) {
+      const skipped = data.failedBatches.reduce((n, b) => n + b.resumes.length, 0);
+      setWarning(`${skipped} resumes could not be scored and are missing from these results.`);
+    }
+    // Convert results to resume cards, keeping those at or above the
+    // threshold of the profile they were scored with
+    const threshold = data.scoringProfile?.threshold ?? 0;
+    const matchedResumes = data.results
+      .filter((result) => result.score >= threshold)
+      .map(({ filename, ...detail }) => ({
+        name: filename,
+        ...detail
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    setResumes(matchedResumes);
+  }, [applyJdConstraints]);
+
+  const withResults = useCallback(async (load: () => Promise<void>) => {
     setLoading(true);
     setError("");
     setResumes([]);
     setJdTags(null);
-    
+    setWarning("");
+    setExcluded([]);
+    setDiff(null);
+
     try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/match-resumes`, {
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch resumes. Try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    withResults(async () => {
+      const data = await fetchJson<ApiResponse>('/api/match-resumes', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           jdText: jd,
-          topn: 3
+          jdTags: reviewTags ?? undefined,
+          scoringProfileId: scoringProfileId ? Number(scoringProfileId) : undefined,
+          constraints: constraintsFromFilters(filters, editedFilters),
+          fraudPolicy,
+          requisitionId: requisition?.id,
         }),
       });
+      if (data.requisitionId && data.searchId) {
+        const run = { id: data.searchId, resultCount: data.results.length, createdAt: data.searchedAt || "" };
+        setRequisition({ id: data.requisitionId, title: data.requisitionTitle || requisition?.title || "" });
+        setSearches((prev) => (data.requisitionId === requisition?.id ? [run, ...prev] : [run]));
+      }
+      showResults(data);
+    });
+  };
 
-      if (!response.ok) {
-        throw new Error('Network response was not ok');
+  // Reopen a requisition with the results of one of its runs, as they were
+  // returned at the time
+  const openRequisition = useCallback((id: number, runId?: number) => {
+    withResults(async () => {
+      const path = runId ? `/api/requisitions/${id}/searches/${runId}` : `/api/requisitions/${id}`;
+      const data = await fetchJson<RequisitionResponse>(path);
+      setRequisition({ id: data.requisition.id, title: data.requisition.title });
+      setSearches(data.searches);
+      setJd(data.requisition.jdText);
+      setReviewTags(null);
+      if (data.search) {
+        showResults(data.search);
+      }
+    });
+  }, [withResults, showResults]);
+
+  // Run the requisition's latest search again against the current resume pool
+  const handleRerun = () => {
+    if (!requisition) {
+      return;
+    }
+    withResults(async () => {
+      const data = await fetchJson<ApiResponse>(`/api/requisitions/${requisition.id}/rerun`, { method: 'POST' });
+      if (data.searchId) {
+        setSearches((prev) => [
+          { id: data.searchId!, resultCount: data.results.length, createdAt: data.searchedAt || "" },
+          ...prev,
+        ]);
       }
+      showResults(data);
+    });
+  };
+
+  // Who from this requisition is already in its pipeline, and at which
+  // stage, and the verdicts given on its results
+  const requisitionId = requisition?.id;
+  useEffect(() => {
+    setPipeline([]);
+    setFeedback([]);
+    if (!requisitionId) {
+      return;
+    }
+    apiFetch(`/api/requisitions/${requisitionId}/pipeline`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setPipeline(data.entries))
+      .catch(() => {});
+    apiFetch(`/api/requisitions/${requisitionId}/feedback`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setFeedback(data.feedback))
+      .catch(() => {});
+  }, [requisitionId]);
 
-      const data: ApiResponse = await response.json();
-      
-      if (!data.success) {
-        throw new Error('Failed to find matching resumes');
+  // A verdict replaces any earlier one on the same candidate
+  const handleFeedback = async (resume: Resume, verdict: Verdict, reason: string) => {
+    const { feedback: saved } = await fetchJson<{ feedback: MatchFeedback }>(
+      `/api/requisitions/${requisition!.id}/feedback`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ searchId, filename: resume.name, verdict, reason }),
       }
+    );
+    setFeedback((prev) => [saved, ...prev.filter((item) => item.id !== saved.id)]);
+  };
+
+  // The report comes back as a file; save it under the name the backend gives
+  const handleReport = async (resume: Resume, format: ReportFormat, notes: string) => {
+    const response = await apiFetch(`/api/requisitions/${requisition!.id}/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ searchId, filename: resume.name, format, notes }),
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw new Error(body?.error || 'Could not generate the report');
+    }
+    const disposition = response.headers.get('content-disposition') || '';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = /filename="([^"]+)"/.exec(disposition)?.[1] || `report.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
+
+  const feedbackFor = (resume: Resume) =>
+    feedback.find((item) =>
+      resume.candidateId ? item.candidateId === resume.candidateId : item.fileName === resume.name
+    );
 
-      setJdTags(data.jdTags);
-      // Convert scores to array of resumes
-      const matchedResumes = Object.entries(data.scores)
-        .filter(([name, score]) => score >= 60) // Only show resumes with score >= 60
-        .map(([name, score]) => ({
-          name,
-          score
-        }))
-        .sort((a, b) => b.score - a.score);
-      
-      setResumes(matchedResumes);
+  const handleShortlist = async (resume: Resume) => {
+    if (!requisition) {
+      return;
+    }
+    setShortlisting(resume.name);
+    setError("");
+    try {
+      const { entry } = await fetchJson<{ entry: PipelineEntry }>(`/api/requisitions/${requisition.id}/pipeline`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filename: resume.name, searchId }),
+      });
+      setPipeline((prev) => [entry, ...prev]);
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Failed to fetch resumes. Try again.');
+      setError(err instanceof Error ? err.message : 'Could not shortlist the candidate');
     } finally {
-      setLoading(false);
+      setShortlisting("");
     }
   };
 
+  // Versions of one candidate share their pipeline entry
+  const pipelineEntryFor = (resume: Resume) =>
+    pipeline.find((entry) =>
+      resume.candidateId ? entry.candidateId === resume.candidateId : entry.fileName === resume.name
+    );
+
+  useEffect(() => {
+    apiFetch('/api/scoring-profiles')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setScoringProfiles(data))
+      .catch(() => {});
+  }, []);
+
+  // Links from the Searches page open a requisition directly, once
+  const openedLink = useRef(false);
+  useEffect(() => {
+    if (openedLink.current) {
+      return;
+    }
+    openedLink.current = true;
+    const id = Number(new URLSearchParams(window.location.search).get("requisition"));
+    if (id) {
+      openRequisition(id);
+    }
+  }, [openRequisition]);
+
+  const addedKeys = new Set(diff?.added.map(diffKey));
+  const previousScores = new Map(diff?.changed.map((entry) => [diffKey(entry), entry.previousScore]));
+
   return (
     <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
       <Sidebar current="/dashboard" />
@@ -97,10 +508,94 @@ export default function DashboardPage() {
                 id="jd"
                 className="min-h-[160px] px-4 py-3 rounded-xl bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] resize-vertical text-base font-normal"
                 value={jd}
-                onChange={(e) => setJd(e.target.value)}
+                onChange={(e) => {
+                  setJd(e.target.value);
+                  // Tags reviewed for the old text no longer apply
+                  setReviewTags(null);
+                }}
                 required
                 placeholder="Paste or type the job description here..."
               />
+              <div className="flex items-center gap-3 text-sm">
+                <label className="px-3 py-2 rounded-lg border border-[#2065D1] text-blue-300 hover:bg-[#2065D1]/10 cursor-pointer">
+                  Upload JD file
+                  <input
+                    type="file"
+                    accept=".pdf,.docx,.doc,.txt,.rtf"
+                    className="hidden"
+                    disabled={extracting}
+                    onChange={(e) => {
+                      const file = e.target.files?.[0];
+                      e.target.value = "";
+                      if (file) {
+                        extractTags(file);
+                      }
+                    }}
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => extractTags()}
+                  disabled={!jd.trim() || extracting}
+                  className="px-3 py-2 rounded-lg border border-[#212B36] text-gray-300 hover:bg-[#161C24] disabled:opacity-60"
+                >
+                  Review tags
+                </button>
+                {extracting && <span className="text-xs text-gray-400">Reading job description...</span>}
+              </div>
+              {requisition && (
+                <div className="flex items-center justify-between gap-3 text-xs text-gray-400">
+                  <span className="truncate">
+                    Saving to <span className="text-gray-200">{requisition.title}</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setRequisition(null);
+                      setSearches([]);
+                    }}
+                    className="text-blue-300 hover:underline shrink-0"
+                  >
+                    New requisition
+                  </button>
+                </div>
+              )}
+              {reviewTags && <JdTagEditor tags={reviewTags} onChange={setReviewTags} />}
+              <ConstraintFilters
+                values={filters}
+                edited={editedFilters}
+                fromJd={filtersFromJd}
+                onChange={handleFilterChange}
+              />
+              <label className="text-xs text-gray-400">
+                Resumes with fraud risk
+                <select
+                  className="w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm"
+                  value={fraudPolicy}
+                  onChange={(e) => setFraudPolicy(e.target.value as FraudPolicy)}
+                >
+                  {fraudPolicyLabels.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {scoringProfiles && (
+                <label className="text-xs text-gray-400">
+                  Scoring profile
+                  <select
+                    className="w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm"
+                    value={scoringProfileId}
+                    onChange={(e) => setScoringProfileId(e.target.value)}
+                  >
+                    <option value="">Default ({defaultProfile(scoringProfiles).name})</option>
+                    {scoringProfiles.profiles
+                      .filter((profile) => !profile.isDefault)
+                      .map((profile) => (
+                        <option key={profile.id} value={String(profile.id)}>{profile.name}</option>
+                      ))}
+                  </select>
+                </label>
+              )}
               <button
                 type="submit"
                 className="mt-2 py-3 rounded-xl bg-[#2065D1] hover:bg-blue-700 text-white font-semibold transition-colors duration-200 shadow disabled:opacity-60"
@@ -114,6 +609,66 @@ export default function DashboardPage() {
           {/* Right: Analysis & Results */}
           <section className="w-1/2 flex flex-col bg-[#161C24] p-10 overflow-y-auto">
             <div className="flex flex-col gap-6 max-w-lg mx-auto w-full">
+              {/* Saved requisition and its runs */}
+              {requisition && searchId && (
+                <div className="w-full bg-[#1E293B] rounded-2xl shadow-xl p-6 border border-[#212B36] flex flex-col gap-3">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <h2 className="text-lg font-semibold text-white truncate">{requisition.title}</h2>
+                      {searchedAt && <p className="text-xs text-gray-400">Results from {formatDate(searchedAt)}</p>}
+                    </div>
+                    <div className="flex items-center gap-3 shrink-0">
+                      <Link href={`/searches/${requisition.id}/pipeline`} className="text-sm text-blue-300 hover:underline">
+                        Pipeline{pipeline.length ? ` (${pipeline.length})` : ""}
+                      </Link>
+                      <button
+                        type="button"
+                        onClick={handleRerun}
+                        disabled={loading}
+                        className="px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200 whitespace-nowrap disabled:opacity-60"
+                      >
+                        Re-run
+                      </button>
+                    </div>
+                  </div>
+                  {searches.length > 1 && (
+                    <label className="text-xs text-gray-400">
+                      Past runs
+                      <select
+                        className="w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm"
+                        value={searchId}
+                        onChange={(e) => openRequisition(requisition.id, Number(e.target.value))}
+                        disabled={loading}
+                      >
+                        {searches.map((run) => (
+                          <option key={run.id} value={run.id}>
+                            {formatDate(run.createdAt)} · {run.resultCount} results
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {diff && (
+                    <p className="text-sm text-gray-300">
+                      Since the previous run: {diff.added.length} new · {diff.removed.length} no longer matching ·{" "}
+                      {diff.changed.length} rescored
+                    </p>
+                  )}
+                  {diff && diff.removed.length > 0 && (
+                    <details className="text-sm text-gray-400">
+                      <summary className="cursor-pointer">No longer matching</summary>
+                      <ul className="mt-2 space-y-1 text-xs">
+                        {diff.removed.map((entry) => (
+                          <li key={diffKey(entry)}>
+                            <span className="text-gray-300">{entry.filename}</span> (was {entry.score}%)
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </div>
+              )}
+
               {/* JD Analysis */}
               {jdTags && (
                 <div className="w-full bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
@@ -138,6 +693,26 @@ export default function DashboardPage() {
               {/* Matching Resumes */}
               <div className="w-full bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
                 <h2 className="text-lg font-semibold text-white mb-4">Matching Resumes</h2>
+                {scoredWith && (
+                  <p className="text-xs text-gray-400 -mt-3 mb-4">
+                    Scored with {scoredWith.name}: {scoredWith.threshold}% or more, top {scoredWith.topn}
+                  </p>
+                )}
+                {warning && <p className="text-yellow-400 text-sm mb-4">{warning}</p>}
+                {excluded.length > 0 && (
+                  <details className="text-sm text-gray-400 mb-4">
+                    <summary className="cursor-pointer">
+                      {excluded.length} resumes excluded by hard requirements
+                    </summary>
+                    <ul className="mt-2 space-y-1 text-xs">
+                      {excluded.map((item) => (
+                        <li key={item.filename}>
+                          <span className="text-gray-300">{item.filename}</span>: {item.reasons.join("; ")}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
                 {resumes.length === 0 && !loading && (
                   <div className="text-gray-400 text-center mt-8">
                     {error || "No matching resumes found. Try adjusting your job description."}
@@ -145,21 +720,198 @@ export default function DashboardPage() {
                 )}
                 <div className="max-h-[60vh] overflow-y-auto pr-2">
                   <ul className="space-y-4">
-                {resumes.map((resume) => (
+                {resumes.map((resume) => {
+                  const entry = pipelineEntryFor(resume);
+                  return (
                     <li key={resume.name} className="grid grid-cols-[1fr,auto] gap-4 bg-[#212B36] rounded-xl p-4 border border-[#161C24] shadow-sm">
                       <div className="flex flex-col min-w-0">
-                        <span className="text-white font-medium truncate">{resume.name}</span>
-                        <span className="text-sm text-gray-400">Match Score: {resume.score}%</span>
+                        <span className="text-white font-medium truncate">
+                          {resume.name}
+                          {addedKeys.has(resumeKey(resume)) && (
+                            <span className="ml-2 px-2 py-0.5 rounded bg-blue-900/60 text-blue-300 text-xs">New</span>
+                          )}
+                        </span>
+                        <span className="text-sm text-gray-400">
+                          Match Score: {resume.score}%
+                          {previousScores.has(resumeKey(resume)) ? ` (was ${previousScores.get(resumeKey(resume))}%)` : ""}
+                          {resume.fraudPenalty ? ` (−${resume.fraudPenalty} for fraud risk)` : ""}
+                          {resume.feedbackAdjustment
+                            ? ` (${resume.feedbackAdjustment > 0 ? "+" : "−"}${Math.abs(resume.feedbackAdjustment)} from feedback)`
+                            : ""}
+                          {resume.skillOverlap && resume.skillOverlap.score !== null && (
+                            <span
+                              className="ml-2 text-gray-300"
+                              title={[
+                                resume.skillOverlap.matched.length && `Has: ${resume.skillOverlap.matched.join(", ")}`,
+                                resume.skillOverlap.partial.length && `Related: ${resume.skillOverlap.partial.join(", ")}`,
+                                resume.skillOverlap.missing.length && `Missing: ${resume.skillOverlap.missing.join(", ")}`,
+                              ]
+                                .filter(Boolean)
+                                .join("\n")}
+                            >
+                              · Skill overlap: {resume.skillOverlap.score}%
+                            </span>
+                          )}
+                        </span>
+                        {resume.calibration && (
+                          <span className="text-xs text-gray-500">
+                            Scores of {resume.calibration.band} were accepted{" "}
+                            {Math.round(resume.calibration.acceptanceRate * 100)}% of the time ({resume.calibration.rated} verdicts)
+                          </span>
+                        )}
+                        {resume.fraud && resume.fraud.riskLevel !== "low" && (
+                          <details className="mt-1">
+                            <summary
+                              className={`cursor-pointer text-xs font-semibold ${
+                                resume.fraud.riskLevel === "high" ? "text-red-400" : "text-yellow-400"
+                              }`}
+                            >
+                              {resume.fraud.riskLevel === "high" ? "High" : "Medium"} fraud risk ({resume.fraud.riskScore})
+                            </summary>
+                            <ul className="mt-1 text-xs text-gray-400 list-disc pl-4">
+                              {resume.fraud.reasons.map((reason) => (
+                                <li key={reason.detail}>{reason.detail}</li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                        {resume.profile && (
+                          <span className="text-xs text-gray-400 mt-1">
+                            {[
+                              resume.profile.name,
+                              resume.profile.currentTitle,
+                              resume.profile.location,
+                              resume.profile.visaStatus,
+                              resume.profile.hourlyRate !== null ? `$${resume.profile.hourlyRate}/hr` : null,
+                              resume.profile.yearsOfExperience !== null ? `${resume.profile.yearsOfExperience} yrs` : null,
+                            ].filter(Boolean).join(" · ")}
+                          </span>
+                        )}
+                        {resume.unverified.length > 0 && (
+                          <span className="text-xs text-yellow-400 mt-1">
+                            Unverified: {resume.unverified.map((field) => unverifiedLabels[field] || field).join(", ")}
+                          </span>
+                        )}
+                        <div className="grid grid-cols-2 gap-x-4 gap-y-1 mt-3">
+                          {criteriaLabels.map(({ key, label }) => (
+                            <div key={key} className="text-xs text-gray-400">
+                              <div className="flex justify-between">
+                                <span>{label}</span>
+                                <span>{resume.criteria[key]}%</span>
+                              </div>
+                              <div className="h-1 rounded bg-[#161C24] mt-1">
+                                <div className="h-1 rounded bg-[#2065D1]" style={{ width: `${resume.criteria[key]}%` }} />
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                        {resume.matchedSkills.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-3">
+                            {resume.matchedSkills.map((skill) => (
+                              <span key={skill} className="px-2 py-0.5 rounded bg-green-900/60 text-green-300 text-xs">{skill}</span>
+                            ))}
+                          </div>
+                        )}
+                        {resume.missingSkills.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {resume.missingSkills.map((skill) => (
+                              <span key={skill} className="px-2 py-0.5 rounded bg-red-900/60 text-red-300 text-xs">Missing: {skill}</span>
+                            ))}
+                          </div>
+                        )}
+                        {resume.versions.length > 1 && (
+                          <div className="text-xs text-gray-400 mt-2">
+                            Other versions:{" "}
+                            {resume.versions
+                              .filter((version) => version.filename !== resume.name)
+                              .map((version, i) => (
+                                <React.Fragment key={version.filename}>
+                                  {i > 0 && ", "}
+                                  <a
+                                    href={resumeUrl(version.filename)}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                    className="text-blue-300 hover:underline"
+                                  >
+                                    {version.filename}
+                                  </a>
+                                </React.Fragment>
+                              ))}
+                          </div>
+                        )}
+                        {resume.documents && resume.documents.length > 0 && (
+                          <div className="text-xs text-gray-400 mt-2">
+                            Supporting documents:{" "}
+                            {resume.documents.map((document, i) => (
+                              <React.Fragment key={document.id}>
+                                {i > 0 && ", "}
+                                <a
+                                  href={resumeUrl(document.fileName)}
+                                  target="_blank"
+                                  rel="noreferrer"
+                                  className="text-blue-300 hover:underline"
+                                  title={document.fileName}
+                                >
+                                  {documentTypeLabels[document.type]}
+                                </a>
+                              </React.Fragment>
+                            ))}
+                          </div>
+                        )}
+                        {resume.rationale && (
+                          <p className="text-sm text-gray-300 mt-3">{resume.rationale}</p>
+                        )}
+                        {resume.evidence.length > 0 && (
+                          <p className="text-xs text-gray-500 mt-2 line-clamp-3" title={resume.evidence[0].text}>
+                            &ldquo;{resume.evidence[0].text}&rdquo;
+                          </p>
+                        )}
+                        {requisition && searchId && (
+                          <FeedbackControls
+                            current={feedbackFor(resume)}
+                            onSubmit={(verdict, reason) => handleFeedback(resume, verdict, reason)}
+                          />
+                        )}
+                        {requisition && searchId && (
+                          <ReportControls onGenerate={(format, notes) => handleReport(resume, format, notes)} />
+                        )}
                       </div>
-                      <div className="flex gap-2 shrink-0">
+                      <div className="flex flex-col gap-2 shrink-0">
+                        {requisition && entry && (
+                          <Link
+                            href={`/searches/${requisition.id}/pipeline`}
+                            className={`px-3 py-1 rounded text-xs text-center whitespace-nowrap ${stageStyles[entry.stage]}`}
+                          >
+                            {stageLabels[entry.stage]}
+                          </Link>
+                        )}
+                        {requisition && searchId && !entry && (
+                          <button
+                            type="button"
+                            onClick={() => handleShortlist(resume)}
+                            disabled={shortlisting === resume.name}
+                            className="px-4 py-2 rounded border border-[#2065D1] text-blue-300 hover:bg-[#2065D1]/10 text-sm font-semibold whitespace-nowrap disabled:opacity-60"
+                          >
+                            Shortlist
+                          </button>
+                        )}
                         <button
-                          onClick={() => window.open(`${process.env.NEXT_PUBLIC_API_URL}/resumes/${resume.name}`, '_blank')}
+                          onClick={() => window.open(resumeUrl(resume.name), '_blank')}
                           className="px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200 whitespace-nowrap"
                         >
                           View
                         </button>
                         <a
-                          href={`${process.env.NEXT_PUBLIC_API_URL}/resumes/download/${resume.name}`}
+                          href={resumeUrl(resume.name, { redacted: true })}
+                          target="_blank"
+                          rel="noreferrer"
+                          title="Copy without email, phone, address or LinkedIn, for sharing"
+                          className="px-4 py-2 rounded border border-[#2065D1] text-blue-300 hover:bg-[#2065D1]/10 text-sm font-semibold text-center whitespace-nowrap"
+                        >
+                          Redacted
+                        </a>
+                        <a
+                          href={resumeUrl(resume.name, { download: true })}
                           download
                           className="px-4 py-2 rounded bg-green-500 hover:bg-green-600 text-white text-sm font-semibold transition-colors duration-200 whitespace-nowrap"
                         >
@@ -167,7 +919,8 @@ export default function DashboardPage() {
                         </a>
                       </div>
                     </li>
-                  ))}
+                  );
+                })}
                 </ul>
               </div>
             </div>
@@ -0,0 +1,167 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Sidebar from "../../components/Sidebar";
+import { apiFetch } from "../../lib/api";
+
+interface Acceptance {
+  rated: number;
+  accepted: number;
+  acceptanceRate: number | null;
+}
+
+interface Report {
+  rated: number;
+  accepted: number;
+  requisitions: number;
+  topN: (Acceptance & { n: number })[];
+  bands: (Acceptance & { band: string })[];
+  byMonth: { month: string; rated: number; topN: Report["topN"]; bands: Report["bands"] }[];
+  badFitReasons: { reason: string; count: number }[];
+}
+
+const percent = (value: number | null) => (value === null ? "–" : `${Math.round(value * 100)}%`);
+
+function RateBar({ value }: { value: number | null }) {
+  return (
+    <div className="w-full h-2 rounded bg-[#161C24] overflow-hidden">
+      <div className="h-full bg-green-500" style={{ width: `${Math.round((value ?? 0) * 100)}%` }} />
+    </div>
+  );
+}
+
+export default function FeedbackReportPage() {
+  const [report, setReport] = useState<Report | null>(null);
+  const [since, setSince] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setError("");
+      try {
+        const response = await apiFetch(`/api/feedback/report${since ? `?since=${since}` : ""}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || "Could not load the report");
+        }
+        setReport(data);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : "Could not load the report");
+      }
+    };
+    load();
+  }, [since]);
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/feedback" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24]">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight">Match Quality</h1>
+          <label className="ml-auto text-xs text-gray-400 flex items-center gap-2">
+            Since
+            <input
+              type="date"
+              value={since}
+              onChange={(e) => setSince(e.target.value)}
+              className="px-2 py-1 rounded bg-[#161C24] text-white border border-[#1E293B] text-sm"
+            />
+          </label>
+        </header>
+        <div className="flex-1 overflow-y-auto p-10">
+          <div className="max-w-4xl mx-auto flex flex-col gap-6">
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            {report && report.rated === 0 && (
+              <p className="text-gray-400 text-sm">
+                No feedback yet. Mark results as a good or bad fit from a saved search to build this report.
+              </p>
+            )}
+            {report && report.rated > 0 && (
+              <>
+                <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
+                  <h2 className="text-lg font-semibold text-white mb-1">Top results accepted</h2>
+                  <p className="text-xs text-gray-400 mb-4">
+                    {report.rated} verdicts on {report.requisitions} requisitions, {report.accepted} good fits
+                  </p>
+                  <div className="grid grid-cols-4 gap-4">
+                    {report.topN.map((item) => (
+                      <div key={item.n} className="bg-[#212B36] rounded-xl p-4">
+                        <p className="text-xs text-gray-400">Top {item.n}</p>
+                        <p className="text-2xl font-bold text-white">{percent(item.acceptanceRate)}</p>
+                        <p className="text-xs text-gray-500">
+                          {item.accepted} of {item.rated} rated
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
+                  <h2 className="text-lg font-semibold text-white mb-4">Acceptance by score band</h2>
+                  <ul className="space-y-3">
+                    {report.bands.map((band) => (
+                      <li key={band.band} className="grid grid-cols-[80px,1fr,140px] items-center gap-4 text-sm">
+                        <span className="text-gray-300">{band.band}</span>
+                        <RateBar value={band.acceptanceRate} />
+                        <span className="text-gray-400 text-right">
+                          {percent(band.acceptanceRate)} of {band.rated}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36] overflow-x-auto">
+                  <h2 className="text-lg font-semibold text-white mb-4">By month</h2>
+                  <table className="w-full text-sm text-left">
+                    <thead className="text-xs text-gray-400">
+                      <tr>
+                        <th className="py-2 pr-4 font-medium">Month</th>
+                        <th className="py-2 pr-4 font-medium">Verdicts</th>
+                        {report.topN.map((item) => (
+                          <th key={item.n} className="py-2 pr-4 font-medium">Top {item.n}</th>
+                        ))}
+                        {report.bands.map((band) => (
+                          <th key={band.band} className="py-2 pr-4 font-medium">{band.band}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-[#212B36] text-gray-300">
+                      {report.byMonth.map((month) => (
+                        <tr key={month.month}>
+                          <td className="py-2 pr-4">{month.month}</td>
+                          <td className="py-2 pr-4">{month.rated}</td>
+                          {month.topN.map((item) => (
+                            <td key={item.n} className="py-2 pr-4">{percent(item.acceptanceRate)}</td>
+                          ))}
+                          {month.bands.map((band) => (
+                            <td key={band.band} className="py-2 pr-4">{percent(band.acceptanceRate)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {report.badFitReasons.length > 0 && (
+                  <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
+                    <h2 className="text-lg font-semibold text-white mb-4">Most common bad-fit reasons</h2>
+                    <ul className="space-y-2 text-sm">
+                      {report.badFitReasons.map((item) => (
+                        <li key={item.reason} className="flex justify-between gap-4">
+                          <span className="text-gray-300">{item.reason}</span>
+                          <span className="text-gray-400">{item.count}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,15 +1,23 @@
 "use client";
 
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 
 export default function LoginPage() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).has("expired")) {
+      setNotice("Your session has expired. Please log in again.");
+    }
+  }, []);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError("");
+    setNotice("");
 
     if (!email) {
       setError("Email is required");
@@ -21,7 +29,7 @@ export default function LoginPage() {
     }
 
     try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/login`, {
+      const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -35,8 +43,9 @@ export default function LoginPage() {
         throw new Error(data.error || 'Login failed');
       }
 
-      // Redirect to dashboard on successful login
-      window.location.href = '/dashboard';
+      // Back to the page that sent us here, or the dashboard
+      const next = new URLSearchParams(window.location.search).get('next');
+      window.location.href = next?.startsWith('/') && !next.startsWith('//') ? next : '/dashboard';
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Something went wrong');
     }
@@ -78,6 +87,7 @@ export default function LoginPage() {
               required
             />
           </div>
+          {notice && <p className="text-yellow-400 text-sm">{notice}</p>}
           {error && <p className="text-red-500 text-sm">{error}</p>}
           <button
             type="submit"
@@ -87,7 +97,7 @@ export default function LoginPage() {
           </button>
         </form>
         <div className="mt-4 text-center">
-          <span className="text-gray-400 text-sm">Don't have an account? </span>
+          <span className="text-gray-400 text-sm">Don&apos;t have an account? </span>
           <a href="/signup" className="text-blue-400 hover:underline text-sm">Sign up</a>
         </div>
         <div className="mt-8 text-center text-xs text-gray-500">
@@ -0,0 +1,300 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Sidebar from "../../components/Sidebar";
+import { apiFetch } from "../../lib/api";
+import { ScoringProfile, ScoringProfileList, criterionLabels } from "../../lib/scoring";
+
+// Only Recruitment Leads may change profiles (scoring:configure); everyone
+// else sees them read-only
+const LEAD_ROLE = "recruitment_lead";
+
+type Draft = Omit<ScoringProfile, "id" | "description"> & { description: string };
+
+const toDraft = (profile: ScoringProfile): Draft => ({
+  name: profile.name,
+  description: profile.description || "",
+  weights: { ...profile.weights },
+  threshold: profile.threshold,
+  topn: profile.topn,
+  isDefault: profile.isDefault,
+});
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm disabled:opacity-60";
+
+export default function ScoringPage() {
+  const [list, setList] = useState<ScoringProfileList | null>(null);
+  const [canEdit, setCanEdit] = useState(false);
+  // The profile being edited: its id, "new", or null when none is open
+  const [editing, setEditing] = useState<number | "new" | null>(null);
+  const [draft, setDraft] = useState<Draft | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = async () => {
+    const response = await apiFetch("/api/scoring-profiles");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Could not load scoring profiles");
+    }
+    setList(data);
+  };
+
+  useEffect(() => {
+    load().catch((err) => setError(err instanceof Error ? err.message : "Could not load scoring profiles"));
+    apiFetch("/api/auth/me")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setCanEdit(data?.user?.role === LEAD_ROLE))
+      .catch(() => {});
+  }, []);
+
+  const open = (profile: ScoringProfile | null) => {
+    setError("");
+    setEditing(profile?.id ?? "new");
+    setDraft(toDraft(profile || { ...list!.builtIn, id: null, name: "", isDefault: false }));
+  };
+
+  const totalWeight = draft ? Object.values(draft.weights).reduce((sum, weight) => sum + weight, 0) : 0;
+
+  const save = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) {
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      const response = await apiFetch(
+        editing === "new" ? "/api/scoring-profiles" : `/api/scoring-profiles/${editing}`,
+        {
+          method: editing === "new" ? "POST" : "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...draft, description: draft.description || null }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not save the profile");
+      }
+      await load();
+      setEditing(null);
+      setDraft(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not save the profile");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (profile: ScoringProfile) => {
+    if (!window.confirm(`Delete the scoring profile "${profile.name}"? Saved searches that used it can no longer be re-run.`)) {
+      return;
+    }
+    setError("");
+    try {
+      const response = await apiFetch(`/api/scoring-profiles/${profile.id}`, { method: "DELETE" });
+      if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new Error(data?.error || "Could not delete the profile");
+      }
+      await load();
+      if (editing === profile.id) {
+        setEditing(null);
+        setDraft(null);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not delete the profile");
+    }
+  };
+
+  const profiles = list ? [...list.profiles, ...(list.profiles.some((p) => p.isDefault) ? [] : [list.builtIn])] : [];
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/scoring" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24]">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight">Scoring Profiles</h1>
+          {canEdit && list && (
+            <button
+              type="button"
+              onClick={() => open(null)}
+              className="ml-auto px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200"
+            >
+              New profile
+            </button>
+          )}
+        </header>
+        <div className="flex-1 overflow-y-auto p-10">
+          <div className="max-w-4xl mx-auto flex flex-col gap-6">
+            {!canEdit && list && (
+              <p className="text-gray-400 text-sm">Only Recruitment Leads can change scoring profiles.</p>
+            )}
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+
+            {draft && (
+              <form
+                onSubmit={save}
+                className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36] flex flex-col gap-4"
+              >
+                <h2 className="text-lg font-semibold text-white">
+                  {editing === "new" ? "New profile" : `Edit ${draft.name}`}
+                </h2>
+                <label className="text-xs text-gray-400">
+                  Name
+                  <input
+                    className={inputClass}
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    placeholder="e.g. Contract Java dev"
+                    required
+                  />
+                </label>
+                <label className="text-xs text-gray-400">
+                  Description
+                  <textarea
+                    className={inputClass}
+                    value={draft.description}
+                    onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                    placeholder="When to use this profile"
+                  />
+                </label>
+                <div>
+                  <p className="text-xs text-gray-400 mb-2">Criterion weights (relative; total {totalWeight})</p>
+                  <div className="grid grid-cols-2 gap-4">
+                    {criterionLabels.map(({ key, label }) => (
+                      <label key={key} className="text-xs text-gray-400">
+                        {label}
+                        <input
+                          type="number"
+                          min={0}
+                          max={100}
+                          className={inputClass}
+                          value={draft.weights[key]}
+                          onChange={(e) =>
+                            setDraft({ ...draft, weights: { ...draft.weights, [key]: Number(e.target.value) } })
+                          }
+                        />
+                        {totalWeight > 0 && (
+                          <span className="text-gray-500">
+                            {Math.round((draft.weights[key] / totalWeight) * 100)}% of the score
+                          </span>
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <label className="text-xs text-gray-400">
+                    Threshold (minimum score to be selected)
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      className={inputClass}
+                      value={draft.threshold}
+                      onChange={(e) => setDraft({ ...draft, threshold: Number(e.target.value) })}
+                    />
+                  </label>
+                  <label className="text-xs text-gray-400">
+                    Default number of results
+                    <input
+                      type="number"
+                      min={1}
+                      max={100}
+                      className={inputClass}
+                      value={draft.topn}
+                      onChange={(e) => setDraft({ ...draft, topn: Number(e.target.value) })}
+                    />
+                  </label>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={draft.isDefault}
+                    onChange={(e) => setDraft({ ...draft, isDefault: e.target.checked })}
+                  />
+                  Use when a search picks no profile
+                </label>
+                <div className="flex gap-3">
+                  <button
+                    type="submit"
+                    disabled={saving || totalWeight === 0}
+                    className="px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200 disabled:opacity-60"
+                  >
+                    {saving ? "Saving..." : "Save"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setEditing(null);
+                      setDraft(null);
+                    }}
+                    className="px-4 py-2 rounded border border-[#212B36] text-gray-300 hover:bg-[#161C24] text-sm"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <ul className="flex flex-col gap-4">
+              {profiles.map((profile) => {
+                const total = Object.values(profile.weights).reduce((sum, weight) => sum + weight, 0);
+                return (
+                  <li
+                    key={profile.id ?? "built-in"}
+                    className="bg-[#1E293B] rounded-2xl shadow-xl p-6 border border-[#212B36] flex flex-col gap-3"
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <h2 className="text-white font-semibold">
+                          {profile.name}
+                          {profile.isDefault && (
+                            <span className="ml-2 px-2 py-0.5 rounded bg-blue-900/60 text-blue-300 text-xs">Default</span>
+                          )}
+                        </h2>
+                        {profile.description && <p className="text-sm text-gray-400 mt-1">{profile.description}</p>}
+                        <p className="text-xs text-gray-400 mt-1">
+                          Threshold {profile.threshold}% · top {profile.topn}
+                        </p>
+                      </div>
+                      {canEdit && profile.id !== null && (
+                        <div className="flex gap-3 text-sm shrink-0">
+                          <button type="button" onClick={() => open(profile)} className="text-blue-300 hover:underline">
+                            Edit
+                          </button>
+                          <button type="button" onClick={() => remove(profile)} className="text-red-300 hover:underline">
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    <div className="grid grid-cols-4 gap-3">
+                      {criterionLabels.map(({ key, label }) => (
+                        <div key={key} className="text-xs text-gray-400">
+                          <div className="flex justify-between">
+                            <span>{label}</span>
+                            <span>{total ? Math.round((profile.weights[key] / total) * 100) : 0}%</span>
+                          </div>
+                          <div className="h-1 rounded bg-[#161C24] mt-1">
+                            <div
+                              className="h-1 rounded bg-[#2065D1]"
+                              style={{ width: `${total ? (profile.weights[key] / total) * 100 : 0}%` }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import Sidebar from "../../../../components/Sidebar";
+import { apiFetch, resumeUrl } from "../../../../lib/api";
+import { PipelineEntry, PipelineStage, stageLabels, stageStyles } from "../../../../lib/pipeline";
+
+const formatDate = (value: string) => new Date(value).toLocaleString();
+
+const entryName = (entry: PipelineEntry) => entry.resume?.profile?.name || entry.fileName;
+
+export default function PipelinePage() {
+  const { id } = useParams<{ id: string }>();
+  const [title, setTitle] = useState("");
+  const [stages, setStages] = useState<PipelineStage[]>([]);
+  const [entries, setEntries] = useState<PipelineEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [moveTo, setMoveTo] = useState<PipelineStage>("shortlisted");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [dragOver, setDragOver] = useState<PipelineStage | null>(null);
+
+  const selected = entries.find((entry) => entry.id === selectedId) || null;
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [requisitionResponse, pipelineResponse] = await Promise.all([
+          apiFetch(`/api/requisitions/${id}`),
+          apiFetch(`/api/requisitions/${id}/pipeline`),
+        ]);
+        const requisition = await requisitionResponse.json();
+        const pipeline = await pipelineResponse.json();
+        if (!requisitionResponse.ok || !pipelineResponse.ok) {
+          throw new Error(requisition.error || pipeline.error || "Could not load the pipeline");
+        }
+        setTitle(requisition.requisition.title);
+        setStages(pipeline.stages);
+        setEntries(pipeline.entries);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : "Could not load the pipeline");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [id]);
+
+  const select = (entry: PipelineEntry) => {
+    setSelectedId(entry.id);
+    setMoveTo(entry.stage);
+    setNote("");
+    setError("");
+  };
+
+  const move = async (entryId: number, stage: PipelineStage, moveNote = "") => {
+    setSaving(true);
+    setError("");
+    try {
+      const response = await apiFetch(`/api/requisitions/${id}/pipeline/${entryId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ stage, note: moveNote || undefined }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not move the candidate");
+      }
+      setEntries((prev) => prev.map((entry) => (entry.id === entryId ? data.entry : entry)));
+      if (entryId === selectedId) {
+        setNote("");
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not move the candidate");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent, stage: PipelineStage) => {
+    e.preventDefault();
+    setDragOver(null);
+    const entryId = Number(e.dataTransfer.getData("text/plain"));
+    const entry = entries.find((item) => item.id === entryId);
+    if (entry && entry.stage !== stage) {
+      move(entry.id, stage);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/searches" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24] min-w-0">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center gap-4 px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight truncate">
+            Pipeline{title ? `: ${title}` : ""}
+          </h1>
+          <Link href={`/dashboard?requisition=${id}`} className="ml-auto text-sm text-blue-300 hover:underline shrink-0">
+            Back to results
+          </Link>
+        </header>
+        <div className="flex-1 flex overflow-hidden">
+          {/* Board */}
+          <div className="flex-1 overflow-x-auto p-8">
+            {loading && <p className="text-gray-400 text-sm">Loading...</p>}
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {!loading && entries.length === 0 && !error && (
+              <p className="text-gray-400 text-sm mb-4">
+                No candidates yet. Shortlist them from this requisition&apos;s results.
+              </p>
+            )}
+            <div className="flex gap-4 min-w-max">
+              {stages.map((stage) => {
+                const column = entries.filter((entry) => entry.stage === stage);
+                return (
+                  <div
+                    key={stage}
+                    onDragOver={(e) => {
+                      e.preventDefault();
+                      setDragOver(stage);
+                    }}
+                    onDragLeave={() => setDragOver(null)}
+                    onDrop={(e) => handleDrop(e, stage)}
+                    className={`w-64 rounded-2xl p-4 border transition-colors duration-200 ${
+                      dragOver === stage ? "border-[#2065D1] bg-[#2065D1]/10" : "border-[#212B36] bg-[#1E293B]"
+                    }`}
+                  >
+                    <h2 className="flex items-center justify-between text-sm font-semibold text-white mb-3">
+                      {stageLabels[stage]}
+                      <span className="text-xs text-gray-400">{column.length}</span>
+                    </h2>
+                    <ul className="space-y-3">
+                      {column.map((entry) => {
+                        const lastNote = [...entry.events].reverse().find((event) => event.note)?.note;
+                        return (
+                          <li
+                            key={entry.id}
+                            draggable
+                            onDragStart={(e) => e.dataTransfer.setData("text/plain", String(entry.id))}
+                            onClick={() => select(entry)}
+                            className={`cursor-pointer rounded-xl p-3 bg-[#212B36] border ${
+                              entry.id === selectedId ? "border-[#2065D1]" : "border-[#161C24]"
+                            }`}
+                          >
+                            <p className="text-white text-sm font-medium truncate">{entryName(entry)}</p>
+                            <p className="text-xs text-gray-400 truncate">
+                              {[
+                                entry.score !== null ? `${entry.score}%` : null,
+                                entry.resume?.jobTitle,
+                                entry.resume?.yearsOfExperience != null ? `${entry.resume.yearsOfExperience} yrs` : null,
+                              ].filter(Boolean).join(" · ")}
+                            </p>
+                            {lastNote && <p className="text-xs text-gray-300 mt-2 line-clamp-2">{lastNote}</p>}
+                            <p className="text-[11px] text-gray-500 mt-2">Updated {formatDate(entry.updatedAt)}</p>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Selected candidate: move, add notes, history */}
+          {selected && (
+            <aside className="w-96 shrink-0 border-l border-[#1E293B] bg-[#212B36] p-6 overflow-y-auto flex flex-col gap-4">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <h2 className="text-lg font-semibold text-white truncate">{entryName(selected)}</h2>
+                  <a
+                    href={resumeUrl(selected.fileName)}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="text-xs text-blue-300 hover:underline"
+                  >
+                    {selected.fileName}
+                  </a>
+                </div>
+                <button type="button" onClick={() => setSelectedId(null)} className="text-gray-400 hover:text-white text-sm">
+                  Close
+                </button>
+              </div>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  move(selected.id, moveTo, note.trim());
+                }}
+                className="flex flex-col gap-3"
+              >
+                <label className="text-xs text-gray-400">
+                  Stage
+                  <select
+                    className="w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm"
+                    value={moveTo}
+                    onChange={(e) => setMoveTo(e.target.value as PipelineStage)}
+                  >
+                    {stages.map((stage) => (
+                      <option key={stage} value={stage}>{stageLabels[stage]}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-gray-400">
+                  Note
+                  <textarea
+                    className="w-full min-h-[80px] px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="e.g. Client wants a second interview"
+                  />
+                </label>
+                <button
+                  type="submit"
+                  disabled={saving || (moveTo === selected.stage && !note.trim())}
+                  className="py-2 rounded-lg bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200 disabled:opacity-60"
+                >
+                  {moveTo === selected.stage ? "Add note" : `Move to ${stageLabels[moveTo]}`}
+                </button>
+              </form>
+              <div>
+                <h3 className="text-sm font-medium text-gray-400 mb-2">History</h3>
+                <ol className="space-y-3">
+                  {[...selected.events].reverse().map((event) => (
+                    <li key={event.id} className="text-xs text-gray-400 border-l-2 border-[#161C24] pl-3">
+                      <p>
+                        {event.fromStage === event.toStage ? (
+                          "Note"
+                        ) : (
+                          <>
+                            {event.fromStage ? `${stageLabels[event.fromStage]} → ` : ""}
+                            <span className={`px-1.5 py-0.5 rounded ${stageStyles[event.toStage]}`}>
+                              {stageLabels[event.toStage]}
+                            </span>
+                          </>
+                        )}
+                      </p>
+                      {event.note && <p className="text-gray-200 mt-1 whitespace-pre-wrap">{event.note}</p>}
+                      <p className="text-gray-500 mt-1">
+                        {event.user?.email || "Unknown user"} · {formatDate(event.createdAt)}
+                      </p>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            </aside>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Link from "next/link";
+import Sidebar from "../../components/Sidebar";
+import { apiFetch } from "../../lib/api";
+
+interface RequisitionSummary {
+  id: number;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  searchCount: number;
+  lastSearch: { id: number; resultCount: number; createdAt: string } | null;
+}
+
+export default function SearchesPage() {
+  const [requisitions, setRequisitions] = useState<RequisitionSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/requisitions");
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || "Could not load saved searches");
+        }
+        setRequisitions(data.requisitions);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : "Could not load saved searches");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/searches" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24]">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight">Saved Searches</h1>
+        </header>
+        <div className="flex-1 overflow-y-auto p-10">
+          <div className="max-w-3xl mx-auto bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
+            {loading && <p className="text-gray-400 text-sm">Loading...</p>}
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            {!loading && !error && requisitions.length === 0 && (
+              <p className="text-gray-400 text-sm">
+                No searches yet. Searches you run from the{" "}
+                <Link href="/dashboard" className="text-blue-300 hover:underline">
+                  dashboard
+                </Link>{" "}
+                are saved here.
+              </p>
+            )}
+            {requisitions.length > 0 && (
+              <ul className="divide-y divide-[#212B36]">
+                {requisitions.map((requisition) => (
+                  <li key={requisition.id} className="flex items-center gap-4">
+                    <Link
+                      href={`/dashboard?requisition=${requisition.id}`}
+                      className="flex-1 min-w-0 py-3 flex items-center justify-between gap-4 hover:bg-[#212B36] rounded-lg px-3 -mx-3"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-white font-medium truncate">{requisition.title}</p>
+                        {requisition.lastSearch && (
+                          <p className="text-xs text-gray-400 mt-1">
+                            Last run {new Date(requisition.lastSearch.createdAt).toLocaleString()} ·{" "}
+                            {requisition.lastSearch.resultCount} results
+                          </p>
+                        )}
+                      </div>
+                      <span className="text-xs text-gray-400 shrink-0">
+                        {requisition.searchCount} {requisition.searchCount === 1 ? "run" : "runs"}
+                      </span>
+                    </Link>
+                    <Link
+                      href={`/searches/${requisition.id}/pipeline`}
+                      className="text-xs text-blue-300 hover:underline shrink-0"
+                    >
+                      Pipeline
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
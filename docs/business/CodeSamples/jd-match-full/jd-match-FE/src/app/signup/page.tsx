@@ -36,7 +36,7 @@ export default function SignupPage() {
     }
 
     try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/signup`, {
+      const response = await fetch('/api/auth/signup', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -50,7 +50,7 @@ export default function SignupPage() {
         throw new Error(data.error || 'Signup failed');
       }
 
-      setSuccess("Signup successful! Please check your email.");
+      setSuccess("Account created. You can sign in once a Recruitment Lead assigns your role.");
       
       // Optional: Redirect to login page after successful signup
       setTimeout(() => {
@@ -0,0 +1,317 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import Sidebar from "../../components/Sidebar";
+import { apiFetch } from "../../lib/api";
+import { Ontology, OntologySkill, OntologyVersion, SkillKind } from "../../lib/skills";
+
+// Only Recruitment Leads may edit the ontology (scoring:configure); everyone
+// else sees it read-only
+const LEAD_ROLE = "recruitment_lead";
+
+// A skill as edited: synonyms and parents as comma-separated text
+interface DraftSkill {
+  key: number;
+  name: string;
+  kind: SkillKind;
+  synonyms: string;
+  parents: string;
+}
+
+let nextKey = 0;
+
+const toDraft = (skill: OntologySkill): DraftSkill => ({
+  key: nextKey++,
+  name: skill.name,
+  kind: skill.kind,
+  synonyms: skill.synonyms.join(", "),
+  parents: skill.parents.join(", "),
+});
+
+const splitNames = (value: string) =>
+  value
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+const inputClass =
+  "w-full px-2 py-1 rounded bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm";
+
+export default function SkillsPage() {
+  const [ontology, setOntology] = useState<Ontology | null>(null);
+  const [versions, setVersions] = useState<OntologyVersion[]>([]);
+  const [canEdit, setCanEdit] = useState(false);
+  const [draft, setDraft] = useState<DraftSkill[]>([]);
+  const [filter, setFilter] = useState("");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const load = async (withVersions: boolean) => {
+    const response = await apiFetch("/api/skill-ontology");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Could not load the skills ontology");
+    }
+    setOntology(data);
+    setDraft(data.skills.map(toDraft));
+    if (withVersions) {
+      const versionsResponse = await apiFetch("/api/skill-ontology/versions");
+      if (versionsResponse.ok) {
+        setVersions((await versionsResponse.json()).versions);
+      }
+    }
+  };
+
+  useEffect(() => {
+    apiFetch("/api/auth/me")
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((data) => {
+        const lead = data?.user?.role === LEAD_ROLE;
+        setCanEdit(lead);
+        return load(lead);
+      })
+      .catch((err) => setError(err instanceof Error ? err.message : "Could not load the skills ontology"));
+  }, []);
+
+  const update = (key: number, fields: Partial<DraftSkill>) =>
+    setDraft(draft.map((skill) => (skill.key === key ? { ...skill, ...fields } : skill)));
+
+  const addSkill = () => {
+    setFilter("");
+    setDraft([{ key: nextKey++, name: "", kind: "skill", synonyms: "", parents: "" }, ...draft]);
+  };
+
+  const save = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!ontology) {
+      return;
+    }
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const response = await apiFetch("/api/skill-ontology", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          skills: draft
+            .filter((skill) => skill.name.trim())
+            .map((skill) => ({
+              name: skill.name.trim(),
+              kind: skill.kind,
+              synonyms: splitNames(skill.synonyms),
+              parents: splitNames(skill.parents),
+            })),
+          note: note.trim() || null,
+          baseVersion: ontology.version,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not save the ontology");
+      }
+      await load(true);
+      setNote("");
+      setMessage(`Saved as version ${data.version.version}`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not save the ontology");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const restore = async (version: number) => {
+    if (!window.confirm(`Restore version ${version}? It is saved as a new version; unsaved edits are lost.`)) {
+      return;
+    }
+    setError("");
+    setMessage("");
+    try {
+      const response = await apiFetch(`/api/skill-ontology/versions/${version}/restore`, { method: "POST" });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Could not restore the version");
+      }
+      await load(true);
+      setMessage(`Version ${version} restored as version ${data.version.version}`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not restore the version");
+    }
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const shown = needle
+    ? draft.filter((skill) => `${skill.name} ${skill.synonyms} ${skill.parents}`.toLowerCase().includes(needle))
+    : draft;
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/skills" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24]">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight">Skills Ontology</h1>
+          {ontology && (
+            <span className="ml-3 text-xs text-gray-400">
+              {ontology.version === 0 ? "Built-in" : `Version ${ontology.version}`} · {ontology.skills.length} skills
+            </span>
+          )}
+          <input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter skills"
+            className="ml-auto px-3 py-1 rounded bg-[#161C24] text-white border border-[#1E293B] text-sm"
+          />
+        </header>
+        <div className="flex-1 overflow-y-auto p-10">
+          <div className="max-w-5xl mx-auto flex flex-col gap-6">
+            <p className="text-gray-400 text-sm">
+              Skills from resumes and job descriptions are mapped to these names. A synonym is another way of
+              writing a skill; a parent is a skill it implies, so a resume with Spring Boot also meets Java.
+              {!canEdit && " Only Recruitment Leads can change the ontology."}
+            </p>
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+            {message && <p className="text-green-400 text-sm">{message}</p>}
+
+            {ontology && (
+              <form
+                onSubmit={save}
+                className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36] flex flex-col gap-4"
+              >
+                {canEdit && (
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={addSkill}
+                      className="px-3 py-2 rounded border border-[#212B36] text-gray-300 hover:bg-[#161C24] text-sm"
+                    >
+                      Add skill
+                    </button>
+                    <input
+                      className={`${inputClass} flex-1`}
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="What changed (saved with the version)"
+                      maxLength={500}
+                    />
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 rounded bg-[#2065D1] hover:bg-blue-700 text-white text-sm font-semibold transition-colors duration-200 disabled:opacity-60"
+                    >
+                      {saving ? "Saving..." : "Save new version"}
+                    </button>
+                  </div>
+                )}
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-400">
+                    <tr>
+                      <th className="py-2 pr-3 font-medium w-1/5">Skill</th>
+                      <th className="py-2 pr-3 font-medium w-28">Kind</th>
+                      <th className="py-2 pr-3 font-medium">Synonyms</th>
+                      <th className="py-2 pr-3 font-medium w-1/4">Parents</th>
+                      {canEdit && <th className="py-2 w-8" />}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-[#212B36] text-gray-300">
+                    {shown.map((skill) =>
+                      canEdit ? (
+                        <tr key={skill.key}>
+                          <td className="py-1 pr-3">
+                            <input
+                              className={inputClass}
+                              value={skill.name}
+                              onChange={(e) => update(skill.key, { name: e.target.value })}
+                              placeholder="Canonical name"
+                            />
+                          </td>
+                          <td className="py-1 pr-3">
+                            <select
+                              className={inputClass}
+                              value={skill.kind}
+                              onChange={(e) => update(skill.key, { kind: e.target.value as SkillKind })}
+                            >
+                              {ontology.kinds.map((kind) => (
+                                <option key={kind} value={kind}>
+                                  {kind === "language" ? "Language" : "Skill"}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="py-1 pr-3">
+                            <input
+                              className={inputClass}
+                              value={skill.synonyms}
+                              onChange={(e) => update(skill.key, { synonyms: e.target.value })}
+                              placeholder="Comma-separated"
+                            />
+                          </td>
+                          <td className="py-1 pr-3">
+                            <input
+                              className={inputClass}
+                              value={skill.parents}
+                              onChange={(e) => update(skill.key, { parents: e.target.value })}
+                              placeholder="Comma-separated"
+                            />
+                          </td>
+                          <td className="py-1">
+                            <button
+                              type="button"
+                              onClick={() => setDraft(draft.filter((other) => other.key !== skill.key))}
+                              className="text-red-300 hover:underline text-xs"
+                              title="Remove skill"
+                            >
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      ) : (
+                        <tr key={skill.key}>
+                          <td className="py-2 pr-3 text-white">{skill.name}</td>
+                          <td className="py-2 pr-3">{skill.kind === "language" ? "Language" : "Skill"}</td>
+                          <td className="py-2 pr-3 text-gray-400">{skill.synonyms || "–"}</td>
+                          <td className="py-2 pr-3 text-gray-400">{skill.parents || "–"}</td>
+                        </tr>
+                      )
+                    )}
+                  </tbody>
+                </table>
+                {shown.length === 0 && <p className="text-gray-400 text-sm">No skills match the filter.</p>}
+              </form>
+            )}
+
+            {canEdit && versions.length > 0 && (
+              <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36]">
+                <h2 className="text-lg font-semibold text-white mb-4">Versions</h2>
+                <ul className="divide-y divide-[#212B36] text-sm">
+                  {versions.map((version) => (
+                    <li key={version.version} className="py-2 flex items-center gap-4">
+                      <span className="text-white w-12">v{version.version}</span>
+                      <span className="text-gray-300 flex-1 truncate">{version.note || "–"}</span>
+                      <span className="text-gray-400">{version.skillCount} skills</span>
+                      <span className="text-gray-400">{new Date(version.createdAt).toLocaleString()}</span>
+                      {version.version === ontology?.version ? (
+                        <span className="text-xs text-green-400 w-16 text-right">Current</span>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => restore(version.version)}
+                          className="text-blue-300 hover:underline w-16 text-right"
+                        >
+                          Restore
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
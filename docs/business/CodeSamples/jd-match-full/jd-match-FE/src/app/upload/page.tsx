@@ -0,0 +1,327 @@
+"use client";
+
+import React, { useEffect, useRef, useState } from "react";
+import Sidebar from "../../components/Sidebar";
+import { apiFetch, uploadWithProgress } from "../../lib/api";
+import { DocumentType, documentTypeLabels } from "../../lib/documents";
+
+// Types the backend can extract text from (services/loaders)
+const ACCEPTED_EXTENSIONS = [".pdf", ".docx", ".doc", ".txt", ".rtf"];
+
+type FileStatus = "pending" | "processing" | "done" | "failed" | "skipped";
+
+interface IngestionFile {
+  s3Key: string;
+  status: FileStatus;
+  attempts: number;
+  reason: string | null;
+  error: string | null;
+  resumeId: number | null;
+  documentType: DocumentType | "resume" | null;
+  // Set when the file was classified as something other than a resume
+  document: { id: number; type: DocumentType; candidateId: number | null; reason: string | null } | null;
+  resume: {
+    id: number;
+    fileName: string;
+    jobTitle: string | null;
+    yearsOfExperience: number | null;
+    candidateId: number | null;
+    profile: { name: string | null; location: string | null; visaStatus: string | null } | null;
+  } | null;
+}
+
+interface IngestionJob {
+  id: number;
+  status: "queued" | "running" | "completed" | "failed";
+  error: string | null;
+  total: number;
+  counts: Record<FileStatus, number>;
+  files: IngestionFile[];
+}
+
+interface Upload {
+  key: number;
+  fileNames: string[];
+  progress: number;
+  error: string;
+  rejected: { fileName: string; error: string }[];
+  job: IngestionJob | null;
+}
+
+const statusStyles: Record<FileStatus, string> = {
+  pending: "bg-gray-700 text-gray-300",
+  processing: "bg-blue-900/60 text-blue-300",
+  done: "bg-green-900/60 text-green-300",
+  failed: "bg-red-900/60 text-red-300",
+  skipped: "bg-yellow-900/60 text-yellow-300",
+};
+
+const reasonLabels: { [key: string]: string } = {
+  unsupported_type: "Unsupported file type",
+  download_failed: "Could not read the file from storage",
+  empty_text: "No text could be extracted",
+  ocr_failed: "Text recognition failed",
+  too_many_attempts: "Gave up after repeated interruptions",
+};
+
+const POLL_INTERVAL_MS = 3000;
+
+const isFinished = (job: IngestionJob | null) => job?.status === "completed" || job?.status === "failed";
+
+const baseName = (key: string) => key.split("/").pop() || key;
+
+const extensionOf = (name: string) => name.slice(name.lastIndexOf(".")).toLowerCase();
+
+function ProgressBar({ percent, color = "bg-[#2065D1]" }: { percent: number; color?: string }) {
+  return (
+    <div className="w-full h-2 rounded bg-[#161C24] overflow-hidden">
+      <div className={`h-full ${color} transition-all duration-300`} style={{ width: `${percent}%` }} />
+    </div>
+  );
+}
+
+export default function UploadPage() {
+  const [selected, setSelected] = useState<File[]>([]);
+  const [dragging, setDragging] = useState(false);
+  const [uploads, setUploads] = useState<Upload[]>([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const updateUpload = (key: number, changes: Partial<Upload>) => {
+    setUploads((prev) => prev.map((u) => (u.key === key ? { ...u, ...changes } : u)));
+  };
+
+  const addFiles = (files: FileList | null) => {
+    if (!files) {
+      return;
+    }
+    setError("");
+    const incoming = Array.from(files);
+    const unsupported = incoming.filter((f) => !ACCEPTED_EXTENSIONS.includes(extensionOf(f.name)));
+    if (unsupported.length) {
+      setError(`Skipped ${unsupported.map((f) => f.name).join(", ")}: only ${ACCEPTED_EXTENSIONS.join(", ")} files are accepted`);
+    }
+    setSelected((prev) => [
+      ...prev,
+      ...incoming.filter((f) => !unsupported.includes(f) && !prev.some((p) => p.name === f.name)),
+    ]);
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleUpload = async () => {
+    if (!selected.length) {
+      return;
+    }
+    const key = Date.now();
+    const form = new FormData();
+    selected.forEach((file) => form.append("files", file));
+    setUploads((prev) => [
+      { key, fileNames: selected.map((f) => f.name), progress: 0, error: "", rejected: [], job: null },
+      ...prev,
+    ]);
+    setSelected([]);
+    setUploading(true);
+
+    try {
+      const { status, body } = await uploadWithProgress("/api/ingestion/uploads", form, (progress) =>
+        updateUpload(key, { progress })
+      );
+      const data = body as { job?: IngestionJob; rejected?: Upload["rejected"]; error?: string } | null;
+      if (status !== 202) {
+        updateUpload(key, { error: data?.error || "Upload failed", rejected: data?.rejected || [] });
+        return;
+      }
+      updateUpload(key, { progress: 100, job: data?.job || null, rejected: data?.rejected || [] });
+    } catch (err) {
+      updateUpload(key, { error: err instanceof Error ? err.message : "Upload failed" });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Poll the jobs that are still being processed
+  const activeJobIds = uploads
+    .filter((u) => u.job && !isFinished(u.job))
+    .map((u) => u.job!.id)
+    .join(",");
+
+  useEffect(() => {
+    if (!activeJobIds) {
+      return;
+    }
+    const timer = setInterval(async () => {
+      for (const id of activeJobIds.split(",")) {
+        try {
+          const response = await apiFetch(`/api/ingestion/jobs/${id}`);
+          if (!response.ok) {
+            continue;
+          }
+          const { job } = (await response.json()) as { job: IngestionJob };
+          setUploads((prev) => prev.map((u) => (u.job?.id === job.id ? { ...u, job } : u)));
+        } catch {
+          // Try again on the next tick
+        }
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [activeJobIds]);
+
+  return (
+    <div className="min-h-screen flex bg-gradient-to-br from-gray-900 to-gray-800">
+      <Sidebar current="/upload" />
+      <main className="flex-1 flex flex-col min-h-screen bg-[#161C24]">
+        {/* Header */}
+        <header className="h-16 border-b border-[#1E293B] flex items-center px-8 bg-[#212B36] shadow z-10">
+          <h1 className="text-xl font-extrabold text-white tracking-tight">Upload Resumes</h1>
+        </header>
+        <div className="flex-1 overflow-y-auto p-10">
+          <div className="max-w-3xl mx-auto flex flex-col gap-6">
+            {/* Drop zone */}
+            <div className="bg-[#1E293B] rounded-2xl shadow-xl p-8 border border-[#212B36] flex flex-col gap-5">
+              <div
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragging(true);
+                }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={handleDrop}
+                onClick={() => inputRef.current?.click()}
+                className={`cursor-pointer rounded-xl border-2 border-dashed p-10 text-center transition-colors duration-200 ${
+                  dragging ? "border-[#2065D1] bg-[#2065D1]/10" : "border-gray-600 hover:border-gray-400"
+                }`}
+              >
+                <p className="text-gray-200 font-semibold">Drag and drop resumes here, or click to choose files</p>
+                <p className="text-xs text-gray-400 mt-2">{ACCEPTED_EXTENSIONS.join(", ")}</p>
+                <input
+                  ref={inputRef}
+                  type="file"
+                  multiple
+                  accept={ACCEPTED_EXTENSIONS.join(",")}
+                  className="hidden"
+                  onChange={(e) => {
+                    addFiles(e.target.files);
+                    e.target.value = "";
+                  }}
+                />
+              </div>
+              {selected.length > 0 && (
+                <ul className="space-y-1 text-sm text-gray-300">
+                  {selected.map((file) => (
+                    <li key={file.name} className="flex items-center justify-between">
+                      <span className="truncate">{file.name}</span>
+                      <span className="flex items-center gap-3 shrink-0">
+                        <span className="text-xs text-gray-500">{Math.ceil(file.size / 1024)} KB</span>
+                        <button
+                          type="button"
+                          onClick={() => setSelected((prev) => prev.filter((f) => f !== file))}
+                          className="text-xs text-red-300 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {error && <p className="text-red-500 text-sm">{error}</p>}
+              <button
+                type="button"
+                onClick={handleUpload}
+                disabled={!selected.length || uploading}
+                className="py-3 rounded-xl bg-[#2065D1] hover:bg-blue-700 text-white font-semibold transition-colors duration-200 shadow disabled:opacity-60"
+              >
+                {uploading ? "Uploading..." : `Upload ${selected.length || ""} ${selected.length === 1 ? "file" : "files"}`}
+              </button>
+            </div>
+
+            {/* Uploads and their ingestion status */}
+            {uploads.map((upload) => {
+              const job = upload.job;
+              const finished = job ? job.counts.done + job.counts.failed + job.counts.skipped : 0;
+              return (
+                <div key={upload.key} className="bg-[#1E293B] rounded-2xl shadow-xl p-6 border border-[#212B36] flex flex-col gap-4">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-white font-semibold">
+                      {upload.fileNames.length} {upload.fileNames.length === 1 ? "file" : "files"}
+                    </span>
+                    <span className="text-gray-400">
+                      {upload.error
+                        ? "Upload failed"
+                        : !job
+                          ? `Uploading ${upload.progress}%`
+                          : isFinished(job)
+                            ? `Processed ${finished} of ${job.total}`
+                            : `Processing ${finished} of ${job.total}`}
+                    </span>
+                  </div>
+                  {!job && !upload.error && <ProgressBar percent={upload.progress} />}
+                  {job && (
+                    <ProgressBar
+                      percent={job.total ? Math.round((finished / job.total) * 100) : 100}
+                      color={job.counts.failed ? "bg-yellow-500" : "bg-green-500"}
+                    />
+                  )}
+                  {upload.error && <p className="text-red-500 text-sm">{upload.error}</p>}
+                  {job?.error && <p className="text-red-500 text-sm">{job.error}</p>}
+                  {(job?.files.length || upload.rejected.length > 0) && (
+                    <ul className="divide-y divide-[#212B36] text-sm">
+                      {job?.files.map((file) => (
+                        <li key={file.s3Key} className="py-2 flex items-start justify-between gap-4">
+                          <div className="min-w-0">
+                            <p className="text-gray-200 truncate">{baseName(file.s3Key)}</p>
+                            {file.resume && (
+                              <p className="text-xs text-gray-400 mt-1">
+                                {[
+                                  file.resume.profile?.name,
+                                  file.resume.jobTitle,
+                                  file.resume.yearsOfExperience !== null && `${file.resume.yearsOfExperience} yrs`,
+                                  file.resume.profile?.location,
+                                  file.resume.profile?.visaStatus,
+                                ]
+                                  .filter(Boolean)
+                                  .join(" · ")}
+                              </p>
+                            )}
+                            {file.document && (
+                              <p className="text-xs text-yellow-300 mt-1">
+                                {documentTypeLabels[file.document.type]}, not added as a candidate
+                                {file.document.candidateId ? " · attached to an existing candidate" : ""}
+                              </p>
+                            )}
+                            {file.reason && (
+                              <p className="text-xs text-red-300 mt-1">
+                                {reasonLabels[file.reason] || file.error || file.reason}
+                              </p>
+                            )}
+                          </div>
+                          <span className={`px-2 py-0.5 rounded text-xs shrink-0 ${statusStyles[file.status]}`}>
+                            {file.status}
+                          </span>
+                        </li>
+                      ))}
+                      {upload.rejected.map((item) => (
+                        <li key={`rejected-${item.fileName}`} className="py-2 flex items-start justify-between gap-4">
+                          <div className="min-w-0">
+                            <p className="text-gray-200 truncate">{item.fileName}</p>
+                            <p className="text-xs text-red-300 mt-1">{item.error}</p>
+                          </div>
+                          <span className="px-2 py-0.5 rounded text-xs shrink-0 bg-red-900/60 text-red-300">rejected</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+"use client";
+
+import React from "react";
+
+export const VISA_STATUSES = [
+  "US Citizen", "Green Card", "GC EAD", "H1B", "H4 EAD", "L1", "L2 EAD", "OPT", "CPT", "TN",
+];
+
+// Hard constraints as the API returns them
+export interface Constraints {
+  mustHaveSkills: string[];
+  minYears: number | null;
+  maxYears: number | null;
+  locations: string[];
+  remote: boolean;
+  visaStatuses: string[];
+  maxRate: number | null;
+  includeUnknown: boolean;
+}
+
+// The same constraints as form values
+export interface FilterValues {
+  mustHaveSkills: string;
+  minYears: string;
+  maxYears: string;
+  locations: string;
+  remote: boolean;
+  visaStatuses: string[];
+  maxRate: string;
+  includeUnknown: boolean;
+}
+
+export type FilterField = keyof FilterValues;
+
+export const emptyFilters: FilterValues = {
+  mustHaveSkills: "",
+  minYears: "",
+  maxYears: "",
+  locations: "",
+  remote: false,
+  visaStatuses: [],
+  maxRate: "",
+  includeUnknown: true,
+};
+
+const numberText = (value: number | null) => (value === null || value === undefined ? "" : String(value));
+
+export const filtersFromConstraints = (c: Constraints): FilterValues => ({
+  mustHaveSkills: c.mustHaveSkills.join(", "),
+  minYears: numberText(c.minYears),
+  maxYears: numberText(c.maxYears),
+  locations: c.locations.join(" / "),
+  remote: c.remote,
+  visaStatuses: c.visaStatuses,
+  maxRate: numberText(c.maxRate),
+  includeUnknown: c.includeUnknown,
+});
+
+const splitText = (value: string, separator: RegExp) =>
+  value.split(separator).map((s) => s.trim()).filter(Boolean);
+
+const toNumber = (value: string) => (value.trim() === "" ? null : Number(value));
+
+// Only the fields the recruiter changed are sent; the server fills the rest
+// from the JD
+export const constraintsFromFilters = (values: FilterValues, edited: Set<FilterField>) => {
+  const all = {
+    mustHaveSkills: splitText(values.mustHaveSkills, /,/),
+    minYears: toNumber(values.minYears),
+    maxYears: toNumber(values.maxYears),
+    locations: splitText(values.locations, /[/;]/),
+    remote: values.remote,
+    visaStatuses: values.visaStatuses,
+    maxRate: toNumber(values.maxRate),
+    includeUnknown: values.includeUnknown,
+  };
+  return Object.fromEntries(Object.entries(all).filter(([field]) => edited.has(field as FilterField)));
+};
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm";
+
+interface Props {
+  values: FilterValues;
+  edited: Set<FilterField>;
+  fromJd: boolean;
+  onChange: <K extends FilterField>(field: K, value: FilterValues[K]) => void;
+}
+
+export default function ConstraintFilters({ values, edited, fromJd, onChange }: Props) {
+  // Mark values the JD filled in that the recruiter has not touched
+  const hint = (field: FilterField) =>
+    fromJd && !edited.has(field) ? <span className="ml-1 text-[10px] text-blue-300">from JD</span> : null;
+
+  const toggleVisa = (status: string) => {
+    const next = values.visaStatuses.includes(status)
+      ? values.visaStatuses.filter((s) => s !== status)
+      : [...values.visaStatuses, status];
+    onChange("visaStatuses", next);
+  };
+
+  return (
+    <fieldset className="flex flex-col gap-3 border-t border-[#212B36] pt-4">
+      <legend className="text-gray-200 font-semibold mb-1">Hard Requirements</legend>
+      <label className="text-xs text-gray-400">
+        Must-have skills{hint("mustHaveSkills")}
+        <input
+          className={inputClass}
+          value={values.mustHaveSkills}
+          onChange={(e) => onChange("mustHaveSkills", e.target.value)}
+          placeholder="React, Node.js"
+        />
+      </label>
+      <div className="grid grid-cols-3 gap-3">
+        <label className="text-xs text-gray-400">
+          Min years{hint("minYears")}
+          <input
+            type="number"
+            min={0}
+            className={inputClass}
+            value={values.minYears}
+            onChange={(e) => onChange("minYears", e.target.value)}
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Max years{hint("maxYears")}
+          <input
+            type="number"
+            min={0}
+            className={inputClass}
+            value={values.maxYears}
+            onChange={(e) => onChange("maxYears", e.target.value)}
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Max rate ($/hr){hint("maxRate")}
+          <input
+            type="number"
+            min={0}
+            className={inputClass}
+            value={values.maxRate}
+            onChange={(e) => onChange("maxRate", e.target.value)}
+          />
+        </label>
+      </div>
+      <div className="grid grid-cols-[1fr,auto] gap-3 items-end">
+        <label className="text-xs text-gray-400">
+          Locations{hint("locations")}
+          <input
+            className={inputClass}
+            value={values.locations}
+            onChange={(e) => onChange("locations", e.target.value)}
+            placeholder="Dallas, TX / Austin, TX"
+            disabled={values.remote}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-300 pb-2">
+          <input type="checkbox" checked={values.remote} onChange={(e) => onChange("remote", e.target.checked)} />
+          Remote{hint("remote")}
+        </label>
+      </div>
+      <div className="text-xs text-gray-400">
+        Accepted visa statuses{hint("visaStatuses")}
+        <div className="flex flex-wrap gap-2 mt-1">
+          {VISA_STATUSES.map((status) => (
+            <label
+              key={status}
+              className={`px-2 py-1 rounded cursor-pointer border text-xs ${
+                values.visaStatuses.includes(status)
+                  ? "bg-[#2065D1] border-[#2065D1] text-white"
+                  : "border-[#212B36] text-gray-400"
+              }`}
+            >
+              <input
+                type="checkbox"
+                className="sr-only"
+                checked={values.visaStatuses.includes(status)}
+                onChange={() => toggleVisa(status)}
+              />
+              {status}
+            </label>
+          ))}
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={values.includeUnknown}
+          onChange={(e) => onChange("includeUnknown", e.target.checked)}
+        />
+        Keep candidates whose profile is missing a checked field
+      </label>
+    </fieldset>
+  );
+}
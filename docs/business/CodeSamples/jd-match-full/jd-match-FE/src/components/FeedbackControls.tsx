@@ -0,0 +1,99 @@
+"use client";
+
+import React, { useState } from "react";
+
+export type Verdict = "good_fit" | "bad_fit";
+
+// A verdict on a result, as the backend stores it (services/feedback)
+export interface MatchFeedback {
+  id: number;
+  resumeId: number;
+  candidateId: number | null;
+  fileName: string;
+  verdict: Verdict;
+  reason: string;
+}
+
+const verdictLabels: Record<Verdict, string> = {
+  good_fit: "Good fit",
+  bad_fit: "Bad fit",
+};
+
+// Good/bad fit buttons for one result, asking for a reason before saving
+export default function FeedbackControls({
+  current,
+  onSubmit,
+}: {
+  current: MatchFeedback | undefined;
+  onSubmit: (verdict: Verdict, reason: string) => Promise<void>;
+}) {
+  const [draft, setDraft] = useState<Verdict | null>(null);
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const save = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) {
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      await onSubmit(draft, reason.trim());
+      setDraft(null);
+      setReason("");
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not save feedback");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 text-xs">
+      <div className="flex items-center gap-2">
+        {(Object.keys(verdictLabels) as Verdict[]).map((verdict) => (
+          <button
+            key={verdict}
+            type="button"
+            onClick={() => {
+              setDraft(draft === verdict ? null : verdict);
+              setReason(current?.verdict === verdict ? current.reason : "");
+            }}
+            className={`px-2 py-1 rounded border ${
+              current?.verdict === verdict
+                ? verdict === "good_fit"
+                  ? "border-green-500 bg-green-900/60 text-green-300"
+                  : "border-red-500 bg-red-900/60 text-red-300"
+                : "border-[#161C24] text-gray-400 hover:text-white"
+            }`}
+          >
+            {verdictLabels[verdict]}
+          </button>
+        ))}
+        {current && !draft && <span className="text-gray-400 truncate" title={current.reason}>{current.reason}</span>}
+      </div>
+      {draft && (
+        <form onSubmit={save} className="flex items-center gap-2 mt-2">
+          <input
+            className="flex-1 min-w-0 px-2 py-1 rounded bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1]"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={draft === "good_fit" ? "Why is this a good fit?" : "Why is this a bad fit?"}
+            autoFocus
+            required
+          />
+          <button
+            type="submit"
+            disabled={saving || !reason.trim()}
+            className="px-2 py-1 rounded bg-[#2065D1] hover:bg-blue-700 text-white disabled:opacity-60"
+          >
+            Save
+          </button>
+        </form>
+      )}
+      {error && <p className="text-red-500 mt-1">{error}</p>}
+    </div>
+  );
+}
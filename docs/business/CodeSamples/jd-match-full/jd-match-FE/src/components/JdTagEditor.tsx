@@ -0,0 +1,57 @@
+"use client";
+
+import React from "react";
+
+// Tags extracted from a JD. The hard-requirement keys the API also returns
+// are kept as they are and sent back with the edits.
+export interface JdTags {
+  Skills: string;
+  "Programming Languages": string;
+  "Years of experience": number | null;
+  [key: string]: unknown;
+}
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1] text-sm";
+
+interface Props {
+  tags: JdTags;
+  onChange: (tags: JdTags) => void;
+}
+
+export default function JdTagEditor({ tags, onChange }: Props) {
+  return (
+    <fieldset className="flex flex-col gap-3 border-t border-[#212B36] pt-4">
+      <legend className="text-gray-200 font-semibold mb-1">Extracted Tags</legend>
+      <p className="text-xs text-gray-400">Check these before matching; resumes are scored against them.</p>
+      <label className="text-xs text-gray-400">
+        Skills
+        <textarea
+          className={`${inputClass} min-h-[60px]`}
+          value={tags.Skills}
+          onChange={(e) => onChange({ ...tags, Skills: e.target.value })}
+        />
+      </label>
+      <label className="text-xs text-gray-400">
+        Programming Languages
+        <input
+          className={inputClass}
+          value={tags["Programming Languages"]}
+          onChange={(e) => onChange({ ...tags, "Programming Languages": e.target.value })}
+        />
+      </label>
+      <label className="text-xs text-gray-400">
+        Years of experience
+        <input
+          type="number"
+          min={0}
+          className={inputClass}
+          value={tags["Years of experience"] ?? ""}
+          onChange={(e) =>
+            onChange({ ...tags, "Years of experience": e.target.value === "" ? null : Number(e.target.value) })
+          }
+        />
+      </label>
+    </fieldset>
+  );
+}
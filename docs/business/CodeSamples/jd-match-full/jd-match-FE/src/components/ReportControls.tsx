@@ -0,0 +1,82 @@
+"use client";
+
+import React, { useState } from "react";
+
+export type ReportFormat = "pdf" | "docx";
+
+const formatLabels: Record<ReportFormat, string> = {
+  pdf: "PDF",
+  docx: "Word (DOCX)",
+};
+
+// "Generate report" for one result: recruiter notes and a format, then the
+// submission report downloads. Blank notes fall back to the pipeline notes.
+export default function ReportControls({
+  onGenerate,
+}: {
+  onGenerate: (format: ReportFormat, notes: string) => Promise<void>;
+}) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState<ReportFormat>("pdf");
+  const [notes, setNotes] = useState("");
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState("");
+
+  const generate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setGenerating(true);
+    setError("");
+    try {
+      await onGenerate(format, notes.trim());
+      setOpen(false);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Could not generate the report");
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 text-xs">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="px-2 py-1 rounded border border-[#161C24] text-gray-400 hover:text-white"
+      >
+        Generate report
+      </button>
+      {open && (
+        <form onSubmit={generate} className="flex flex-col gap-2 mt-2">
+          <textarea
+            className="w-full px-2 py-1 rounded bg-[#161C24] text-white border border-[#212B36] focus:outline-none focus:ring-2 focus:ring-[#2065D1]"
+            rows={3}
+            maxLength={4000}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Recruiter notes for the client (leave blank to use the pipeline notes)"
+            autoFocus
+          />
+          <div className="flex items-center gap-2">
+            <select
+              className="px-2 py-1 rounded bg-[#161C24] text-white border border-[#212B36]"
+              value={format}
+              onChange={(e) => setFormat(e.target.value as ReportFormat)}
+            >
+              {(Object.keys(formatLabels) as ReportFormat[]).map((value) => (
+                <option key={value} value={value}>{formatLabels[value]}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={generating}
+              className="px-2 py-1 rounded bg-[#2065D1] hover:bg-blue-700 text-white disabled:opacity-60"
+            >
+              {generating ? "Generating..." : "Download"}
+            </button>
+          </div>
+        </form>
+      )}
+      {error && <p className="text-red-500 mt-1">{error}</p>}
+    </div>
+  );
+}
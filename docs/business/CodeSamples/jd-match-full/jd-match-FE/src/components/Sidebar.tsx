@@ -2,15 +2,22 @@
 
 import React from "react";
 import Link from "next/link";
-import { HiOutlineHome, HiOutlineUpload, HiOutlineUser, HiOutlineLogout } from "react-icons/hi";
+import { HiOutlineHome, HiOutlineClock, HiOutlineChartBar, HiOutlineAdjustments, HiOutlineTag, HiOutlineShieldCheck, HiOutlineUpload, HiOutlineUser, HiOutlineLogout } from "react-icons/hi";
+import { logout } from "../lib/api";
 
 const navItems = [
   { name: "Dashboard", href: "/dashboard", icon: <HiOutlineHome size={22} /> },
+  { name: "Searches", href: "/searches", icon: <HiOutlineClock size={22} /> },
+  { name: "Quality", href: "/feedback", icon: <HiOutlineChartBar size={22} /> },
+  { name: "Scoring", href: "/scoring", icon: <HiOutlineAdjustments size={22} /> },
+  { name: "Skills", href: "/skills", icon: <HiOutlineTag size={22} /> },
+  { name: "Audit", href: "/audit", icon: <HiOutlineShieldCheck size={22} /> },
   { name: "Upload Resume", href: "/upload", icon: <HiOutlineUpload size={22} /> },
   { name: "Profile", href: "/profile", icon: <HiOutlineUser size={22} /> },
-  { name: "Logout", href: "/login", icon: <HiOutlineLogout size={22} /> },
 ];
 
+const itemClass = "flex flex-col items-center gap-1 py-3 w-full rounded-xl transition-all duration-200 font-medium text-[13px]";
+
 export default function Sidebar({ current }: { current: string }) {
   return (
     <aside className="h-screen w-20 bg-[#212B36] border-r border-[#161C24] flex flex-col items-center py-6 shadow-xl">
@@ -25,7 +32,7 @@ export default function Sidebar({ current }: { current: string }) {
           <Link
             key={item.name}
             href={item.href}
-            className={`flex flex-col items-center gap-1 py-3 w-full rounded-xl transition-all duration-200 font-medium text-[13px] ${
+            className={`${itemClass} ${
               current === item.href
                 ? "bg-[#2065D1] text-white shadow-lg"
                 : "text-gray-400 hover:bg-[#1E293B] hover:text-white"
@@ -36,6 +43,15 @@ export default function Sidebar({ current }: { current: string }) {
             <span className="text-[11px] font-semibold mt-1 hidden xl:block">{item.name}</span>
           </Link>
         ))}
+        <button
+          type="button"
+          onClick={logout}
+          className={`${itemClass} text-gray-400 hover:bg-[#1E293B] hover:text-white`}
+          title="Logout"
+        >
+          <HiOutlineLogout size={22} />
+          <span className="text-[11px] font-semibold mt-1 hidden xl:block">Logout</span>
+        </button>
       </nav>
     </aside>
   );
@@ -0,0 +1,70 @@
+// Browser-side access to the backend. Requests go through /api/proxy, which
+// attaches the session token, so the backend URL and the token stay server-side.
+
+export function apiUrl(path: string): string {
+  return `/api/proxy${path}`;
+}
+
+// `redacted` asks for a PDF copy with contact details removed. The backend
+// may redact anyway, e.g. downloads of candidates without a signed RTR.
+export function resumeUrl(filename: string, { download = false, redacted = false } = {}): string {
+  return apiUrl(`/resumes/${download ? "download/" : ""}${encodeURIComponent(filename)}${redacted ? "?view=redacted" : ""}`);
+}
+
+export function redirectToLogin(reason?: "expired") {
+  const params = new URLSearchParams({ next: window.location.pathname });
+  if (reason) {
+    params.set(reason, "1");
+  }
+  window.location.href = `/login?${params}`;
+}
+
+// fetch() against the backend; a 401 means the session is gone or expired,
+// so the user is sent back to the login page
+export async function apiFetch(path: string, init?: RequestInit): Promise<Response> {
+  const response = await fetch(apiUrl(path), init);
+  if (response.status === 401) {
+    redirectToLogin("expired");
+    throw new Error("Your session has expired. Please log in again.");
+  }
+  return response;
+}
+
+// POST a form with upload progress, which fetch() can't report. Resolves
+// with the status and parsed JSON body of the response.
+export function uploadWithProgress(
+  path: string,
+  form: FormData,
+  onProgress: (percent: number) => void
+): Promise<{ status: number; body: unknown }> {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", apiUrl(path));
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) {
+        onProgress(Math.round((e.loaded / e.total) * 100));
+      }
+    };
+    xhr.onload = () => {
+      if (xhr.status === 401) {
+        redirectToLogin("expired");
+        reject(new Error("Your session has expired. Please log in again."));
+        return;
+      }
+      let body: unknown = null;
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch {
+        // Non-JSON error page; the status is enough
+      }
+      resolve({ status: xhr.status, body });
+    };
+    xhr.onerror = () => reject(new Error("Upload failed. Check your connection and try again."));
+    xhr.send(form);
+  });
+}
+
+export async function logout() {
+  await fetch("/api/auth/logout", { method: "POST" }).catch(() => null);
+  window.location.href = "/login";
+}
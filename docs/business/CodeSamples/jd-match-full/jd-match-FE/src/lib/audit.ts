@@ -0,0 +1,53 @@
+// Audit log entries (services/audit on the backend)
+
+export interface AuditEvent {
+  id: number;
+  userId: number | null;
+  userEmail: string | null;
+  userRole: string | null;
+  action: string;
+  targetType: string | null;
+  targetId: string | null;
+  subjects: string[];
+  details: Record<string, unknown> | null;
+  ip: string | null;
+  method: string | null;
+  path: string | null;
+  statusCode: number | null;
+  createdAt: string;
+}
+
+export interface AuditPage {
+  actions: string[];
+  total: number;
+  events: AuditEvent[];
+}
+
+export interface AuditFilters {
+  action: string;
+  user: string;
+  resume: string;
+  candidateId: string;
+  from: string;
+  to: string;
+}
+
+export const emptyAuditFilters: AuditFilters = {
+  action: "",
+  user: "",
+  resume: "",
+  candidateId: "",
+  from: "",
+  to: "",
+};
+
+// Query string for the filters that are set
+export function auditQuery(filters: AuditFilters, extra: Record<string, string> = {}): string {
+  const params = new URLSearchParams(extra);
+  for (const [name, value] of Object.entries(filters)) {
+    if (value.trim()) {
+      params.set(name, value.trim());
+    }
+  }
+  return params.toString();
+}
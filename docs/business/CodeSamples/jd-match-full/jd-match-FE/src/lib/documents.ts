@@ -0,0 +1,18 @@
+// Ingested files that aren't resumes (services/supportingDocuments on the backend)
+
+export type DocumentType = "certificate" | "cover_letter" | "rtr" | "contract" | "other";
+
+export interface SupportingDocumentSummary {
+  id: number;
+  fileName: string;
+  type: DocumentType;
+}
+
+export const documentTypeLabels: Record<DocumentType | "resume", string> = {
+  resume: "Resume",
+  certificate: "Certificate",
+  cover_letter: "Cover letter",
+  rtr: "Right to represent",
+  contract: "Contract",
+  other: "Other document",
+};
@@ -0,0 +1,48 @@
+// Shortlist stages for a requisition, in board order (services/pipeline STAGES)
+
+export type PipelineStage = "shortlisted" | "submitted" | "interview" | "rejected" | "placed";
+
+export const stageLabels: Record<PipelineStage, string> = {
+  shortlisted: "Shortlisted",
+  submitted: "Submitted to client",
+  interview: "Interview",
+  rejected: "Rejected",
+  placed: "Placed",
+};
+
+export const stageStyles: Record<PipelineStage, string> = {
+  shortlisted: "bg-blue-900/60 text-blue-300",
+  submitted: "bg-purple-900/60 text-purple-300",
+  interview: "bg-yellow-900/60 text-yellow-300",
+  rejected: "bg-red-900/60 text-red-300",
+  placed: "bg-green-900/60 text-green-300",
+};
+
+export interface PipelineEvent {
+  id: number;
+  fromStage: PipelineStage | null;
+  toStage: PipelineStage;
+  note: string | null;
+  createdAt: string;
+  user: { id: number; email: string } | null;
+}
+
+export interface PipelineEntry {
+  id: number;
+  requisitionId: number;
+  resumeId: number;
+  candidateId: number | null;
+  fileName: string;
+  score: number | null;
+  searchId: number | null;
+  stage: PipelineStage;
+  createdAt: string;
+  updatedAt: string;
+  resume: {
+    id: number;
+    jobTitle: string | null;
+    yearsOfExperience: number | null;
+    profile: { name: string | null; location: string | null; visaStatus: string | null } | null;
+  } | null;
+  events: PipelineEvent[];
+}
@@ -0,0 +1,32 @@
+// Scoring profiles (services/scoringProfiles on the backend)
+
+export type Criterion = "skills" | "languages" | "experience" | "roleFit";
+
+export const criterionLabels: { key: Criterion; label: string }[] = [
+  { key: "skills", label: "Skills" },
+  { key: "languages", label: "Languages" },
+  { key: "experience", label: "Experience" },
+  { key: "roleFit", label: "Role & Domain" },
+];
+
+export interface ScoringProfile {
+  id: number | null;
+  name: string;
+  description: string | null;
+  weights: Record<Criterion, number>;
+  threshold: number;
+  topn: number;
+  isDefault: boolean;
+}
+
+// The profile a match response was scored with
+export type ScoringProfileSummary = Pick<ScoringProfile, "id" | "name" | "weights" | "threshold" | "topn">;
+
+export interface ScoringProfileList {
+  profiles: ScoringProfile[];
+  builtIn: ScoringProfile;
+}
+
+// What a match uses when no profile is picked
+export const defaultProfile = ({ profiles, builtIn }: ScoringProfileList) =>
+  profiles.find((profile) => profile.isDefault) || builtIn;
@@ -0,0 +1,40 @@
+// The backend JWT lives in an httpOnly cookie set by our own route handlers,
+// so browser code never sees it. Shared by the route handlers and middleware.
+
+export const SESSION_COOKIE = "jd_match_session";
+
+export const BACKEND_URL = process.env.NEXT_PUBLIC_API_URL;
+
+// Expiry of a JWT in ms, read from its payload without verifying it. Only the
+// backend checks signatures; this is just for cookie lifetime and redirects.
+export function tokenExpiry(token: string | undefined): number | null {
+  const payload = token?.split(".")[1];
+  if (!payload) {
+    return null;
+  }
+  try {
+    const json = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+    const { exp } = JSON.parse(json);
+    return typeof exp === "number" ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isSessionValid(token: string | undefined): boolean {
+  const expiresAt = tokenExpiry(token);
+  return expiresAt !== null && expiresAt > Date.now();
+}
+
+export function sessionCookie(token: string) {
+  const expiresAt = tokenExpiry(token);
+  return {
+    name: SESSION_COOKIE,
+    value: token,
+    httpOnly: true,
+    sameSite: "lax" as const,
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    ...(expiresAt && { expires: new Date(expiresAt) }),
+  };
+}
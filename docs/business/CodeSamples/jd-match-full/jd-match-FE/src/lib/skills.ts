@@ -0,0 +1,36 @@
+// Skills ontology (services/skillOntology on the backend)
+
+export type SkillKind = "skill" | "language";
+
+export interface OntologySkill {
+  name: string;
+  kind: SkillKind;
+  synonyms: string[];
+  parents: string[];
+}
+
+// Version 0 is the built-in ontology, used until a Lead saves one
+export interface Ontology {
+  version: number;
+  note: string | null;
+  createdBy: number | null;
+  createdAt: string | null;
+  kinds: SkillKind[];
+  skills: OntologySkill[];
+}
+
+export interface OntologyVersion {
+  version: number;
+  note: string | null;
+  skillCount: number;
+  createdBy: number | null;
+  createdAt: string;
+}
+
+// Deterministic overlap between the JD's canonical skills and a resume's
+export interface SkillOverlap {
+  score: number | null;
+  matched: string[];
+  partial: string[];
+  missing: string[];
+}
@@ -0,0 +1,24 @@
+import { NextRequest, NextResponse } from "next/server";
+import { SESSION_COOKIE, isSessionValid } from "@/lib/session";
+
+// Pages that need a signed-in user. The backend still checks the token on
+// every API call; this only keeps logged-out users off the pages.
+export function middleware(request: NextRequest) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  if (isSessionValid(token)) {
+    return NextResponse.next();
+  }
+
+  const loginUrl = new URL("/login", request.url);
+  loginUrl.searchParams.set("next", request.nextUrl.pathname);
+  if (token) {
+    loginUrl.searchParams.set("expired", "1");
+  }
+  const response = NextResponse.redirect(loginUrl);
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
+
+export const config = {
+  matcher: ["/dashboard/:path*", "/searches/:path*", "/feedback/:path*", "/scoring/:path*", "/skills/:path*", "/audit/:path*", "/upload/:path*"],
+};